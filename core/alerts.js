@@ -0,0 +1,173 @@
+/**
+ * Alerts
+ *
+ * Rules live in ~/.folio/alerts.json, a list of:
+ *
+ *   { "type": "price", "symbol": "AAPL", "crosses": 200 }
+ *   { "type": "price", "symbol": "AAPL", "above": 210 }       (or "below")
+ *   { "type": "dayChange", "symbol": "TSLA", "below": -8 }    (percent; no
+ *                                         symbol = every position)
+ *   { "type": "netLiquidation", "below": 50000 }             (or "above")
+ *   { "type": "orderFilled", "symbol": "AAPL" }              (no symbol = any)
+ *
+ * plus an optional "message" to show instead of the generated one.
+ *
+ * AlertEngine fires on transitions only: a threshold rule when its
+ * condition turns true (again after it went false), `crosses` when the
+ * price moves to the other side of the level, `orderFilled` when an order's
+ * status turns Filled. Front ends feed it quotes, net liquidation and order
+ * status changes and listen for 'alert'.
+ */
+
+import { EventEmitter } from 'events';
+
+export const ALERT_TYPES = ['price', 'dayChange', 'netLiquidation', 'orderFilled'];
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[ALERTS]', ...args);
+  }
+};
+
+const money = (value) => `$${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * alerts.json contents -> { rules, errors }. Rules that can't be used are
+ * left out with a reason in `errors`, so one typo doesn't drop the rest.
+ */
+export function parseAlertRules(json) {
+  const list = Array.isArray(json) ? json : Array.isArray(json?.alerts) ? json.alerts : null;
+  if (!list) return { rules: [], errors: json ? ['alerts.json must be a list of rules'] : [] };
+
+  const rules = [];
+  const errors = [];
+  list.forEach((raw, index) => {
+    const type = raw?.type;
+    const symbol = raw?.symbol ? String(raw.symbol).trim().toUpperCase() : null;
+    const fail = (reason) => errors.push(`Rule ${index + 1}: ${reason}`);
+
+    if (!ALERT_TYPES.includes(type)) return fail(`unknown type "${type}"`);
+    if (type === 'price' && !symbol) return fail('price alerts need a symbol');
+    if (type !== 'orderFilled' && ![raw.above, raw.below, raw.crosses].some(isNumber)) {
+      return fail('needs a number in "above", "below" or "crosses"');
+    }
+    if (raw.crosses !== undefined && type !== 'price') return fail('"crosses" is for price alerts');
+
+    rules.push({
+      id: raw.id ? String(raw.id) : JSON.stringify(raw),
+      type,
+      symbol,
+      above: isNumber(raw.above) ? raw.above : null,
+      below: isNumber(raw.below) ? raw.below : null,
+      crosses: isNumber(raw.crosses) ? raw.crosses : null,
+      message: raw.message || null,
+    });
+  });
+  return { rules, errors };
+}
+
+/**
+ * Emits 'alert' with { id, rule, symbol, message, ts }
+ */
+export class AlertEngine extends EventEmitter {
+  constructor(rules = []) {
+    super();
+    this.rules = rules;
+    this.state = new Map(); // rule id (+ symbol) -> last condition / side
+  }
+
+  setRules(rules) {
+    const ids = rules.map(r => r.id);
+    for (const key of Array.from(this.state.keys())) {
+      if (!ids.some(id => key.startsWith(`${id}|`))) this.state.delete(key);
+    }
+    this.rules = rules;
+  }
+
+  fire(rule, symbol, message) {
+    const alert = { id: rule.id, rule, symbol, message: rule.message || message, ts: Date.now() };
+    debug('Alert:', alert.message);
+    this.emit('alert', alert);
+  }
+
+  // Whether `condition` just turned true for `key`
+  edge(key, condition) {
+    const previous = this.state.get(key);
+    this.state.set(key, condition);
+    return condition && previous !== true;
+  }
+
+  /**
+   * Check threshold rules against the latest figures:
+   * `quotes` { SYMBOL: { price, changePercent } }, `positions` (symbols
+   * held, for dayChange rules without a symbol) and `netLiquidation`
+   */
+  evaluate({ quotes = {}, positions = [], netLiquidation = null } = {}) {
+    for (const rule of this.rules) {
+      if (rule.type === 'price') this.checkPrice(rule, quotes[rule.symbol]?.price);
+      else if (rule.type === 'dayChange') {
+        const symbols = rule.symbol ? [rule.symbol] : positions;
+        for (const symbol of symbols) this.checkDayChange(rule, symbol, quotes[symbol]?.changePercent);
+      } else if (rule.type === 'netLiquidation') this.checkNetLiquidation(rule, netLiquidation);
+    }
+  }
+
+  checkPrice(rule, price) {
+    if (!(price > 0)) return;
+
+    if (rule.crosses !== null) {
+      const side = price >= rule.crosses ? 'above' : 'below';
+      const previous = this.state.get(`${rule.id}|side`);
+      this.state.set(`${rule.id}|side`, side);
+      if (previous && previous !== side) {
+        this.fire(rule, rule.symbol, `${rule.symbol} crossed ${side} ${money(rule.crosses)} (${money(price)})`);
+      }
+    }
+    if (rule.above !== null && this.edge(`${rule.id}|above`, price > rule.above)) {
+      this.fire(rule, rule.symbol, `${rule.symbol} above ${money(rule.above)} (${money(price)})`);
+    }
+    if (rule.below !== null && this.edge(`${rule.id}|below`, price < rule.below)) {
+      this.fire(rule, rule.symbol, `${rule.symbol} below ${money(rule.below)} (${money(price)})`);
+    }
+  }
+
+  checkDayChange(rule, symbol, changePercent) {
+    if (!isNumber(changePercent)) return;
+    const change = `${changePercent >= 0 ? 'up' : 'down'} ${Math.abs(changePercent).toFixed(1)}% today`;
+
+    if (rule.below !== null && this.edge(`${rule.id}|${symbol}|below`, changePercent <= rule.below)) {
+      this.fire(rule, symbol, `${symbol} ${change}`);
+    }
+    if (rule.above !== null && this.edge(`${rule.id}|${symbol}|above`, changePercent >= rule.above)) {
+      this.fire(rule, symbol, `${symbol} ${change}`);
+    }
+  }
+
+  checkNetLiquidation(rule, value) {
+    if (!(value > 0)) return;
+
+    if (rule.below !== null && this.edge(`${rule.id}|below`, value < rule.below)) {
+      this.fire(rule, null, `Net liquidation ${money(value)} below ${money(rule.below)}`);
+    }
+    if (rule.above !== null && this.edge(`${rule.id}|above`, value > rule.above)) {
+      this.fire(rule, null, `Net liquidation ${money(value)} above ${money(rule.above)}`);
+    }
+  }
+
+  /**
+   * An order's status changed (OrderService 'status')
+   */
+  orderStatus(order, previousStatus) {
+    if (order.status !== 'Filled' || previousStatus === 'Filled') return;
+
+    for (const rule of this.rules) {
+      if (rule.type !== 'orderFilled' || (rule.symbol && rule.symbol !== order.symbol)) continue;
+      const price = order.avgFillPrice > 0 ? ` @ ${money(order.avgFillPrice)}` : '';
+      this.fire(rule, order.symbol, `Order filled: ${order.action} ${order.filled || order.quantity} ${order.symbol}${price}`);
+    }
+  }
+}
+
+export default AlertEngine;
@@ -0,0 +1,265 @@
+/**
+ * IB connection
+ *
+ * Owns the `ib` client and the connection state every service needs:
+ * status, the error to show, and the managed account. Services take
+ * anything with getClient()/isConnected(), which this class provides.
+ *
+ *   const connection = new IBConnection({ port: 7497 });
+ *   connection.on('status', ({ status, error }) => ...);
+ *   await connection.connect();
+ *
+ * When an established connection drops (TWS restarting overnight, the
+ * socket going away) it reconnects on its own with exponential backoff,
+ * reporting status 'reconnecting', and emits 'reconnected' once back so
+ * callers can resync. Each attempt uses a fresh client, so services
+ * re-subscribe against getClient().
+ */
+
+import IB from 'ib';
+import { EventEmitter } from 'events';
+
+// Informational codes, not errors
+const INFO_CODES = new Set([2104, 2106, 2158, 2119]);
+const IGNORED_CODES = new Set([300, 354, 10167]);
+
+const CONNECT_TIMEOUT_MS = 10000;
+
+const RECONNECT_DEFAULTS = {
+  initialDelayMs: 1000,
+  maxDelayMs: 30000,
+  factor: 2,
+};
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[IB-CONNECTION]', ...args);
+  }
+};
+
+/**
+ * Delay before reconnect attempt `attempt` (1-based)
+ */
+export function reconnectDelay(attempt, { initialDelayMs, maxDelayMs, factor } = RECONNECT_DEFAULTS) {
+  return Math.min(maxDelayMs, initialDelayMs * factor ** (attempt - 1));
+}
+
+export class IBConnection extends EventEmitter {
+  /**
+   * Options: host, port, clientId, plus
+   * - reconnect: false to stay disconnected after a drop, or backoff settings
+   *   ({ initialDelayMs, maxDelayMs, factor })
+   * - retryOnFail: keep retrying when the very first connect fails too
+   *   (servers that start before TWS); otherwise that is status 'error'
+   */
+  constructor(options = {}) {
+    super();
+
+    this.host = options.host || process.env.IB_HOST || '127.0.0.1';
+    this.port = options.port || parseInt(process.env.IB_PORT || '7496', 10);
+    this.clientId = options.clientId ?? parseInt(process.env.IB_CLIENT_ID || '0', 10);
+    this.reconnect = options.reconnect === false ? null : { ...RECONNECT_DEFAULTS, ...options.reconnect };
+    this.retryOnFail = !!options.retryOnFail;
+
+    this.client = null;
+    this.status = 'disconnected'; // disconnected, connecting, connected, reconnecting, error
+    this.error = null;
+    this.accountId = null;
+    this.nextOrderId = null;
+    this.pending = null;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.hasConnected = false;
+  }
+
+  setStatus(status, error = null, extra = {}) {
+    this.status = status;
+    this.error = error;
+    this.emit('status', { status, error, attempt: this.reconnectAttempt, ...extra });
+  }
+
+  /**
+   * Connect to TWS/Gateway. Resolves once TWS hands out the first order id;
+   * rejects with a message fit to show the user.
+   */
+  connect() {
+    if (this.status === 'connected') return Promise.resolve();
+    if (this.pending) return this.pending;
+
+    const retrying = this.reconnectAttempt > 0;
+    debug(`Connecting to ${this.host}:${this.port} (clientId: ${this.clientId})${retrying ? `, attempt ${this.reconnectAttempt}` : ''}`);
+    this.setStatus(retrying ? 'reconnecting' : 'connecting', this.error);
+
+    // A failed attempt leaves its client behind; retrying starts fresh
+    if (this.client) {
+      try {
+        this.client.disconnect();
+      } catch (e) {
+        // ignore
+      }
+    }
+
+    const client = new IB({ clientId: this.clientId, host: this.host, port: this.port });
+    this.client = client;
+
+    this.pending = new Promise((resolve, reject) => {
+      let settled = false;
+      let opened = false;
+      let lastError = null;
+
+      const fail = (message) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+
+        // Unless disconnect() or a newer attempt replaced this client meanwhile
+        if (this.client === client) {
+          this.pending = null;
+          if (this.reconnect && (retrying || this.retryOnFail)) {
+            this.scheduleReconnect(message);
+          } else {
+            this.setStatus('error', message);
+          }
+        }
+        reject(new Error(message));
+      };
+
+      const timeout = setTimeout(() => {
+        debug('Connection timeout');
+        fail('Timeout — TWS is not responding. Make sure it is running.');
+      }, CONNECT_TIMEOUT_MS);
+
+      client.on('error', (err, data) => {
+        const code = data?.code;
+        const message = err?.message || String(err);
+
+        if (code && (INFO_CODES.has(code) || IGNORED_CODES.has(code))) return;
+
+        if (message.includes('ECONNREFUSED')) {
+          fail('Cannot connect to TWS. Is it running?');
+        } else if (message.includes('ETIMEDOUT')) {
+          fail('Timeout connecting to TWS. Verify the API is enabled.');
+        } else if (message.includes('ECONNRESET') ||
+                   message.includes('Cannot send data when disconnected') ||
+                   message.includes('Cannot disconnect if already disconnected')) {
+          // Expected while the socket goes away; 'disconnected' follows
+        } else {
+          debug('Error:', code, message);
+          lastError = message;
+          // EventEmitter throws on an unhandled 'error'
+          if (this.listenerCount('error') > 0) {
+            this.emit('error', err instanceof Error ? err : new Error(message), data);
+          }
+        }
+      });
+
+      // TWS answers reqIds with nextValidId; later ones (reqIds from
+      // placing orders) must not re-run the connect logic
+      client.on('nextValidId', (orderId) => {
+        this.nextOrderId = orderId;
+        if (settled) return;
+
+        debug('Connected. Next order ID:', orderId);
+        settled = true;
+        opened = true;
+        clearTimeout(timeout);
+        this.pending = null;
+        this.reconnectAttempt = 0;
+        this.setStatus('connected');
+        client.reqManagedAccts();
+        this.emit('connected');
+        if (this.hasConnected) this.emit('reconnected');
+        this.hasConnected = true;
+        resolve();
+      });
+
+      client.on('managedAccounts', (accounts) => {
+        const accountId = accounts.split(',')[0];
+        if (accountId === this.accountId) return;
+        this.accountId = accountId;
+        debug('Account ID:', accountId);
+        this.emit('account', accountId);
+      });
+
+      client.on('disconnected', () => {
+        if (this.client !== client) return;
+        debug('Disconnected');
+        // e.g. 326 (client id in use): TWS hangs up before nextValidId
+        if (!settled) {
+          fail(lastError || 'TWS closed the connection');
+          return;
+        }
+        if (!opened) return;
+
+        if (this.reconnect) {
+          this.scheduleReconnect('Connection to TWS lost');
+        } else {
+          this.setStatus('disconnected');
+        }
+        this.emit('disconnected');
+      });
+
+      try {
+        client.connect();
+        client.reqIds(1);
+      } catch (err) {
+        fail(err.message);
+      }
+    });
+
+    return this.pending;
+  }
+
+  /**
+   * Try again after the backoff delay for the next attempt
+   */
+  scheduleReconnect(reason) {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectAttempt += 1;
+    const delay = reconnectDelay(this.reconnectAttempt, this.reconnect);
+
+    debug(`${reason}; reconnecting in ${delay}ms (attempt ${this.reconnectAttempt})`);
+    this.setStatus('reconnecting', reason, { retryInMs: delay });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch(() => {
+        // The failed attempt already scheduled the next one
+      });
+    }, delay);
+  }
+
+  /**
+   * Drop the connection (no-op when not connected) and stop reconnecting
+   */
+  disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+
+    const client = this.client;
+    this.client = null;
+    this.pending = null;
+    if (client) {
+      try {
+        client.disconnect();
+      } catch (e) {
+        // ignore
+      }
+    }
+    if (this.status !== 'disconnected') {
+      const wasConnected = this.status === 'connected';
+      this.setStatus('disconnected');
+      if (wasConnected) this.emit('disconnected');
+    }
+  }
+
+  isConnected() {
+    return this.status === 'connected';
+  }
+
+  getClient() {
+    return this.client;
+  }
+}
+
+export default IBConnection;
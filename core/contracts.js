@@ -0,0 +1,307 @@
+/**
+ * Contract resolution
+ *
+ * A bare symbol is treated as a US stock routed through SMART, which is
+ * what every request used to send. Anything more specific (a position's
+ * contract from updatePortfolio, a listing with its own exchange or
+ * currency) is resolved once with reqContractDetails and cached, so charts,
+ * quotes and orders all hit the same listing.
+ */
+
+// Own range of request ids: 6000s are market data, 7000s historical data,
+// 8001 executions, 9001 the account summary and 12000s option chains, and
+// their error handlers match on the id
+let contractDetailsReqCounter = 20000;
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[CONTRACTS]', ...args);
+  }
+};
+
+// key -> Promise<details>
+const detailsCache = new Map();
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// IB sends "C"/"P" but accepts (and sometimes echoes) "CALL"/"PUT"
+function normalizeRight(right) {
+  if (!right) return null;
+  const r = String(right).toUpperCase();
+  return r.startsWith('C') ? 'C' : r.startsWith('P') ? 'P' : null;
+}
+
+/**
+ * Option fields of a contract, or nothing for other security types
+ */
+function optionFields(contract) {
+  if (contract.secType !== 'OPT') return {};
+  return {
+    expiry: contract.expiry || null,
+    strike: Number(contract.strike) || null,
+    right: normalizeRight(contract.right),
+    multiplier: Number(contract.multiplier) || 100,
+  };
+}
+
+/**
+ * Short display name: the symbol for stocks, "AAPL 150C 20Dec24" for options
+ */
+export function contractLabel(contract) {
+  if (!contract) return '';
+  if (contract.secType !== 'OPT') return contract.symbol;
+
+  const { expiry, strike, right } = optionFields(contract);
+  const match = String(expiry || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  const date = match ? `${match[3]}${MONTHS[Number(match[2]) - 1]}${match[1].slice(2)}` : expiry;
+  return `${contract.symbol} ${strike}${right || ''} ${date}`;
+}
+
+/**
+ * Shares one unit of the contract covers (100 for a standard option)
+ */
+export function contractMultiplier(contract) {
+  return contract?.secType === 'OPT' ? (Number(contract.multiplier) || 100) : 1;
+}
+
+/**
+ * Plain-object contract spec from an IB contract (updatePortfolio, openOrder, ...)
+ */
+export function contractSpec(contract) {
+  if (!contract) return null;
+  return {
+    conId: contract.conId || null,
+    symbol: contract.symbol,
+    secType: contract.secType || 'STK',
+    exchange: contract.exchange || 'SMART',
+    primaryExch: contract.primaryExch || null,
+    currency: contract.currency || 'USD',
+    localSymbol: contract.localSymbol || null,
+    ...optionFields({ secType: 'STK', ...contract }),
+  };
+}
+
+/**
+ * Whether a spec is anything other than the default US/SMART stock
+ */
+export function isDefaultContract(spec) {
+  return !spec || (!spec.conId && (spec.currency || 'USD') === 'USD' && (spec.exchange || 'SMART') === 'SMART');
+}
+
+function cacheKey(spec) {
+  if (spec.conId) return `conId:${spec.conId}`;
+  return [
+    spec.symbol, spec.secType || 'STK', spec.exchange || 'SMART', spec.primaryExch || '', spec.currency || 'USD',
+    spec.expiry || '', spec.strike || '', spec.right || '',
+  ].join(':');
+}
+
+/**
+ * IB contract object for a spec. With a conId, IB needs nothing else but
+ * the exchange to route to.
+ */
+export function toIbContract(client, spec) {
+  if (spec.conId) {
+    return {
+      conId: spec.conId,
+      symbol: spec.symbol,
+      secType: spec.secType || 'STK',
+      exchange: spec.exchange || 'SMART',
+      currency: spec.currency || 'USD',
+    };
+  }
+
+  // Empty exchange/currency are wildcards for reqContractDetails
+  const contract = {
+    symbol: spec.symbol,
+    secType: spec.secType || 'STK',
+    exchange: spec.exchange ?? 'SMART',
+    currency: spec.currency ?? 'USD',
+  };
+  if (spec.primaryExch) contract.primaryExch = spec.primaryExch;
+  if (contract.secType === 'OPT') {
+    contract.expiry = spec.expiry;
+    contract.strike = spec.strike;
+    contract.right = spec.right;
+    contract.multiplier = spec.multiplier || 100;
+    if (spec.tradingClass) contract.tradingClass = spec.tradingClass;
+  }
+  return contract;
+}
+
+/**
+ * Normalize a contractDetails payload into a spec plus descriptive fields
+ */
+function normalizeDetails(details) {
+  const summary = details.summary || {};
+  return {
+    conId: summary.conId,
+    symbol: summary.symbol,
+    secType: summary.secType || 'STK',
+    // Route through SMART when the listing allows it
+    exchange: String(details.validExchanges || '').split(',').includes('SMART') ? 'SMART' : summary.exchange,
+    primaryExch: summary.primaryExch || summary.exchange || null,
+    currency: summary.currency,
+    localSymbol: summary.localSymbol || null,
+    tradingClass: summary.tradingClass || null,
+    longName: details.longName || null,
+    minTick: details.minTick || null,
+    industry: details.industry || null,
+    category: details.category || null,
+    ...optionFields(summary),
+  };
+}
+
+/**
+ * Pick the listing that best matches the spec when IB returns several
+ */
+function pickListing(matches, spec) {
+  const score = (d) =>
+    (spec.conId && d.conId === spec.conId ? 4 : 0) +
+    (spec.primaryExch && d.primaryExch === spec.primaryExch ? 2 : 0) +
+    (spec.currency && d.currency === spec.currency ? 1 : 0);
+  return [...matches].sort((a, b) => score(b) - score(a))[0];
+}
+
+/**
+ * Run reqContractDetails for a spec and return every matching listing
+ */
+export function requestContractDetails(client, spec, { timeoutMs = 8000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const reqId = ++contractDetailsReqCounter;
+    const matches = [];
+
+    const timeout = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Timeout resolving ${spec.symbol || spec.conId}`));
+    }, timeoutMs);
+
+    const onDetails = (id, details) => {
+      if (id !== reqId) return;
+      matches.push(normalizeDetails(details));
+    };
+
+    const onEnd = (id) => {
+      if (id !== reqId) return;
+      cleanup();
+      resolve(matches);
+    };
+
+    const onError = (err, data) => {
+      if (data?.id !== reqId) return;
+      cleanup();
+      reject(new Error(err?.message || 'No security definition found'));
+    };
+
+    const cleanup = () => {
+      clearTimeout(timeout);
+      client.removeListener('contractDetails', onDetails);
+      client.removeListener('contractDetailsEnd', onEnd);
+      client.removeListener('error', onError);
+    };
+
+    client.on('contractDetails', onDetails);
+    client.on('contractDetailsEnd', onEnd);
+    client.on('error', onError);
+
+    debug(`reqContractDetails ${reqId}:`, cacheKey(spec));
+    client.reqContractDetails(reqId, toIbContract(client, spec));
+  });
+}
+
+/**
+ * Every stock listing IB has for a symbol (any exchange, any currency),
+ * for the user to pick from when a ticker is ambiguous
+ */
+export async function findListings(client, symbol) {
+  const listings = await requestContractDetails(client, { symbol, exchange: '', currency: '' });
+  // Picking one of these later shouldn't need another round trip
+  for (const listing of listings) {
+    detailsCache.set(cacheKey(listing), Promise.resolve(listing));
+  }
+  return listings;
+}
+
+/**
+ * IB's own symbol search (reqMatchingSymbols). Works without any outside
+ * service, but needs TWS 973.02+.
+ */
+export function matchingSymbols(client, pattern, { timeoutMs = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const reqId = ++contractDetailsReqCounter;
+
+    const timeout = setTimeout(() => {
+      cleanup();
+      reject(new Error('Timeout searching symbols'));
+    }, timeoutMs);
+
+    const onSamples = (id, contracts) => {
+      if (id !== reqId) return;
+      cleanup();
+      resolve((contracts || []).map(c => ({
+        conId: c.conId,
+        symbol: c.symbol,
+        secType: c.secType,
+        primaryExch: c.primaryExchange || null,
+        currency: c.currency,
+      })));
+    };
+
+    const onError = (err, data) => {
+      if (data?.id !== reqId) return;
+      cleanup();
+      reject(new Error(err?.message || 'Symbol search failed'));
+    };
+
+    const cleanup = () => {
+      clearTimeout(timeout);
+      client.removeListener('symbolSamples', onSamples);
+      client.removeListener('error', onError);
+    };
+
+    client.on('symbolSamples', onSamples);
+    client.on('error', onError);
+
+    debug(`reqMatchingSymbols ${reqId}:`, pattern);
+    client.reqMatchingSymbols(reqId, pattern);
+  });
+}
+
+/**
+ * Resolve a spec to a single listing (cached). Rejects when IB knows no
+ * such contract.
+ */
+export function resolveContract(client, spec) {
+  const key = cacheKey(spec);
+  if (detailsCache.has(key)) return detailsCache.get(key);
+
+  const promise = requestContractDetails(client, spec).then((matches) => {
+    if (matches.length === 0) throw new Error(`No contract found for ${spec.symbol || spec.conId}`);
+    const details = pickListing(matches, spec);
+    debug(`resolved ${key} ->`, details.conId, details.primaryExch, details.currency);
+    return details;
+  });
+
+  detailsCache.set(key, promise);
+  // Don't cache failures: TWS may have been briefly unavailable
+  promise.catch(() => detailsCache.delete(key));
+  return promise;
+}
+
+/**
+ * IB contract to use for a request. Bare US symbols go straight out as
+ * before; anything else is resolved first, falling back to the spec as-is
+ * if resolution fails.
+ */
+export async function ibContractFor(client, symbol, spec = null) {
+  if (isDefaultContract(spec)) {
+    return client.contract.stock(symbol, 'SMART', 'USD');
+  }
+
+  try {
+    return toIbContract(client, await resolveContract(client, spec));
+  } catch (err) {
+    debug(`resolve failed for ${symbol}: ${err.message} - using spec as-is`);
+    return toIbContract(client, { ...spec, symbol: spec.symbol || symbol });
+  }
+}
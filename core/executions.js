@@ -0,0 +1,195 @@
+/**
+ * Executions
+ *
+ * reqExecutions returns trades since midnight (default) or up to 7 days if
+ * the TWS Trade Log is configured that way. TWS follows each fill with a
+ * commissionReport (often after execDetailsEnd), joined here by execId.
+ */
+
+import { EventEmitter } from 'events';
+import { contractLabel, contractMultiplier } from './contracts.js';
+
+const EXECUTIONS_REQ_ID = 8001;
+const FETCH_TIMEOUT_MS = 10000;
+
+// Farm notices and "no executions" style messages, not failures
+const INFO_CODES = new Set([2104, 2106, 2158, 2176, 10167, 10168]);
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[EXECUTIONS]', ...args);
+  }
+};
+
+/**
+ * Parse an execution time ("YYYYMMDD HH:MM:SS", sometimes with a double
+ * space or a trailing time zone) to a local Date, or null
+ */
+export function parseExecutionTime(timeStr) {
+  const match = String(timeStr || '').match(/^(\d{4})(\d{2})(\d{2})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!match) return null;
+
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+  return new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+}
+
+/**
+ * Plain execution record from an execDetails event. `symbol` is the
+ * underlying (what the chart shows); `label` and `conId` tell an option
+ * fill apart from a stock fill on the same symbol.
+ */
+export function parseExecution(contract, execution) {
+  return {
+    id: execution.execId,
+    symbol: contract.symbol,
+    label: contractLabel(contract),
+    conId: contract.conId,
+    secType: contract.secType,
+    multiplier: contractMultiplier(contract),
+    currency: contract.currency || 'USD',
+    side: execution.side, // 'BOT' or 'SLD'
+    quantity: parseFloat(execution.shares) || parseInt(execution.shares, 10),
+    price: execution.price,
+    avgPrice: execution.avgPrice,
+    time: execution.time, // "YYYYMMDD HH:MM:SS"
+    orderId: execution.orderId,
+  };
+}
+
+/**
+ * Fee fields from a commissionReport event. IB's realized P&L is only set
+ * on closing fills (Number.MAX_VALUE otherwise).
+ */
+export function parseCommissionReport(report) {
+  const clean = (value) => (typeof value === 'number' && Number.isFinite(value) && value !== Number.MAX_VALUE ? value : null);
+  return {
+    commission: clean(report.commission),
+    commissionCurrency: report.currency || null,
+    realizedPnL: clean(report.realizedPNL),
+  };
+}
+
+// Time format: "YYYYMMDD HH:MM:SS", most recent first
+const byTimeDesc = (a, b) => b.time.localeCompare(a.time);
+
+/**
+ * Emits 'update' with the executions after every fetch and whenever a
+ * commission report fills in one of them
+ */
+export class ExecutionService extends EventEmitter {
+  constructor(connection) {
+    super();
+    this.connection = connection;
+    this.executions = [];
+    this.commissions = new Map(); // execId -> parsed commission report
+    this.client = null;
+
+    this.onCommissionReport = this.onCommissionReport.bind(this);
+  }
+
+  withCommission(execution) {
+    const fees = this.commissions.get(execution.id);
+    return fees ? { ...execution, ...fees } : execution;
+  }
+
+  onCommissionReport(report) {
+    if (!report?.execId) return;
+    const fees = parseCommissionReport(report);
+    debug('commissionReport:', report.execId, fees.commission, fees.commissionCurrency);
+    this.commissions.set(report.execId, fees);
+
+    const index = this.executions.findIndex(e => e.id === report.execId);
+    if (index < 0) return;
+    this.executions = this.executions.map((e, i) => (i === index ? this.withCommission(e) : e));
+    this.emit('update', this.executions);
+  }
+
+  // Commission reports keep coming after execDetailsEnd and for later
+  // fills, so the listener stays on for the client's lifetime
+  watchCommissions(client) {
+    if (client === this.client) return;
+    this.stop();
+    this.client = client;
+    client.on('commissionReport', this.onCommissionReport);
+  }
+
+  stop() {
+    if (!this.client) return;
+    this.client.removeListener('commissionReport', this.onCommissionReport);
+    this.client = null;
+  }
+
+  /**
+   * Fetch every execution TWS reports. On timeout, whatever arrived is used.
+   */
+  fetch() {
+    return new Promise((resolve, reject) => {
+      const client = this.connection.getClient();
+      if (!client || !this.connection.isConnected()) {
+        reject(new Error('Not connected'));
+        return;
+      }
+
+      this.watchCommissions(client);
+      debug('reqExecutions');
+      const list = [];
+
+      const finish = () => {
+        cleanup();
+        list.sort(byTimeDesc);
+        this.executions = list;
+        this.emit('update', list);
+        resolve(list);
+      };
+
+      const onExecDetails = (reqId, contract, execution) => {
+        if (reqId !== EXECUTIONS_REQ_ID) return;
+        debug('execDetails:', contract.symbol, execution.side, execution.shares, '@', execution.price);
+        list.push(this.withCommission(parseExecution(contract, execution)));
+      };
+
+      const onExecDetailsEnd = (reqId) => {
+        if (reqId !== EXECUTIONS_REQ_ID) return;
+        debug('execDetailsEnd:', list.length, 'executions');
+        finish();
+      };
+
+      const onError = (err, data) => {
+        if (data?.code && INFO_CODES.has(data.code)) return;
+
+        // Only handle errors for our request
+        if (data?.id === EXECUTIONS_REQ_ID || data?.id === -1) {
+          debug('Error fetching executions:', err?.message, 'code:', data?.code);
+          cleanup();
+          reject(new Error(err?.message || 'Error fetching activity'));
+        }
+      };
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        client.removeListener('execDetails', onExecDetails);
+        client.removeListener('execDetailsEnd', onExecDetailsEnd);
+        client.removeListener('error', onError);
+      };
+
+      const timeout = setTimeout(() => {
+        debug('Timeout fetching executions');
+        if (list.length > 0) {
+          finish();
+        } else {
+          cleanup();
+          resolve(this.executions);
+        }
+      }, FETCH_TIMEOUT_MS);
+
+      client.on('execDetails', onExecDetails);
+      client.on('execDetailsEnd', onExecDetailsEnd);
+      client.on('error', onError);
+
+      // Empty filter: everything
+      client.reqExecutions(EXECUTIONS_REQ_ID, {});
+    });
+  }
+}
+
+export default ExecutionService;
@@ -0,0 +1,130 @@
+/**
+ * Exposure breakdown
+ *
+ * Groups positions by sector (IB's industry, with its category as the
+ * industry inside it, from reqContractDetails), security type and
+ * currency, as shares of net liquidation in the base currency. Cash is a
+ * group of its own in every dimension, so each one adds up to the account.
+ */
+
+import { resolveContract } from './contracts.js';
+import { fxRateFor } from './portfolio.js';
+
+export const EXPOSURE_DIMENSIONS = ['sector', 'secType', 'currency'];
+
+// Percent of net liquidation above which a group is flagged
+export const DEFAULT_CONCENTRATION_THRESHOLD = 25;
+
+const CASH_GROUP = 'Cash';
+const UNCLASSIFIED = 'Unclassified';
+
+const SEC_TYPE_LABELS = {
+  STK: 'Stocks',
+  OPT: 'Options',
+  FUT: 'Futures',
+  FOP: 'Futures options',
+  BOND: 'Bonds',
+  FUND: 'Funds',
+  CASH: 'Forex',
+  CFD: 'CFDs',
+  WAR: 'Warrants',
+  CRYPTO: 'Crypto',
+};
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[EXPOSURE]', ...args);
+  }
+};
+
+/**
+ * Sector and industry per position symbol: { [symbol]: { sector, industry } }.
+ * Options take their underlying's. Lookups go through the contract cache,
+ * so only new symbols cost a round trip; failures are left out.
+ */
+export async function fetchClassifications(client, positions) {
+  const lookups = positions.map(async (p) => {
+    const contract = p.contract || { symbol: p.symbol };
+    const spec = contract.secType === 'OPT'
+      ? { symbol: contract.symbol, secType: 'STK', currency: contract.currency }
+      : contract;
+    const details = await resolveContract(client, spec);
+    return [p.symbol, { sector: details.industry || null, industry: details.category || null }];
+  });
+
+  const classifications = {};
+  const results = await Promise.allSettled(lookups);
+  results.forEach((r, i) => {
+    if (r.status === 'fulfilled') classifications[r.value[0]] = r.value[1];
+    else debug('No classification for', positions[i].symbol, r.reason?.message);
+  });
+  return classifications;
+}
+
+function addTo(groups, key, value, member) {
+  const group = groups.get(key) || { key, value: 0, members: [] };
+  group.value += value;
+  if (member) group.members.push(member);
+  groups.set(key, group);
+}
+
+/**
+ * { netLiquidation, threshold, sector, secType, currency, warnings }.
+ * Each dimension is a list of { key, value, weight, members } by size,
+ * with `members` the positions in it ({ symbol, value, weight, industry }).
+ * Warnings are sector and currency groups above `threshold` percent,
+ * leaving out cash and the base currency. Security types aren't flagged:
+ * being mostly in stocks isn't a concentration.
+ */
+export function exposureBreakdown({
+  positions,
+  accountData,
+  fxRates = {},
+  baseCurrency = 'USD',
+  classifications = {},
+  threshold = DEFAULT_CONCENTRATION_THRESHOLD,
+}) {
+  const netLiquidation = accountData?.netLiquidation || 0;
+  const cash = accountData?.totalCashValue || 0;
+
+  const groups = { sector: new Map(), secType: new Map(), currency: new Map() };
+  for (const p of positions) {
+    const value = (p.marketValue || 0) * fxRateFor(fxRates, baseCurrency, p.currency);
+    const classification = classifications[p.symbol] || {};
+    const member = {
+      symbol: p.symbol,
+      value,
+      weight: netLiquidation ? value / netLiquidation : 0,
+      industry: classification.industry || null,
+    };
+    addTo(groups.sector, classification.sector || UNCLASSIFIED, value, member);
+    addTo(groups.secType, SEC_TYPE_LABELS[p.secType] || p.secType || 'Other', value, member);
+    addTo(groups.currency, p.currency || baseCurrency, value, member);
+  }
+  if (cash) {
+    addTo(groups.sector, CASH_GROUP, cash, null);
+    addTo(groups.secType, CASH_GROUP, cash, null);
+    addTo(groups.currency, baseCurrency, cash, null);
+  }
+
+  const breakdown = { netLiquidation, threshold, warnings: [] };
+  for (const dimension of EXPOSURE_DIMENSIONS) {
+    breakdown[dimension] = Array.from(groups[dimension].values())
+      .map(g => ({
+        ...g,
+        weight: netLiquidation ? g.value / netLiquidation : 0,
+        members: g.members.sort((a, b) => Math.abs(b.value) - Math.abs(a.value)),
+      }))
+      .sort((a, b) => Math.abs(b.value) - Math.abs(a.value));
+
+    for (const group of breakdown[dimension]) {
+      const exempt = dimension === 'secType' ||
+        group.key === CASH_GROUP ||
+        (dimension === 'currency' && group.key === baseCurrency);
+      if (!exempt && group.weight * 100 > threshold) {
+        breakdown.warnings.push({ dimension, key: group.key, weight: group.weight });
+      }
+    }
+  }
+  return breakdown;
+}
@@ -0,0 +1,35 @@
+/**
+ * Folio core: IB connection and services with no UI attached
+ *
+ * The terminal (React hooks), the mobile server and the OpenTUI app are
+ * adapters over these. Services take a connection (anything with
+ * getClient()/isConnected(), usually an IBConnection) and emit events.
+ *
+ *   const connection = new IBConnection({ port: 7497 });
+ *   await connection.connect();
+ *   const portfolio = new PortfolioService(connection);
+ *   const { positions, accountData } = await portfolio.fetch();
+ */
+
+export { IBConnection } from './connection.js';
+export { PortfolioService, portfolioTotals, fxRateFor, emptyAccountData } from './portfolio.js';
+export { OrderService, parseOpenOrder } from './orders.js';
+export { ExecutionService, parseExecution, parseExecutionTime, parseCommissionReport } from './executions.js';
+export { MarketDataService, QuoteStreamService, DEFAULT_MAX_LINES } from './market-data.js';
+export { LOT_METHODS, matchLots, summarizeRealized, realizedGainsCsv, holdingTerm } from './lots.js';
+export {
+  EXPOSURE_DIMENSIONS,
+  DEFAULT_CONCENTRATION_THRESHOLD,
+  exposureBreakdown,
+  fetchClassifications,
+} from './exposure.js';
+export { INDICATORS, sma, ema, bollinger, vwap, rsi, macd } from './indicators.js';
+export { AlertEngine, ALERT_TYPES, parseAlertRules } from './alerts.js';
+export { CASH_TARGET, DEFAULT_TOLERANCE, parseTargets, planRebalance } from './rebalance.js';
+export {
+  TradeService,
+  extractRejection,
+  extractWarning,
+  humanizeWarning,
+} from './trade.js';
+export * from './contracts.js';
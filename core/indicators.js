@@ -0,0 +1,168 @@
+/**
+ * Technical indicators over historical bars ({ date, open, high, low,
+ * close, volume }, as useHistoricalData and reqHistoricalData give them)
+ * or plain close series.
+ *
+ * Every function returns arrays as long as its input, with null while an
+ * indicator is still warming up (the first `length - 1` values of an SMA,
+ * the first `length` of an RSI...), so results line up with the bars.
+ *
+ *   const closes = bars.map(b => b.close);
+ *   const trend = sma(closes, 50);
+ *   const { upper, lower } = bollinger(closes, 20, 2);
+ */
+
+/**
+ * Indicators the chart offers: overlays are drawn over prices, the rest in
+ * a pane of their own. `length` is the default period, where there is one.
+ */
+export const INDICATORS = {
+  sma: { label: 'SMA', overlay: true, length: 20 },
+  ema: { label: 'EMA', overlay: true, length: 50 },
+  bollinger: { label: 'Bollinger', overlay: true, length: 20 },
+  vwap: { label: 'VWAP', overlay: true },
+  rsi: { label: 'RSI', overlay: false, length: 14 },
+  macd: { label: 'MACD', overlay: false },
+};
+
+const isNumber = (x) => typeof x === 'number' && Number.isFinite(x);
+
+function checkLength(length) {
+  if (!Number.isInteger(length) || length < 1) {
+    throw new Error(`Invalid indicator length: ${length}`);
+  }
+}
+
+/**
+ * Simple moving average of the last `length` values
+ */
+export function sma(values, length) {
+  checkLength(length);
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  let count = 0; // Consecutive numbers ending at i
+  for (let i = 0; i < values.length; i++) {
+    if (!isNumber(values[i])) {
+      sum = 0;
+      count = 0;
+      continue;
+    }
+    sum += values[i];
+    count++;
+    if (count > length) sum -= values[i - length];
+    if (count >= length) out[i] = sum / length;
+  }
+  return out;
+}
+
+/**
+ * Exponential moving average (k = 2 / (length + 1)), seeded with the SMA
+ * of the first `length` values. Leading nulls are skipped, so it can run
+ * over another indicator (MACD's signal line).
+ */
+export function ema(values, length) {
+  checkLength(length);
+  const out = new Array(values.length).fill(null);
+  const k = 2 / (length + 1);
+  let prev = null;
+  let seed = 0;
+  let count = 0;
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (!isNumber(value)) continue;
+    if (prev === null) {
+      seed += value;
+      count++;
+      if (count === length) prev = seed / length;
+    } else {
+      prev = value * k + prev * (1 - k);
+    }
+    out[i] = prev;
+  }
+  return out;
+}
+
+/**
+ * Bollinger Bands: SMA of `length` values ± `deviations` population
+ * standard deviations
+ */
+export function bollinger(values, length = 20, deviations = 2) {
+  const middle = sma(values, length);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  for (let i = 0; i < values.length; i++) {
+    if (middle[i] === null) continue;
+    let squares = 0;
+    for (let j = i - length + 1; j <= i; j++) squares += (values[j] - middle[i]) ** 2;
+    const deviation = Math.sqrt(squares / length) * deviations;
+    upper[i] = middle[i] + deviation;
+    lower[i] = middle[i] - deviation;
+  }
+  return { middle, upper, lower };
+}
+
+/**
+ * Volume-weighted average of the typical price ((high + low + close) / 3),
+ * from the first bar on. `sessionKey(bar)` starts it over whenever the key
+ * changes, e.g. the day of intraday bars. Null until there's volume (IB
+ * sends none for indices and forex).
+ */
+export function vwap(bars, { sessionKey = null } = {}) {
+  const out = new Array(bars.length).fill(null);
+  let session;
+  let priceVolume = 0;
+  let volume = 0;
+  for (let i = 0; i < bars.length; i++) {
+    const bar = bars[i];
+    const key = sessionKey ? sessionKey(bar) : null;
+    if (i === 0 || key !== session) {
+      session = key;
+      priceVolume = 0;
+      volume = 0;
+    }
+    if (bar.volume > 0 && isNumber(bar.high) && isNumber(bar.low) && isNumber(bar.close)) {
+      priceVolume += ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+      volume += bar.volume;
+    }
+    if (volume > 0) out[i] = priceVolume / volume;
+  }
+  return out;
+}
+
+/**
+ * Relative strength index (0-100) with Wilder's smoothing
+ */
+export function rsi(values, length = 14) {
+  checkLength(length);
+  const out = new Array(values.length).fill(null);
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    const up = change > 0 ? change : 0;
+    const down = change < 0 ? -change : 0;
+    if (i <= length) {
+      gain += up / length;
+      loss += down / length;
+      if (i < length) continue;
+    } else {
+      gain = (gain * (length - 1) + up) / length;
+      loss = (loss * (length - 1) + down) / length;
+    }
+    out[i] = loss === 0 ? (gain === 0 ? 50 : 100) : 100 - 100 / (1 + gain / loss);
+  }
+  return out;
+}
+
+/**
+ * MACD: EMA(fast) - EMA(slow), its EMA(signal) and the difference
+ * between the two (histogram)
+ */
+export function macd(values, fast = 12, slow = 26, signal = 9) {
+  const fastLine = ema(values, fast);
+  const slowLine = ema(values, slow);
+  const line = fastLine.map((f, i) => (f === null || slowLine[i] === null ? null : f - slowLine[i]));
+  const signalLine = ema(line, signal);
+  const histogram = line.map((m, i) => (m === null || signalLine[i] === null ? null : m - signalLine[i]));
+  return { macd: line, signal: signalLine, histogram };
+}
@@ -0,0 +1,298 @@
+/**
+ * Tax lots and realized P&L
+ *
+ * Replays execution history in time order: every fill opens a lot or
+ * closes open lots of the same contract, and each closing fill becomes a
+ * realized trade. Which lots a sale closes depends on the method:
+ *
+ * - FIFO: oldest lots first
+ * - LIFO: newest lots first
+ * - SPECIFIC: the lots picked for that sale (`selections`), then FIFO
+ *   for any quantity left over
+ * - AVERAGE: cost basis is the average cost of the open lots; holding
+ *   periods still run oldest first
+ *
+ * A sale with no long lots open opens a short lot; the buy that covers it
+ * realizes the gain. Commissions are part of it: a buy's raise the cost
+ * basis, a sale's lower the proceeds. Amounts are in the contract's own
+ * currency.
+ */
+
+import { parseExecutionTime } from './executions.js';
+
+export const LOT_METHODS = ['FIFO', 'LIFO', 'SPECIFIC', 'AVERAGE'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Guards against float noise when quantities are split across lots
+const EPSILON = 1e-9;
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[LOTS]', ...args);
+  }
+};
+
+// Calendar day as a comparable number (yyyymmdd), in local time
+const dayNumber = (year, month, day) => year * 10000 + (month + 1) * 100 + day;
+
+/**
+ * Long-term when sold on a calendar day after the one-year anniversary of
+ * the purchase (times of day don't count: bought 2024-03-01, sold
+ * 2025-03-01 is short-term; sold 2025-03-02 is long-term). Short sales are
+ * always short-term.
+ */
+export function holdingTerm(openedAt, closedAt, isShort = false) {
+  if (isShort || !openedAt || !closedAt) return 'short';
+  const opened = new Date(openedAt);
+  const closed = new Date(closedAt);
+  const anniversary = dayNumber(opened.getFullYear() + 1, opened.getMonth(), opened.getDate());
+  return dayNumber(closed.getFullYear(), closed.getMonth(), closed.getDate()) > anniversary ? 'long' : 'short';
+}
+
+// Contract key: option fills must not close stock lots on the same symbol.
+// Not the conId, which fills persisted by older versions don't carry.
+const lotKey = (e) => `${e.label || e.symbol}|${e.currency || 'USD'}`;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Commission per unit, when it's in the contract's currency (fees charged
+// in another currency can't be netted against the price here)
+function feePerUnit(fill) {
+  if (!(fill.commission > 0)) return 0;
+  if (fill.commissionCurrency && fill.commissionCurrency !== (fill.currency || 'USD')) return 0;
+  return fill.commission / fill.quantity;
+}
+
+/**
+ * Order the open lots a closing fill consumes. `selections` maps the
+ * closing execution id to the execution ids of the lots it should close.
+ */
+function closingOrder(lots, method, picked = []) {
+  if (method === 'LIFO') return lots.slice().reverse();
+  if (method === 'SPECIFIC' && picked.length > 0) {
+    const chosen = picked.map(id => lots.find(l => l.id === id)).filter(Boolean);
+    return [...chosen, ...lots.filter(l => !chosen.includes(l))];
+  }
+  return lots;
+}
+
+/**
+ * Match buys to sells. Returns { trades, openLots, method }:
+ *
+ * - trades: one per closing fill, oldest first, each with the lot pieces
+ *   it closed ({ openId, openTime, quantity, costBasis, proceeds, fees,
+ *   pnl, daysHeld, term }) and IB's own realized figure (`reportedPnL`)
+ * - openLots: what's still held, keyed like the trades by contract
+ */
+export function matchLots(executions, { method = 'FIFO', selections = {} } = {}) {
+  if (!LOT_METHODS.includes(method)) {
+    throw new Error(`Unknown lot method ${method}. Use one of: ${LOT_METHODS.join(', ')}`);
+  }
+
+  const fills = (executions || [])
+    .filter(e => e && e.id && e.quantity > 0 && e.price > 0 && (e.side === 'BOT' || e.side === 'SLD'))
+    .map(e => ({ ...e, date: parseExecutionTime(e.time) }))
+    .filter(e => e.date)
+    .sort((a, b) => a.date - b.date || String(a.id).localeCompare(String(b.id)));
+
+  const open = new Map(); // contract key -> lots, oldest first
+  const trades = [];
+
+  for (const fill of fills) {
+    const key = lotKey(fill);
+    const multiplier = fill.multiplier || 1;
+    const direction = fill.side === 'BOT' ? 1 : -1;
+    const fillFee = feePerUnit(fill);
+    const lots = open.get(key) || [];
+
+    // Lots on the other side of the book get closed first
+    const opposite = lots.filter(l => l.direction !== direction);
+    let remaining = fill.quantity;
+    const pieces = [];
+
+    if (opposite.length > 0 && method === 'AVERAGE') {
+      const quantity = opposite.reduce((sum, l) => sum + l.quantity, 0);
+      const averagePrice = opposite.reduce((sum, l) => sum + l.quantity * l.price, 0) / quantity;
+      const averageFee = opposite.reduce((sum, l) => sum + l.quantity * l.feePerUnit, 0) / quantity;
+      for (const lot of opposite) {
+        lot.price = averagePrice;
+        lot.feePerUnit = averageFee;
+      }
+    }
+
+    for (const lot of closingOrder(opposite, method, selections[fill.id])) {
+      if (remaining <= EPSILON) break;
+      const quantity = Math.min(lot.quantity, remaining);
+      const isShort = lot.direction === -1;
+      const buyPrice = isShort ? fill.price : lot.price;
+      const sellPrice = isShort ? lot.price : fill.price;
+      const buyFee = quantity * (isShort ? fillFee : lot.feePerUnit);
+      const sellFee = quantity * (isShort ? lot.feePerUnit : fillFee);
+      const costBasis = quantity * buyPrice * multiplier + buyFee;
+      const proceeds = quantity * sellPrice * multiplier - sellFee;
+
+      pieces.push({
+        openId: lot.id,
+        openTime: lot.time,
+        quantity,
+        costBasis: round(costBasis),
+        proceeds: round(proceeds),
+        fees: round(buyFee + sellFee),
+        pnl: round(proceeds - costBasis),
+        daysHeld: Math.floor((fill.date - lot.date) / DAY_MS),
+        term: holdingTerm(lot.date, fill.date, isShort),
+      });
+
+      lot.quantity -= quantity;
+      remaining -= quantity;
+    }
+
+    const stillOpen = lots.filter(l => l.quantity > EPSILON);
+    if (remaining > EPSILON) {
+      // Nothing (left) to close: the rest opens a lot on this side
+      stillOpen.push({
+        id: fill.id,
+        symbol: fill.symbol,
+        label: fill.label || fill.symbol,
+        time: fill.time,
+        date: fill.date,
+        direction,
+        quantity: remaining,
+        price: fill.price,
+        feePerUnit: fillFee,
+        multiplier,
+        currency: fill.currency || 'USD',
+      });
+    }
+    open.set(key, stillOpen);
+
+    if (pieces.length > 0) {
+      const terms = new Set(pieces.map(p => p.term));
+      const trade = {
+        id: fill.id,
+        symbol: fill.symbol,
+        label: fill.label || fill.symbol,
+        side: fill.side,
+        time: fill.time,
+        year: fill.date.getFullYear(),
+        currency: fill.currency || 'USD',
+        quantity: pieces.reduce((sum, p) => sum + p.quantity, 0),
+        costBasis: round(pieces.reduce((sum, p) => sum + p.costBasis, 0)),
+        proceeds: round(pieces.reduce((sum, p) => sum + p.proceeds, 0)),
+        fees: round(pieces.reduce((sum, p) => sum + p.fees, 0)),
+        pnl: round(pieces.reduce((sum, p) => sum + p.pnl, 0)),
+        reportedPnL: fill.realizedPnL ?? null,
+        term: terms.size === 1 ? pieces[0].term : 'mixed',
+        lots: pieces,
+      };
+      debug(`${trade.label} ${trade.side} ${trade.quantity} (${method}): ${trade.pnl}`);
+      trades.push(trade);
+    }
+  }
+
+  const openLots = Array.from(open.values()).flat();
+  return { trades, openLots, method };
+}
+
+/**
+ * Realized totals for a set of trades: overall, by term, by symbol and by
+ * year (of the closing fill)
+ */
+export function summarizeRealized(trades) {
+  const total = { pnl: 0, shortTerm: 0, longTerm: 0, proceeds: 0, costBasis: 0, fees: 0, trades: 0 };
+  const bySymbol = new Map();
+  const byYear = new Map();
+
+  const add = (bucket, trade) => {
+    for (const piece of trade.lots) {
+      bucket.pnl += piece.pnl;
+      bucket.proceeds += piece.proceeds;
+      bucket.costBasis += piece.costBasis;
+      bucket.fees += piece.fees;
+      if (piece.term === 'long') bucket.longTerm += piece.pnl;
+      else bucket.shortTerm += piece.pnl;
+    }
+    bucket.trades += 1;
+  };
+  const bucketFor = (map, key, extra) => {
+    if (!map.has(key)) {
+      map.set(key, { ...extra, pnl: 0, shortTerm: 0, longTerm: 0, proceeds: 0, costBasis: 0, fees: 0, trades: 0 });
+    }
+    return map.get(key);
+  };
+
+  for (const trade of trades || []) {
+    add(total, trade);
+    add(bucketFor(bySymbol, trade.label, { label: trade.label, symbol: trade.symbol, currency: trade.currency }), trade);
+    add(bucketFor(byYear, trade.year, { year: trade.year }), trade);
+  }
+
+  const rounded = (bucket) => ({
+    ...bucket,
+    pnl: round(bucket.pnl),
+    shortTerm: round(bucket.shortTerm),
+    longTerm: round(bucket.longTerm),
+    proceeds: round(bucket.proceeds),
+    costBasis: round(bucket.costBasis),
+    fees: round(bucket.fees),
+  });
+
+  return {
+    total: rounded(total),
+    bySymbol: Array.from(bySymbol.values()).map(rounded).sort((a, b) => b.pnl - a.pnl),
+    byYear: Array.from(byYear.values()).map(rounded).sort((a, b) => b.year - a.year),
+  };
+}
+
+// "YYYYMMDD HH:MM:SS" -> "YYYY-MM-DD"
+function isoDate(timeStr) {
+  const date = parseExecutionTime(timeStr);
+  if (!date) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with one row per closed lot piece, in the shape of a capital gains
+ * worksheet (description, acquired, sold, proceeds, basis, gain, term).
+ * Proceeds and basis are already net of the fees column.
+ */
+export function realizedGainsCsv(trades, { method = 'FIFO' } = {}) {
+  const header = [
+    'Description', 'Symbol', 'Quantity', 'Date Acquired', 'Date Sold',
+    'Proceeds', 'Cost Basis', 'Fees', 'Gain/Loss', 'Term', 'Days Held', 'Currency',
+    'Method', 'Open Exec ID', 'Close Exec ID',
+  ];
+
+  const rows = [];
+  for (const trade of trades || []) {
+    for (const piece of trade.lots) {
+      const isShort = trade.side === 'BOT';
+      rows.push([
+        `${piece.quantity} ${trade.label}${isShort ? ' (short)' : ''}`,
+        trade.label,
+        piece.quantity,
+        isoDate(isShort ? trade.time : piece.openTime),
+        isoDate(isShort ? piece.openTime : trade.time),
+        piece.proceeds.toFixed(2),
+        piece.costBasis.toFixed(2),
+        piece.fees.toFixed(2),
+        piece.pnl.toFixed(2),
+        piece.term === 'long' ? 'Long-term' : 'Short-term',
+        piece.daysHeld,
+        trade.currency,
+        method,
+        piece.openId,
+        trade.id,
+      ]);
+    }
+  }
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
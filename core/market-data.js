@@ -0,0 +1,425 @@
+/**
+ * Market data: snapshots and streaming quotes
+ *
+ * MarketDataService takes one-shot quotes via reqMktData(snapshot);
+ * QuoteStreamService keeps streaming lines open for the symbols on screen.
+ * Market data type 4 asks for live data where subscribed, delayed
+ * otherwise and frozen (the last values) while the market is closed, so
+ * accounts without a subscription still get a price. IB says which one
+ * each request got (marketDataType), and quotes carry it as `source`.
+ */
+
+import { EventEmitter } from 'events';
+import { ibContractFor } from './contracts.js';
+
+let marketDataReqCounter = 6000;
+
+const SNAPSHOT_TIMEOUT_MS = 3000;
+
+const TICK_NAMES = {
+  1: 'BID', 2: 'ASK', 4: 'LAST', 6: 'HIGH', 7: 'LOW', 9: 'CLOSE', 14: 'OPEN',
+  37: 'MARK_PRICE', 66: 'DELAYED_BID', 67: 'DELAYED_ASK', 68: 'DELAYED_LAST',
+  72: 'DELAYED_HIGH', 73: 'DELAYED_LOW', 75: 'DELAYED_CLOSE', 76: 'DELAYED_OPEN',
+};
+
+// Live and delayed tick types for the same quote fields
+const QUOTE_FIELDS = {
+  1: 'bid', 66: 'bid',
+  2: 'ask', 67: 'ask',
+  4: 'last', 68: 'last',
+  9: 'close', 75: 'close',
+};
+
+// Informational codes (farm status, delayed data notices)
+const INFO_CODES = new Set([300, 354, 2104, 2106, 2158, 2176, 10089, 10167, 10168]);
+
+// "Max number of tickers has been reached"
+const MAX_TICKERS_CODE = 101;
+
+// marketDataType: 1 live, 2 frozen, 3 delayed, 4 delayed-frozen
+const SOURCES = { 1: 'live', 2: 'frozen', 3: 'delayed', 4: 'frozen' };
+
+// IB allows 100 simultaneous lines by default; the rest is left for snapshots
+export const DEFAULT_MAX_LINES = 90;
+
+// After IB turns a line down for the limit, how long until the full limit is tried again
+const LIMIT_RETRY_MS = 60000;
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[MARKET-DATA]', ...args);
+  }
+};
+
+const quoteKey = (symbol, contract) => (contract?.conId ? `conId:${contract.conId}` : symbol);
+
+/**
+ * Ticks gathered for one request -> quote, or null with no price yet.
+ * `price` is the best of last, mid, close or whatever field came first;
+ * `source` is what IB reported for the request (marketDataType), else
+ * what the tick types say.
+ */
+function buildQuote({ values, sources, first, dataType }) {
+  const mid = values.bid && values.ask ? (values.bid + values.ask) / 2 : null;
+  const best = values.last ?? mid ?? values.close ?? first?.price ?? null;
+  if (best === null) return null;
+
+  const pick = values.last !== null ? 'last' : mid !== null ? 'mid' : values.close !== null ? 'close' : null;
+  const field = pick ? sources[pick] ?? null : first.field;
+  const delayedTicks = Object.values(sources).some(f => f >= 66);
+  return {
+    price: best,
+    field,
+    fieldLabel: field ? TICK_NAMES[field] : 'MID',
+    ...values,
+    changePercent: values.close && values.last ? ((values.last - values.close) / values.close) * 100 : 0,
+    source: SOURCES[dataType] || (delayedTicks ? 'delayed' : 'live'),
+    timestamp: Date.now(),
+  };
+}
+
+const emptyTicks = () => ({
+  values: { last: null, bid: null, ask: null, close: null },
+  sources: {}, // quote field -> tick type it came from
+  first: null,
+  dataType: null,
+});
+
+// Adds a tickPrice to `ticks`; false when it isn't one we use
+function addTick(ticks, field, price) {
+  if (!TICK_NAMES[field] || !(price > 0)) return false;
+  if (!ticks.first) ticks.first = { field, price };
+  const name = QUOTE_FIELDS[field];
+  if (name) {
+    ticks.values[name] = price;
+    ticks.sources[name] = field;
+  }
+  return true;
+}
+
+/**
+ * Emits 'price' (symbol, quote) for every snapshot that got one
+ */
+export class MarketDataService extends EventEmitter {
+  constructor(connection) {
+    super();
+    this.connection = connection;
+    this.pending = new Map(); // key -> Promise
+    this.cache = new Map(); // key -> quote
+  }
+
+  /**
+   * Quote for a symbol, or null when no price arrived in time.
+   * `contract` is an optional spec (e.g. a position's contract) for non-US
+   * listings. Resolves as soon as there's a last price or a bid and an ask;
+   * `price` is the best of last, mid, close or whatever field came first.
+   * With `cacheTtlMs`, a recent quote is reused instead of asking again.
+   */
+  snapshot(symbol, contract = null, { timeoutMs = SNAPSHOT_TIMEOUT_MS, cacheTtlMs = 0 } = {}) {
+    const key = quoteKey(symbol, contract);
+
+    const cached = this.cache.get(key);
+    if (cacheTtlMs && cached && Date.now() - cached.timestamp < cacheTtlMs) {
+      return Promise.resolve(cached);
+    }
+    if (this.pending.has(key)) {
+      debug(`Using in-flight request for ${symbol}`);
+      return this.pending.get(key);
+    }
+
+    const client = this.connection.getClient();
+    if (!client || !this.connection.isConnected()) {
+      return Promise.reject(new Error('Not connected'));
+    }
+
+    const reqId = ++marketDataReqCounter;
+    debug(`Requesting market data for ${symbol} with reqId=${reqId}`);
+
+    const promise = new Promise((resolve) => {
+      const ticks = emptyTicks();
+      let done = false;
+
+      const finish = () => {
+        if (done) return;
+        done = true;
+        cleanup();
+
+        const result = buildQuote(ticks);
+        if (!result) {
+          debug(`No market data for ${symbol}`);
+          resolve(null);
+          return;
+        }
+        this.cache.set(key, result);
+        this.emit('price', symbol, result);
+        resolve(result);
+      };
+
+      const timeout = setTimeout(() => {
+        debug(`Timeout for ${symbol}`);
+        finish();
+      }, timeoutMs);
+
+      const onTickPrice = (tickerId, field, price) => {
+        if (tickerId !== reqId || !addTick(ticks, field, price)) return;
+        debug(`${symbol}: ${TICK_NAMES[field]} ${price}`);
+
+        const { values } = ticks;
+        if (values.last !== null || (values.bid !== null && values.ask !== null)) finish();
+      };
+
+      const onMarketDataType = (tickerId, type) => {
+        if (tickerId === reqId) ticks.dataType = type;
+      };
+
+      const onSnapshotEnd = (tickerId) => {
+        if (tickerId === reqId) finish();
+      };
+
+      const onError = (err, data) => {
+        if (data?.id !== reqId || INFO_CODES.has(data?.code)) return;
+        debug(`Error for ${symbol} (code ${data?.code}): ${err?.message}`);
+        // e.g. 200 (no security definition): nothing more will come
+        finish();
+      };
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        this.pending.delete(key);
+        client.removeListener('tickPrice', onTickPrice);
+        client.removeListener('marketDataType', onMarketDataType);
+        client.removeListener('tickSnapshotEnd', onSnapshotEnd);
+        client.removeListener('error', onError);
+        try {
+          client.cancelMktData(reqId);
+        } catch (e) {
+          // ignore
+        }
+      };
+
+      client.on('tickPrice', onTickPrice);
+      client.on('marketDataType', onMarketDataType);
+      client.on('tickSnapshotEnd', onSnapshotEnd);
+      client.on('error', onError);
+
+      ibContractFor(client, symbol, contract).then((ibContract) => {
+        if (done) return;
+        client.reqMarketDataType(4);
+        client.reqMktData(reqId, ibContract, '', true, false);
+      });
+    });
+
+    this.pending.set(key, promise);
+    return promise;
+  }
+}
+
+/**
+ * Streaming quotes for the symbols on screen
+ *
+ * Subscriptions are reference-counted: the line for a symbol opens with
+ * its first subscriber and is cancelled when the last one lets go. At most
+ * `maxLines` are open at once; the rest wait, in order, for a line to free
+ * up. When IB turns a request down for having too many tickers, the limit
+ * drops to what's open; the configured one comes back on the next start()
+ * or `limitRetryMs` later (lines other clients held may be free by then).
+ *
+ * start() opens the lines on the current client (after every connect);
+ * stop() drops them, keeping the subscriptions for the next start().
+ *
+ * Emits 'price' (symbol, quote) on every tick, with `streaming: true`.
+ */
+export class QuoteStreamService extends EventEmitter {
+  constructor(connection, { maxLines = DEFAULT_MAX_LINES, limitRetryMs = LIMIT_RETRY_MS } = {}) {
+    super();
+    this.connection = connection;
+    this.configuredMaxLines = maxLines;
+    this.maxLines = maxLines;
+    this.limitRetryMs = limitRetryMs;
+    this.limitTimer = null;
+    this.subscriptions = new Map(); // key -> { symbol, contract, refs, reqId, ticks, quote }
+    this.byReqId = new Map(); // reqId -> subscription
+    this.queue = []; // keys waiting for a line
+    this.client = null;
+    this.listeners = null;
+  }
+
+  /**
+   * Stream quotes for a symbol (`contract` as in snapshot()). Returns the
+   * function that ends this subscription.
+   */
+  subscribe(symbol, contract = null) {
+    const key = quoteKey(symbol, contract);
+    let sub = this.subscriptions.get(key);
+    if (sub) {
+      sub.refs += 1;
+    } else {
+      sub = { key, symbol, contract, refs: 1, reqId: null, ticks: emptyTicks(), quote: null };
+      this.subscriptions.set(key, sub);
+      this.open(sub);
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.release(key);
+    };
+  }
+
+  release(key) {
+    const sub = this.subscriptions.get(key);
+    if (!sub || --sub.refs > 0) return;
+
+    this.subscriptions.delete(key);
+    this.queue = this.queue.filter(k => k !== key);
+    if (sub.reqId !== null) {
+      this.close(sub);
+      this.drain();
+    }
+  }
+
+  /**
+   * Latest streamed quote, or null when the symbol has no open line
+   */
+  quote(symbol, contract = null) {
+    const sub = this.subscriptions.get(quoteKey(symbol, contract));
+    return sub && sub.reqId !== null ? sub.quote : null;
+  }
+
+  isStreaming(symbol, contract = null) {
+    const sub = this.subscriptions.get(quoteKey(symbol, contract));
+    return !!sub && sub.reqId !== null;
+  }
+
+  /**
+   * { open, waiting, maxLines }
+   */
+  lines() {
+    return { open: this.byReqId.size, waiting: this.queue.length, maxLines: this.maxLines };
+  }
+
+  start() {
+    const client = this.connection.getClient();
+    if (!client || !this.connection.isConnected()) return;
+    if (this.client) this.stop();
+
+    this.client = client;
+    this.maxLines = this.configuredMaxLines;
+    this.listeners = {
+      tickPrice: (tickerId, field, price) => this.onTick(tickerId, field, price),
+      marketDataType: (tickerId, type) => this.onMarketDataType(tickerId, type),
+      error: (err, data) => this.onError(err, data),
+    };
+    for (const [event, listener] of Object.entries(this.listeners)) client.on(event, listener);
+
+    debug(`Streaming ${this.subscriptions.size} symbols`);
+    for (const sub of this.subscriptions.values()) this.open(sub);
+  }
+
+  // Quotes already out stay as they were last seen: frozen
+  stop() {
+    for (const sub of this.byReqId.values()) {
+      this.close(sub);
+      if (sub.quote) this.emit('price', sub.symbol, { ...sub.quote, source: 'frozen' });
+    }
+    this.queue = [];
+    clearTimeout(this.limitTimer);
+    this.limitTimer = null;
+    if (this.client && this.listeners) {
+      for (const [event, listener] of Object.entries(this.listeners)) this.client.removeListener(event, listener);
+    }
+    this.client = null;
+    this.listeners = null;
+  }
+
+  open(sub) {
+    if (!this.client || sub.reqId !== null) return;
+    if (this.byReqId.size >= this.maxLines) {
+      if (!this.queue.includes(sub.key)) this.queue.push(sub.key);
+      debug(`No free line for ${sub.symbol} (${this.byReqId.size}/${this.maxLines}), waiting`);
+      return;
+    }
+
+    const client = this.client;
+    const reqId = ++marketDataReqCounter;
+    sub.reqId = reqId;
+    sub.ticks = emptyTicks();
+    this.byReqId.set(reqId, sub);
+    debug(`Streaming ${sub.symbol} with reqId=${reqId}`);
+
+    ibContractFor(client, sub.symbol, sub.contract).then((ibContract) => {
+      if (sub.reqId !== reqId) return; // released or stopped meanwhile
+      client.reqMarketDataType(4);
+      client.reqMktData(reqId, ibContract, '', false, false);
+    });
+  }
+
+  close(sub) {
+    const reqId = sub.reqId;
+    this.byReqId.delete(reqId);
+    sub.reqId = null;
+    try {
+      if (this.connection.isConnected()) this.client?.cancelMktData(reqId);
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  // Opens waiting subscriptions while there are free lines
+  drain() {
+    while (this.queue.length > 0 && this.byReqId.size < this.maxLines) {
+      const sub = this.subscriptions.get(this.queue.shift());
+      if (sub) this.open(sub);
+    }
+  }
+
+  onTick(tickerId, field, price) {
+    const sub = this.byReqId.get(tickerId);
+    if (!sub || !addTick(sub.ticks, field, price)) return;
+    this.publish(sub);
+  }
+
+  onMarketDataType(tickerId, type) {
+    const sub = this.byReqId.get(tickerId);
+    if (!sub || sub.ticks.dataType === type) return;
+    debug(`${sub.symbol}: ${SOURCES[type] || type} data`);
+    sub.ticks.dataType = type;
+    if (sub.ticks.first) this.publish(sub);
+  }
+
+  publish(sub) {
+    const quote = buildQuote(sub.ticks);
+    if (!quote) return;
+    sub.quote = { ...quote, streaming: true };
+    this.emit('price', sub.symbol, sub.quote);
+  }
+
+  onError(err, data) {
+    const sub = this.byReqId.get(data?.id);
+    if (!sub || INFO_CODES.has(data?.code)) return;
+
+    if (data.code === MAX_TICKERS_CODE) {
+      this.byReqId.delete(sub.reqId);
+      sub.reqId = null;
+      this.maxLines = Math.max(1, this.byReqId.size);
+      this.queue.unshift(sub.key);
+      debug(`Line limit reached, now ${this.maxLines}; ${sub.symbol} waits`);
+      clearTimeout(this.limitTimer);
+      this.limitTimer = setTimeout(() => {
+        this.limitTimer = null;
+        this.maxLines = this.configuredMaxLines;
+        debug(`Trying ${this.maxLines} lines again`);
+        this.drain();
+      }, this.limitRetryMs);
+      return;
+    }
+
+    // e.g. 200 (no security definition): the line is free again
+    debug(`Error streaming ${sub.symbol} (code ${data?.code}): ${err?.message}`);
+    this.close(sub);
+    this.drain();
+  }
+}
+
+export default MarketDataService;
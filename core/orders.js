@@ -0,0 +1,244 @@
+/**
+ * Open orders
+ *
+ * Tracks every working order TWS reports (reqAllOpenOrders, then live
+ * openOrder/orderStatus updates) and cancels them. Emits 'update' with the
+ * pending orders, most recent first, 'loaded' once the initial list is in,
+ * and 'status' (order, previousStatus) whenever an order's status changes.
+ */
+
+import { EventEmitter } from 'events';
+import { contractLabel, contractMultiplier } from './contracts.js';
+
+const PENDING_STATUSES = new Set(['PendingSubmit', 'PreSubmitted', 'Submitted']);
+const DEAD_STATUSES = new Set(['Cancelled', 'ApiCancelled', 'Inactive']);
+
+const FILL_TIMEOUT_MS = 30000;
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[ORDERS]', ...args);
+  }
+};
+
+// IB uses Number.MAX_VALUE for "unset" prices
+const cleanPrice = (value) => (Number.isFinite(value) && value > 0 && value !== Number.MAX_VALUE ? value : null);
+
+/**
+ * Plain order record from an openOrder event
+ */
+export function parseOpenOrder(orderId, contract, order, orderState) {
+  return {
+    orderId,
+    symbol: contractLabel(contract), // Options: "AAPL 150C 20Dec24", as in positions
+    multiplier: contractMultiplier(contract),
+    action: order.action, // BUY or SELL
+    quantity: order.totalQuantity,
+    orderType: order.orderType,
+    limitPrice: order.orderType === 'LMT' ? cleanPrice(order.lmtPrice) : null,
+    stopPrice: order.orderType === 'STP' ? cleanPrice(order.auxPrice) : null,
+    trailingAmount: order.orderType === 'TRAIL' ? cleanPrice(order.auxPrice) : null,
+    trailingPercent: order.orderType === 'TRAIL' ? cleanPrice(order.trailingPercent) : null,
+    tif: order.tif,
+    goodTillDate: order.goodTillDate || null,
+    outsideRth: !!order.outsideRth,
+    parentId: order.parentId || 0, // bracket children point at their entry order
+    // Kept as received so the order can be modified by re-sending it
+    contract,
+    ibOrder: order,
+    status: orderState.status,
+    filled: orderState.filled || 0,
+    remaining: orderState.remaining || order.totalQuantity,
+    avgFillPrice: orderState.avgFillPrice || 0,
+    lastUpdate: Date.now(),
+  };
+}
+
+export class OrderService extends EventEmitter {
+  constructor(connection) {
+    super();
+    this.connection = connection;
+    this.ordersById = new Map();
+    this.orders = [];
+    this.loading = false;
+    this.client = null;
+
+    this.onOpenOrder = this.onOpenOrder.bind(this);
+    this.onOrderStatus = this.onOrderStatus.bind(this);
+    this.onOpenOrderEnd = this.onOpenOrderEnd.bind(this);
+  }
+
+  /**
+   * Subscribe to order events and load the open orders. Safe to call again;
+   * a new client (after reconnecting) moves the subscription over.
+   */
+  start() {
+    const client = this.connection.getClient();
+    if (!client || !this.connection.isConnected() || client === this.client) return;
+
+    this.stop();
+    debug('Subscribing to order events');
+    this.client = client;
+    client.on('openOrder', this.onOpenOrder);
+    client.on('orderStatus', this.onOrderStatus);
+    client.on('openOrderEnd', this.onOpenOrderEnd);
+    this.refresh();
+  }
+
+  stop() {
+    if (!this.client) return;
+    debug('Unsubscribing from order events');
+    this.client.removeListener('openOrder', this.onOpenOrder);
+    this.client.removeListener('orderStatus', this.onOrderStatus);
+    this.client.removeListener('openOrderEnd', this.onOpenOrderEnd);
+    this.client = null;
+  }
+
+  /**
+   * Reload every open order from TWS
+   */
+  refresh() {
+    const client = this.connection.getClient();
+    if (!client || !this.connection.isConnected()) return;
+
+    debug('Requesting all open orders');
+    this.loading = true;
+    this.ordersById.clear();
+    client.reqAllOpenOrders();
+  }
+
+  onOpenOrder(orderId, contract, order, orderState) {
+    debug('openOrder event:', { orderId, symbol: contract.symbol, action: order.action, status: orderState.status });
+
+    // What-if previews come back as openOrder too, but were never placed
+    if (order.whatIf) return;
+
+    const existing = this.ordersById.get(orderId);
+    const parsed = parseOpenOrder(orderId, contract, order, orderState);
+    // openOrder carries no fill sizes; keep what orderStatus reported
+    const record = existing
+      ? { ...parsed, filled: existing.filled, remaining: existing.remaining, avgFillPrice: existing.avgFillPrice }
+      : parsed;
+    this.ordersById.set(orderId, record);
+    if (existing && record.status !== existing.status) this.emit('status', record, existing.status);
+    this.publish();
+  }
+
+  onOrderStatus(orderId, status, filled, remaining, avgFillPrice) {
+    debug('orderStatus event:', { orderId, status, filled, remaining, avgFillPrice });
+
+    const existing = this.ordersById.get(orderId);
+    if (!existing) return;
+
+    const updated = {
+      ...existing,
+      status,
+      filled,
+      remaining,
+      avgFillPrice,
+      lastUpdate: Date.now(),
+    };
+    this.ordersById.set(orderId, updated);
+    if (status !== existing.status) this.emit('status', updated, existing.status);
+    this.publish();
+  }
+
+  onOpenOrderEnd() {
+    debug('openOrderEnd - all orders received');
+    this.loading = false;
+    this.publish();
+    this.emit('loaded', this.orders);
+  }
+
+  publish() {
+    this.orders = Array.from(this.ordersById.values())
+      .filter(o => PENDING_STATUSES.has(o.status))
+      .sort((a, b) => b.lastUpdate - a.lastUpdate); // Most recent first
+
+    debug('Pending orders:', this.orders.length);
+    this.emit('update', this.orders);
+  }
+
+  /**
+   * Resolves with the order once TWS reports it Filled; rejects when it's
+   * cancelled or rejected instead, or still working after `timeoutMs`.
+   * Needs start(): it goes by the statuses this service tracks.
+   */
+  waitForFill(orderId, { timeoutMs = FILL_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+      // Checked after every update, so a fill that already came in counts.
+      // openOrder brings the Filled status, orderStatus the fill sizes.
+      const check = () => {
+        const record = this.ordersById.get(orderId);
+        if (record?.status === 'Filled' && record.filled > 0) {
+          cleanup();
+          resolve(record);
+        } else if (DEAD_STATUSES.has(record?.status)) {
+          cleanup();
+          reject(new Error(`Order ${record.status.toLowerCase()}`));
+        }
+      };
+
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(new Error('Not filled yet'));
+      }, timeoutMs);
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        this.removeListener('update', check);
+      };
+
+      this.on('update', check);
+      check();
+    });
+  }
+
+  /**
+   * Cancel a working order; resolves once TWS reports it Cancelled
+   */
+  cancel(orderId) {
+    return new Promise((resolve, reject) => {
+      const client = this.connection.getClient();
+      if (!client || !this.connection.isConnected()) {
+        reject(new Error('Not connected'));
+        return;
+      }
+
+      debug('Cancelling order:', orderId);
+
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(new Error('Timeout cancelling order'));
+      }, 10000);
+
+      const onOrderStatus = (id, status) => {
+        if (id !== orderId || status !== 'Cancelled') return;
+
+        debug('Order cancelled successfully:', orderId);
+        cleanup();
+        this.ordersById.delete(orderId);
+        this.publish();
+        resolve({ orderId, status: 'Cancelled' });
+      };
+
+      const onError = (err, data) => {
+        if (data?.id !== orderId) return;
+        cleanup();
+        reject(new Error(err?.message || 'Error cancelling order'));
+      };
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        client.removeListener('orderStatus', onOrderStatus);
+        client.removeListener('error', onError);
+      };
+
+      client.on('orderStatus', onOrderStatus);
+      client.on('error', onError);
+      client.cancelOrder(orderId);
+    });
+  }
+}
+
+export default OrderService;
@@ -0,0 +1,252 @@
+/**
+ * Portfolio
+ *
+ * Positions and account values. With an account id, positions come from
+ * reqAccountUpdates, which carries IB's own market price, value and P&L
+ * per position; without one, from reqPositions (quantities and cost only).
+ * Account figures come from reqAccountSummary, in the base currency.
+ */
+
+import { EventEmitter } from 'events';
+import { contractSpec, contractLabel, contractMultiplier } from './contracts.js';
+
+const ACCOUNT_SUMMARY_REQ_ID = 9001;
+const FETCH_TIMEOUT_MS = 15000;
+
+const SUMMARY_TAGS = {
+  NetLiquidation: 'netLiquidation',
+  TotalCashValue: 'totalCashValue',
+  SettledCash: 'settledCash',
+  AvailableFunds: 'availableFunds',
+  BuyingPower: 'buyingPower',
+  // Baselines for the what-if preview (margin change = post-trade - current)
+  InitMarginReq: 'initMarginReq',
+  MaintMarginReq: 'maintMarginReq',
+  EquityWithLoanValue: 'equityWithLoan',
+};
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[PORTFOLIO]', ...args);
+  }
+};
+
+export function emptyAccountData() {
+  return Object.fromEntries(Object.values(SUMMARY_TAGS).map(key => [key, 0]));
+}
+
+/**
+ * Position record. `symbol` is the contract label ("AAPL 150C 20Dec24" for
+ * options) so it doesn't collide with the underlying, and IB's per-contract
+ * avgCost is brought down to per share like marketPrice. Prices and values
+ * are in the position's own currency.
+ */
+function positionRecord(contract, quantity, avgCost, extra) {
+  const multiplier = contractMultiplier(contract);
+  return {
+    symbol: contractLabel(contract),
+    secType: contract.secType,
+    quantity,
+    avgCost: avgCost / multiplier,
+    multiplier,
+    currency: contract.currency || 'USD',
+    contract: contractSpec(contract),
+    ...extra,
+  };
+}
+
+/**
+ * Rate to the base currency; positions in the base currency (or with no
+ * rate yet) count 1:1
+ */
+export function fxRateFor(fxRates, baseCurrency, currency) {
+  return currency === baseCurrency ? 1 : fxRates[currency] || 1;
+}
+
+/**
+ * Invested value, gain and spendable cash, in the base currency
+ */
+export function portfolioTotals({ positions, accountData, fxRates, baseCurrency }) {
+  const totalInvested = positions.reduce(
+    (sum, p) => sum + p.marketValue * fxRateFor(fxRates, baseCurrency, p.currency), 0
+  );
+  const totalGain = accountData.netLiquidation - totalInvested - accountData.totalCashValue;
+  const gainPercent = totalInvested > 0 ? (totalGain / totalInvested) * 100 : 0;
+
+  return {
+    totalInvested,
+    totalGain,
+    gainPercent,
+    // Use SettledCash for buying power in Cash accounts (what IB actually validates against)
+    cash: accountData.settledCash || accountData.totalCashValue || accountData.availableFunds,
+  };
+}
+
+/**
+ * Emits 'update' with { positions, accountData, baseCurrency, fxRates }
+ * after every completed fetch
+ */
+export class PortfolioService extends EventEmitter {
+  constructor(connection) {
+    super();
+    this.connection = connection;
+    this.positions = [];
+    this.accountData = emptyAccountData();
+    this.baseCurrency = 'USD';
+    this.fxRates = {}; // currency -> units of base currency per unit
+    this.subscribedClient = null;
+  }
+
+  snapshot() {
+    return {
+      positions: this.positions,
+      accountData: this.accountData,
+      baseCurrency: this.baseCurrency,
+      fxRates: this.fxRates,
+    };
+  }
+
+  /**
+   * Load positions and account values. `accountId` defaults to the
+   * connection's managed account.
+   */
+  fetch({ accountId = this.connection.accountId } = {}) {
+    return new Promise((resolve, reject) => {
+      const client = this.connection.getClient();
+      if (!client || !this.connection.isConnected()) {
+        reject(new Error('Not connected'));
+        return;
+      }
+
+      debug('fetch: starting, accountId:', accountId);
+      const positions = [];
+      const accountData = emptyAccountData();
+      let baseCurrency = this.baseCurrency;
+      let fxRates = this.fxRates;
+
+      let accountSummaryDone = false;
+      let portfolioDone = false;
+
+      const checkComplete = () => {
+        if (!accountSummaryDone || !portfolioDone) return;
+        debug('fetch complete, positions:', positions.length);
+        cleanup();
+        this.positions = positions;
+        this.accountData = accountData;
+        this.baseCurrency = baseCurrency;
+        this.fxRates = fxRates;
+        this.emit('update', this.snapshot());
+        resolve(this.snapshot());
+      };
+
+      // The same symbol can be listed in several currencies: match by conId
+      const upsert = (contract, record) => {
+        const index = positions.findIndex(
+          p => (contract.conId ? p.contract?.conId === contract.conId : p.symbol === record.symbol)
+        );
+        if (index >= 0) positions[index] = record;
+        else positions.push(record);
+      };
+
+      const onAccountSummary = (reqId, account, tag, value, currency) => {
+        if (reqId !== ACCOUNT_SUMMARY_REQ_ID || !SUMMARY_TAGS[tag]) return;
+        debug('accountSummary:', tag, '=', value);
+        accountData[SUMMARY_TAGS[tag]] = parseFloat(value);
+        // Summary values come in the account's base currency
+        if (tag === 'NetLiquidation' && currency) baseCurrency = currency;
+      };
+
+      const onAccountSummaryEnd = (reqId) => {
+        if (reqId !== ACCOUNT_SUMMARY_REQ_ID) return;
+        accountSummaryDone = true;
+        checkComplete();
+      };
+
+      // IB FX rates for converting position values to the base currency
+      const onAccountValue = (key, value, currency) => {
+        if (key !== 'ExchangeRate' || !currency || currency === 'BASE') return;
+        const rate = parseFloat(value);
+        if (!(rate > 0) || fxRates[currency] === rate) return;
+        debug('ExchangeRate:', currency, '=', rate);
+        fxRates = { ...fxRates, [currency]: rate };
+      };
+
+      const onUpdatePortfolio = (contract, position, marketPrice, marketValue, avgCost, unrealizedPNL, realizedPNL) => {
+        if (position === 0) return;
+        upsert(contract, positionRecord(contract, position, avgCost, {
+          marketPrice,
+          marketValue,
+          unrealizedPNL,
+          realizedPNL,
+        }));
+      };
+
+      const onAccountDownloadEnd = () => {
+        portfolioDone = true;
+        checkComplete();
+      };
+
+      const onPosition = (account, contract, position, avgCost) => {
+        if (position === 0) return;
+        upsert(contract, positionRecord(contract, position, avgCost, {
+          marketPrice: null, // Not available from reqPositions
+          marketValue: position * avgCost,
+          unrealizedPNL: null,
+          realizedPNL: null,
+        }));
+      };
+
+      const onPositionEnd = () => {
+        portfolioDone = true;
+        checkComplete();
+      };
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        client.removeListener('accountSummary', onAccountSummary);
+        client.removeListener('accountSummaryEnd', onAccountSummaryEnd);
+        client.removeListener('updateAccountValue', onAccountValue);
+        client.removeListener('updatePortfolio', onUpdatePortfolio);
+        client.removeListener('accountDownloadEnd', onAccountDownloadEnd);
+        client.removeListener('position', onPosition);
+        client.removeListener('positionEnd', onPositionEnd);
+        try {
+          client.cancelAccountSummary(ACCOUNT_SUMMARY_REQ_ID);
+        } catch (e) {
+          // ignore
+        }
+        // reqAccountUpdates stays subscribed: cancelling it can interfere
+        // with other API calls, and keeping it costs nothing
+      };
+
+      const timeout = setTimeout(() => {
+        debug('TIMEOUT fetching portfolio');
+        cleanup();
+        reject(new Error('Timeout fetching portfolio data'));
+      }, FETCH_TIMEOUT_MS);
+
+      client.on('accountSummary', onAccountSummary);
+      client.on('accountSummaryEnd', onAccountSummaryEnd);
+      client.reqAccountSummary(ACCOUNT_SUMMARY_REQ_ID, 'All', Object.keys(SUMMARY_TAGS));
+
+      if (accountId) {
+        client.on('updateAccountValue', onAccountValue);
+        client.on('updatePortfolio', onUpdatePortfolio);
+        client.on('accountDownloadEnd', onAccountDownloadEnd);
+        // Subscribe once per client; repeated calls only add churn
+        if (this.subscribedClient !== client) {
+          debug('Requesting account updates for:', accountId);
+          client.reqAccountUpdates(true, accountId);
+          this.subscribedClient = client;
+        }
+      } else {
+        debug('No accountId, falling back to reqPositions');
+        client.on('position', onPosition);
+        client.on('positionEnd', onPositionEnd);
+        client.reqPositions();
+      }
+    });
+  }
+}
+
+export default PortfolioService;
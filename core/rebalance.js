@@ -0,0 +1,171 @@
+/**
+ * Rebalancing against target weights
+ *
+ * Targets are percentages of the account (positions plus spendable cash):
+ *
+ *   { "tolerance": 5, "targets": { "VTI": 60, "VXUS": 30, "CASH": 10 } }
+ *
+ * A flat { "VTI": 60, ... } works too. Weights adding up to more than 100
+ * are scaled down to 100; whatever they leave is the cash target.
+ * `tolerance` is the band around each target, in percentage points.
+ *
+ * The plan only trades holdings outside their band (plus, when cash itself
+ * is outside its band, the holdings drifting the way that brings it back),
+ * each back to its target, in whole shares. Held symbols with no target
+ * are counted in the total but never traded.
+ */
+
+export const CASH_TARGET = 'CASH';
+export const DEFAULT_TOLERANCE = 5;
+
+/**
+ * targets.json contents -> { targets: { SYMBOL: fraction }, cash, tolerance }
+ * (fractions of the account). Throws on anything it can't use.
+ */
+export function parseTargets(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('targets.json must be an object of symbol -> weight');
+  }
+
+  const raw = json.targets && typeof json.targets === 'object' ? json.targets : json;
+  const weights = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (key === 'tolerance' || key === 'targets') continue;
+    const weight = Number(value);
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid weight for ${key}: ${value}`);
+    }
+    weights[key.trim().toUpperCase()] = weight;
+  }
+
+  const sum = Object.values(weights).reduce((total, w) => total + w, 0);
+  if (sum <= 0) throw new Error('targets.json has no weights');
+  const scale = sum > 100 ? 100 / sum : 1;
+
+  const targets = {};
+  for (const [symbol, weight] of Object.entries(weights)) {
+    if (symbol !== CASH_TARGET && weight > 0) targets[symbol] = (weight * scale) / 100;
+  }
+  const invested = Object.values(targets).reduce((total, w) => total + w, 0);
+
+  const tolerance = json.tolerance === undefined ? DEFAULT_TOLERANCE : Number(json.tolerance);
+  if (!Number.isFinite(tolerance) || tolerance < 0) {
+    throw new Error(`Invalid tolerance: ${json.tolerance}`);
+  }
+
+  return {
+    targets,
+    cash: Math.max(0, Math.round((1 - invested) * 1e6) / 1e6),
+    tolerance: tolerance / 100,
+  };
+}
+
+/**
+ * Drift per holding and the orders that bring it back within the band.
+ *
+ * `holdings`: [{ symbol, quantity, price, multiplier, rate, contract }]
+ * with price in the holding's currency and `rate` to the base currency;
+ * targets not held can come with quantity 0 (and no price, which leaves
+ * them out of the plan). `cash` is spendable cash in the base currency.
+ *
+ * Buys are paid for by sales and by the cash above the bottom of its band;
+ * when that falls short every buy shrinks by the same factor. Sale proceeds
+ * are only cash once the sells fill, so place the buys after that
+ * (OrderService.waitForFill).
+ */
+export function planRebalance({ holdings, cash, targets }) {
+  const rows = holdings.map((h) => {
+    const unitValue = h.price > 0 ? h.price * (h.multiplier || 1) * (h.rate || 1) : null;
+    const value = unitValue !== null ? h.quantity * unitValue : h.value || 0;
+    return { ...h, unitValue, value, target: targets.targets[h.symbol] ?? null };
+  });
+
+  const total = rows.reduce((sum, r) => sum + r.value, 0) + cash;
+  if (!(total > 0)) return { total: 0, rows: [], cash: null, orders: [] };
+
+  const band = targets.tolerance;
+  const cashWeight = cash / total;
+  const cashDrift = cashWeight - targets.cash;
+
+  for (const row of rows) {
+    row.weight = row.value / total;
+    row.drift = row.target === null ? null : row.weight - row.target;
+    row.outOfBand = row.drift !== null && Math.abs(row.drift) > band;
+  }
+
+  // Holdings to trade: out of band, or pulling cash back into its band
+  const toTrade = rows.filter(r =>
+    r.drift !== null && r.unitValue !== null && r.drift !== 0 && (
+      r.outOfBand ||
+      (cashDrift > band && r.drift < 0) ||
+      (cashDrift < -band && r.drift > 0)
+    )
+  );
+
+  const sells = [];
+  let proceeds = 0;
+  for (const row of toTrade.filter(r => r.drift > 0)) {
+    const quantity = Math.min(row.quantity, Math.floor((row.drift * total) / row.unitValue));
+    if (quantity <= 0) continue;
+    sells.push({ row, quantity });
+    proceeds += quantity * row.unitValue;
+  }
+
+  const wanted = toTrade
+    .filter(r => r.drift < 0)
+    .map(row => ({ row, amount: -row.drift * total }));
+  const wantedTotal = wanted.reduce((sum, b) => sum + b.amount, 0);
+  const cashFloor = Math.max(0, targets.cash - band) * total;
+  const budget = Math.max(0, cash + proceeds - cashFloor);
+  const factor = wantedTotal > budget ? budget / wantedTotal : 1;
+
+  const buys = [];
+  let spent = 0;
+  for (const { row, amount } of wanted) {
+    const quantity = Math.floor((amount * factor) / row.unitValue);
+    if (quantity <= 0) continue;
+    buys.push({ row, quantity });
+    spent += quantity * row.unitValue;
+  }
+
+  // Sells first, so their proceeds are there for the buys
+  const orders = [
+    ...sells.map(({ row, quantity }) => ({ row, quantity, action: 'SELL' })),
+    ...buys.map(({ row, quantity }) => ({ row, quantity, action: 'BUY' })),
+  ].map(({ row, quantity, action }) => {
+    const signed = action === 'SELL' ? -quantity : quantity;
+    row.order = signed;
+    row.weightAfter = (row.value + signed * row.unitValue) / total;
+    return {
+      symbol: row.symbol,
+      action,
+      quantity,
+      value: quantity * row.unitValue,
+      contract: row.contract || null,
+    };
+  });
+
+  for (const row of rows) {
+    if (row.order === undefined) {
+      row.order = 0;
+      row.weightAfter = row.weight;
+    }
+  }
+
+  const cashAfter = cash + proceeds - spent;
+  return {
+    total,
+    rows,
+    cash: {
+      value: cash,
+      weight: cashWeight,
+      target: targets.cash,
+      drift: cashDrift,
+      outOfBand: Math.abs(cashDrift) > band,
+      after: cashAfter,
+      weightAfter: cashAfter / total,
+    },
+    orders,
+    scaledDown: factor < 1,
+  };
+}
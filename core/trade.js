@@ -0,0 +1,604 @@
+/**
+ * Order placement
+ *
+ * Builds IB orders, places them and reads TWS's answer: accepted, filled,
+ * rejected (with the reason pulled out of the error text) or accepted with
+ * a warning (market closed, held, TIF changed by a preset). Every front end
+ * places orders through TradeService, so the message parsing lives here only.
+ */
+
+import { EventEmitter } from 'events';
+import { ibContractFor } from './contracts.js';
+
+// Messages that should be completely ignored (no user notification needed)
+const IGNORABLE_MESSAGES = [];
+
+// Accepted time in force values (GTD needs goodTillDate "YYYYMMDD HH:mm:ss")
+const VALID_TIFS = new Set(['DAY', 'GTC', 'IOC', 'OPG', 'GTD']);
+const GOOD_TILL_DATE_PATTERN = /^\d{8} \d{2}:\d{2}:\d{2}$/;
+
+// TWS presets can override the requested time in force. Harmless when it
+// matches what we asked for; a warning otherwise (e.g. GTC forced to DAY).
+const TIF_PRESET_PATTERN = /Order TIF was set to (\w+) based on order preset/;
+
+// Messages that are warnings (order still works, but user should know)
+const WARNING_PATTERNS = [
+  { pattern: /no se enviará al mercado hasta el (\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})/, type: 'market_closed' },
+  { pattern: /will not be sent to the market until (\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})/, type: 'market_closed' },
+  { pattern: /order will not be active until/, type: 'market_closed' },
+  { pattern: /order is being held/, type: 'order_held' },
+];
+
+// Rejection patterns - these mean the order was rejected
+const REJECTION_PATTERNS = [
+  { pattern: /Orden rechazada\. Motivo:(.+)/, type: 'rejected' },
+  { pattern: /Order rejected\. Reason:(.+)/, type: 'rejected' },
+  // Error 201 as TWS actually words it
+  { pattern: /Order rejected - reason:(.+)/i, type: 'rejected' },
+  { pattern: /Efectivo liquidado disponible/, type: 'insufficient_funds' },
+  { pattern: /Insufficient funds/, type: 'insufficient_funds' },
+  // Modifying a working order (placeOrder with an existing orderId)
+  { pattern: /Can't modify a filled order/i, type: 'modify_rejected' },
+  { pattern: /Order being modified does not match original order/i, type: 'modify_rejected' },
+  { pattern: /Unable to modify this order as (?:it's|it is) still being processed/i, type: 'modify_rejected' },
+];
+
+const ORDER_TIMEOUT_MS = 30000;
+const PREVIEW_TIMEOUT_MS = 10000;
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[TRADE]', ...args);
+  }
+};
+
+export function extractRejection(message) {
+  if (!message) return null;
+
+  for (const { pattern, type } of REJECTION_PATTERNS) {
+    const match = message.match(pattern);
+    if (match) {
+      // Clean up HTML tags like <br>
+      let reason = match[1] || message;
+      reason = reason.replace(/<br\s*\/?>/gi, ' ').trim();
+      return {
+        type,
+        reason,
+        rawMessage: message,
+      };
+    }
+  }
+  return null;
+}
+
+export function isIgnorableMessage(message) {
+  if (!message) return false;
+  return IGNORABLE_MESSAGES.some((text) => message.includes(text));
+}
+
+export function extractWarning(message) {
+  if (!message) return null;
+
+  for (const { pattern, type } of WARNING_PATTERNS) {
+    const match = message.match(pattern);
+    if (match) {
+      return {
+        type,
+        rawMessage: message,
+        timestamp: match[1] || null,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Humanize a warning for display to user
+ */
+export function humanizeWarning(warning) {
+  if (!warning) return null;
+
+  if (warning.type === 'market_closed') {
+    // Parse the timestamp and make it human-readable
+    if (warning.timestamp) {
+      try {
+        const date = new Date(warning.timestamp.replace(' ', 'T'));
+        const now = new Date();
+        const tomorrow = new Date(now);
+        tomorrow.setDate(tomorrow.getDate() + 1);
+
+        const isToday = date.toDateString() === now.toDateString();
+        const isTomorrow = date.toDateString() === tomorrow.toDateString();
+
+        const hours = date.getHours();
+        const minutes = date.getMinutes().toString().padStart(2, '0');
+        const timeStr = `${hours}:${minutes}`;
+
+        if (isToday) {
+          return `Executes today ${timeStr} (market closed)`;
+        } else if (isTomorrow) {
+          return `Executes tomorrow ${timeStr} (market closed)`;
+        } else {
+          const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+          return `Executes ${dayNames[date.getDay()]} ${timeStr}`;
+        }
+      } catch {
+        return 'Executes when the market opens';
+      }
+    }
+    return 'Executes when the market opens';
+  }
+
+  if (warning.type === 'order_held') {
+    return 'Order held';
+  }
+
+  if (warning.type === 'tif_preset') {
+    return `TWS preset changed time in force to ${warning.tif}`;
+  }
+
+  return null;
+}
+
+/**
+ * Build the IB order object for the requested order type
+ */
+export function buildOrder(client, { action, quantity, orderType, limitPrice, stopPrice, trailingAmount, trailingPercent }) {
+  switch (orderType) {
+    case 'LMT':
+      if (!(limitPrice > 0)) {
+        throw new Error('Limit price required');
+      }
+      return client.order.limit(action, quantity, limitPrice);
+    case 'STP':
+      if (!(stopPrice > 0)) {
+        throw new Error('Stop price required');
+      }
+      return client.order.stop(action, quantity, stopPrice);
+    case 'TRAIL': {
+      if (trailingPercent > 0) {
+        // Percent trails leave auxPrice unset (MAX_VALUE goes out as empty)
+        const order = client.order.trailingStop(action, quantity, Number.MAX_VALUE);
+        order.trailingPercent = trailingPercent;
+        return order;
+      }
+      if (!(trailingAmount > 0)) {
+        throw new Error('Trailing amount or percent required');
+      }
+      return client.order.trailingStop(action, quantity, trailingAmount);
+    }
+    case 'MKT':
+      return client.order.market(action, quantity);
+    default:
+      throw new Error(`Unsupported order type: ${orderType}`);
+  }
+}
+
+/**
+ * Set time in force and the outside-regular-hours flag on an IB order.
+ * GTD needs goodTillDate as "YYYYMMDD HH:mm:ss".
+ */
+export function applyTimeInForce(order, { tif = 'DAY', goodTillDate = null, outsideRth = false }) {
+  if (!VALID_TIFS.has(tif)) {
+    throw new Error(`Invalid time in force: ${tif}`);
+  }
+  if (tif === 'GTD' && !goodTillDate) {
+    throw new Error('Good-till date required');
+  }
+  if (tif === 'GTD' && !GOOD_TILL_DATE_PATTERN.test(goodTillDate)) {
+    throw new Error('Good-till date must be "YYYYMMDD HH:mm:ss"');
+  }
+
+  order.tif = tif;
+  if (tif === 'GTD') order.goodTillDate = goodTillDate;
+  if (outsideRth) order.outsideRth = true;
+}
+
+/**
+ * Contract + IB order for a single (non-bracket) order request.
+ * `contract` is an optional spec (e.g. a position's contract) for listings
+ * outside the default US/SMART stock.
+ */
+export async function prepareOrder(client, {
+  symbol,
+  action, // 'BUY' or 'SELL'
+  quantity,
+  orderType = 'MKT',
+  limitPrice = null,
+  stopPrice = null,
+  trailingAmount = null,
+  trailingPercent = null,
+  tif = 'DAY',
+  goodTillDate = null,
+  outsideRth = false,
+  contract: contractSpec = null,
+}) {
+  const contract = await ibContractFor(client, symbol, contractSpec);
+  const order = buildOrder(client, {
+    action,
+    quantity,
+    orderType,
+    limitPrice,
+    stopPrice,
+    trailingAmount,
+    trailingPercent,
+  });
+  applyTimeInForce(order, { tif, goodTillDate, outsideRth });
+
+  return { contract, order };
+}
+
+/**
+ * Numbers from a what-if orderState. Margin and equity come back as strings
+ * holding post-trade account values; unset numbers come back as MAX_VALUE.
+ */
+export function parseOrderState(orderState = {}) {
+  const toNumber = (value) => {
+    const num = parseFloat(value);
+    return Number.isFinite(num) && num < 1e300 ? num : null;
+  };
+
+  return {
+    commission: toNumber(orderState.commission),
+    minCommission: toNumber(orderState.minCommission),
+    maxCommission: toNumber(orderState.maxCommission),
+    commissionCurrency: orderState.commissionCurrency || 'USD',
+    initMargin: toNumber(orderState.initMargin),
+    maintMargin: toNumber(orderState.maintMargin),
+    equityWithLoan: toNumber(orderState.equityWithLoan),
+    warningText: orderState.warningText || null,
+  };
+}
+
+/**
+ * Order terms echoed back in the submit result (for the result screen)
+ */
+export function describeOrder(order) {
+  const isTrail = order.orderType === 'TRAIL';
+  return {
+    orderType: order.orderType,
+    limitPrice: order.orderType === 'LMT' ? order.lmtPrice : null,
+    stopPrice: order.orderType === 'STP' ? order.auxPrice : null,
+    trailingAmount: isTrail && !order.trailingPercent ? order.auxPrice : null,
+    trailingPercent: isTrail ? order.trailingPercent || null : null,
+    tif: order.tif,
+    goodTillDate: order.goodTillDate || null,
+    outsideRth: !!order.outsideRth,
+  };
+}
+
+/**
+ * Places orders for a connection (anything with getClient()/isConnected()).
+ *
+ * Results resolve once TWS accepts the order or it reaches a terminal status;
+ * a rejected order resolves with status 'Inactive' and `rejectionReason`.
+ * Emits 'status' with every orderStatus of the order being watched.
+ */
+export class TradeService extends EventEmitter {
+  constructor(connection) {
+    super();
+    this.connection = connection;
+    this.nextOrderId = null;
+  }
+
+  requireClient() {
+    const client = this.connection.getClient();
+    if (!client || !this.connection.isConnected()) {
+      throw new Error('Not connected');
+    }
+    return client;
+  }
+
+  /**
+   * Reserve `count` consecutive order IDs and return the first one.
+   * TWS only bumps nextValidId once an ID is used, so we remember what we
+   * handed out to avoid reusing IDs of legs that haven't been placed yet.
+   */
+  reserveOrderIds(count = 1) {
+    return new Promise((resolve, reject) => {
+      const client = this.requireClient();
+
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(new Error('Timeout getting order ID'));
+      }, 5000);
+
+      const onNextValidId = (orderId) => {
+        cleanup();
+        const firstId = Math.max(orderId, this.nextOrderId || 0);
+        this.nextOrderId = firstId + count;
+        resolve(firstId);
+      };
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        client.removeListener('nextValidId', onNextValidId);
+      };
+
+      client.once('nextValidId', onNextValidId);
+      client.reqIds(1);
+    });
+  }
+
+  /**
+   * Place order(s) via `place()` and resolve once the first order in
+   * `orderIds` is accepted or terminal. Errors for any of `orderIds` count.
+   * With `failOnRejection` a rejection rejects right away (used for modifies,
+   * where the original order keeps working and no Inactive status follows).
+   */
+  placeAndWatch(client, orderIds, orderInfo, place, { failOnRejection = false } = {}) {
+    const orderId = orderIds[0];
+
+    return new Promise((resolve, reject) => {
+      let lastStatus = 'Submitting';
+      let resolved = false;
+      let orderWarning = null; // Store warning if any
+      let orderRejection = null; // Store rejection reason if any
+      const terminalStatuses = new Set(['Filled', 'Cancelled', 'Inactive']);
+      // Also consider Submitted/PreSubmitted as success (order accepted)
+      const acceptedStatuses = new Set(['Submitted', 'PreSubmitted', 'Filled']);
+
+      const timeout = setTimeout(() => {
+        if (!resolved) {
+          cleanup();
+          // If we have a warning and reached timeout, order was likely accepted
+          resolve({
+            ...orderInfo,
+            orderId,
+            status: orderRejection ? 'Inactive' : (orderWarning ? 'Submitted' : lastStatus),
+            filled: null,
+            avgFillPrice: null,
+            warning: orderWarning,
+            rejectionReason: orderRejection?.reason,
+          });
+        }
+      }, ORDER_TIMEOUT_MS);
+
+      const onOrderStatus = (id, status, filled, remaining, avgFillPrice) => {
+        if (id !== orderId) return;
+        lastStatus = status;
+        debug(`Order ${id}: ${status} (filled: ${filled}, avg: ${avgFillPrice})`);
+
+        this.emit('status', {
+          orderId: id,
+          status,
+          filled,
+          remaining,
+          avgFillPrice,
+        });
+
+        // Resolve on terminal status OR on accepted status (for market-closed orders)
+        if (!resolved && (terminalStatuses.has(status) || acceptedStatuses.has(status))) {
+          resolved = true;
+          cleanup();
+          resolve({
+            ...orderInfo,
+            orderId: id,
+            status,
+            filled,
+            avgFillPrice,
+            warning: orderWarning,
+            rejectionReason: orderRejection?.reason,
+          });
+        }
+      };
+
+      const onError = (err, data) => {
+        if (resolved) return;
+
+        const message = err?.message || 'Error submitting order';
+        const errorId = data?.id;
+
+        // Ignore errors for other orders
+        if (errorId !== undefined && errorId !== -1 && !orderIds.includes(errorId)) {
+          return;
+        }
+
+        const tifPreset = message.match(TIF_PRESET_PATTERN);
+        if (tifPreset) {
+          if (tifPreset[1] !== orderInfo.tif) {
+            orderWarning = { type: 'tif_preset', tif: tifPreset[1], rawMessage: message };
+          }
+          return;
+        }
+
+        // Check if this is completely ignorable
+        if (isIgnorableMessage(message)) {
+          return;
+        }
+
+        // Check if this is a rejection
+        const rejection = extractRejection(message);
+        if (rejection && failOnRejection) {
+          resolved = true;
+          cleanup();
+          reject(Object.assign(new Error(rejection.reason), { rejection }));
+          return;
+        }
+        if (rejection) {
+          // Store rejection - order will be marked as Inactive
+          orderRejection = rejection;
+          return;
+        }
+
+        // Check if this is a warning (not a fatal error)
+        const warning = extractWarning(message);
+        if (warning) {
+          // Store warning but don't reject - order is still being processed
+          orderWarning = warning;
+          return;
+        }
+
+        // This is a real error - reject
+        resolved = true;
+        cleanup();
+        reject(new Error(message));
+      };
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        client.removeListener('orderStatus', onOrderStatus);
+        client.removeListener('error', onError);
+      };
+
+      client.on('orderStatus', onOrderStatus);
+      client.on('error', onError);
+      try {
+        place();
+      } catch (err) {
+        resolved = true;
+        cleanup();
+        reject(err);
+      }
+    });
+  }
+
+  async submit(params) {
+    const client = this.requireClient();
+    const { contract, order } = await prepareOrder(client, params);
+    const orderId = await this.reserveOrderIds();
+
+    debug(`Placing ${order.action} ${order.totalQuantity} ${params.symbol} ${order.orderType} (#${orderId})`);
+    return this.placeAndWatch(client, [orderId], describeOrder(order), () => {
+      client.placeOrder(orderId, contract, order);
+    });
+  }
+
+  /**
+   * What-if preview: the same order sent with whatIf=true. TWS doesn't place
+   * it, it answers with an openOrder whose orderState carries the estimated
+   * commission and post-trade margin / equity-with-loan.
+   */
+  async preview(params) {
+    const client = this.requireClient();
+    const { contract, order } = await prepareOrder(client, params);
+    order.whatIf = true;
+    const orderId = await this.reserveOrderIds();
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(new Error('Timeout waiting for preview'));
+      }, PREVIEW_TIMEOUT_MS);
+
+      const onOpenOrder = (id, openContract, openOrder, orderState) => {
+        if (id !== orderId) return;
+        cleanup();
+        resolve(parseOrderState(orderState));
+      };
+
+      const onError = (err, data) => {
+        if (data?.id !== orderId) return;
+
+        const message = err?.message || 'Preview failed';
+        // Same notes a real order would get; they don't block the preview
+        if (TIF_PRESET_PATTERN.test(message) || isIgnorableMessage(message) || extractWarning(message)) {
+          return;
+        }
+
+        cleanup();
+        reject(new Error(extractRejection(message)?.reason || message));
+      };
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        client.removeListener('openOrder', onOpenOrder);
+        client.removeListener('error', onError);
+      };
+
+      client.on('openOrder', onOpenOrder);
+      client.on('error', onError);
+      client.placeOrder(orderId, contract, order);
+    });
+  }
+
+  /**
+   * Bracket buy: a limit entry plus a take-profit limit and a stop-loss
+   * child. Children carry parentId; only the last leg transmits, so TWS
+   * receives all three together.
+   */
+  async submitBracket({
+    symbol,
+    quantity,
+    limitPrice,
+    takeProfitPrice,
+    stopLossPrice,
+    tif = 'DAY',
+    goodTillDate = null,
+    outsideRth = false,
+    contract: contractSpec = null,
+  }) {
+    const client = this.requireClient();
+
+    if (!(takeProfitPrice > limitPrice) || !(stopLossPrice < limitPrice)) {
+      throw new Error('Take profit must be above and stop loss below the entry');
+    }
+
+    const parentId = await this.reserveOrderIds(3);
+    const takeProfitId = parentId + 1;
+    const stopLossId = parentId + 2;
+    const contract = await ibContractFor(client, symbol, contractSpec);
+
+    const parent = buildOrder(client, { action: 'BUY', quantity, orderType: 'LMT', limitPrice });
+    parent.transmit = false;
+    const takeProfit = client.order.limit('SELL', quantity, takeProfitPrice, false, parentId);
+    const stopLoss = client.order.stop('SELL', quantity, stopLossPrice, true, parentId);
+    for (const order of [parent, takeProfit, stopLoss]) {
+      applyTimeInForce(order, { tif, goodTillDate, outsideRth });
+    }
+
+    const orderInfo = {
+      ...describeOrder(parent),
+      bracket: {
+        takeProfitPrice,
+        stopLossPrice,
+        orderIds: [parentId, takeProfitId, stopLossId],
+      },
+    };
+
+    return this.placeAndWatch(client, [parentId, takeProfitId, stopLossId], orderInfo, () => {
+      client.placeOrder(parentId, contract, parent);
+      client.placeOrder(takeProfitId, contract, takeProfit);
+      client.placeOrder(stopLossId, contract, stopLoss);
+    });
+  }
+
+  /**
+   * Modify a working order by re-sending placeOrder with the same orderId.
+   * `pendingOrder` comes from OrderService, which keeps the contract and IB
+   * order it was opened with.
+   */
+  async modify(pendingOrder, { quantity, limitPrice, stopPrice } = {}) {
+    const client = this.requireClient();
+
+    if (!pendingOrder?.contract || !pendingOrder?.ibOrder) {
+      throw new Error('Order details not loaded yet');
+    }
+
+    // openOrder doesn't carry `transmit`; without it TWS would hold the change
+    const order = { ...pendingOrder.ibOrder, transmit: true };
+    if (quantity > 0) order.totalQuantity = quantity;
+    if (limitPrice > 0 && order.orderType === 'LMT') order.lmtPrice = limitPrice;
+    if (stopPrice > 0 && order.orderType === 'STP') order.auxPrice = stopPrice;
+
+    return this.placeAndWatch(client, [pendingOrder.orderId], describeOrder(order), () => {
+      client.placeOrder(pendingOrder.orderId, pendingOrder.contract, order);
+    }, { failOnRejection: true });
+  }
+
+  /**
+   * `quantity` is whole shares (contracts for options). There are no cash-
+   * quantity orders: the `ib` 0.2.9 client negotiates an API version older
+   * than the one that added `cashQty`, so a dollar amount has to be floored
+   * to shares by the caller.
+   */
+  buy(symbol, quantity, options = {}) {
+    return this.submit({ ...options, symbol, action: 'BUY', quantity });
+  }
+
+  sell(symbol, quantity, options = {}) {
+    return this.submit({ ...options, symbol, action: 'SELL', quantity });
+  }
+}
+
+export default TradeService;
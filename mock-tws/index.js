@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Mock TWS - offline IB API server for development and tests
+ *
+ * Serves a scripted account (positions, executions, bars, order fills)
+ * from a JSON scenario, so the terminal, the mobile server and
+ * diagnose-tws.js can run without TWS or an IBKR login.
+ *
+ * Usage:
+ *   node mock-tws/index.js [scenario|path.json] [--port 7499] [--verbose]
+ *   node mock-tws/index.js --list
+ */
+
+import { startMockTws, DEFAULT_PORT } from './lib/server.js';
+import { listScenarios, loadScenario } from './lib/scenario.js';
+
+const args = process.argv.slice(2);
+
+function option(name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+function log(category, ...rest) {
+  const timestamp = new Date().toISOString().split('T')[1].slice(0, -1);
+  console.log(`[${timestamp}] [${category}]`, ...rest);
+}
+
+if (args.includes('--help') || args.includes('-h')) {
+  console.log(`
+Mock TWS - offline IB API server
+
+Usage:
+  node mock-tws/index.js [scenario] [options]
+
+Arguments:
+  scenario        Bundled scenario name or path to a JSON file (default: default)
+
+Options:
+  --port <n>      Port to listen on (default: MOCK_TWS_PORT or ${DEFAULT_PORT})
+  --host <addr>   Address to bind (default: all interfaces)
+  --list          List bundled scenarios
+  --verbose       Log every request
+  --help          Show this help
+
+Then point a client at it:
+  IB_PORT=${DEFAULT_PORT} npm start
+  IB_PORT=${DEFAULT_PORT} npm run server
+  node diagnose-tws.js ${DEFAULT_PORT}
+`);
+  process.exit(0);
+}
+
+if (args.includes('--list')) {
+  for (const name of listScenarios()) {
+    console.log(`  ${name.padEnd(16)} ${loadScenario(name).description || ''}`);
+  }
+  process.exit(0);
+}
+
+const valueFlags = new Set(['--port', '--host']);
+const scenarioName = args.find((arg, i) => !arg.startsWith('-') && !valueFlags.has(args[i - 1])) || 'default';
+const port = parseInt(option('--port') || process.env.MOCK_TWS_PORT || String(DEFAULT_PORT), 10);
+const verbose = args.includes('--verbose');
+
+let mock;
+try {
+  mock = await startMockTws({
+    scenario: scenarioName,
+    port,
+    host: option('--host'),
+    log: (category, ...rest) => {
+      if (category !== 'REQUEST' || verbose) log(category, ...rest);
+    },
+  });
+} catch (err) {
+  console.error(`\n❌ ${err.code === 'EADDRINUSE' ? `Port ${port} is already in use` : err.message}\n`);
+  process.exit(1);
+}
+
+const { scenario } = mock;
+console.log('\n╔════════════════════════════════════════════════════════════╗');
+console.log('║  Mock TWS running                                          ║');
+console.log('╚════════════════════════════════════════════════════════════╝');
+console.log(`  Scenario:  ${scenario.name}${scenario.description ? ` - ${scenario.description}` : ''}`);
+console.log(`  Account:   ${scenario.account.id} (${scenario.account.baseCurrency}, ${scenario.account.type})`);
+console.log(`  Port:      ${mock.port}`);
+console.log(`\n  IB_PORT=${mock.port} npm start        # terminal`);
+console.log(`  IB_PORT=${mock.port} npm run server   # mobile server`);
+console.log(`  node diagnose-tws.js ${mock.port}\n`);
+
+const shutdown = async () => {
+  log('SERVER', 'Shutting down...');
+  await mock.stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,533 @@
+/**
+ * Mock broker: the account, its positions, orders and executions
+ *
+ * One broker is shared by every connected client, so an order placed from
+ * the TUI shows up in the mobile server's STATE and vice versa. Sessions
+ * listen for:
+ *   - 'order' (record)        order status or open-order change
+ *   - 'execution' (exec)      a fill, with its commission report
+ *   - 'account'               cash/positions changed
+ */
+
+import { EventEmitter } from 'events';
+import { formatDateTime, resolveExpiry } from './scenario.js';
+
+// Error codes TWS uses for the cases the mock reproduces
+export const ERRORS = {
+  ORDER_REJECTED: 201,
+  ORDER_CANCELLED: 202,
+  NO_SECURITY: 200,
+  CANNOT_CANCEL: 10147,
+};
+
+const ACTIVE = new Set(['PendingSubmit', 'PreSubmitted', 'Submitted']);
+
+const multiplierOf = (contract) => Number(contract.multiplier) || 1;
+
+const cents = (value) => Math.round(value * 100) / 100;
+
+export class MockBroker extends EventEmitter {
+  constructor(scenario, market) {
+    super();
+
+    this.market = market;
+    this.accountId = scenario.account.id;
+    this.baseCurrency = scenario.account.baseCurrency;
+    this.accountType = scenario.account.type;
+    this.cash = { [this.baseCurrency]: 0, ...scenario.account.cash };
+    this.fxRates = { [this.baseCurrency]: 1, ...scenario.account.fxRates };
+    this.settings = scenario.orders;
+
+    this.positions = new Map(); // conId -> { contract, quantity, avgCost (per share), realizedPnl }
+    this.orders = new Map(); // orderId -> record
+    this.executions = [];
+    this.nextOrderId = 1;
+    this.nextPermId = 1_000_000;
+    this.nextExecId = 1;
+    this.timers = new Set();
+
+    this.loadFixtures(scenario);
+    market.on('prices', () => this.checkRestingOrders());
+  }
+
+  loadFixtures(scenario) {
+    for (const p of scenario.positions) {
+      const contract = this.resolve(p);
+      if (!contract) {
+        throw new Error(`Scenario position not found: ${p.symbol} ${p.secType || 'STK'}`);
+      }
+      this.positions.set(contract.conId, {
+        contract,
+        quantity: p.quantity,
+        avgCost: p.avgCost ?? this.market.price(contract),
+        realizedPnl: 0,
+      });
+    }
+
+    for (const e of scenario.executions) {
+      const contract = this.resolve(e);
+      if (!contract) continue;
+      const time = new Date(Date.now() - (e.minutesAgo ?? 60) * 60_000);
+      this.recordExecution({
+        orderId: 0,
+        clientId: 0,
+        permId: this.nextPermId++,
+        contract,
+        side: e.side || 'BOT',
+        shares: e.shares,
+        price: e.price,
+        time,
+        orderRef: e.orderRef || '',
+      }, { silent: true });
+    }
+
+    for (const o of scenario.openOrders) {
+      const contract = this.resolve(o);
+      if (!contract) continue;
+      const orderId = this.nextOrderId++;
+      this.orders.set(orderId, this.newRecord(orderId, 0, contract, {
+        action: o.action || 'BUY',
+        totalQuantity: o.quantity,
+        orderType: o.orderType || 'LMT',
+        lmtPrice: o.lmtPrice ?? null,
+        auxPrice: o.auxPrice ?? null,
+        tif: o.tif || 'GTC',
+        transmit: true,
+        parentId: 0,
+      }, 'Submitted'));
+    }
+  }
+
+  // Fixture entry (symbol/secType/expiry...) -> market contract
+  resolve(entry) {
+    const [contract] = this.market.find({
+      conId: entry.conId,
+      symbol: entry.symbol,
+      secType: entry.secType || 'STK',
+      currency: entry.currency,
+      expiry: entry.expiry && resolveExpiry(entry.expiry),
+      strike: entry.strike,
+      right: entry.right,
+    });
+    return contract || null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // ACCOUNT
+  // ═══════════════════════════════════════════════════════════════
+
+  toBase(amount, currency) {
+    return amount * (this.fxRates[currency] ?? 1);
+  }
+
+  positionList() {
+    return [...this.positions.values()].filter(p => p.quantity !== 0);
+  }
+
+  /**
+   * Portfolio line for updatePortfolio: market value and P&L in the
+   * position's currency, avgCost per contract the way IB reports it
+   */
+  portfolioLine(p) {
+    const multiplier = multiplierOf(p.contract);
+    const marketPrice = this.market.price(p.contract);
+    const marketValue = cents(p.quantity * marketPrice * multiplier);
+    return {
+      contract: p.contract,
+      position: p.quantity,
+      marketPrice,
+      marketValue,
+      avgCost: p.avgCost * multiplier,
+      unrealizedPnl: cents(marketValue - p.quantity * p.avgCost * multiplier),
+      realizedPnl: p.realizedPnl,
+    };
+  }
+
+  /**
+   * Account values in the base currency, with optional positions/cash
+   * overrides so whatIf orders can price the post-trade account
+   */
+  accountValues({ positions = this.positionList(), cash = this.cash } = {}) {
+    let stockValue = 0;
+    let optionValue = 0;
+    let unrealizedPnl = 0;
+    let realizedPnl = 0;
+    for (const p of positions) {
+      const line = this.portfolioLine(p);
+      const value = this.toBase(line.marketValue, p.contract.currency);
+      if (p.contract.secType === 'OPT') optionValue += value;
+      else stockValue += value;
+      unrealizedPnl += this.toBase(line.unrealizedPnl, p.contract.currency);
+      realizedPnl += this.toBase(p.realizedPnl, p.contract.currency);
+    }
+
+    const totalCash = Object.entries(cash).reduce((sum, [currency, amount]) => sum + this.toBase(amount, currency), 0);
+    const netLiquidation = totalCash + stockValue + optionValue;
+    const grossPositionValue = Math.abs(stockValue) + Math.abs(optionValue);
+
+    // Reg-T style: 25% on stock, options paid in full; cash accounts can't borrow
+    const margin = this.accountType === 'cash'
+      ? grossPositionValue
+      : Math.abs(stockValue) * 0.25 + Math.abs(optionValue);
+    const equityWithLoan = netLiquidation;
+    const availableFunds = this.accountType === 'cash' ? totalCash : equityWithLoan - margin;
+
+    return {
+      NetLiquidation: netLiquidation,
+      TotalCashValue: totalCash,
+      SettledCash: totalCash,
+      GrossPositionValue: grossPositionValue,
+      StockMarketValue: stockValue,
+      OptionMarketValue: optionValue,
+      EquityWithLoanValue: equityWithLoan,
+      InitMarginReq: margin,
+      MaintMarginReq: margin,
+      AvailableFunds: availableFunds,
+      ExcessLiquidity: availableFunds,
+      BuyingPower: this.accountType === 'cash' ? Math.max(0, totalCash) : Math.max(0, availableFunds * 4),
+      UnrealizedPnL: unrealizedPnl,
+      RealizedPnL: realizedPnl,
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // ORDERS
+  // ═══════════════════════════════════════════════════════════════
+
+  newRecord(orderId, clientId, contract, order, status) {
+    return {
+      orderId,
+      clientId,
+      permId: this.nextPermId++,
+      account: this.accountId,
+      contract,
+      order: { ...order, account: order.account || this.accountId },
+      status,
+      filled: 0,
+      remaining: order.totalQuantity,
+      avgFillPrice: 0,
+      lastFillPrice: 0,
+      parentId: order.parentId || 0,
+      trailStop: null,
+    };
+  }
+
+  openOrders() {
+    return [...this.orders.values()].filter(o => ACTIVE.has(o.status) || o.status === 'Inactive');
+  }
+
+  /**
+   * Commission for a fill, IB tiered-ish: per share with a minimum and a
+   * cap of maxPercent of the trade value; per contract for options
+   */
+  commission(contract, shares, price) {
+    const { perShare, minimum, maxPercent, perContract } = this.settings.commission;
+    if (contract.secType === 'OPT') {
+      return Math.max(minimum, shares * perContract);
+    }
+    const value = shares * price;
+    return Math.min(Math.max(minimum, shares * perShare), value * maxPercent / 100 || Infinity);
+  }
+
+  /**
+   * Post-trade account for a whatIf order, as openOrder's orderState.
+   * Margin and equity are totals after the trade, like TWS reports them.
+   */
+  whatIf(contract, order) {
+    const price = this.fillPrice(contract, order) ?? this.market.price(contract);
+    const quantity = order.action === 'BUY' ? order.totalQuantity : -order.totalQuantity;
+    const multiplier = multiplierOf(contract);
+    const commission = this.commission(contract, order.totalQuantity, price);
+
+    const positions = this.positionList().map(p => ({ ...p }));
+    const existing = positions.find(p => p.contract.conId === contract.conId);
+    if (existing) existing.quantity += quantity;
+    else positions.push({ contract, quantity, avgCost: price, realizedPnl: 0 });
+
+    const cash = { ...this.cash };
+    cash[contract.currency] = (cash[contract.currency] || 0) - quantity * price * multiplier - commission;
+
+    const after = this.accountValues({ positions, cash });
+    return {
+      status: 'PreSubmitted',
+      initMargin: after.InitMarginReq.toFixed(2),
+      maintMargin: after.MaintMarginReq.toFixed(2),
+      equityWithLoan: after.EquityWithLoanValue.toFixed(2),
+      commission,
+      minCommission: Number.MAX_VALUE,
+      maxCommission: Number.MAX_VALUE,
+      commissionCurrency: contract.currency,
+      warningText: after.AvailableFunds < 0 ? 'Insufficient funds for this order' : '',
+    };
+  }
+
+  /**
+   * Place or modify an order. Returns an error ({ code, message }) for the
+   * session to report, or null.
+   */
+  placeOrder(clientId, orderId, contract, order) {
+    const existing = this.orders.get(orderId);
+    if (existing && !ACTIVE.has(existing.status) && existing.status !== 'Inactive') {
+      return { code: ERRORS.ORDER_REJECTED, message: `Order ${orderId} is ${existing.status} and can't be modified` };
+    }
+    this.nextOrderId = Math.max(this.nextOrderId, orderId + 1);
+
+    if (existing) {
+      // Modify: keep identity and fills, take the new terms
+      existing.order = { ...existing.order, ...order, account: order.account || this.accountId };
+      existing.remaining = order.totalQuantity - existing.filled;
+      existing.trailStop = null;
+      this.emit('order', existing);
+      this.work(existing);
+      return null;
+    }
+
+    const parent = order.parentId ? this.orders.get(order.parentId) : null;
+    const record = this.newRecord(orderId, clientId, contract, order, 'PreSubmitted');
+    this.orders.set(orderId, record);
+
+    if (!order.transmit) {
+      // Held in TWS until a later order of the group transmits
+      record.status = 'Inactive';
+      this.emit('order', record);
+      return null;
+    }
+
+    // Transmitting the last child sends the whole bracket
+    const group = parent ? [parent, ...this.children(parent.orderId)] : [record];
+    for (const member of group) {
+      if (member.status === 'Inactive' || member === record) {
+        member.status = member.parentId && this.orders.get(member.parentId)?.status !== 'Filled'
+          ? 'PreSubmitted'
+          : 'Submitted';
+        this.emit('order', member);
+      }
+    }
+    for (const member of group) this.work(member);
+    return null;
+  }
+
+  children(parentId) {
+    return [...this.orders.values()].filter(o => o.parentId === parentId);
+  }
+
+  cancelOrder(orderId) {
+    const record = this.orders.get(orderId);
+    if (!record || !(ACTIVE.has(record.status) || record.status === 'Inactive')) {
+      return { code: ERRORS.CANNOT_CANCEL, message: `OrderId ${orderId} that needs to be cancelled cannot be cancelled, state: ${record?.status || 'Unknown'}.` };
+    }
+    this.setStatus(record, 'Cancelled');
+    for (const child of this.children(orderId)) {
+      if (ACTIVE.has(child.status) || child.status === 'Inactive') this.setStatus(child, 'Cancelled');
+    }
+    return null;
+  }
+
+  cancelAll() {
+    for (const record of this.openOrders()) this.setStatus(record, 'Cancelled');
+  }
+
+  setStatus(record, status) {
+    record.status = status;
+    this.emit('order', record);
+  }
+
+  /**
+   * Price an order would fill at right now, or null if it would rest
+   */
+  fillPrice(contract, order) {
+    const quote = this.market.quote(contract);
+    const buy = order.action === 'BUY';
+    const touch = buy ? quote.ask : quote.bid;
+
+    switch (order.orderType) {
+      case 'MKT':
+        return touch;
+      case 'LMT':
+        return (buy ? touch <= order.lmtPrice : touch >= order.lmtPrice) ? touch : null;
+      case 'STP':
+        return (buy ? quote.last >= order.auxPrice : quote.last <= order.auxPrice) ? touch : null;
+      case 'STP LMT':
+        if (!(buy ? quote.last >= order.auxPrice : quote.last <= order.auxPrice)) return null;
+        return (buy ? touch <= order.lmtPrice : touch >= order.lmtPrice) ? touch : null;
+      default:
+        return touch;
+    }
+  }
+
+  // Trailing stops ratchet with the price and trigger like a STP
+  updateTrail(record) {
+    const { order, contract } = record;
+    const last = this.market.quote(contract).last;
+    const buy = order.action === 'BUY';
+    const distance = Number.isFinite(order.trailingPercent) && order.trailingPercent > 0
+      ? last * order.trailingPercent / 100
+      : order.auxPrice || 0;
+    const candidate = buy ? last + distance : last - distance;
+
+    if (record.trailStop === null) {
+      record.trailStop = Number.isFinite(order.trailStopPrice) && order.trailStopPrice > 0 ? order.trailStopPrice : candidate;
+    } else {
+      record.trailStop = buy ? Math.min(record.trailStop, candidate) : Math.max(record.trailStop, candidate);
+    }
+    const triggered = buy ? last >= record.trailStop : last <= record.trailStop;
+    return triggered ? this.market.quote(contract)[buy ? 'ask' : 'bid'] : null;
+  }
+
+  /**
+   * Move an active order along according to the scenario's fill mode
+   */
+  work(record) {
+    if (record.status !== 'Submitted') return;
+    const mode = this.settings.fill;
+
+    if (mode === 'reject') {
+      this.emit('reject', record, this.settings.rejectReason);
+      this.setStatus(record, 'Cancelled');
+      return;
+    }
+    if (mode === 'never') return;
+
+    const price = record.order.orderType === 'TRAIL'
+      ? this.updateTrail(record)
+      : this.fillPrice(record.contract, record.order);
+    if (price === null) return;
+
+    if (mode === 'delayed') {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        if (record.status === 'Submitted') this.fill(record, price);
+      }, this.settings.fillDelayMs);
+      this.timers.add(timer);
+      return;
+    }
+    this.fill(record, price);
+  }
+
+  checkRestingOrders() {
+    for (const record of this.orders.values()) {
+      if (record.status === 'Submitted' && !record.filling) this.work(record);
+    }
+  }
+
+  /**
+   * Fill the rest of an order, in `partialFills` executions
+   */
+  fill(record, price) {
+    const parts = Math.max(1, Math.min(this.settings.partialFills, record.remaining));
+    const base = Math.floor(record.remaining / parts);
+    const sizes = Array.from({ length: parts }, (_, i) => (i === parts - 1 ? record.remaining - base * (parts - 1) : base));
+
+    record.filling = true;
+    const fillOne = (i) => {
+      if (record.status !== 'Submitted') {
+        record.filling = false;
+        return;
+      }
+      this.executeFill(record, sizes[i], price);
+      if (i + 1 < sizes.length) {
+        const timer = setTimeout(() => {
+          this.timers.delete(timer);
+          fillOne(i + 1);
+        }, Math.max(200, this.settings.fillDelayMs / parts));
+        this.timers.add(timer);
+      } else {
+        record.filling = false;
+      }
+    };
+    fillOne(0);
+  }
+
+  executeFill(record, shares, price) {
+    record.avgFillPrice = (record.avgFillPrice * record.filled + price * shares) / (record.filled + shares);
+    record.filled += shares;
+    record.remaining -= shares;
+    record.lastFillPrice = price;
+
+    this.recordExecution({
+      orderId: record.orderId,
+      clientId: record.clientId,
+      permId: record.permId,
+      contract: record.contract,
+      side: record.order.action === 'BUY' ? 'BOT' : 'SLD',
+      shares,
+      price,
+      time: new Date(),
+      orderRef: record.order.orderRef || '',
+      cumQty: record.filled,
+      avgPrice: record.avgFillPrice,
+    });
+
+    this.setStatus(record, record.remaining > 0 ? 'Submitted' : 'Filled');
+    if (record.status !== 'Filled') return;
+
+    // Bracket: the parent's fill releases the children; a child's fill
+    // cancels its siblings
+    for (const child of this.children(record.orderId)) {
+      if (child.status === 'PreSubmitted') {
+        this.setStatus(child, 'Submitted');
+        this.work(child);
+      }
+    }
+    if (record.parentId) {
+      for (const sibling of this.children(record.parentId)) {
+        if (sibling !== record && ACTIVE.has(sibling.status)) this.setStatus(sibling, 'Cancelled');
+      }
+    }
+  }
+
+  /**
+   * Book an execution: position, cash, realized P&L, commission report
+   */
+  recordExecution(fill, { silent = false } = {}) {
+    const { contract, shares, price } = fill;
+    const multiplier = multiplierOf(contract);
+    const signed = fill.side === 'BOT' ? shares : -shares;
+    const commission = this.commission(contract, shares, price);
+
+    const position = this.positions.get(contract.conId) || { contract, quantity: 0, avgCost: 0, realizedPnl: 0 };
+    let realizedPnl = null;
+    if (!silent) {
+      if (position.quantity !== 0 && Math.sign(position.quantity) !== Math.sign(signed)) {
+        // Closing (part of) the position realizes against the average cost
+        const closed = Math.min(Math.abs(signed), Math.abs(position.quantity));
+        realizedPnl = closed * (price - position.avgCost) * multiplier * Math.sign(position.quantity) - commission;
+        position.realizedPnl += realizedPnl;
+        position.quantity += signed;
+        if (Math.sign(position.quantity) === Math.sign(signed)) position.avgCost = price;
+      } else {
+        const cost = position.quantity * position.avgCost + signed * price + commission / multiplier * Math.sign(signed);
+        position.quantity += signed;
+        position.avgCost = position.quantity ? cost / position.quantity : 0;
+        realizedPnl = 0;
+      }
+      this.positions.set(contract.conId, position);
+      this.cash[contract.currency] = (this.cash[contract.currency] || 0) - signed * price * multiplier - commission;
+    }
+
+    const execution = {
+      ...fill,
+      execId: `0000e${String(this.nextExecId++).padStart(4, '0')}.${Math.floor(fill.time.getTime() / 1000).toString(16)}.01.01`,
+      time: formatDateTime(fill.time),
+      account: this.accountId,
+      exchange: contract.secType === 'OPT' ? 'CBOE' : contract.primaryExch,
+      cumQty: fill.cumQty ?? shares,
+      avgPrice: fill.avgPrice ?? price,
+      commission,
+      commissionCurrency: contract.currency,
+      realizedPnl,
+    };
+    this.executions.push(execution);
+
+    if (!silent) {
+      this.emit('execution', execution);
+      this.emit('account');
+    }
+    return execution;
+  }
+
+  stop() {
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+  }
+}
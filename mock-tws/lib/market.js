@@ -0,0 +1,410 @@
+/**
+ * Mock market: listings, prices, option chains and price history
+ *
+ * Prices follow a seeded random walk so a scenario replays the same way
+ * every run. Options are priced with Black-Scholes off their underlying,
+ * which keeps bid/ask, IV and delta consistent as the underlying moves.
+ */
+
+import { EventEmitter } from 'events';
+import { createRandom, hashString, formatDate, formatDateTime, monthlyExpiries, resolveExpiry } from './scenario.js';
+
+const RISK_FREE_RATE = 0.04;
+const DAY_MS = 86_400_000;
+
+// Daily volatility of generated history when a listing doesn't say
+const DEFAULT_DAILY_VOLATILITY = 0.018;
+
+const BAR_SECONDS = {
+  sec: 1, secs: 1, min: 60, mins: 60, hour: 3600, hours: 3600,
+  day: 86400, days: 86400, week: 604800, weeks: 604800, month: 2592000, months: 2592000,
+};
+
+const DURATION_SECONDS = { S: 1, D: 86400, W: 604800, M: 2592000, Y: 31536000 };
+
+// Rounded to the tick, without float noise (189.36, not 189.36000000000001)
+function round(value, tick = 0.01) {
+  return Number((Math.round(value / tick) * tick).toFixed(6));
+}
+
+function normalCdf(x) {
+  // Abramowitz-Stegun 7.1.26
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + y) / 2 : (1 - y) / 2;
+}
+
+function normalPdf(x) {
+  return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Black-Scholes price and greeks (per share; theta per day)
+ */
+export function blackScholes({ underlying, strike, years, iv, right }) {
+  const t = Math.max(years, 1 / 365);
+  const sqrtT = Math.sqrt(t);
+  const d1 = (Math.log(underlying / strike) + (RISK_FREE_RATE + iv * iv / 2) * t) / (iv * sqrtT);
+  const d2 = d1 - iv * sqrtT;
+  const discount = Math.exp(-RISK_FREE_RATE * t);
+  const isCall = right === 'C';
+
+  const price = isCall
+    ? underlying * normalCdf(d1) - strike * discount * normalCdf(d2)
+    : strike * discount * normalCdf(-d2) - underlying * normalCdf(-d1);
+  const theta = (-underlying * normalPdf(d1) * iv / (2 * sqrtT)
+    - (isCall ? 1 : -1) * RISK_FREE_RATE * strike * discount * normalCdf(isCall ? d2 : -d2)) / 365;
+
+  return {
+    price: Math.max(price, 0),
+    delta: isCall ? normalCdf(d1) : normalCdf(d1) - 1,
+    gamma: normalPdf(d1) / (underlying * iv * sqrtT),
+    vega: underlying * normalPdf(d1) * sqrtT / 100,
+    theta,
+  };
+}
+
+function yearsUntil(expiry) {
+  const match = String(expiry).match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return 0;
+  const close = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 16);
+  return Math.max(0, close - Date.now()) / (365 * DAY_MS);
+}
+
+// Strike spacing the way listed chains usually step
+function defaultStrikeStep(price) {
+  if (price < 25) return 1;
+  if (price < 100) return 2.5;
+  if (price < 250) return 5;
+  if (price < 1000) return 10;
+  return 25;
+}
+
+export class MockMarket extends EventEmitter {
+  constructor(scenario) {
+    super();
+
+    this.settings = scenario.market;
+    this.random = createRandom(scenario.seed);
+    this.seed = scenario.seed;
+    this.contracts = new Map(); // conId -> contract
+    this.chains = new Map(); // underlying conId -> { expirations, strikes, multiplier, iv }
+    this.nextConId = 900_000_000;
+    this.timer = null;
+
+    for (const listing of scenario.contracts) {
+      this.addListing(listing);
+    }
+  }
+
+  /**
+   * Register a listing (stocks and ETFs; options are created on demand)
+   */
+  addListing(listing) {
+    const symbol = String(listing.symbol).toUpperCase();
+    const price = listing.price ?? 10 + (hashString(symbol) % 49000) / 100;
+    const contract = {
+      conId: listing.conId || ++this.nextConId,
+      symbol,
+      secType: listing.secType || 'STK',
+      exchange: 'SMART',
+      primaryExch: listing.primaryExch || 'NASDAQ',
+      currency: listing.currency || 'USD',
+      localSymbol: listing.localSymbol || symbol,
+      tradingClass: listing.tradingClass || listing.localSymbol || symbol,
+      multiplier: '',
+      longName: listing.longName || symbol,
+      industry: listing.industry || '',
+      category: listing.category || '',
+      minTick: listing.minTick || 0.01,
+      validExchanges: ['SMART', listing.primaryExch || 'NASDAQ'].join(','),
+      timeZoneId: listing.timeZoneId || 'US/Eastern',
+      price,
+      open: listing.open ?? price,
+      close: listing.close ?? price,
+      high: Math.max(price, listing.close ?? price),
+      low: Math.min(price, listing.close ?? price),
+      volume: listing.volume ?? 1_000_000 + (hashString(symbol) % 9_000_000),
+      dailyVolatility: listing.dailyVolatility ?? DEFAULT_DAILY_VOLATILITY,
+      bars: listing.bars || null,
+      options: listing.options || null,
+    };
+
+    this.contracts.set(contract.conId, contract);
+    if (contract.options) this.chains.set(contract.conId, this.buildChain(contract));
+    return contract;
+  }
+
+  buildChain(contract) {
+    const spec = contract.options === true ? {} : contract.options;
+    const step = spec.strikeStep || defaultStrikeStep(contract.price);
+    const count = spec.strikes || 21;
+    const center = round(contract.price, step);
+    const strikes = [];
+    for (let i = -Math.floor(count / 2); i <= Math.floor(count / 2); i++) {
+      const strike = round(center + i * step, 0.01);
+      if (strike > 0) strikes.push(strike);
+    }
+
+    return {
+      expirations: Array.isArray(spec.expirations)
+        ? spec.expirations.map(resolveExpiry)
+        : monthlyExpiries(spec.expirations || 6),
+      strikes,
+      multiplier: String(spec.multiplier || 100),
+      iv: spec.iv || 0.3,
+      // Puts a little richer than calls, like a real skew
+      skew: spec.skew ?? 0.05,
+    };
+  }
+
+  /**
+   * Listings matching a request contract. Empty exchange/currency are
+   * wildcards, as in reqContractDetails.
+   */
+  find(query) {
+    if (query.conId) {
+      const contract = this.contracts.get(query.conId);
+      return contract ? [contract] : [];
+    }
+
+    const symbol = String(query.symbol || '').toUpperCase();
+    if (!symbol) return [];
+    const secType = query.secType || 'STK';
+    if (secType === 'OPT') {
+      const option = this.option(query);
+      return option ? [option] : [];
+    }
+
+    const matches = [...this.contracts.values()].filter(c =>
+      c.secType === secType &&
+      c.symbol === symbol &&
+      (!query.currency || c.currency === query.currency) &&
+      (!query.exchange || query.exchange === 'SMART' || query.exchange === c.primaryExch) &&
+      (!query.primaryExch || c.primaryExch === query.primaryExch)
+    );
+
+    // Let any plausible ticker trade, so search and charts work beyond the fixture
+    if (matches.length === 0 && this.settings.unknownSymbols && secType === 'STK' &&
+        /^[A-Z][A-Z0-9.]{0,5}$/.test(symbol) && (!query.currency || query.currency === 'USD') &&
+        ![...this.contracts.values()].some(c => c.symbol === symbol)) {
+      return [this.addListing({ symbol })];
+    }
+    return matches;
+  }
+
+  /**
+   * Option contract for underlying + expiry/strike/right, if the chain lists it
+   */
+  option({ symbol, expiry, strike, right, currency }) {
+    const underlying = this.find({ symbol, secType: 'STK', currency }).find(c => this.chains.has(c.conId));
+    if (!underlying) return null;
+
+    const chain = this.chains.get(underlying.conId);
+    const normalizedRight = String(right || '').toUpperCase().startsWith('P') ? 'P' : 'C';
+    const resolvedExpiry = resolveExpiry(expiry);
+    if (!chain.expirations.includes(resolvedExpiry) || !chain.strikes.includes(Number(strike))) {
+      return null;
+    }
+
+    const existing = [...this.contracts.values()].find(c =>
+      c.secType === 'OPT' && c.underConId === underlying.conId &&
+      c.expiry === resolvedExpiry && c.strike === Number(strike) && c.right === normalizedRight
+    );
+    if (existing) return existing;
+
+    // OCC-style local symbol: "AAPL  241220C00150000"
+    const occStrike = String(Math.round(Number(strike) * 1000)).padStart(8, '0');
+    const contract = {
+      conId: ++this.nextConId,
+      symbol: underlying.symbol,
+      secType: 'OPT',
+      exchange: 'SMART',
+      primaryExch: 'CBOE',
+      currency: underlying.currency,
+      localSymbol: `${underlying.symbol.padEnd(6)}${resolvedExpiry.slice(2)}${normalizedRight}${occStrike}`,
+      tradingClass: underlying.symbol,
+      multiplier: chain.multiplier,
+      longName: underlying.longName,
+      minTick: 0.01,
+      validExchanges: 'SMART,CBOE,AMEX,ISE',
+      timeZoneId: underlying.timeZoneId,
+      underConId: underlying.conId,
+      expiry: resolvedExpiry,
+      strike: Number(strike),
+      right: normalizedRight,
+      volume: 0,
+    };
+    this.contracts.set(contract.conId, contract);
+    return contract;
+  }
+
+  optionChain(underlyingConId) {
+    return this.chains.get(underlyingConId) || null;
+  }
+
+  /**
+   * Model price and greeks of an option at the underlying's current price
+   */
+  optionModel(option) {
+    const underlying = this.contracts.get(option.underConId);
+    const chain = this.chains.get(option.underConId);
+    const moneyness = Math.log(option.strike / underlying.price);
+    const iv = Math.max(0.05, chain.iv + Math.abs(moneyness) * 0.4 + (option.right === 'P' ? chain.skew : 0));
+    return {
+      iv,
+      underlying: underlying.price,
+      ...blackScholes({
+        underlying: underlying.price,
+        strike: option.strike,
+        years: yearsUntil(option.expiry),
+        iv,
+        right: option.right,
+      }),
+    };
+  }
+
+  /**
+   * Current quote: bid/ask around the price, plus the day's range
+   */
+  quote(contract) {
+    if (contract.secType === 'OPT') {
+      const model = this.optionModel(contract);
+      const mid = Math.max(model.price, 0.01);
+      const half = Math.max(0.01, round(mid * 0.015));
+      return {
+        bid: Math.max(0, round(mid - half)),
+        ask: round(mid + half),
+        last: round(mid),
+        close: round(mid),
+        model,
+      };
+    }
+
+    const half = Math.max(contract.minTick, round(contract.price * 0.0002, contract.minTick));
+    return {
+      bid: round(contract.price - half, contract.minTick),
+      ask: round(contract.price + half, contract.minTick),
+      last: round(contract.price, contract.minTick),
+      close: contract.close,
+      open: contract.open,
+      high: contract.high,
+      low: contract.low,
+      volume: contract.volume,
+    };
+  }
+
+  price(contract) {
+    return contract.secType === 'OPT' ? this.quote(contract).last : contract.price;
+  }
+
+  /**
+   * Move a listing's price (scripted events and the random walk)
+   */
+  setPrice(contract, price) {
+    contract.price = Math.max(contract.minTick, round(price, contract.minTick));
+    contract.high = Math.max(contract.high, contract.price);
+    contract.low = Math.min(contract.low, contract.price);
+    contract.volume += Math.floor(this.random() * 5000);
+  }
+
+  /**
+   * Start the random walk; emits 'prices' after every step
+   */
+  start() {
+    const { tickIntervalMs, volatility } = this.settings;
+    if (!tickIntervalMs) return;
+
+    this.timer = setInterval(() => {
+      for (const contract of this.contracts.values()) {
+        if (contract.secType === 'OPT') continue;
+        this.setPrice(contract, contract.price * (1 + volatility * this.random.normal()));
+      }
+      this.emit('prices');
+    }, tickIntervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Bars for a reqHistoricalData: the listing's own daily bars if the
+   * scenario has them, otherwise a seeded walk that ends at today's price
+   */
+  history(contract, { duration, barSize, formatDate: dateFormat = 1 }) {
+    const [durationCount, durationUnit] = String(duration).trim().split(/\s+/);
+    const [barCount, barUnit] = String(barSize).trim().split(/\s+/);
+    const spanSeconds = Number(durationCount) * (DURATION_SECONDS[durationUnit] || 86400);
+    const barSeconds = Number(barCount) * (BAR_SECONDS[barUnit] || 86400);
+    const daily = barSeconds >= 86400;
+
+    if (daily && contract.bars) {
+      const since = formatDate(new Date(Date.now() - spanSeconds * 1000));
+      return contract.bars.filter(bar => String(bar.date) >= since);
+    }
+
+    // Bar timestamps, newest last: weekdays only, 9:30-16:00 for intraday
+    const times = [];
+    const now = new Date();
+    const start = now.getTime() - spanSeconds * 1000;
+    if (daily) {
+      for (let t = new Date(now.getFullYear(), now.getMonth(), now.getDate()); t.getTime() > start; t = new Date(t.getTime() - barSeconds * 1000)) {
+        if (barSeconds > 86400 || (t.getDay() !== 0 && t.getDay() !== 6)) times.unshift(t);
+      }
+    } else {
+      for (let day = new Date(now.getFullYear(), now.getMonth(), now.getDate()); day.getTime() > start - DAY_MS; day = new Date(day.getTime() - DAY_MS)) {
+        if (day.getDay() === 0 || day.getDay() === 6) continue;
+        const dayTimes = [];
+        for (let t = day.getTime() + 9.5 * 3600_000; t < day.getTime() + 16 * 3600_000; t += barSeconds * 1000) {
+          if (t >= start && t <= now.getTime()) dayTimes.push(new Date(t));
+        }
+        times.unshift(...dayTimes);
+      }
+    }
+
+    // Walk backwards from the current price so the chart meets the quote
+    const random = createRandom(this.seed + hashString(`${contract.conId}:${barSize}`));
+    const volatility = (contract.dailyVolatility || DEFAULT_DAILY_VOLATILITY) * Math.sqrt(Math.min(barSeconds, 86400 * 5) / 23400 * (daily ? 23400 / 86400 : 1));
+    const baseVolume = Math.max(1000, Math.round((contract.volume || 1_000_000) * Math.min(1, barSeconds / 23400)));
+    const tick = contract.minTick || 0.01;
+    const bars = [];
+    let close = this.price(contract);
+
+    for (let i = times.length - 1; i >= 0; i--) {
+      const open = close / (1 + volatility * random.normal());
+      const high = Math.max(open, close) * (1 + Math.abs(random.normal()) * volatility / 2);
+      const low = Math.min(open, close) * (1 - Math.abs(random.normal()) * volatility / 2);
+      const date = daily
+        ? formatDate(times[i])
+        : dateFormat === 2 ? String(Math.floor(times[i].getTime() / 1000)) : formatDateTime(times[i]);
+
+      bars.unshift({
+        date,
+        open: round(open, tick),
+        high: round(high, tick),
+        low: round(low, tick),
+        close: round(close, tick),
+        volume: Math.round(baseVolume * (0.5 + random())),
+        wap: round((open + close + high + low) / 4, tick),
+      });
+      close = open;
+    }
+    return bars;
+  }
+
+  /**
+   * reqMatchingSymbols: listings whose symbol starts with, or whose name
+   * contains, the pattern
+   */
+  search(pattern) {
+    const query = String(pattern || '').toUpperCase();
+    if (!query) return [];
+    return [...this.contracts.values()]
+      .filter(c => c.secType !== 'OPT' && (c.symbol.startsWith(query) || c.longName.toUpperCase().includes(query)))
+      .sort((a, b) => Number(b.symbol === query) - Number(a.symbol === query) || a.symbol.localeCompare(b.symbol))
+      .slice(0, 16)
+      .map(c => ({ ...c, options: this.chains.has(c.conId) }));
+  }
+}
@@ -0,0 +1,532 @@
+/**
+ * IB API wire protocol, as spoken by the `ib` client
+ *
+ * The client uses the legacy handshake: it sends its version and clientId,
+ * TWS answers with its server version and connection time. After that every
+ * message is a run of NUL-terminated tokens with no length prefix, so each
+ * request has to be read field by field to find where the next one starts.
+ *
+ * Field layouts mirror node_modules/ib/lib/outgoing.js (requests) and
+ * incoming.js (replies) at SERVER_VERSION.
+ */
+
+// What TWS answers the legacy handshake with; cash-quantity orders, PnL and
+// other v100+ features stay off, same as against a real TWS
+export const SERVER_VERSION = 76;
+
+export const EOL = '\0';
+
+// Requests (client -> TWS)
+export const REQ = {
+  MKT_DATA: 1,
+  CANCEL_MKT_DATA: 2,
+  PLACE_ORDER: 3,
+  CANCEL_ORDER: 4,
+  OPEN_ORDERS: 5,
+  ACCOUNT_DATA: 6,
+  EXECUTIONS: 7,
+  IDS: 8,
+  CONTRACT_DATA: 9,
+  AUTO_OPEN_ORDERS: 15,
+  ALL_OPEN_ORDERS: 16,
+  MANAGED_ACCTS: 17,
+  HISTORICAL_DATA: 20,
+  CANCEL_HISTORICAL_DATA: 25,
+  CURRENT_TIME: 49,
+  GLOBAL_CANCEL: 58,
+  MARKET_DATA_TYPE: 59,
+  POSITIONS: 61,
+  ACCOUNT_SUMMARY: 62,
+  CANCEL_ACCOUNT_SUMMARY: 63,
+  CANCEL_POSITIONS: 64,
+  SEC_DEF_OPT_PARAMS: 78,
+  MATCHING_SYMBOLS: 81,
+};
+
+// Messages (TWS -> client)
+export const MSG = {
+  TICK_PRICE: 1,
+  TICK_SIZE: 2,
+  ORDER_STATUS: 3,
+  ERR_MSG: 4,
+  OPEN_ORDER: 5,
+  ACCT_VALUE: 6,
+  PORTFOLIO_VALUE: 7,
+  ACCT_UPDATE_TIME: 8,
+  NEXT_VALID_ID: 9,
+  CONTRACT_DATA: 10,
+  EXECUTION_DATA: 11,
+  MANAGED_ACCTS: 15,
+  HISTORICAL_DATA: 17,
+  TICK_OPTION_COMPUTATION: 21,
+  TICK_GENERIC: 45,
+  CURRENT_TIME: 49,
+  CONTRACT_DATA_END: 52,
+  OPEN_ORDER_END: 53,
+  ACCT_DOWNLOAD_END: 54,
+  EXECUTION_DATA_END: 55,
+  TICK_SNAPSHOT_END: 57,
+  MARKET_DATA_TYPE: 58,
+  COMMISSION_REPORT: 59,
+  POSITION: 61,
+  POSITION_END: 62,
+  ACCOUNT_SUMMARY: 63,
+  ACCOUNT_SUMMARY_END: 64,
+  SECURITY_DEFINITION_OPTION_PARAMETER: 75,
+  SECURITY_DEFINITION_OPTION_PARAMETER_END: 76,
+  SYMBOL_SAMPLES: 79,
+};
+
+/**
+ * Thrown when a request is cut short; the caller keeps the tokens and
+ * tries again once more data arrives
+ */
+export class Underrun extends Error {}
+
+/**
+ * Thrown for request ids the mock doesn't know. Without the layout there
+ * is no telling where the next request starts.
+ */
+export class UnsupportedRequest extends Error {
+  constructor(id) {
+    super(`Unsupported request id ${id}`);
+    this.requestId = id;
+  }
+}
+
+/**
+ * Sequential reader over received tokens
+ */
+export class TokenReader {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  str() {
+    if (this.pos >= this.tokens.length) throw new Underrun();
+    return this.tokens[this.pos++];
+  }
+
+  int() {
+    const value = parseInt(this.str(), 10);
+    return Number.isNaN(value) ? null : value;
+  }
+
+  float() {
+    const value = parseFloat(this.str());
+    return Number.isNaN(value) ? null : value;
+  }
+
+  bool() {
+    const value = this.str();
+    return value === '1' || value === 'true';
+  }
+
+  // Next token without consuming it (undefined if there is none yet)
+  peek() {
+    return this.tokens[this.pos];
+  }
+}
+
+const BAG = 'BAG';
+
+// conId, symbol, secType, expiry, strike, right, multiplier, exchange,
+// [primaryExch], currency, localSymbol, tradingClass
+function readContract(r, { primaryExch = true } = {}) {
+  const contract = {
+    conId: r.int(),
+    symbol: r.str(),
+    secType: r.str(),
+    expiry: r.str(),
+    strike: r.float(),
+    right: r.str(),
+    multiplier: r.str(),
+    exchange: r.str(),
+  };
+  if (primaryExch) contract.primaryExch = r.str();
+  contract.currency = r.str();
+  contract.localSymbol = r.str();
+  contract.tradingClass = r.str();
+  return contract;
+}
+
+function skip(r, count) {
+  for (let i = 0; i < count; i++) r.str();
+}
+
+function skipUnderComp(r) {
+  if (r.bool()) skip(r, 3); // conId, delta, price
+}
+
+// Count-prefixed combo legs of `width` fields each
+function skipLegs(r, width) {
+  skip(r, r.int() * width);
+}
+
+function readMktData(r) {
+  const version = r.int();
+  const tickerId = r.int();
+  const contract = readContract(r);
+  if (contract.secType === BAG) skipLegs(r, 4);
+  skipUnderComp(r);
+  const genericTickList = r.str();
+  const snapshot = r.bool();
+  r.str(); // linking
+  return { name: 'reqMktData', version, tickerId, contract, genericTickList, snapshot };
+}
+
+function readPlaceOrder(r) {
+  const version = r.int();
+  const orderId = r.int();
+  const contract = readContract(r);
+  skip(r, 2); // secIdType, secId
+
+  const order = {
+    action: r.str(),
+    totalQuantity: r.float(),
+    orderType: r.str(),
+    lmtPrice: r.float(),
+    auxPrice: r.float(),
+    tif: r.str(),
+    ocaGroup: r.str(),
+    account: r.str(),
+    openClose: r.str(),
+    origin: r.int(),
+    orderRef: r.str(),
+    transmit: r.bool(),
+    parentId: r.int() || 0,
+  };
+  skip(r, 4); // blockOrder, sweepToFill, displaySize, triggerMethod
+  order.outsideRth = r.bool();
+  r.str(); // hidden
+
+  if (contract.secType === BAG) {
+    skipLegs(r, 8); // comboLegs
+    skipLegs(r, 1); // orderComboLegs
+    skipLegs(r, 2); // smartComboRoutingParams
+  }
+
+  r.str(); // sharesAllocation
+  r.str(); // discretionaryAmt
+  order.goodAfterTime = r.str();
+  order.goodTillDate = r.str();
+  skip(r, 4); // faGroup, faMethod, faPercentage, faProfile
+  skip(r, 2); // shortSaleSlot, designatedLocation
+  r.str(); // exemptCode
+  order.ocaType = r.int();
+  skip(r, 14); // rule80A .. stockRangeUpper
+  r.str(); // overridePercentageConstraints
+  skip(r, 2); // volatility, volatilityType
+  const deltaNeutralOrderType = r.str();
+  r.str(); // deltaNeutralAuxPrice
+  if (deltaNeutralOrderType) skip(r, 8); // conId .. designatedLocation
+  skip(r, 2); // continuousUpdate, referencePriceType
+  order.trailStopPrice = r.float();
+  order.trailingPercent = r.float();
+  skip(r, 2); // scaleInitLevelSize, scaleSubsLevelSize
+  const scalePriceIncrement = r.float();
+  if (scalePriceIncrement > 0) skip(r, 7);
+  skip(r, 3); // scaleTable, activeStartTime, activeStopTime
+  if (r.str()) r.str(); // hedgeType, hedgeParam
+  skip(r, 4); // optOutSmartRouting, clearingAccount, clearingIntent, notHeld
+  skipUnderComp(r);
+  if (r.str()) skipLegs(r, 2); // algoStrategy, algoParams
+  order.whatIf = r.bool();
+
+  return { name: 'placeOrder', version, orderId, contract, order };
+}
+
+function readHistoricalData(r) {
+  const version = r.int();
+  const tickerId = r.int();
+  const contract = readContract(r);
+  const request = {
+    name: 'reqHistoricalData',
+    version,
+    tickerId,
+    contract,
+    includeExpired: r.bool(),
+    endDateTime: r.str(),
+    barSize: r.str(),
+    duration: r.str(),
+    useRTH: r.bool(),
+    whatToShow: r.str(),
+    formatDate: r.int(),
+  };
+  if (contract.secType === BAG) skipLegs(r, 4);
+  r.str(); // linking
+  return request;
+}
+
+function readContractData(r) {
+  const version = r.int();
+  const reqId = r.int();
+  const contract = readContract(r, { primaryExch: false });
+  r.str(); // includeExpired
+  skip(r, 2); // secIdType, secId
+  return { name: 'reqContractDetails', version, reqId, contract };
+}
+
+function readExecutions(r) {
+  const version = r.int();
+  const reqId = r.int();
+  const filter = {
+    clientId: r.int(),
+    acctCode: r.str(),
+    time: r.str(),
+    symbol: r.str(),
+    secType: r.str(),
+    exchange: r.str(),
+    side: r.str(),
+  };
+  return { name: 'reqExecutions', version, reqId, filter };
+}
+
+function readAccountSummary(r) {
+  const version = r.int();
+  const reqId = r.int();
+  const group = r.str();
+  // Callers that pass the tags as an array get one token per tag (the
+  // client flattens it); request ids are numeric, tag names never are
+  const tags = [r.str()];
+  while (r.peek() !== undefined && r.peek() !== '' && Number.isNaN(Number(r.peek()))) {
+    tags.push(r.str());
+  }
+  return {
+    name: 'reqAccountSummary',
+    version,
+    reqId,
+    group,
+    tags: tags.join(',').split(',').filter(Boolean),
+  };
+}
+
+const READERS = {
+  [REQ.MKT_DATA]: readMktData,
+  [REQ.CANCEL_MKT_DATA]: (r) => ({ name: 'cancelMktData', version: r.int(), tickerId: r.int() }),
+  [REQ.PLACE_ORDER]: readPlaceOrder,
+  [REQ.CANCEL_ORDER]: (r) => ({ name: 'cancelOrder', version: r.int(), orderId: r.int() }),
+  [REQ.OPEN_ORDERS]: (r) => ({ name: 'reqOpenOrders', version: r.int() }),
+  [REQ.ACCOUNT_DATA]: (r) => ({ name: 'reqAccountUpdates', version: r.int(), subscribe: r.bool(), account: r.str() }),
+  [REQ.EXECUTIONS]: readExecutions,
+  [REQ.IDS]: (r) => ({ name: 'reqIds', version: r.int(), numIds: r.int() }),
+  [REQ.CONTRACT_DATA]: readContractData,
+  [REQ.AUTO_OPEN_ORDERS]: (r) => ({ name: 'reqAutoOpenOrders', version: r.int(), autoBind: r.bool() }),
+  [REQ.ALL_OPEN_ORDERS]: (r) => ({ name: 'reqAllOpenOrders', version: r.int() }),
+  [REQ.MANAGED_ACCTS]: (r) => ({ name: 'reqManagedAccts', version: r.int() }),
+  [REQ.HISTORICAL_DATA]: readHistoricalData,
+  [REQ.CANCEL_HISTORICAL_DATA]: (r) => ({ name: 'cancelHistoricalData', version: r.int(), tickerId: r.int() }),
+  [REQ.CURRENT_TIME]: (r) => ({ name: 'reqCurrentTime', version: r.int() }),
+  [REQ.GLOBAL_CANCEL]: (r) => ({ name: 'reqGlobalCancel', version: r.int() }),
+  [REQ.MARKET_DATA_TYPE]: (r) => ({ name: 'reqMarketDataType', version: r.int(), marketDataType: r.int() }),
+  [REQ.POSITIONS]: (r) => ({ name: 'reqPositions', version: r.int() }),
+  [REQ.ACCOUNT_SUMMARY]: readAccountSummary,
+  [REQ.CANCEL_ACCOUNT_SUMMARY]: (r) => ({ name: 'cancelAccountSummary', version: r.int(), reqId: r.int() }),
+  [REQ.CANCEL_POSITIONS]: (r) => ({ name: 'cancelPositions', version: r.int() }),
+  [REQ.SEC_DEF_OPT_PARAMS]: (r) => ({
+    name: 'reqSecDefOptParams',
+    reqId: r.int(),
+    underlyingSymbol: r.str(),
+    futFopExchange: r.str(),
+    underlyingSecType: r.str(),
+    underlyingConId: r.int(),
+  }),
+  [REQ.MATCHING_SYMBOLS]: (r) => ({ name: 'reqMatchingSymbols', reqId: r.int(), pattern: r.str() }),
+};
+
+/**
+ * Read one request. Throws Underrun if it isn't complete yet and
+ * UnsupportedRequest for ids the mock has no layout for.
+ */
+export function readRequest(r) {
+  let id;
+  do {
+    id = r.str();
+  } while (id === '');
+
+  const reader = READERS[Number(id)];
+  if (!reader) throw new UnsupportedRequest(id);
+  return { id: Number(id), ...reader(r) };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// REPLIES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Wire form of a message: booleans as 1/0, null/undefined as empty fields
+ */
+export function encode(fields) {
+  return fields
+    .map((value) => {
+      if (value === null || value === undefined) return '';
+      if (typeof value === 'boolean') return value ? '1' : '0';
+      return String(value);
+    })
+    .join(EOL) + EOL;
+}
+
+// Unset numbers go out empty; the client reads them back as "not set"
+const num = (value) => (Number.isFinite(value) ? value : '');
+
+// conId .. currency/localSymbol/tradingClass in the order most replies use
+function contractFields(c, { primaryExch = false, exchange = true } = {}) {
+  return [
+    c.conId,
+    c.symbol,
+    c.secType,
+    c.expiry || '',
+    num(c.strike) || 0,
+    c.right || '',
+    c.multiplier || '',
+    ...(primaryExch ? [c.primaryExch || ''] : []),
+    ...(exchange ? [c.exchange || ''] : []),
+    c.currency,
+    c.localSymbol || c.symbol,
+    c.tradingClass || '',
+  ];
+}
+
+export const messages = {
+  handshake: (time) => [SERVER_VERSION, time],
+
+  nextValidId: (orderId) => [MSG.NEXT_VALID_ID, 1, orderId],
+
+  managedAccounts: (accounts) => [MSG.MANAGED_ACCTS, 1, accounts.join(',')],
+
+  error: (id, code, message) => [MSG.ERR_MSG, 2, id, code, message],
+
+  currentTime: (seconds) => [MSG.CURRENT_TIME, 1, seconds],
+
+  tickPrice: (tickerId, field, price, size = 0) => [MSG.TICK_PRICE, 6, tickerId, field, price, size, 0],
+
+  tickSize: (tickerId, field, size) => [MSG.TICK_SIZE, 6, tickerId, field, size],
+
+  tickGeneric: (tickerId, field, value) => [MSG.TICK_GENERIC, 6, tickerId, field, value],
+
+  tickOptionComputation: (tickerId, field, { iv, delta, price, gamma, vega, theta, underlying }) => [
+    MSG.TICK_OPTION_COMPUTATION, 6, tickerId, field,
+    // -1 / -2 are IB's "not computed" markers
+    iv ?? -1, delta ?? -2, price ?? -1, 0, gamma ?? -2, vega ?? -2, theta ?? -2, underlying ?? -1,
+  ],
+
+  tickSnapshotEnd: (tickerId) => [MSG.TICK_SNAPSHOT_END, 1, tickerId],
+
+  marketDataType: (tickerId, type) => [MSG.MARKET_DATA_TYPE, 1, tickerId, type],
+
+  contractDetails: (reqId, c) => [
+    MSG.CONTRACT_DATA, 8, reqId,
+    c.symbol, c.secType, c.expiry || '', num(c.strike) || 0, c.right || '',
+    c.exchange, c.currency, c.localSymbol || c.symbol,
+    c.marketName || c.tradingClass || c.symbol, c.tradingClass || c.symbol,
+    c.conId, c.minTick || 0.01, c.multiplier || '',
+    'LMT,MKT,STP,TRAIL', c.validExchanges || c.exchange,
+    1, // priceMagnifier
+    c.underConId || 0,
+    c.longName || '', c.primaryExch || '',
+    c.contractMonth || '', c.industry || '', c.category || '', c.subcategory || '',
+    c.timeZoneId || 'US/Eastern', '', '', // tradingHours, liquidHours
+    '', '', // evRule, evMultiplier
+    0, // secIdList
+  ],
+
+  contractDetailsEnd: (reqId) => [MSG.CONTRACT_DATA_END, 1, reqId],
+
+  symbolSamples: (reqId, contracts) => [
+    MSG.SYMBOL_SAMPLES, reqId, contracts.length,
+    ...contracts.flatMap(c => [
+      c.conId, c.symbol, c.secType, c.primaryExch || c.exchange, c.currency,
+      c.options ? 1 : 0, ...(c.options ? ['OPT'] : []),
+    ]),
+  ],
+
+  secDefOptParams: (reqId, { exchange, underConId, tradingClass, multiplier, expirations, strikes }) => [
+    MSG.SECURITY_DEFINITION_OPTION_PARAMETER, reqId, exchange, underConId, tradingClass, multiplier,
+    expirations.length, ...expirations, strikes.length, ...strikes,
+  ],
+
+  secDefOptParamsEnd: (reqId) => [MSG.SECURITY_DEFINITION_OPTION_PARAMETER_END, reqId],
+
+  historicalData: (reqId, start, end, bars) => [
+    MSG.HISTORICAL_DATA, 3, reqId, start, end, bars.length,
+    ...bars.flatMap(b => [b.date, b.open, b.high, b.low, b.close, b.volume, b.wap ?? b.close, 0, b.count ?? 1]),
+  ],
+
+  accountValue: (key, value, currency, account) => [MSG.ACCT_VALUE, 2, key, value, currency, account],
+
+  portfolioValue: (c, position, marketPrice, marketValue, avgCost, unrealizedPnl, realizedPnl, account) => [
+    MSG.PORTFOLIO_VALUE, 8,
+    ...contractFields(c, { primaryExch: true, exchange: false }),
+    position, marketPrice, marketValue, avgCost, unrealizedPnl, realizedPnl, account,
+  ],
+
+  accountUpdateTime: (time) => [MSG.ACCT_UPDATE_TIME, 1, time],
+
+  accountDownloadEnd: (account) => [MSG.ACCT_DOWNLOAD_END, 1, account],
+
+  position: (account, c, position, avgCost) => [
+    MSG.POSITION, 3, account, ...contractFields(c), position, avgCost,
+  ],
+
+  positionEnd: () => [MSG.POSITION_END, 1],
+
+  accountSummary: (reqId, account, tag, value, currency) => [MSG.ACCOUNT_SUMMARY, 1, reqId, account, tag, value, currency],
+
+  accountSummaryEnd: (reqId) => [MSG.ACCOUNT_SUMMARY_END, 1, reqId],
+
+  orderStatus: (o) => [
+    MSG.ORDER_STATUS, 6, o.orderId, o.status, o.filled, o.remaining, o.avgFillPrice,
+    o.permId, o.parentId || 0, o.lastFillPrice || 0, o.clientId, '',
+  ],
+
+  // openOrder v32, read by incoming.js field for field
+  openOrder: (o, state = {}) => {
+    const c = o.contract;
+    const order = o.order;
+    return [
+      MSG.OPEN_ORDER, 32, o.orderId,
+      c.conId, c.symbol, c.secType, c.expiry || '', num(c.strike) || 0, c.right || '', c.multiplier || '',
+      c.exchange || 'SMART', c.currency, c.localSymbol || c.symbol, c.tradingClass || '',
+      order.action, order.totalQuantity, order.orderType, num(order.lmtPrice), num(order.auxPrice),
+      order.tif || 'DAY', order.ocaGroup || '', order.account || o.account, order.openClose || 'O',
+      order.origin || 0, order.orderRef || '',
+      o.clientId, o.permId, order.outsideRth || false, false, 0, // outsideRth, hidden, discretionaryAmt
+      order.goodAfterTime || '', '', // goodAfterTime, sharesAllocation
+      '', '', '', '', // faGroup, faMethod, faPercentage, faProfile
+      order.goodTillDate || '',
+      '', '', '', 0, '', -1, // rule80A, percentOffset, settlingFirm, shortSaleSlot, designatedLocation, exemptCode
+      0, '', '', '', '', '', // auctionStrategy, startingPrice, stockRefPrice, delta, stockRangeLower/Upper
+      0, false, false, false, '', order.ocaType || 0, false, false, '', // displaySize .. nbboPriceCap
+      order.parentId || 0, 0, // parentId, triggerMethod
+      '', 0, '', '', 0, 0, // volatility, volatilityType, deltaNeutralOrderType/AuxPrice, continuousUpdate, referencePriceType
+      num(order.trailStopPrice), num(order.trailingPercent),
+      '', '', '', // basisPoints, basisPointsType, comboLegsDescrip
+      0, 0, 0, // comboLegs, orderComboLegs, smartComboRoutingParams
+      '', '', '', // scaleInitLevelSize, scaleSubsLevelSize, scalePriceIncrement
+      '', false, '', '', false, false, '', // hedgeType, optOutSmartRouting, clearing*, notHeld, underComp, algoStrategy
+      order.whatIf || false,
+      state.status ?? o.status,
+      state.initMargin ?? '', state.maintMargin ?? '', state.equityWithLoan ?? '',
+      num(state.commission), num(state.minCommission), num(state.maxCommission),
+      state.commissionCurrency ?? '', state.warningText ?? '',
+    ];
+  },
+
+  openOrderEnd: () => [MSG.OPEN_ORDER_END, 1],
+
+  execDetails: (reqId, e) => [
+    MSG.EXECUTION_DATA, 10, reqId, e.orderId,
+    ...contractFields(e.contract),
+    e.execId, e.time, e.account, e.exchange || e.contract.primaryExch || 'SMART', e.side, e.shares, e.price,
+    e.permId || 0, e.clientId || 0, 0, e.cumQty ?? e.shares, e.avgPrice ?? e.price, e.orderRef || '',
+    '', '', // evRule, evMultiplier
+  ],
+
+  execDetailsEnd: (reqId) => [MSG.EXECUTION_DATA_END, 1, reqId],
+
+  commissionReport: (e) => [
+    MSG.COMMISSION_REPORT, 1, e.execId, e.commission, e.commissionCurrency || e.contract.currency,
+    e.realizedPnl ?? Number.MAX_VALUE, Number.MAX_VALUE, 0, // realizedPNL, yield, yieldRedemptionDate
+  ],
+};
@@ -0,0 +1,204 @@
+/**
+ * Scenario fixtures for the mock TWS
+ *
+ * A scenario is a JSON file (see mock-tws/scenarios/) describing the
+ * account the mock serves:
+ *
+ *   {
+ *     "description": "...",
+ *     "seed": 42,                          // same seed, same prices and bars
+ *     "account": {
+ *       "id": "DU1234567",
+ *       "baseCurrency": "USD",
+ *       "type": "margin",                  // margin | cash
+ *       "cash": { "USD": 25000 },
+ *       "fxRates": { "EUR": 1.08 }         // base currency per unit
+ *     },
+ *     "market": {
+ *       "dataType": "live",                // live | delayed
+ *       "tickIntervalMs": 2000,            // 0 keeps prices still
+ *       "volatility": 0.0008,              // per tick
+ *       "unknownSymbols": true,            // any other ticker trades as a US stock
+ *       "maxTickers": 100                  // streaming lines per client (error 101 past it)
+ *     },
+ *     "orders": {
+ *       "fill": "immediate",               // immediate | delayed | never | reject
+ *       "fillDelayMs": 1500,
+ *       "partialFills": 1,
+ *       "rejectReason": "...",
+ *       "commission": { "perShare": 0.005, "minimum": 1, "maxPercent": 1, "perContract": 0.65 }
+ *     },
+ *     "contracts": [{ "conId": 265598, "symbol": "AAPL", "primaryExch": "NASDAQ", "price": 190,
+ *                     "options": { "expirations": 6, "strikes": 21, "iv": 0.28 } }],
+ *     "positions": [{ "symbol": "AAPL", "quantity": 100, "avgCost": 150 },
+ *                   { "symbol": "AAPL", "secType": "OPT", "expiry": "monthly:2", "strike": 200,
+ *                     "right": "C", "quantity": 1, "avgCost": 4.2 }],
+ *     "executions": [{ "symbol": "AAPL", "side": "BOT", "shares": 10, "price": 185, "minutesAgo": 90 }],
+ *     "openOrders": [{ "symbol": "AAPL", "action": "SELL", "quantity": 10, "orderType": "LMT", "lmtPrice": 210 }],
+ *     "events": [{ "afterMs": 60000, "type": "disconnect", "downMs": 5000 }]
+ *   }
+ *
+ * avgCost and prices are per share. Option expiries can be given as
+ * "monthly:N" (the Nth upcoming monthly expiry) so fixtures don't go stale.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SCENARIOS_DIR = path.join(__dirname, '..', 'scenarios');
+
+const DEFAULTS = {
+  seed: 1,
+  account: {
+    id: 'DU0000001',
+    baseCurrency: 'USD',
+    type: 'margin',
+    cash: {},
+    fxRates: {},
+  },
+  market: {
+    dataType: 'live',
+    tickIntervalMs: 2000,
+    volatility: 0.0008,
+    unknownSymbols: true,
+    maxTickers: null,
+  },
+  orders: {
+    fill: 'immediate',
+    fillDelayMs: 1500,
+    partialFills: 1,
+    rejectReason: 'Order rejected by the mock TWS scenario',
+    commission: { perShare: 0.005, minimum: 1, maxPercent: 1, perContract: 0.65 },
+  },
+  contracts: [],
+  positions: [],
+  executions: [],
+  openOrders: [],
+  events: [],
+};
+
+/**
+ * Names of the bundled scenarios
+ */
+export function listScenarios() {
+  return fs.readdirSync(SCENARIOS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * Load a scenario by bundled name ("default") or by path to a JSON file,
+ * filling in defaults for anything it leaves out
+ */
+export function loadScenario(nameOrPath = 'default') {
+  const file = fs.existsSync(nameOrPath)
+    ? nameOrPath
+    : path.join(SCENARIOS_DIR, `${nameOrPath}.json`);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Scenario not found: ${nameOrPath} (bundled: ${listScenarios().join(', ')})`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid scenario ${file}: ${err.message}`);
+  }
+
+  return normalizeScenario(raw, path.basename(file, '.json'));
+}
+
+export function normalizeScenario(raw, name = 'custom') {
+  const orders = { ...DEFAULTS.orders, ...raw.orders };
+  orders.commission = { ...DEFAULTS.orders.commission, ...raw.orders?.commission };
+
+  return {
+    ...DEFAULTS,
+    ...raw,
+    name,
+    account: { ...DEFAULTS.account, ...raw.account },
+    market: { ...DEFAULTS.market, ...raw.market },
+    orders,
+  };
+}
+
+/**
+ * Seeded PRNG (mulberry32): scenarios replay the same prices every run
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // Standard normal (Box-Muller)
+  next.normal = () => {
+    const u = Math.max(next(), Number.EPSILON);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * next());
+  };
+  return next;
+}
+
+/**
+ * Stable number for a string, for per-symbol seeds and made-up prices
+ */
+export function hashString(value) {
+  let hash = 2166136261;
+  for (const char of String(value)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export function formatDate(date) {
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+// "YYYYMMDD  HH:mm:ss", the way TWS stamps executions and intraday bars
+export function formatDateTime(date) {
+  return `${formatDate(date)}  ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Third Friday of each month from `from` on (standard monthly expiries)
+ */
+export function monthlyExpiries(count, from = new Date()) {
+  const expiries = [];
+  let year = from.getFullYear();
+  let month = from.getMonth();
+
+  while (expiries.length < count) {
+    const first = new Date(year, month, 1);
+    const thirdFriday = new Date(year, month, 1 + ((5 - first.getDay() + 7) % 7) + 14);
+    if (thirdFriday >= new Date(from.getFullYear(), from.getMonth(), from.getDate())) {
+      expiries.push(formatDate(thirdFriday));
+    }
+    month += 1;
+    if (month > 11) {
+      month = 0;
+      year += 1;
+    }
+  }
+  return expiries;
+}
+
+/**
+ * "monthly:N" -> the Nth upcoming monthly expiry; anything else as-is
+ */
+export function resolveExpiry(value) {
+  const match = String(value || '').match(/^monthly:(\d+)$/);
+  if (!match) return String(value || '');
+  const n = Math.max(1, Number(match[1]));
+  return monthlyExpiries(n)[n - 1];
+}
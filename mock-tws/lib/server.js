@@ -0,0 +1,195 @@
+/**
+ * Mock TWS server: a TCP listener speaking the IB API to `ib` clients
+ *
+ *   const mock = await startMockTws({ scenario: 'default', port: 7499 });
+ *   ...
+ *   await mock.stop();
+ */
+
+import net from 'net';
+import { EventEmitter } from 'events';
+import { loadScenario } from './scenario.js';
+import { MockMarket } from './market.js';
+import { MockBroker } from './broker.js';
+import { MockSession } from './session.js';
+
+export const DEFAULT_PORT = 7499;
+
+// Subscribed account values go out at most this often on price moves;
+// fills push them right away
+const ACCOUNT_PUSH_MS = 10_000;
+
+export class MockTwsServer extends EventEmitter {
+  constructor({ scenario = 'default', port = DEFAULT_PORT, host, log = () => {} } = {}) {
+    super();
+
+    this.scenario = typeof scenario === 'string' ? loadScenario(scenario) : scenario;
+    this.port = port;
+    this.host = host;
+    this.log = log;
+    this.sessions = new Set();
+    this.timers = new Set();
+    this.lastAccountPush = 0;
+
+    this.market = new MockMarket(this.scenario);
+    this.broker = new MockBroker(this.scenario, this.market);
+
+    this.market.on('prices', () => {
+      this.each(s => s.onPrices());
+      if (Date.now() - this.lastAccountPush >= ACCOUNT_PUSH_MS) this.pushAccount();
+    });
+    this.broker.on('order', (record) => this.each(s => s.onOrder(record)));
+    this.broker.on('reject', (record, reason) => this.each(s => s.onReject(record, reason)));
+    this.broker.on('execution', (execution) => {
+      this.log('FILL', `#${execution.orderId} ${execution.side} ${execution.shares} ${execution.contract.localSymbol} @ ${execution.price}`);
+      this.each(s => s.onExecution(execution));
+    });
+    this.broker.on('account', () => this.pushAccount());
+  }
+
+  each(fn) {
+    for (const session of this.sessions) {
+      if (session.state === 'ready') fn(session);
+    }
+  }
+
+  pushAccount() {
+    this.lastAccountPush = Date.now();
+    this.each(s => s.onAccount());
+  }
+
+  isClientIdTaken(session) {
+    return [...this.sessions].some(s => s !== session && s.state === 'ready' && s.clientId === session.clientId);
+  }
+
+  /**
+   * Start listening; resolves with the port (useful with port 0)
+   */
+  start() {
+    this.tcp = net.createServer((socket) => this.accept(socket));
+
+    return new Promise((resolve, reject) => {
+      this.tcp.once('error', reject);
+      this.tcp.listen(this.port, this.host, () => {
+        this.tcp.off('error', reject);
+        this.port = this.tcp.address().port;
+        this.market.start();
+        this.scheduleEvents();
+        resolve(this.port);
+      });
+    });
+  }
+
+  accept(socket) {
+    if (this.down) {
+      socket.destroy();
+      return;
+    }
+
+    const session = new MockSession(socket, {
+      market: this.market,
+      broker: this.broker,
+      server: this,
+      log: this.log,
+    });
+    this.sessions.add(session);
+
+    socket.on('close', () => {
+      this.sessions.delete(session);
+      if (session.state === 'ready') this.log('CONNECT', `Client ${session.clientId} disconnected`);
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // SCRIPTED EVENTS
+  // ═══════════════════════════════════════════════════════════════
+
+  scheduleEvents() {
+    for (const event of this.scenario.events) {
+      const run = () => {
+        try {
+          this.runEvent(event);
+        } catch (err) {
+          this.log('EVENT', `Failed: ${err.message}`);
+        }
+      };
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        run();
+        if (event.everyMs) {
+          const repeat = setInterval(run, event.everyMs);
+          this.timers.add(repeat);
+        }
+      }, event.afterMs || 0);
+      this.timers.add(timer);
+    }
+  }
+
+  runEvent(event) {
+    switch (event.type) {
+      case 'price': {
+        // { symbol, price } or { symbol, changePercent }
+        const [contract] = this.market.find({ symbol: event.symbol, currency: event.currency });
+        if (!contract) throw new Error(`Unknown symbol ${event.symbol}`);
+        const price = event.price ?? contract.price * (1 + (event.changePercent || 0) / 100);
+        this.log('EVENT', `${contract.symbol} -> ${price.toFixed(2)}`);
+        this.market.setPrice(contract, price);
+        this.market.emit('prices');
+        break;
+      }
+
+      case 'error':
+        // { code, message, id } - e.g. 1100 connectivity lost, 2103 farm broken
+        this.log('EVENT', `Error ${event.code}: ${event.message}`);
+        this.each(s => s.error(event.id ?? -1, event.code, event.message || ''));
+        break;
+
+      case 'disconnect':
+        // { downMs } - drop every client and refuse new ones for a while
+        this.log('EVENT', `Disconnecting all clients for ${event.downMs || 0}ms`);
+        this.down = true;
+        for (const session of this.sessions) session.socket.destroy();
+        this.sessions.clear();
+        {
+          const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            this.down = false;
+            this.log('EVENT', 'Accepting connections again');
+          }, event.downMs || 0);
+          this.timers.add(timer);
+        }
+        break;
+
+      default:
+        throw new Error(`Unknown event type ${event.type}`);
+    }
+  }
+
+  stop() {
+    this.market.stop();
+    this.broker.stop();
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+      clearInterval(timer);
+    }
+    this.timers.clear();
+    for (const session of this.sessions) session.socket.destroy();
+    this.sessions.clear();
+
+    return new Promise((resolve) => {
+      if (!this.tcp) return resolve();
+      this.tcp.close(() => resolve());
+    });
+  }
+}
+
+/**
+ * Create and start a mock TWS; resolves with the running server
+ */
+export async function startMockTws(options = {}) {
+  const server = new MockTwsServer(options);
+  await server.start();
+  return server;
+}
+
+export default MockTwsServer;
@@ -0,0 +1,467 @@
+/**
+ * One client connection to the mock TWS
+ *
+ * Reads requests off the socket, answers them from the shared market and
+ * broker, and pushes what a subscription asked for (ticks, account and
+ * position updates, order status) as those change.
+ */
+
+import { TokenReader, Underrun, UnsupportedRequest, readRequest, encode, messages, EOL } from './protocol.js';
+import { ERRORS } from './broker.js';
+import { formatDateTime } from './scenario.js';
+
+// Farm status notices TWS sends right after connecting
+const FARM_NOTICES = [
+  [2104, 'Market data farm connection is OK:usfarm'],
+  [2106, 'HMDS data farm connection is OK:ushmds'],
+  [2158, 'Sec-def data farm connection is OK:secdefil'],
+];
+
+// tickPrice/tickSize fields, live and delayed
+const TICKS = {
+  live: { bid: 1, ask: 2, last: 4, high: 6, low: 7, close: 9, open: 14, bidSize: 0, askSize: 3, lastSize: 5, volume: 8 },
+  delayed: { bid: 66, ask: 67, last: 68, high: 72, low: 73, close: 75, open: 76, bidSize: 69, askSize: 70, lastSize: 71, volume: 74 },
+};
+
+// tickOptionComputation: bid, ask, last, model
+const OPTION_TICKS = {
+  live: [10, 11, 12, 13],
+  delayed: [80, 81, 82, 83],
+};
+
+// reqMarketDataType: 1 live, 2 frozen, 3 delayed, 4 delayed-frozen
+const ACCEPTS_DELAYED = new Set([3, 4]);
+
+export class MockSession {
+  constructor(socket, { market, broker, server, log }) {
+    this.socket = socket;
+    this.market = market;
+    this.broker = broker;
+    this.server = server;
+    this.log = log;
+
+    this.state = 'version'; // version -> clientId -> ready
+    this.clientId = null;
+    this.tokens = [];
+    this.partial = '';
+
+    this.marketDataType = 1;
+    this.marketData = new Map(); // tickerId -> contract (streaming)
+    this.accountUpdates = false;
+    this.positionUpdates = false;
+    this.accountSummaries = new Map(); // reqId -> tags
+
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => this.onData(chunk));
+    socket.on('error', (err) => {
+      // Clients that just drop the socket aren't worth a log line
+      if (err.code !== 'ECONNRESET') this.log('SOCKET', `${this.label}: ${err.message}`);
+    });
+  }
+
+  get label() {
+    return `client ${this.clientId ?? '?'}`;
+  }
+
+  send(fields) {
+    if (this.socket.destroyed) return;
+    this.socket.write(encode(fields));
+  }
+
+  error(id, code, message) {
+    this.send(messages.error(id, code, message));
+  }
+
+  close() {
+    this.socket.end();
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // FRAMING
+  // ═══════════════════════════════════════════════════════════════
+
+  onData(chunk) {
+    const parts = (this.partial + chunk).split(EOL);
+    this.partial = parts.pop();
+    this.tokens.push(...parts);
+
+    while (this.tokens.length > 0) {
+      if (this.state === 'version') {
+        this.tokens.shift();
+        this.state = 'clientId';
+        this.send(messages.handshake(formatDateTime(new Date()) + ' EST'));
+        continue;
+      }
+
+      if (this.state === 'clientId') {
+        this.onClientId(parseInt(this.tokens.shift(), 10));
+        continue;
+      }
+
+      const reader = new TokenReader(this.tokens);
+      let request;
+      try {
+        request = readRequest(reader);
+      } catch (err) {
+        if (err instanceof Underrun) return;
+        if (err instanceof UnsupportedRequest) {
+          // No layout, no way to find the next request: drop what's buffered
+          this.log('REQUEST', `${this.label}: ${err.message}, dropping ${this.tokens.length} tokens`);
+          this.tokens = [];
+          return;
+        }
+        throw err;
+      }
+      this.tokens.splice(0, reader.pos);
+
+      this.log('REQUEST', `${this.label}: ${request.name}`, request.contract?.symbol || '');
+      try {
+        this[request.name]?.(request);
+      } catch (err) {
+        this.log('ERROR', `${this.label}: ${request.name} failed: ${err.message}`);
+      }
+    }
+  }
+
+  onClientId(clientId) {
+    this.clientId = clientId;
+    if (this.server.isClientIdTaken(this)) {
+      this.error(-1, 326, `Unable to connect as the client id is already in use. Retry with a unique client id.`);
+      this.log('CONNECT', `Rejected duplicate clientId ${clientId}`);
+      this.close();
+      return;
+    }
+
+    this.state = 'ready';
+    this.log('CONNECT', `Client ${clientId} connected`);
+    this.send(messages.nextValidId(this.broker.nextOrderId));
+    this.send(messages.managedAccounts([this.broker.accountId]));
+    for (const [code, message] of FARM_NOTICES) {
+      this.error(-1, code, message);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // CONTRACTS
+  // ═══════════════════════════════════════════════════════════════
+
+  reqContractDetails({ reqId, contract }) {
+    const matches = this.market.find(contract);
+    if (matches.length === 0) {
+      this.error(reqId, ERRORS.NO_SECURITY, 'No security definition has been found for the request');
+      return;
+    }
+    for (const match of matches) {
+      this.send(messages.contractDetails(reqId, match));
+    }
+    this.send(messages.contractDetailsEnd(reqId));
+  }
+
+  reqMatchingSymbols({ reqId, pattern }) {
+    this.send(messages.symbolSamples(reqId, this.market.search(pattern)));
+  }
+
+  reqSecDefOptParams({ reqId, underlyingConId }) {
+    const chain = this.market.optionChain(underlyingConId);
+    const underlying = this.market.contracts.get(underlyingConId);
+    if (chain) {
+      this.send(messages.secDefOptParams(reqId, {
+        exchange: 'SMART',
+        underConId: underlyingConId,
+        tradingClass: underlying.symbol,
+        multiplier: chain.multiplier,
+        expirations: chain.expirations,
+        strikes: chain.strikes,
+      }));
+    }
+    this.send(messages.secDefOptParamsEnd(reqId));
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // MARKET DATA
+  // ═══════════════════════════════════════════════════════════════
+
+  reqMarketDataType({ marketDataType }) {
+    this.marketDataType = marketDataType;
+  }
+
+  // What this session gets: live, delayed, or nothing (no subscription)
+  dataMode() {
+    if (this.market.settings.dataType !== 'delayed') return 'live';
+    return ACCEPTS_DELAYED.has(this.marketDataType) ? 'delayed' : null;
+  }
+
+  reqMktData({ tickerId, contract, snapshot }) {
+    const [match] = this.market.find(contract);
+    if (!match) {
+      this.error(tickerId, ERRORS.NO_SECURITY, 'No security definition has been found for the request');
+      return;
+    }
+
+    const mode = this.dataMode();
+    if (!mode) {
+      this.error(tickerId, 354, 'Requested market data is not subscribed. Delayed market data is available.');
+      return;
+    }
+
+    const { maxTickers } = this.market.settings;
+    if (!snapshot && maxTickers && this.marketData.size >= maxTickers) {
+      this.error(tickerId, 101, `Max number of tickers has been reached (${maxTickers})`);
+      return;
+    }
+
+    this.send(messages.marketDataType(tickerId, mode === 'delayed' ? 3 : 1));
+    this.sendQuote(tickerId, match, mode);
+
+    if (snapshot) {
+      this.send(messages.tickSnapshotEnd(tickerId));
+    } else {
+      this.marketData.set(tickerId, match);
+    }
+  }
+
+  sendQuote(tickerId, contract, mode) {
+    const quote = this.market.quote(contract);
+    const fields = TICKS[mode];
+
+    this.send(messages.tickPrice(tickerId, fields.bid, quote.bid, 100));
+    this.send(messages.tickPrice(tickerId, fields.ask, quote.ask, 100));
+    this.send(messages.tickPrice(tickerId, fields.last, quote.last, 100));
+    this.send(messages.tickPrice(tickerId, fields.close, quote.close));
+    if (quote.open !== undefined) {
+      this.send(messages.tickPrice(tickerId, fields.high, quote.high));
+      this.send(messages.tickPrice(tickerId, fields.low, quote.low));
+      this.send(messages.tickPrice(tickerId, fields.open, quote.open));
+      this.send(messages.tickSize(tickerId, fields.volume, Math.round(quote.volume / 100)));
+    }
+
+    if (quote.model) {
+      const [bidTick, askTick, lastTick, modelTick] = OPTION_TICKS[mode];
+      const { iv, delta, price, gamma, vega, theta, underlying } = quote.model;
+      this.send(messages.tickOptionComputation(tickerId, bidTick, { iv, delta, price: quote.bid, underlying }));
+      this.send(messages.tickOptionComputation(tickerId, askTick, { iv, delta, price: quote.ask, underlying }));
+      this.send(messages.tickOptionComputation(tickerId, lastTick, { iv, delta, price: quote.last, underlying }));
+      this.send(messages.tickOptionComputation(tickerId, modelTick, { iv, delta, price, gamma, vega, theta, underlying }));
+    }
+  }
+
+  cancelMktData({ tickerId }) {
+    this.marketData.delete(tickerId);
+  }
+
+  reqHistoricalData({ tickerId, contract, endDateTime, duration, barSize, formatDate }) {
+    const [match] = this.market.find(contract);
+    if (!match) {
+      this.error(tickerId, 162, 'Historical Market Data Service error message:No security definition has been found for the request');
+      return;
+    }
+
+    const bars = this.market.history(match, { duration, barSize, formatDate });
+    const now = new Date();
+    const end = endDateTime || formatDateTime(now);
+    const start = formatDateTime(new Date(now.getTime() - 365 * 86_400_000));
+    this.send(messages.historicalData(tickerId, start, end, bars));
+  }
+
+  cancelHistoricalData() {
+    // Bars go out in one message; nothing left to cancel
+  }
+
+  reqCurrentTime() {
+    this.send(messages.currentTime(Math.floor(Date.now() / 1000)));
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // ACCOUNT
+  // ═══════════════════════════════════════════════════════════════
+
+  reqManagedAccts() {
+    this.send(messages.managedAccounts([this.broker.accountId]));
+  }
+
+  reqAccountUpdates({ subscribe }) {
+    this.accountUpdates = subscribe;
+    if (subscribe) this.sendAccountUpdates();
+  }
+
+  sendAccountUpdates() {
+    const { broker } = this;
+    const account = broker.accountId;
+    const values = broker.accountValues();
+
+    for (const [key, value] of Object.entries(values)) {
+      this.send(messages.accountValue(key, value.toFixed(2), broker.baseCurrency, account));
+    }
+    for (const [currency, amount] of Object.entries(broker.cash)) {
+      this.send(messages.accountValue('CashBalance', amount.toFixed(2), currency, account));
+      this.send(messages.accountValue('ExchangeRate', String(broker.fxRates[currency] ?? 1), currency, account));
+    }
+
+    for (const p of broker.positionList()) {
+      const line = broker.portfolioLine(p);
+      this.send(messages.portfolioValue(
+        line.contract, line.position, line.marketPrice, line.marketValue,
+        line.avgCost, line.unrealizedPnl, line.realizedPnl, account
+      ));
+    }
+
+    const now = new Date();
+    this.send(messages.accountUpdateTime(`${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`));
+    this.send(messages.accountDownloadEnd(account));
+  }
+
+  reqPositions() {
+    this.positionUpdates = true;
+    this.sendPositions();
+  }
+
+  sendPositions() {
+    for (const p of this.broker.positions.values()) {
+      const line = this.broker.portfolioLine(p);
+      // TWS names the primary listing here, not SMART
+      const contract = { ...p.contract, exchange: p.contract.primaryExch };
+      this.send(messages.position(this.broker.accountId, contract, p.quantity, line.avgCost));
+    }
+    this.send(messages.positionEnd());
+  }
+
+  cancelPositions() {
+    this.positionUpdates = false;
+  }
+
+  reqAccountSummary({ reqId, tags }) {
+    this.accountSummaries.set(reqId, tags);
+    this.sendAccountSummary(reqId, tags);
+  }
+
+  sendAccountSummary(reqId, tags) {
+    const values = this.broker.accountValues();
+    const wanted = tags.includes('All') ? Object.keys(values) : tags;
+    for (const tag of wanted) {
+      if (values[tag] === undefined) continue;
+      this.send(messages.accountSummary(reqId, this.broker.accountId, tag, values[tag].toFixed(2), this.broker.baseCurrency));
+    }
+    this.send(messages.accountSummaryEnd(reqId));
+  }
+
+  cancelAccountSummary({ reqId }) {
+    this.accountSummaries.delete(reqId);
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // ORDERS
+  // ═══════════════════════════════════════════════════════════════
+
+  reqIds() {
+    this.send(messages.nextValidId(this.broker.nextOrderId));
+  }
+
+  placeOrder({ orderId, contract, order }) {
+    const [match] = this.market.find(contract);
+    if (!match) {
+      this.error(orderId, ERRORS.NO_SECURITY, 'No security definition has been found for the request');
+      return;
+    }
+
+    if (order.whatIf) {
+      const record = this.broker.newRecord(orderId, this.clientId, match, order, 'PreSubmitted');
+      this.send(messages.openOrder(record, this.broker.whatIf(match, order)));
+      return;
+    }
+
+    this.log('ORDER', `${this.label}: #${orderId} ${order.action} ${order.totalQuantity} ${match.localSymbol} ${order.orderType}` +
+      (Number.isFinite(order.lmtPrice) && order.lmtPrice ? ` @ ${order.lmtPrice}` : ''));
+    const failure = this.broker.placeOrder(this.clientId, orderId, match, order);
+    if (failure) this.error(orderId, failure.code, failure.message);
+  }
+
+  cancelOrder({ orderId }) {
+    const failure = this.broker.cancelOrder(orderId);
+    if (failure) this.error(orderId, failure.code, failure.message);
+  }
+
+  reqGlobalCancel() {
+    this.broker.cancelAll();
+  }
+
+  // Client 0 sees every order; others only their own
+  ownsOrder(record) {
+    return this.clientId === 0 || record.clientId === this.clientId;
+  }
+
+  sendOpenOrders() {
+    for (const record of this.broker.openOrders()) {
+      if (!this.ownsOrder(record)) continue;
+      this.send(messages.openOrder(record));
+      this.send(messages.orderStatus(record));
+    }
+    this.send(messages.openOrderEnd());
+  }
+
+  reqOpenOrders() {
+    this.sendOpenOrders();
+  }
+
+  reqAllOpenOrders() {
+    for (const record of this.broker.openOrders()) {
+      this.send(messages.openOrder(record));
+      this.send(messages.orderStatus(record));
+    }
+    this.send(messages.openOrderEnd());
+  }
+
+  reqAutoOpenOrders() {
+    // Only meaningful for client 0, which already gets every order
+  }
+
+  reqExecutions({ reqId, filter }) {
+    for (const execution of this.broker.executions) {
+      if (filter.symbol && execution.contract.symbol !== filter.symbol) continue;
+      if (filter.secType && execution.contract.secType !== filter.secType) continue;
+      if (filter.side && !execution.side.startsWith(filter.side.slice(0, 1))) continue;
+      if (filter.clientId && execution.clientId !== filter.clientId) continue;
+      this.send(messages.execDetails(reqId, execution));
+    }
+    this.send(messages.execDetailsEnd(reqId));
+    for (const execution of this.broker.executions) {
+      this.send(messages.commissionReport(execution));
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // PUSHED UPDATES (called by the server)
+  // ═══════════════════════════════════════════════════════════════
+
+  onPrices() {
+    const mode = this.dataMode();
+    if (!mode) return;
+    for (const [tickerId, contract] of this.marketData) {
+      this.sendQuote(tickerId, contract, mode);
+    }
+  }
+
+  onAccount() {
+    if (this.accountUpdates) this.sendAccountUpdates();
+    for (const [reqId, tags] of this.accountSummaries) {
+      this.sendAccountSummary(reqId, tags);
+    }
+  }
+
+  onOrder(record) {
+    if (!this.ownsOrder(record)) return;
+    this.send(messages.openOrder(record));
+    this.send(messages.orderStatus(record));
+  }
+
+  onReject(record, reason) {
+    if (!this.ownsOrder(record)) return;
+    this.error(record.orderId, ERRORS.ORDER_REJECTED, `Order rejected - reason:${reason}`);
+  }
+
+  onExecution(execution) {
+    if (this.clientId !== 0 && execution.clientId !== this.clientId) return;
+    this.send(messages.execDetails(-1, execution));
+    this.send(messages.commissionReport(execution));
+    if (this.positionUpdates) this.sendPositions();
+  }
+}
@@ -9,36 +9,66 @@
  * - Simple CSV: date,netLiquidation[,cash]
  *   - date formats: YYYYMMDD | YYYY-MM-DD
  *
+ * Deposits and withdrawals (--cashflows) go to the cash-flow ledger
+ * (~/.folio/cashflows-<account>.jsonl), which the portfolio report uses
+ * instead of guessing them from the NAV series:
+ * - IBKR activity statement CSV (Deposits & Withdrawals section)
+ * - IBKR Flex query CSV with Cash Transactions
+ * Amounts are stored in the account's base currency (--base, USD by
+ * default). Rows in other currencies use the Flex FXRateToBase column or
+ * a rate given with --fx; the import stops if one has neither.
+ *
  * Examples:
  *   node projects/import-portfolio-history.js --account U1234567 --file pa-performance.json
  *   node projects/import-portfolio-history.js --account U1234567 --file allperiods.json --period 1Y
  *   node projects/import-portfolio-history.js --account U1234567 --file history.csv
+ *   node projects/import-portfolio-history.js --account U1234567 --cashflows activity.csv
+ *   node projects/import-portfolio-history.js --account U1234567 --cashflows activity.csv --base USD --fx EUR=1.08
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import { appendJsonl, portfolioHistoryPath } from '../src/lib/persistedJsonl.js';
+import { appendJsonl, cashFlowsPath, portfolioHistoryPath, readJsonl } from '../src/lib/persistedJsonl.js';
+import { cashFlowsInBase, normalizeCashFlow, parseCashFlowCsv } from '../src/lib/cashFlows.js';
 
 function usage() {
   console.log(`
 Usage:
   node projects/import-portfolio-history.js --account <Uxxxxxxx> --file <path> [--period 1Y] [--dry-run]
+  node projects/import-portfolio-history.js --account <Uxxxxxxx> --cashflows <flex-or-activity.csv> [--base USD] [--fx EUR=1.08,GBP=1.27] [--dry-run]
+
+  --fx rates are units of the base currency per unit of the other one.
 `);
 }
 
 function parseArgs(argv) {
-  const args = { period: '1Y', dryRun: false };
+  const args = { period: '1Y', dryRun: false, base: 'USD', fx: {} };
   for (let i = 2; i < argv.length; i++) {
     const a = argv[i];
     if (a === '--account') args.account = argv[++i];
     else if (a === '--file') args.file = argv[++i];
     else if (a === '--period') args.period = argv[++i];
+    else if (a === '--cashflows') args.cashflows = argv[++i];
+    else if (a === '--base') args.base = String(argv[++i] || '').toUpperCase();
+    else if (a === '--fx') args.fx = { ...args.fx, ...parseFxRates(argv[++i]) };
     else if (a === '--dry-run') args.dryRun = true;
     else if (a === '--help' || a === '-h') args.help = true;
   }
   return args;
 }
 
+// "EUR=1.08,GBP=1.27" -> { EUR: 1.08, GBP: 1.27 }
+function parseFxRates(text) {
+  const rates = {};
+  for (const pair of String(text || '').split(',')) {
+    const [currency, value] = pair.split('=').map(p => p.trim());
+    const rate = Number(value);
+    if (!currency || !(rate > 0)) throw new Error(`Invalid --fx rate: "${pair}" (expected CUR=rate)`);
+    rates[currency.toUpperCase()] = rate;
+  }
+  return rates;
+}
+
 function tsFromYyyymmdd(s) {
   if (!s || typeof s !== 'string') return null;
   const m = s.match(/^(\d{4})(\d{2})(\d{2})$/);
@@ -96,13 +126,55 @@ function parseCsv(text) {
   return rows;
 }
 
+async function importCashFlows(args) {
+  const inputPath = path.resolve(process.cwd(), args.cashflows);
+  const parsed = parseCashFlowCsv(await fs.readFile(inputPath, 'utf8'))
+    .map(normalizeCashFlow)
+    .filter(Boolean);
+  if (parsed.length === 0) {
+    throw new Error('No deposits or withdrawals found (expected an IBKR activity statement or Flex query CSV).');
+  }
+
+  // The ledger is in the base currency: nothing goes in unconverted
+  const { flows, missing } = cashFlowsInBase(parsed, args.base, args.fx);
+  if (missing.length > 0) {
+    const currencies = [...new Set(missing.map(f => f.currency))];
+    throw new Error(
+      `${missing.length} rows are in ${currencies.join(', ')}, not ${args.base}. ` +
+      `Give a rate for each: --fx ${currencies.map(c => `${c}=<${args.base} per ${c}>`).join(',')}`
+    );
+  }
+
+  // Re-importing the same statement must not double the entries
+  const outPath = cashFlowsPath(args.account);
+  const known = new Set((await readJsonl(outPath)).map(l => l?.id));
+  const fresh = flows.filter(f => !known.has(f.id));
+
+  const net = fresh.reduce((sum, f) => sum + f.amount, 0);
+  console.log(`Importing ${fresh.length} cash flows (${flows.length - fresh.length} already there, net ${net.toFixed(2)}) → ${outPath}`);
+  if (args.dryRun) {
+    console.log('dry-run: nothing written.');
+    return;
+  }
+
+  for (const f of fresh) {
+    await appendJsonl(outPath, f);
+  }
+  console.log('OK');
+}
+
 async function main() {
   const args = parseArgs(process.argv);
-  if (args.help || !args.account || !args.file) {
+  if (args.help || !args.account || (!args.file && !args.cashflows)) {
     usage();
     process.exit(args.help ? 0 : 1);
   }
 
+  if (args.cashflows) {
+    await importCashFlows(args);
+    if (!args.file) return;
+  }
+
   const inputPath = path.resolve(process.cwd(), args.file);
   const ext = path.extname(inputPath).toLowerCase();
   const raw = await fs.readFile(inputPath, 'utf8');
@@ -21,7 +21,8 @@ import { WebSocketServer } from 'ws';
 import { IBConnection } from './lib/ib-connection.js';
 import { PortfolioManager } from './lib/portfolio.js';
 import { TradeExecutor } from './lib/trade.js';
-import { loadFavorites } from './lib/favorites.js';
+import { loadFavorites, addFavorite, removeFavorite } from './lib/favorites.js';
+import { AlertMonitor } from './lib/alerts.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -133,15 +134,28 @@ wss.on('connection', (ws, req) => {
 let ibConnection = null;
 let portfolioManager = null;
 let tradeExecutor = null;
+let alertMonitor = null;
 
 async function initializeIB() {
   log('IB', 'Initializing Interactive Brokers connection...');
   log('IB', `Host: ${CONFIG.ibHost}, Port: ${CONFIG.ibPort}, ClientId: ${CONFIG.ibClientId}`);
 
+  // Si TWS no está corriendo (o se reinicia de noche) se reintenta solo
   ibConnection = new IBConnection({
     host: CONFIG.ibHost,
     port: CONFIG.ibPort,
     clientId: CONFIG.ibClientId,
+    retryOnFail: true,
+  });
+
+  // Los managers viven lo que el proceso: toman el cliente nuevo al reconectar
+  portfolioManager = new PortfolioManager(ibConnection);
+  tradeExecutor = new TradeExecutor(ibConnection);
+  alertMonitor = new AlertMonitor(ibConnection, portfolioManager);
+
+  // Alertas disparadas: a todos los clientes conectados
+  alertMonitor.on('alert', (alert) => {
+    broadcast({ type: 'ALERT', id: alert.id, symbol: alert.symbol, message: alert.message, ts: alert.ts });
   });
 
   // Eventos de conexión
@@ -149,16 +163,18 @@ async function initializeIB() {
     log('IB', 'Connected to TWS');
     broadcast({ type: 'CONNECTION', status: 'connected' });
 
-    // Iniciar managers
-    portfolioManager = new PortfolioManager(ibConnection);
-    tradeExecutor = new TradeExecutor(ibConnection);
-
-    // Cargar portfolio inicial
+    // Cargar portfolio (también resincroniza después de reconectar)
     refreshPortfolio();
   });
 
+  ibConnection.on('status', ({ status, attempt, retryInMs }) => {
+    if (status !== 'reconnecting' || retryInMs === undefined) return;
+    broadcast({ type: 'CONNECTION', status: 'reconnecting', attempt });
+  });
+
   ibConnection.on('disconnected', () => {
     log('IB', 'Disconnected from TWS');
+    currentState = { ...currentState, connected: false };
     broadcast({ type: 'CONNECTION', status: 'disconnected' });
   });
 
@@ -186,27 +202,28 @@ let currentState = {
   cash: 0,
   positions: [],
   watchlist: [],
+  exposure: null,
 };
 
 async function refreshPortfolio() {
-  if (!portfolioManager) return;
+  if (!portfolioManager || !ibConnection.isConnected()) return;
 
   try {
     log('PORTFOLIO', 'Refreshing portfolio...');
     const { positions, accountData } = await portfolioManager.fetch();
 
-    // Cargar favoritos
-    const favorites = loadFavorites();
+    // Cargar favoritos (~/.folio/watchlists.json, compartido con la terminal)
+    const favorites = await loadFavorites();
 
     // Calcular watchlist (favoritos que no tengo en portfolio)
     const ownedSymbols = new Set(positions.map(p => p.symbol));
-    const watchlistSymbols = favorites.filter(s => !ownedSymbols.has(s));
+    const watchlistEntries = favorites.filter(f => !ownedSymbols.has(f.symbol));
 
     // Obtener precios de watchlist
     const watchlist = [];
-    for (const symbol of watchlistSymbols) {
+    for (const { symbol, contract } of watchlistEntries) {
       try {
-        const price = await portfolioManager.getPrice(symbol);
+        const price = await portfolioManager.getPrice(symbol, contract);
         watchlist.push({
           symbol,
           price: price.last || price.close || 0,
@@ -218,6 +235,14 @@ async function refreshPortfolio() {
       }
     }
 
+    // Exposición por sector / tipo / moneda (la misma que la pantalla de la terminal)
+    let exposure = currentState.exposure;
+    try {
+      exposure = await portfolioManager.exposure();
+    } catch (err) {
+      log('PORTFOLIO', 'Error computing exposure:', err.message);
+    }
+
     // Actualizar estado
     currentState = {
       connected: true,
@@ -233,8 +258,11 @@ async function refreshPortfolio() {
         change: p.unrealizedPnLPercent || 0,
         quantity: p.quantity,
         avgCost: p.avgCost,
+        currency: p.currency,
+        contract: p.contract,
       })),
       watchlist,
+      exposure,
     };
 
     log('PORTFOLIO', `Portfolio updated: $${currentState.total.toFixed(2)}, ${positions.length} positions`);
@@ -242,6 +270,13 @@ async function refreshPortfolio() {
     // Broadcast to all clients
     broadcast({ type: 'STATE', ...currentState });
 
+    // Alertas de precio / P&L / patrimonio con lo recién cargado
+    try {
+      await alertMonitor.check({ positions, accountData });
+    } catch (err) {
+      log('ALERT', 'Check error:', err.message);
+    }
+
   } catch (err) {
     log('PORTFOLIO', 'Refresh error:', err.message);
   }
@@ -253,26 +288,42 @@ function sendFullState(ws) {
   }
 }
 
+function orderResultMessage(result) {
+  if (result.warning?.type === 'tif_preset') return `Order submitted (TIF changed to ${result.warning.tif})`;
+  if (result.warning) return 'Order submitted (market closed)';
+  return result.status === 'Filled' ? 'Order filled' : 'Order submitted';
+}
+
 async function handleClientMessage(ws, message) {
   const { type, symbol, amount, percent } = message;
+  // Opcionales: tif ('DAY' | 'GTC' | 'IOC' | 'OPG' | 'GTD'), goodTillDate, outsideRth
+  const orderOptions = {
+    tif: message.tif || 'DAY',
+    goodTillDate: message.goodTillDate || null,
+    outsideRth: !!message.outsideRth,
+  };
 
   if (type === 'BUY') {
     log('TRADE', `Buy order: ${symbol} for $${amount}`);
 
-    if (!tradeExecutor) {
+    if (!ibConnection?.isConnected()) {
       ws.send(JSON.stringify({ type: 'ORDER_FAIL', message: 'Not connected to IB' }));
       return;
     }
 
     try {
+      // Si ya la tenemos, comprar el mismo listado (moneda/exchange)
+      const contract = currentState.positions.find(p => p.symbol === symbol)?.contract || null;
+
       // Calcular cantidad de acciones
-      const price = await portfolioManager.getPrice(symbol);
+      const price = await portfolioManager.getPrice(symbol, contract);
       const currentPrice = price.last || price.close;
       if (!currentPrice) {
         ws.send(JSON.stringify({ type: 'ORDER_FAIL', message: 'Could not fetch price' }));
         return;
       }
 
+      // `amount` va en la moneda del listado (el precio también)
       const quantity = Math.floor(amount / currentPrice);
       if (quantity <= 0) {
         ws.send(JSON.stringify({ type: 'ORDER_FAIL', message: 'Amount too low' }));
@@ -280,14 +331,14 @@ async function handleClientMessage(ws, message) {
       }
 
       log('TRADE', `Buying ${quantity} shares of ${symbol} at ~$${currentPrice}`);
-      const result = await tradeExecutor.buy(symbol, quantity);
+      const result = await tradeExecutor.buy(symbol, quantity, { ...orderOptions, contract });
 
       ws.send(JSON.stringify({
         type: 'ORDER_OK',
         action: 'BUY',
         symbol,
         quantity,
-        message: result.warning ? 'Order submitted (market closed)' : 'Order filled'
+        message: orderResultMessage(result)
       }));
 
       // Refrescar portfolio después de un momento
@@ -302,7 +353,7 @@ async function handleClientMessage(ws, message) {
   if (type === 'SELL') {
     log('TRADE', `Sell order: ${symbol} ${percent}%`);
 
-    if (!tradeExecutor) {
+    if (!ibConnection?.isConnected()) {
       ws.send(JSON.stringify({ type: 'ORDER_FAIL', message: 'Not connected to IB' }));
       return;
     }
@@ -322,14 +373,14 @@ async function handleClientMessage(ws, message) {
       }
 
       log('TRADE', `Selling ${quantity} shares of ${symbol}`);
-      const result = await tradeExecutor.sell(symbol, quantity);
+      const result = await tradeExecutor.sell(symbol, quantity, { ...orderOptions, contract: position.contract });
 
       ws.send(JSON.stringify({
         type: 'ORDER_OK',
         action: 'SELL',
         symbol,
         quantity,
-        message: result.warning ? 'Order submitted (market closed)' : 'Order filled'
+        message: orderResultMessage(result)
       }));
 
       // Refrescar portfolio después de un momento
@@ -341,6 +392,46 @@ async function handleClientMessage(ws, message) {
     }
   }
 
+  if (type === 'ADD_FAVORITE' || type === 'REMOVE_FAVORITE') {
+    // Opcional: `list` (nombre de la watchlist; por defecto Favorites)
+    const ticker = String(symbol || '').trim().toUpperCase();
+    if (!/^[A-Z0-9.\- ]{1,20}$/.test(ticker)) {
+      ws.send(JSON.stringify({ type: 'FAVORITE_FAIL', message: 'Invalid symbol' }));
+      return;
+    }
+    // Nombres como "__proto__" o "constructor" pisarían el prototipo de las listas
+    const list = typeof message.list === 'string' ? message.list.trim() : message.list;
+    if (list !== undefined && (typeof list !== 'string' || !list || list.length > 40 || list in Object.prototype)) {
+      ws.send(JSON.stringify({ type: 'FAVORITE_FAIL', message: 'Invalid list name' }));
+      return;
+    }
+
+    try {
+      if (type === 'ADD_FAVORITE') {
+        await addFavorite(ticker, list);
+      } else {
+        await removeFavorite(ticker, list);
+      }
+      log('FAVORITES', `${type === 'ADD_FAVORITE' ? 'Added' : 'Removed'} ${ticker}${list ? ` (${list})` : ''}`);
+    } catch (err) {
+      log('FAVORITES', 'Save error:', err.message);
+      ws.send(JSON.stringify({ type: 'FAVORITE_FAIL', message: err.message }));
+      return;
+    }
+
+    if (ibConnection?.isConnected()) {
+      await refreshPortfolio();
+    } else {
+      // Sin conexión no hay precios, pero la lista sí cambia
+      const owned = new Set(currentState.positions.map(p => p.symbol));
+      const favorites = await loadFavorites();
+      currentState.watchlist = favorites
+        .filter(f => !owned.has(f.symbol))
+        .map(f => currentState.watchlist.find(w => w.symbol === f.symbol) || { symbol: f.symbol, price: 0, change: 0 });
+      broadcast({ type: 'STATE', ...currentState });
+    }
+  }
+
   if (type === 'REFRESH') {
     await refreshPortfolio();
   }
@@ -350,7 +441,8 @@ async function handleClientMessage(ws, message) {
 // ACTUALIZACIONES PERIÓDICAS
 // ═══════════════════════════════════════════════════════════════
 
-// Refrescar portfolio cada 30 segundos
+// Refrescar portfolio cada 30 segundos (también es la resolución de las
+// alertas de precio, ver lib/alerts.js)
 setInterval(() => {
   if (ibConnection?.isConnected() && clients.size > 0) {
     refreshPortfolio();
@@ -0,0 +1,90 @@
+/**
+ * Alertas para el servidor
+ *
+ * Las reglas son las de la terminal (~/.folio/alerts.json, formato en
+ * core/alerts.js). Se releen en cada refresco del portfolio, se evalúan con
+ * precios frescos de los símbolos que piden, y los cambios de estado de
+ * órdenes llegan por core/orders.js. Emite 'alert' para reenviar por WS.
+ *
+ * Las reglas de precio, cambio diario y net liquidation no siguen cotizaciones
+ * en vivo: se miran en cada refresco del portfolio (cada 30 s mientras haya
+ * clientes conectados), así que esa es su resolución. Un precio que cruza y
+ * vuelve entre dos refrescos no dispara. Los fills sí llegan al momento.
+ */
+
+import { EventEmitter } from 'events';
+import { AlertEngine, parseAlertRules } from '../../core/alerts.js';
+import { OrderService } from '../../core/orders.js';
+import { alertsPath, readJsonStrict } from '../../src/lib/persistedJsonl.js';
+
+function log(...args) {
+  const timestamp = new Date().toISOString().split('T')[1].slice(0, -1);
+  console.log(`[${timestamp}] [ALERTS]`, ...args);
+}
+
+export class AlertMonitor extends EventEmitter {
+  constructor(ibConnection, portfolioManager) {
+    super();
+    this.portfolioManager = portfolioManager;
+    this.engine = new AlertEngine();
+    this.orders = new OrderService(ibConnection);
+    this.lastErrors = '';
+
+    this.engine.on('alert', (alert) => {
+      log(alert.message);
+      this.emit('alert', alert);
+    });
+    this.orders.on('status', (order, previousStatus) => this.engine.orderStatus(order, previousStatus));
+
+    // Suscribirse a órdenes con cada conexión (el cliente cambia al reconectar)
+    // y soltar el cliente viejo al caerse
+    ibConnection.on('connected', () => this.orders.start());
+    ibConnection.on('disconnected', () => this.orders.stop());
+  }
+
+  /**
+   * Releer reglas y evaluarlas contra el portfolio recién cargado
+   */
+  async check({ positions, accountData }) {
+    let rules = this.engine.rules;
+    let errors;
+    try {
+      ({ rules, errors } = parseAlertRules(await readJsonStrict(alertsPath(), null)));
+    } catch (err) {
+      // Un alerts.json que no se puede leer deja las reglas que había hasta que se arregle
+      errors = [err.message];
+    }
+    if (errors.join('\n') !== this.lastErrors) {
+      errors.forEach(e => log('alerts.json:', e));
+      this.lastErrors = errors.join('\n');
+    }
+    this.engine.setRules(rules);
+    if (rules.length === 0) return;
+
+    // Símbolos con regla de precio o de cambio diario ("cualquier posición" = todas)
+    const symbols = new Set();
+    for (const rule of rules) {
+      if (rule.type === 'price' || (rule.type === 'dayChange' && rule.symbol)) symbols.add(rule.symbol);
+      if (rule.type === 'dayChange' && !rule.symbol) positions.forEach(p => symbols.add(p.symbol));
+    }
+
+    const quotes = {};
+    for (const symbol of symbols) {
+      const contract = positions.find(p => p.symbol === symbol)?.contract || null;
+      try {
+        const price = await this.portfolioManager.getPrice(symbol, contract);
+        quotes[symbol] = { price: price.last || price.close, changePercent: price.changePercent };
+      } catch (err) {
+        log(`No price for ${symbol}:`, err.message);
+      }
+    }
+
+    this.engine.evaluate({
+      quotes,
+      positions: positions.map(p => p.symbol),
+      netLiquidation: accountData.netLiquidation,
+    });
+  }
+}
+
+export default AlertMonitor;
@@ -1,69 +1,81 @@
 /**
- * Carga la lista de favoritos (watchlist)
+ * Favoritos (watchlist) del servidor
  *
- * Los favoritos se definen en `server/favorites.json` (local, no se commitea).
- * En el repo se incluye `server/favorites.example.json` como referencia.
- * Es un simple array de símbolos.
+ * Son una lista de ~/.folio/watchlists.json, compartido con la terminal
+ * (formato en src/lib/watchlists.js); por defecto la lista "Favorites".
+ * La primera vez que no existe el archivo se crea con lo que hubiera en
+ * `server/favorites.json` (el formato anterior, un array de símbolos) o,
+ * si tampoco existe, con `server/favorites.example.json`.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  DEFAULT_WATCHLIST,
+  addToWatchlist,
+  loadWatchlists,
+  normalizeWatchlists,
+  removeFromWatchlist,
+  updateWatchlists,
+} from '../../src/lib/watchlists.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const FAVORITES_FILE = path.join(__dirname, '..', 'favorites.json');
+const LEGACY_FAVORITES_FILE = path.join(__dirname, '..', 'favorites.json');
 const FAVORITES_EXAMPLE_FILE = path.join(__dirname, '..', 'favorites.example.json');
 
-// Favoritos por defecto si no existe el archivo
+// Favoritos por defecto si no hay nada de dónde copiarlos
 const DEFAULT_FAVORITES = ['NVDA', 'AMD', 'MSFT', 'GOOGL', 'AMZN'];
 
-/**
- * Cargar favoritos desde archivo
- */
-export function loadFavorites() {
-  try {
-    if (fs.existsSync(FAVORITES_FILE)) {
-      const content = fs.readFileSync(FAVORITES_FILE, 'utf-8');
-      const favorites = JSON.parse(content);
-
-      if (Array.isArray(favorites)) {
-        return favorites.map(s => s.toUpperCase());
+function readSeed() {
+  for (const file of [LEGACY_FAVORITES_FILE, FAVORITES_EXAMPLE_FILE]) {
+    try {
+      if (fs.existsSync(file)) {
+        const favorites = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        if (Array.isArray(favorites) && favorites.length > 0) return favorites;
       }
+    } catch (err) {
+      console.log(`[FAVORITES] Error reading ${path.basename(file)}:`, err.message);
     }
-  } catch (err) {
-    console.log('[FAVORITES] Error loading favorites:', err.message);
   }
+  return DEFAULT_FAVORITES;
+}
 
-  // Crear archivo por defecto (desde el ejemplo si existe)
-  let seed = DEFAULT_FAVORITES;
+/**
+ * Favoritos de `list`: [{ symbol, contract }] (contract null para el
+ * listado por defecto en SMART/USD)
+ */
+export async function loadFavorites(list = DEFAULT_WATCHLIST) {
   try {
-    if (fs.existsSync(FAVORITES_EXAMPLE_FILE)) {
-      const example = JSON.parse(fs.readFileSync(FAVORITES_EXAMPLE_FILE, 'utf-8'));
-      if (Array.isArray(example) && example.length > 0) {
-        seed = example;
-      }
+    let lists = await loadWatchlists();
+    if (!lists) {
+      // Crear watchlists.json con los favoritos de antes
+      lists = await updateWatchlists(current => (
+        Object.keys(current).length > 0 ? current : normalizeWatchlists({ [DEFAULT_WATCHLIST]: readSeed() })
+      ));
+      console.log('[FAVORITES] Watchlists file created from the server favorites');
     }
-    fs.writeFileSync(FAVORITES_FILE, JSON.stringify(seed, null, 2));
-    console.log('[FAVORITES] Favorites file created with defaults');
+    return lists[list] || [];
   } catch (err) {
-    // Ignorar
+    // Un watchlists.json que no se puede leer no se vuelve a sembrar: se deja como está
+    console.log('[FAVORITES] Error loading favorites:', err.message);
+    return [];
   }
-
-  return seed.map(s => String(s).toUpperCase());
 }
 
 /**
- * Guardar favoritos
+ * Añadir / quitar un símbolo (lanza si no se puede guardar). Añadir crea la
+ * lista si no existe; quitar solo vale para listas que ya existen.
  */
-export function saveFavorites(favorites) {
-  try {
-    const normalized = favorites.map(s => s.toUpperCase());
-    fs.writeFileSync(FAVORITES_FILE, JSON.stringify(normalized, null, 2));
-    return true;
-  } catch (err) {
-    console.log('[FAVORITES] Error saving favorites:', err.message);
-    return false;
-  }
+export function addFavorite(symbol, list = DEFAULT_WATCHLIST) {
+  return updateWatchlists(current => addToWatchlist(current, list, symbol));
+}
+
+export function removeFavorite(symbol, list = DEFAULT_WATCHLIST) {
+  return updateWatchlists((current) => {
+    if (!Object.hasOwn(current, list)) throw new Error(`No watchlist named "${list}"`);
+    return removeFromWatchlist(current, list, symbol);
+  });
 }
 
-export default { loadFavorites, saveFavorites };
+export default { loadFavorites, addFavorite, removeFavorite };
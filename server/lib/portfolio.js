@@ -1,11 +1,24 @@
 /**
- * Portfolio Manager (sin React)
+ * Portfolio Manager para el servidor
  *
- * Obtiene posiciones y datos de cuenta desde IB
+ * Posiciones, datos de cuenta y precios salen de core/ (los mismos
+ * servicios que usa la terminal); acá se adaptan a lo que espera la PWA.
  */
 
-const ACCOUNT_SUMMARY_REQ_ID = 9001;
-const PRICE_REQ_ID_BASE = 10000;
+import { PortfolioService } from '../../core/portfolio.js';
+import { MarketDataService } from '../../core/market-data.js';
+import {
+  DEFAULT_CONCENTRATION_THRESHOLD,
+  exposureBreakdown,
+  fetchClassifications,
+} from '../../core/exposure.js';
+import { preferencesPath, readJson } from '../../src/lib/persistedJsonl.js';
+
+const PRICE_CACHE_TTL = 30000; // 30 segundos
+const PRICE_TIMEOUT = 5000;
+// Un símbolo sin sector (búsqueda fallida o vencida) no se vuelve a buscar
+// en cada refresh: cada intento puede tardar hasta el timeout del contrato
+const CLASSIFICATION_RETRY_MS = 30 * 60 * 1000; // 30 minutos
 
 function log(...args) {
   const timestamp = new Date().toISOString().split('T')[1].slice(0, -1);
@@ -14,242 +27,90 @@ function log(...args) {
 
 export class PortfolioManager {
   constructor(ibConnection) {
-    this.ibConnection = ibConnection;
-    this.priceReqCounter = 0;
-    this.priceCache = new Map(); // symbol -> { price, timestamp }
-    this.CACHE_TTL = 30000; // 30 segundos
+    this.connection = ibConnection;
+    this.portfolio = new PortfolioService(ibConnection);
+    this.marketData = new MarketDataService(ibConnection);
+    this.classifications = {};
+    this.classificationFailures = new Map(); // symbol -> último intento fallido
   }
 
   /**
    * Obtener portfolio completo (posiciones + datos de cuenta)
    */
-  fetch() {
-    return new Promise((resolve, reject) => {
-      const client = this.ibConnection.getClient();
-      if (!client || !this.ibConnection.isConnected()) {
-        reject(new Error('Not connected to IB'));
-        return;
-      }
-
-      const positions = [];
-      const accountData = {
-        netLiquidation: 0,
-        totalCashValue: 0,
-        availableFunds: 0,
-        buyingPower: 0,
-        dailyPnL: 0,
-      };
-
-      let accountSummaryDone = false;
-      let positionsDone = false;
-
-      const checkComplete = () => {
-        if (accountSummaryDone && positionsDone) {
-          cleanup();
-          log(`Fetch complete: ${positions.length} positions, NLV: $${accountData.netLiquidation.toFixed(2)}`);
-          resolve({ positions, accountData });
-        }
-      };
-
-      // Timeout
-      const timeout = setTimeout(() => {
-        cleanup();
-        reject(new Error('Timeout fetching portfolio'));
-      }, 15000);
-
-      // Account Summary
-      const onAccountSummary = (reqId, account, tag, value, currency) => {
-        if (reqId !== ACCOUNT_SUMMARY_REQ_ID) return;
-
-        const numValue = parseFloat(value);
-
-        switch (tag) {
-          case 'NetLiquidation':
-            accountData.netLiquidation = numValue;
-            break;
-          case 'TotalCashValue':
-            accountData.totalCashValue = numValue;
-            break;
-          case 'AvailableFunds':
-            accountData.availableFunds = numValue;
-            break;
-          case 'BuyingPower':
-            accountData.buyingPower = numValue;
-            break;
-        }
-      };
-
-      const onAccountSummaryEnd = (reqId) => {
-        if (reqId !== ACCOUNT_SUMMARY_REQ_ID) return;
-        accountSummaryDone = true;
-        checkComplete();
-      };
-
-      // Positions
-      const onPosition = (account, contract, position, avgCost) => {
-        if (position !== 0 && contract.secType === 'STK') {
-          const existingIndex = positions.findIndex(p => p.symbol === contract.symbol);
-
-          const positionData = {
-            symbol: contract.symbol,
-            secType: contract.secType,
-            quantity: position,
-            avgCost: avgCost,
-            marketValue: position * avgCost,
-            currency: contract.currency || 'USD',
-            unrealizedPnL: 0,
-            unrealizedPnLPercent: 0,
-          };
-
-          if (existingIndex >= 0) {
-            positions[existingIndex] = positionData;
-          } else {
-            positions.push(positionData);
-          }
-        }
-      };
-
-      const onPositionEnd = () => {
-        positionsDone = true;
-        checkComplete();
-      };
-
-      // PnL updates (para P&L diario)
-      const onPnL = (reqId, dailyPnL, unrealizedPnL, realizedPnL) => {
-        accountData.dailyPnL = dailyPnL || 0;
-      };
-
-      const cleanup = () => {
-        clearTimeout(timeout);
-        client.removeListener('accountSummary', onAccountSummary);
-        client.removeListener('accountSummaryEnd', onAccountSummaryEnd);
-        client.removeListener('position', onPosition);
-        client.removeListener('positionEnd', onPositionEnd);
-        client.removeListener('pnl', onPnL);
-
-        try {
-          client.cancelAccountSummary(ACCOUNT_SUMMARY_REQ_ID);
-        } catch (e) {
-          // Ignorar
-        }
-      };
-
-      // Registrar listeners
-      client.on('accountSummary', onAccountSummary);
-      client.on('accountSummaryEnd', onAccountSummaryEnd);
-      client.on('position', onPosition);
-      client.on('positionEnd', onPositionEnd);
-      client.on('pnl', onPnL);
-
-      // Solicitar datos
-      client.reqAccountSummary(
-        ACCOUNT_SUMMARY_REQ_ID,
-        'All',
-        ['NetLiquidation', 'TotalCashValue', 'AvailableFunds', 'BuyingPower']
-      );
-      client.reqPositions();
+  async fetch() {
+    const { positions, accountData } = await this.portfolio.fetch();
+
+    // La PWA solo opera acciones
+    const stocks = positions
+      .filter(p => p.secType === 'STK')
+      .map(p => {
+        const cost = p.quantity * p.avgCost;
+        return {
+          ...p,
+          unrealizedPnL: p.unrealizedPNL || 0,
+          unrealizedPnLPercent: p.unrealizedPNL && cost ? (p.unrealizedPNL / Math.abs(cost)) * 100 : 0,
+        };
+      });
+
+    log(`Fetch complete: ${stocks.length} positions, NLV: $${accountData.netLiquidation.toFixed(2)}`);
+    // El cliente `ib` no tiene reqPnL: sin P&L diario por ahora
+    return { positions: stocks, accountData: { ...accountData, dailyPnL: 0 } };
+  }
 
-      // Solicitar PnL de la cuenta
-      if (this.ibConnection.accountId) {
-        try {
-          client.reqPnL(9002, this.ibConnection.accountId, '');
-        } catch (e) {
-          // Puede no estar disponible
-        }
+  /**
+   * Exposición por sector, tipo y moneda del último fetch (todas las
+   * posiciones, no solo acciones). El umbral de concentración es el mismo
+   * que usa la terminal (~/.folio/preferences.json).
+   */
+  async exposure() {
+    const { positions, accountData, fxRates, baseCurrency } = this.portfolio.snapshot();
+
+    const now = Date.now();
+    const missing = positions.filter(p =>
+      !this.classifications[p.symbol] &&
+      now - (this.classificationFailures.get(p.symbol) || 0) >= CLASSIFICATION_RETRY_MS
+    );
+    const client = this.connection.getClient();
+    if (missing.length > 0 && client) {
+      const found = await fetchClassifications(client, missing);
+      Object.assign(this.classifications, found);
+      for (const p of missing) {
+        if (found[p.symbol]) this.classificationFailures.delete(p.symbol);
+        else this.classificationFailures.set(p.symbol, now);
       }
+    }
+
+    const prefs = await readJson(preferencesPath(), {}).catch(() => ({}));
+    return exposureBreakdown({
+      positions,
+      accountData,
+      fxRates,
+      baseCurrency,
+      classifications: this.classifications,
+      threshold: prefs?.concentrationThreshold ?? DEFAULT_CONCENTRATION_THRESHOLD,
     });
   }
 
   /**
-   * Obtener precio de un símbolo
+   * Obtener precio de un símbolo (en la moneda del listado). `contract` es
+   * opcional: el de la posición, para acciones fuera de US.
    */
-  getPrice(symbol) {
-    // Verificar cache
-    const cached = this.priceCache.get(symbol);
-    if (cached && (Date.now() - cached.timestamp) < this.CACHE_TTL) {
-      return Promise.resolve(cached.price);
+  async getPrice(symbol, contract = null) {
+    const quote = await this.marketData.snapshot(symbol, contract, {
+      timeoutMs: PRICE_TIMEOUT,
+      cacheTtlMs: PRICE_CACHE_TTL,
+    });
+    if (!quote) {
+      throw new Error(`Timeout fetching price for ${symbol}`);
     }
 
-    return new Promise((resolve, reject) => {
-      const client = this.ibConnection.getClient();
-      if (!client || !this.ibConnection.isConnected()) {
-        reject(new Error('Not connected to IB'));
-        return;
-      }
-
-      const reqId = PRICE_REQ_ID_BASE + (++this.priceReqCounter);
-      const priceData = { last: 0, bid: 0, ask: 0, close: 0, changePercent: 0 };
-      let resolved = false;
-
-      const timeout = setTimeout(() => {
-        if (!resolved) {
-          cleanup();
-          // Si tenemos algún precio, usarlo
-          if (priceData.last || priceData.close) {
-            this.priceCache.set(symbol, { price: priceData, timestamp: Date.now() });
-            resolve(priceData);
-          } else {
-            reject(new Error(`Timeout fetching price for ${symbol}`));
-          }
-        }
-      }, 5000);
-
-      const onTickPrice = (tickerId, field, price, canAutoExecute) => {
-        if (tickerId !== reqId) return;
-
-        // Field codes: 1=bid, 2=ask, 4=last, 9=close
-        switch (field) {
-          case 1:
-            priceData.bid = price;
-            break;
-          case 2:
-            priceData.ask = price;
-            break;
-          case 4:
-            priceData.last = price;
-            break;
-          case 9:
-            priceData.close = price;
-            break;
-        }
-
-        // Si tenemos precio last o bid/ask, resolver
-        if (priceData.last > 0 || (priceData.bid > 0 && priceData.ask > 0)) {
-          if (!resolved) {
-            resolved = true;
-            cleanup();
-            this.priceCache.set(symbol, { price: priceData, timestamp: Date.now() });
-            resolve(priceData);
-          }
-        }
-      };
-
-      const onTickGeneric = (tickerId, field, value) => {
-        if (tickerId !== reqId) return;
-
-        // Field 49 = halted
-        // Field 1009 = markPrice (para algunos brokers)
-      };
-
-      const cleanup = () => {
-        clearTimeout(timeout);
-        client.removeListener('tickPrice', onTickPrice);
-        client.removeListener('tickGeneric', onTickGeneric);
-
-        try {
-          client.cancelMktData(reqId);
-        } catch (e) {
-          // Ignorar
-        }
-      };
-
-      client.on('tickPrice', onTickPrice);
-      client.on('tickGeneric', onTickGeneric);
-
-      // Solicitar datos de mercado
-      const contract = client.contract.stock(symbol, 'SMART', 'USD');
-      client.reqMktData(reqId, contract, '', true, false, []);
-    });
+    return {
+      last: quote.last || quote.price,
+      bid: quote.bid || 0,
+      ask: quote.ask || 0,
+      close: quote.close || 0,
+      changePercent: quote.changePercent,
+    };
   }
 }
 
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { Box, Text, useInput } from 'ink';
+import { parseExecutionTime } from '../../core/executions.js';
 
 const debug = (...args) => {
   if (process.argv.includes('--debug')) {
@@ -7,33 +8,6 @@ const debug = (...args) => {
   }
 };
 
-/**
- * Parse IB execution time to Date object
- * Format: "YYYYMMDD HH:MM:SS" or "YYYYMMDD  HH:MM:SS" (double space)
- */
-const parseExecutionTime = (timeStr) => {
-  if (!timeStr) return null;
-
-  // Handle both single and double space between date and time
-  const normalized = timeStr.replace(/\s+/g, ' ').trim();
-  const [datePart, timePart] = normalized.split(' ');
-
-  if (!datePart || datePart.length !== 8) return null;
-
-  const year = parseInt(datePart.slice(0, 4), 10);
-  const month = parseInt(datePart.slice(4, 6), 10) - 1;
-  const day = parseInt(datePart.slice(6, 8), 10);
-
-  let hours = 0, minutes = 0;
-  if (timePart) {
-    const [h, m] = timePart.split(':');
-    hours = parseInt(h, 10) || 0;
-    minutes = parseInt(m, 10) || 0;
-  }
-
-  return new Date(year, month, day, hours, minutes);
-};
-
 /**
  * Format execution time for display
  * - Today: "14:30"
@@ -76,6 +50,14 @@ const formatExecutionTime = (timeStr) => {
   return `${date.getDate()} ${months[date.getMonth()]}`;
 };
 
+/**
+ * Commission in its own currency
+ */
+const formatFee = (value, currency) => {
+  if (!currency || currency === 'USD') return formatMoney(value);
+  return `${value.toFixed(2)} ${currency}`;
+};
+
 /**
  * Format money for display
  */
@@ -90,13 +72,15 @@ const formatMoney = (value) => {
  * Design: Minimal log of trades
  * - One line per execution
  * - + green for buys, - red for sells
- * - Symbol, quantity × price, time
+ * - Symbol, quantity × price, time, commission once IB reports it
  * - Navigate with arrows, Enter to view chart, Esc to go back
+ * - r opens realized gains over the whole persisted history
  */
 export function ActivityScreen({
   executions,
   loading,
   onViewChart,
+  onRealized,
   onBack,
 }) {
   const [selectedIndex, setSelectedIndex] = useState(0);
@@ -118,6 +102,9 @@ export function ActivityScreen({
         debug('View chart for:', selected.symbol);
         onViewChart?.(selected.symbol);
       }
+    } else if (input === 'r') {
+      debug('Opening realized gains');
+      onRealized?.();
     }
   });
 
@@ -135,6 +122,9 @@ export function ActivityScreen({
     return (
       <Box flexDirection="column" padding={1}>
         <Text color="gray">No activity today</Text>
+        <Box marginTop={1}>
+          <Text color="gray" dimColor>[r] Realized gains  [Esc] Back</Text>
+        </Box>
       </Box>
     );
   }
@@ -151,13 +141,17 @@ export function ActivityScreen({
           />
         ))}
       </Box>
+
+      <Box marginTop={1}>
+        <Text color="gray" dimColor>[↑↓] Navigate  [Enter] Chart  [r] Realized gains  [Esc] Back</Text>
+      </Box>
     </Box>
   );
 }
 
 /**
  * Single execution row
- * Format: ▸ +  GOOG    19 × $174.23      14:30
+ * Format: ▸ +  GOOG    19 × $174.23      14:30  fee $1.00
  */
 function ExecutionRow({ execution, isSelected }) {
   const isBuy = execution.side === 'BOT';
@@ -182,7 +176,12 @@ function ExecutionRow({ execution, isSelected }) {
       <Text color="gray">{quantityPrice.padEnd(20)}</Text>
 
       {/* Time */}
-      <Text color="gray">{timeText}</Text>
+      <Text color="gray">{timeText.padEnd(11)}</Text>
+
+      {/* Commission */}
+      {execution.commission !== null && execution.commission !== undefined && (
+        <Text color="gray" dimColor>fee {formatFee(execution.commission, execution.commissionCurrency)}</Text>
+      )}
     </Box>
   );
 }
@@ -12,22 +12,27 @@ function debug(...args) {
  * Calculate cash reserved by pending BUY orders
  * This prevents users from placing orders they can't afford
  *
- * We use a 1.05 (5%) buffer because:
+ * Orders placed here after a what-if preview reserve notional + IB's
+ * commission estimate. Anything else (placed elsewhere, or before this
+ * session) falls back to a 1.05 (5%) buffer because:
  * - IB may use different prices (bid/ask spread)
  * - IB includes estimated commissions (~$1 per order)
  * - IB may have additional safety margins
+ *
+ * Costs are in each order's listing currency (and the commission in its own),
+ * converted with `fxRateFor` to the base currency the cash is in.
  */
 const ORDER_COST_BUFFER = 1.05; // 5% safety margin
 
-function calculateReservedCash(pendingOrders, prices, getHistoricalData, chartPeriod) {
+function calculateReservedCash(pendingOrders, prices, getHistoricalData, chartPeriod, orderEstimates = {}, fxRateFor = () => 1) {
   if (!pendingOrders || pendingOrders.length === 0) return 0;
 
   let reserved = 0;
   for (const order of pendingOrders) {
     if (order.action !== 'BUY') continue;
 
-    // Try to get price: realtime > historical > 0
-    let price = prices[order.symbol]?.price;
+    // Try to get price: limit > realtime > historical > 0
+    let price = order.limitPrice || prices[order.symbol]?.price;
     if (!price) {
       const historicalData = getHistoricalData?.(order.symbol, chartPeriod);
       if (historicalData?.length > 0) {
@@ -36,10 +41,20 @@ function calculateReservedCash(pendingOrders, prices, getHistoricalData, chartPe
     }
 
     if (price) {
-      // Apply buffer to match IB's conservative calculation
-      const estimatedCost = order.quantity * price * ORDER_COST_BUFFER;
+      const estimate = orderEstimates[order.orderId];
+      const commission = estimate?.commission != null
+        ? estimate.commission * fxRateFor(estimate.commissionCurrency)
+        : null;
+      const rate = fxRateFor(order.contract?.currency);
+      const notional = order.quantity * price * (order.multiplier || 1) * rate;
+      const estimatedCost = commission != null
+        ? notional + commission
+        : notional * ORDER_COST_BUFFER; // Buffer to match IB's conservative calculation
       reserved += estimatedCost;
-      debug(`Reserved cash for ${order.symbol}: ${order.quantity} × $${price} × ${ORDER_COST_BUFFER} = $${estimatedCost.toFixed(2)}`);
+      debug(`Reserved cash for ${order.symbol}: ${order.quantity} × ${price}`
+        + (rate !== 1 ? ` × ${rate} FX` : '')
+        + (commission != null ? ` + ${commission} commission` : ` × ${ORDER_COST_BUFFER}`)
+        + ` = ${estimatedCost.toFixed(2)}`);
     }
   }
 
@@ -50,46 +65,79 @@ function calculateReservedCash(pendingOrders, prices, getHistoricalData, chartPe
 import { useIBConnection } from '../hooks/useIBConnection.js';
 import { usePortfolio } from '../hooks/usePortfolio.js';
 import { useMarketData } from '../hooks/useMarketData.js';
+import { useStreamingQuotes } from '../hooks/useStreamingQuotes.js';
 import { useTrade } from '../hooks/useTrade.js';
 import { useHistoricalData, DEFAULT_PERIOD } from '../hooks/useHistoricalData.js';
 import { useExecutions } from '../hooks/useExecutions.js';
 import { useOrders } from '../hooks/useOrders.js';
 import { usePortfolioHistory } from '../hooks/usePortfolioHistory.js';
 import { useExecutionHistory } from '../hooks/useExecutionHistory.js';
+import { useRealizedGains } from '../hooks/useRealizedGains.js';
+import { useCashFlows } from '../hooks/useCashFlows.js';
+import { usePreference } from '../hooks/usePreference.js';
+import { useTargets } from '../hooks/useTargets.js';
+import { useExposure } from '../hooks/useExposure.js';
+import { useWatchlists } from '../hooks/useWatchlists.js';
+import { useAlerts } from '../hooks/useAlerts.js';
+import { useContractLookup } from '../hooks/useContractLookup.js';
+import { useOptionChain } from '../hooks/useOptionChain.js';
+import { contractLabel, contractMultiplier, contractSpec } from '../../core/contracts.js';
+import { DEFAULT_CONCENTRATION_THRESHOLD } from '../../core/exposure.js';
+import { DEFAULT_WATCHLIST, watchlistHas } from '../lib/watchlists.js';
 
 import { Loading, ConnectionError, OrderResult } from './Loading.jsx';
 import Portfolio from './Portfolio.jsx';
 import BuyScreen from './BuyScreen.jsx';
 import SellScreen from './SellScreen.jsx';
+import ProtectScreen from './ProtectScreen.jsx';
 import SearchScreen from './SearchScreen.jsx';
-import ChartScreen from './ChartScreen.jsx';
+import ChartScreen, { DEFAULT_CHART_VIEW } from './ChartScreen.jsx';
 import ActivityScreen from './ActivityScreen.jsx';
+import RealizedGainsScreen from './RealizedGainsScreen.jsx';
+import RebalanceScreen from './RebalanceScreen.jsx';
+import ExposureScreen from './ExposureScreen.jsx';
+import WatchlistScreen from './WatchlistScreen.jsx';
+import CashFlowsScreen from './CashFlowsScreen.jsx';
 import OrdersScreen from './OrdersScreen.jsx';
 import PortfolioReportScreen from './PortfolioReportScreen.jsx';
+import OptionChainScreen from './OptionChainScreen.jsx';
 import Breadcrumb from './Breadcrumb.jsx';
+import { AlertBanner, AlertRulesWarning, ConnectionBanner } from './StatusBar.jsx';
+
+// History behind the watchlist's sparklines
+const WATCHLIST_SPARK_PERIOD = '1M';
 
 // Screen name translations for breadcrumb and back button
 const SCREEN_NAMES = {
   portfolio: 'home',
   report: 'report',
+  cashflows: 'deposits',
   chart: 'chart',
+  options: 'options',
   buy: 'buy',
   sell: 'sell',
+  protect: 'protect',
   search: 'search',
   activity: 'activity',
+  realized: 'realized',
+  rebalance: 'rebalance',
+  exposure: 'exposure',
+  watchlist: 'watchlist',
   orders: 'orders',
 };
 
-// Screens: connecting, error, portfolio, chart, buy, sell, search, order-result, activity, orders
+// Screens: connecting, error, portfolio, report, cashflows, chart, options, buy, sell, protect, search, order-result, activity, realized, rebalance, exposure, watchlist, orders
 export function App({ paperTrading = false }) {
   const { exit } = useApp();
 
-  const port = paperTrading ? 7497 : 7496;
+  // IB_PORT points the live connection elsewhere (e.g. the mock TWS)
+  const port = paperTrading ? 7497 : parseInt(process.env.IB_PORT || '7496', 10);
   debug('App initialized with paperTrading:', paperTrading, 'port:', port);
   const {
     status: connectionStatus,
     error: connectionError,
     accountId,
+    reconnect,
     connect,
     disconnect,
     getClient,
@@ -100,6 +148,9 @@ export function App({ paperTrading = false }) {
     positions,
     accountData,
     computed,
+    baseCurrency,
+    fxRates,
+    fxRateFor,
     loading: portfolioLoading,
     refresh: refreshPortfolio,
   } = usePortfolio(getClient, isConnected, accountId);
@@ -107,12 +158,17 @@ export function App({ paperTrading = false }) {
   const {
     prices,
     fetchPrice,
+    subscribe: subscribeQuotes,
+    isStreaming,
     isLoading: isPriceLoading,
   } = useMarketData(getClient, isConnected);
 
   const {
     buy,
     sell,
+    submitBracket,
+    modifyOrder,
+    previewOrder,
     orderStatus,
     loading: orderLoading,
     error: orderError,
@@ -136,9 +192,22 @@ export function App({ paperTrading = false }) {
     orders: pendingOrders,
     loading: ordersLoading,
     cancelOrder,
+    waitForFill,
+    onStatusChange: onOrderStatusChange,
     pendingCount,
   } = useOrders(getClient, isConnected);
 
+  const { findListings, matchSymbols } = useContractLookup(getClient, isConnected);
+
+  const {
+    fetchChain: fetchOptionChain,
+    fetchQuotes: fetchOptionQuotes,
+    getChain: getOptionChain,
+    getQuote: getOptionQuote,
+    isLoading: isOptionChainLoading,
+    getError: getOptionChainError,
+  } = useOptionChain(getClient, isConnected);
+
   // ═══════════════════════════════════════════════════════════════
   // NAVIGATION STACK SYSTEM
   // ═══════════════════════════════════════════════════════════════
@@ -172,6 +241,8 @@ export function App({ paperTrading = false }) {
     setChartPosition(null);
     setBuySymbol(null);
     setSellData(null);
+    setProtectData(null);
+    setOptionsSymbol(null);
   }, []);
 
   // Initialize navigation when connected
@@ -183,9 +254,13 @@ export function App({ paperTrading = false }) {
   const [chartPeriod, setChartPeriod] = useState(DEFAULT_PERIOD);
   const [chartSymbol, setChartSymbol] = useState(null); // Symbol being viewed in chart
   const [chartPosition, setChartPosition] = useState(null); // Position if owned
+  const [optionsSymbol, setOptionsSymbol] = useState(null); // Underlying of the option chain
   const [buySymbol, setBuySymbol] = useState(null);
   const [sellData, setSellData] = useState(null);
+  const [protectData, setProtectData] = useState(null);
   const [lastOrderResult, setLastOrderResult] = useState(null);
+  const [orderEstimates, setOrderEstimates] = useState({}); // orderId -> what-if preview
+  const [pickedContracts, setPickedContracts] = useState({}); // symbol -> listing picked in search
 
   const { history: portfolioHistory, seedIfEmpty: seedPortfolioHistory } = usePortfolioHistory({
     accountId,
@@ -200,6 +275,88 @@ export function App({ paperTrading = false }) {
     executions,
   });
 
+  const realizedGains = useRealizedGains({ accountId, executions: allExecutions });
+
+  const cashFlows = useCashFlows({
+    accountId,
+    history: portfolioHistory,
+    executions: allExecutions,
+    baseCurrency,
+    fxRates,
+  });
+
+  // Benchmark drawn over the portfolio report, kept between sessions
+  const [benchmark, setBenchmark] = usePreference('benchmark', 'SPY');
+
+  // Chart style, volume pane and indicators, kept between sessions
+  const [chartView, setChartView] = usePreference('chartView', DEFAULT_CHART_VIEW);
+
+  // Target weights for the rebalancing planner (~/.folio/targets.json)
+  const rebalanceTargets = useTargets();
+
+  // Sector / type / currency breakdown; sectors are looked up on the screen
+  const [concentrationThreshold, setConcentrationThreshold] = usePreference(
+    'concentrationThreshold',
+    DEFAULT_CONCENTRATION_THRESHOLD
+  );
+  const exposure = useExposure(getClient, isConnected, {
+    positions,
+    accountData,
+    fxRates,
+    baseCurrency,
+    threshold: concentrationThreshold,
+    active: screen === 'exposure',
+  });
+
+  // Named watchlists (~/.folio/watchlists.json, shared with the mobile
+  // server); search and the chart add to the one last open
+  const watchlists = useWatchlists();
+  const [watchlistPreference, setCurrentWatchlist] = usePreference('watchlist', DEFAULT_WATCHLIST);
+  const currentWatchlist = watchlists.lists[watchlistPreference]
+    ? watchlistPreference
+    : Object.keys(watchlists.lists)[0];
+  const watchlistEntries = watchlists.lists[currentWatchlist] || [];
+
+  // Listing details (exchange, currency, conId) for a symbol so quotes,
+  // charts and orders hit the same contract: the one picked in search, else
+  // the position's, else the one saved in a watchlist
+  const contractFor = useCallback((symbol) => {
+    return pickedContracts[symbol] ||
+      positions.find(p => p.symbol === symbol)?.contract ||
+      Object.values(watchlists.lists).flat().find(e => e.symbol === symbol)?.contract ||
+      null;
+  }, [pickedContracts, positions, watchlists.lists]);
+
+  const rememberContract = useCallback((symbol, contract) => {
+    if (!contract) return;
+    setPickedContracts(prev => (prev[symbol] === contract ? prev : { ...prev, [symbol]: contract }));
+  }, []);
+
+  // Streaming quotes for what's on screen: positions always (the portfolio
+  // is home), the open watchlist and the chart's symbol while they're shown
+  const streamedSymbols = useMemo(() => {
+    const entries = positions.map(p => ({ symbol: p.symbol, contract: p.contract }));
+    if (screen === 'watchlist') {
+      entries.push(...watchlistEntries);
+    }
+    if (screen === 'chart' && chartSymbol) {
+      entries.push({ symbol: chartSymbol, contract: chartPosition?.contract || contractFor(chartSymbol) });
+    }
+    return entries;
+  }, [positions, screen, watchlistEntries, chartSymbol, chartPosition, contractFor]);
+  useStreamingQuotes(subscribeQuotes, streamedSymbols);
+
+  // Price, P&L and order alerts from ~/.folio/alerts.json
+  const alerts = useAlerts({
+    isConnected,
+    prices,
+    positions,
+    accountData,
+    fetchPrice,
+    contractFor,
+    onOrderStatusChange,
+  });
+
   // Conectar al iniciar - SOLO UNA VEZ
   const hasConnectedRef = React.useRef(false);
   useEffect(() => {
@@ -229,26 +386,46 @@ export function App({ paperTrading = false }) {
     }
   }, [connectionStatus, screen, connectionError, initializeNavigation]);
 
-  // Cargar precios de posiciones al conectar
+  // Snapshots para las posiciones que no tienen línea en streaming
+  // (límite de líneas de IB)
   useEffect(() => {
     if (isConnected && positions.length > 0) {
-      positions.forEach(pos => {
-        fetchPrice(pos.symbol).catch(() => {});
+      positions.filter(pos => !isStreaming(pos.symbol, pos.contract)).forEach(pos => {
+        fetchPrice(pos.symbol, pos.contract).catch(() => {});
       });
     }
-  }, [isConnected, positions, fetchPrice]);
+  }, [isConnected, positions, fetchPrice, isStreaming]);
 
   // Cargar precios de órdenes pendientes (para calcular cash reservado)
   useEffect(() => {
     if (isConnected && pendingOrders.length > 0) {
       debug('Fetching prices for pending orders to calculate reserved cash');
       pendingOrders.forEach(order => {
-        fetchPrice(order.symbol).catch(() => {});
+        const contract = contractFor(order.symbol) || contractSpec(order.contract);
+        fetchPrice(order.symbol, contract).catch(() => {});
         // Also fetch historical as fallback
-        fetchHistorical(order.symbol, chartPeriod).catch(() => {});
+        fetchHistorical(order.symbol, chartPeriod, contract).catch(() => {});
       });
     }
-  }, [isConnected, pendingOrders, fetchPrice, fetchHistorical, chartPeriod]);
+  }, [isConnected, pendingOrders, fetchPrice, fetchHistorical, chartPeriod, contractFor]);
+
+  // Precios de los objetivos que aún no están en cartera (rebalanceo)
+  useEffect(() => {
+    if (!isConnected || screen !== 'rebalance' || !rebalanceTargets.targets) return;
+    Object.keys(rebalanceTargets.targets.targets)
+      .filter(symbol => !positions.some(p => p.symbol === symbol))
+      .forEach(symbol => {
+        fetchPrice(symbol, contractFor(symbol)).catch(() => {});
+      });
+  }, [isConnected, screen, rebalanceTargets.targets, positions, fetchPrice, contractFor]);
+
+  // Un mes de cierres para las sparklines de la watchlist (con caché)
+  useEffect(() => {
+    if (!isConnected || screen !== 'watchlist') return;
+    watchlistEntries.forEach(entry => {
+      fetchHistorical(entry.symbol, WATCHLIST_SPARK_PERIOD, entry.contract).catch(() => {});
+    });
+  }, [isConnected, screen, watchlistEntries, fetchHistorical]);
 
   // Auto-refresh suave: mantener el "pulso" sin pedirlo (30s)
   useEffect(() => {
@@ -270,8 +447,8 @@ export function App({ paperTrading = false }) {
 
   // Calculate effective cash (total cash minus reserved by pending BUY orders)
   const reservedCash = useMemo(() => {
-    return calculateReservedCash(pendingOrders, prices, getHistoricalData, chartPeriod);
-  }, [pendingOrders, prices, getHistoricalData, chartPeriod]);
+    return calculateReservedCash(pendingOrders, prices, getHistoricalData, chartPeriod, orderEstimates, fxRateFor);
+  }, [pendingOrders, prices, getHistoricalData, chartPeriod, orderEstimates, fxRateFor]);
 
   const effectiveCash = useMemo(() => {
     const effective = Math.max(0, (computed.cash || 0) - reservedCash);
@@ -279,9 +456,37 @@ export function App({ paperTrading = false }) {
     return effective;
   }, [computed.cash, reservedCash]);
 
+  // Positions plus targets not held yet, priced in their own currency
+  const rebalanceHoldings = useMemo(() => {
+    const held = positions.map(p => ({
+      symbol: p.symbol,
+      quantity: p.quantity,
+      price: p.marketPrice || prices[p.symbol]?.price || null,
+      value: p.marketValue * fxRateFor(p.currency),
+      multiplier: p.multiplier,
+      rate: fxRateFor(p.currency),
+      contract: p.contract,
+    }));
+    const targetSymbols = Object.keys(rebalanceTargets.targets?.targets || {});
+    const missing = targetSymbols
+      .filter(symbol => !positions.some(p => p.symbol === symbol))
+      .map((symbol) => {
+        const contract = contractFor(symbol);
+        return {
+          symbol,
+          quantity: 0,
+          price: prices[symbol]?.price || null,
+          rate: fxRateFor(contract?.currency || baseCurrency),
+          contract,
+        };
+      });
+    return [...held, ...missing];
+  }, [positions, prices, rebalanceTargets.targets, fxRates, baseCurrency, contractFor]);
+
   // Handlers
-  const handleViewChart = useCallback((symbolOrPosition) => {
-    // Can receive either a position object or a symbol string
+  const handleViewChart = useCallback((symbolOrPosition, pickedContract = null) => {
+    // Can receive either a position object or a symbol string (plus the
+    // listing picked in search, if any)
     const isPosition = typeof symbolOrPosition === 'object';
     const symbol = isPosition ? symbolOrPosition.symbol : symbolOrPosition;
     const position = isPosition ? symbolOrPosition : null;
@@ -294,51 +499,108 @@ export function App({ paperTrading = false }) {
     setChartPeriod(DEFAULT_PERIOD);
 
     // Fetch data
-    fetchPrice(symbol).catch(() => {});
-    fetchHistorical(symbol, DEFAULT_PERIOD).catch(() => {});
-  }, [fetchPrice, fetchHistorical, navigateTo]);
+    const contract = pickedContract || position?.contract || contractFor(symbol);
+    rememberContract(symbol, contract);
+    fetchPrice(symbol, contract).catch(() => {});
+    fetchHistorical(symbol, DEFAULT_PERIOD, contract).catch(() => {});
+  }, [fetchPrice, fetchHistorical, navigateTo, contractFor, rememberContract]);
 
   const handleChartPeriodChange = useCallback((period) => {
     debug('Chart period changed to', period);
     setChartPeriod(period);
     if (chartSymbol) {
-      fetchHistorical(chartSymbol, period).catch(() => {});
+      fetchHistorical(chartSymbol, period, chartPosition?.contract || contractFor(chartSymbol)).catch(() => {});
     }
-  }, [fetchHistorical, chartSymbol]);
+  }, [fetchHistorical, chartSymbol, chartPosition, contractFor]);
 
-  const handleBuy = useCallback((symbol) => {
+  const handleBuy = useCallback((symbol, pickedContract = null) => {
     debug('handleBuy called for:', symbol);
+    rememberContract(symbol, pickedContract);
     setBuySymbol(symbol);
     navigateTo('buy');
     // Fetch both real-time price and historical data (fallback)
-    fetchPrice(symbol).catch(() => {
+    const contract = pickedContract || contractFor(symbol);
+    fetchPrice(symbol, contract).catch(() => {
       debug('fetchPrice failed for', symbol, '- will use historical fallback');
     });
-    fetchHistorical(symbol, chartPeriod).catch(() => {
+    fetchHistorical(symbol, chartPeriod, contract).catch(() => {
       debug('fetchHistorical failed for', symbol);
     });
-  }, [fetchPrice, fetchHistorical, chartPeriod, navigateTo]);
+  }, [fetchPrice, fetchHistorical, chartPeriod, navigateTo, contractFor, rememberContract]);
 
-  const handleSell = useCallback((symbol, quantity) => {
+  const handleSell = useCallback((symbol, quantity, pickedContract = null) => {
     debug('handleSell called for:', symbol, 'quantity:', quantity);
+    rememberContract(symbol, pickedContract);
     setSellData({ symbol, quantity });
     navigateTo('sell');
     // Fetch both real-time price and historical data (fallback)
-    fetchPrice(symbol).catch(() => {
+    const contract = pickedContract || contractFor(symbol);
+    fetchPrice(symbol, contract).catch(() => {
       debug('fetchPrice failed for', symbol, '- will use historical fallback');
     });
-    fetchHistorical(symbol, chartPeriod).catch(() => {
+    fetchHistorical(symbol, chartPeriod, contract).catch(() => {
       debug('fetchHistorical failed for', symbol);
     });
-  }, [fetchPrice, fetchHistorical, chartPeriod, navigateTo]);
+  }, [fetchPrice, fetchHistorical, chartPeriod, navigateTo, contractFor, rememberContract]);
+
+  const handleOptions = useCallback((symbol) => {
+    debug('Opening option chain for', symbol);
+    setOptionsSymbol(symbol);
+    navigateTo('options');
+    fetchOptionChain(symbol, contractFor(symbol)).catch(() => {
+      debug('fetchOptionChain failed for', symbol);
+    });
+  }, [fetchOptionChain, navigateTo, contractFor]);
+
+  const handleOptionQuotes = useCallback((expiry, strikes, options) => {
+    fetchOptionQuotes(getOptionChain(optionsSymbol), expiry, strikes, options).catch(() => {});
+  }, [fetchOptionQuotes, getOptionChain, optionsSymbol]);
+
+  // Options trade under their contract label so they don't collide with the
+  // underlying's symbol (prices, positions, orders)
+  const handleBuyOption = useCallback((spec) => {
+    handleBuy(contractLabel(spec), spec);
+  }, [handleBuy]);
+
+  const handleSellOption = useCallback((spec) => {
+    const label = contractLabel(spec);
+    const held = positions.find(p => p.symbol === label)?.quantity || 0;
+    handleSell(label, held, spec);
+  }, [handleSell, positions]);
+
+  const handleProtect = useCallback((symbol, quantity) => {
+    debug('handleProtect called for:', symbol, 'quantity:', quantity);
+    setProtectData({ symbol, quantity });
+    navigateTo('protect');
+    fetchPrice(symbol, contractFor(symbol)).catch(() => {
+      debug('fetchPrice failed for', symbol, '- will use historical fallback');
+    });
+  }, [fetchPrice, navigateTo, contractFor]);
 
   const handleSearch = useCallback(() => {
     navigateTo('search');
   }, [navigateTo]);
 
-  const handleConfirmBuy = useCallback(async (symbol, quantity) => {
+  // What-if previews for the confirm steps (brackets preview their entry leg)
+  const handlePreviewBuy = useCallback((request) => {
+    const orderType = request.orderType === 'BRACKET' ? 'LMT' : request.orderType;
+    return previewOrder({ ...request, orderType, action: 'BUY', contract: contractFor(request.symbol) });
+  }, [previewOrder, contractFor]);
+
+  const handlePreviewSell = useCallback((request) => {
+    return previewOrder({ ...request, action: 'SELL', contract: contractFor(request.symbol) });
+  }, [previewOrder, contractFor]);
+
+  const handleConfirmBuy = useCallback(async (symbol, quantity, options, preview) => {
     try {
-      const result = await buy(symbol, quantity);
+      const contract = contractFor(symbol);
+      const result = options?.orderType === 'BRACKET'
+        ? await submitBracket({ ...options, symbol, quantity, contract })
+        : await buy(symbol, quantity, { ...options, contract });
+      if (preview) {
+        // Reserve IB's commission estimate for this order instead of a buffer
+        setOrderEstimates(prev => ({ ...prev, [result.orderId]: preview }));
+      }
       setLastOrderResult(result);
       // Order result is a terminal state - we'll navigate home after
       setNavStack(['portfolio', 'order-result']);
@@ -349,11 +611,11 @@ export function App({ paperTrading = false }) {
     } catch (err) {
       console.error('Error buying:', err);
     }
-  }, [buy, refreshExecutions]);
+  }, [buy, submitBracket, refreshExecutions, contractFor]);
 
-  const handleConfirmSell = useCallback(async (symbol, quantity) => {
+  const handleConfirmSell = useCallback(async (symbol, quantity, options) => {
     try {
-      const result = await sell(symbol, quantity);
+      const result = await sell(symbol, quantity, { ...options, contract: contractFor(symbol) });
       setLastOrderResult(result);
       // Order result is a terminal state - we'll navigate home after
       setNavStack(['portfolio', 'order-result']);
@@ -364,7 +626,17 @@ export function App({ paperTrading = false }) {
     } catch (err) {
       console.error('Error selling:', err);
     }
-  }, [sell, refreshExecutions]);
+  }, [sell, refreshExecutions, contractFor]);
+
+  const handleConfirmProtect = useCallback(async (symbol, quantity, options) => {
+    try {
+      const result = await sell(symbol, quantity, { ...options, contract: contractFor(symbol) });
+      setLastOrderResult(result);
+      setNavStack(['portfolio', 'order-result']);
+    } catch (err) {
+      console.error('Error placing stop:', err);
+    }
+  }, [sell, contractFor]);
 
   const handleActivity = useCallback(() => {
     debug('Opening activity screen');
@@ -372,6 +644,92 @@ export function App({ paperTrading = false }) {
     navigateTo('activity');
   }, [refreshExecutions, navigateTo]);
 
+  const handleRealized = useCallback(() => {
+    debug('Opening realized gains');
+    navigateTo('realized');
+  }, [navigateTo]);
+
+  const handleRebalance = useCallback(() => {
+    debug('Opening rebalancing planner');
+    rebalanceTargets.reload();
+    navigateTo('rebalance');
+  }, [rebalanceTargets.reload, navigateTo]);
+
+  // One order after another (sells come first in the plan); a failed order
+  // doesn't stop the rest
+  const handleRebalanceSubmit = useCallback(async (orders) => {
+    const placeOne = async (order) => {
+      const place = order.action === 'SELL' ? sell : buy;
+      try {
+        const result = await place(order.symbol, order.quantity, { contract: order.contract || contractFor(order.symbol) });
+        return { order, result };
+      } catch (err) {
+        debug('Rebalance order failed:', order.action, order.symbol, err?.message);
+        return { order, error: err?.message || 'Order failed' };
+      }
+    };
+
+    const placed = [];
+    for (const order of orders.filter(o => o.action === 'SELL')) {
+      placed.push(await placeOne(order));
+    }
+
+    // El plan cuenta con lo que dejan las ventas: las compras esperan a que
+    // se llenen (una orden aceptada todavía no es efectivo)
+    const buys = orders.filter(o => o.action === 'BUY');
+    let unfilled = null;
+    for (const entry of placed) {
+      if (buys.length === 0) break;
+      if (entry.error || entry.result.status === 'Inactive' || entry.result.status === 'Cancelled') {
+        unfilled = entry.order;
+        continue;
+      }
+      try {
+        const record = await waitForFill(entry.result.orderId);
+        entry.result = { ...entry.result, status: 'Filled', filled: record.filled, avgFillPrice: record.avgFillPrice };
+      } catch (err) {
+        debug('Rebalance sell not filled:', entry.order.symbol, err?.message);
+        entry.error = `${err?.message || 'Not filled'} (#${entry.result.orderId})`;
+        unfilled = entry.order;
+      }
+    }
+
+    for (const order of buys) {
+      placed.push(unfilled
+        ? { order, error: `not placed: the ${unfilled.symbol} sale didn't fill` }
+        : await placeOne(order));
+    }
+
+    setTimeout(() => refreshExecutions(), 1000);
+    refreshPortfolio();
+    return placed;
+  }, [buy, sell, contractFor, waitForFill, refreshExecutions, refreshPortfolio]);
+
+  const handleExposure = useCallback(() => {
+    debug('Opening exposure breakdown');
+    navigateTo('exposure');
+  }, [navigateTo]);
+
+  const handleWatchlist = useCallback(() => {
+    debug('Opening watchlists');
+    watchlists.reload();
+    navigateTo('watchlist');
+  }, [watchlists.reload, navigateTo]);
+
+  // Search and the chart add to (or take out of) the current watchlist
+  const handleToggleWatch = useCallback((symbol, pickedContract = null) => {
+    if (watchlistHas(watchlists.lists, currentWatchlist, symbol)) {
+      watchlists.remove(currentWatchlist, symbol);
+    } else {
+      watchlists.add(currentWatchlist, symbol, pickedContract || contractFor(symbol));
+    }
+  }, [watchlists.lists, watchlists.remove, watchlists.add, currentWatchlist, contractFor]);
+
+  const handleCashFlows = useCallback(() => {
+    debug('Opening deposits & withdrawals');
+    navigateTo('cashflows');
+  }, [navigateTo]);
+
   const handleReport = useCallback(() => {
     debug('Opening portfolio report');
     seedPortfolioHistory();
@@ -383,27 +741,34 @@ export function App({ paperTrading = false }) {
     debug('Opening orders screen');
     // Fetch prices for pending orders symbols
     pendingOrders.forEach(order => {
-      fetchPrice(order.symbol).catch(() => {});
+      fetchPrice(order.symbol, contractFor(order.symbol) || contractSpec(order.contract)).catch(() => {});
     });
     navigateTo('orders');
-  }, [pendingOrders, fetchPrice, navigateTo]);
-
-  const handleOrdersCancel = useCallback(async (orderId) => {
-    debug('Cancelling order:', orderId);
-    try {
-      await cancelOrder(orderId);
-      debug('Order cancelled successfully');
-    } catch (err) {
-      debug('Error cancelling order:', err.message);
-    }
+  }, [pendingOrders, fetchPrice, navigateTo, contractFor]);
+
+  // Receives every orderId of the selected row (all legs for a bracket)
+  const handleOrdersCancel = useCallback(async (orderIds) => {
+    debug('Cancelling orders:', orderIds);
+    const results = await Promise.allSettled(orderIds.map(id => cancelOrder(id)));
+    results.forEach((r, i) => {
+      if (r.status === 'rejected') {
+        debug('Error cancelling order', orderIds[i], ':', r.reason?.message);
+      }
+    });
   }, [cancelOrder]);
 
+  // Errors propagate so OrdersScreen can show IB's rejection inline
+  const handleOrdersModify = useCallback(async (order, changes) => {
+    debug('Modifying order:', order.orderId, changes);
+    return modifyOrder(order, changes);
+  }, [modifyOrder]);
+
   const handleRefresh = useCallback(() => {
     refreshPortfolio();
-    positions.forEach(pos => {
-      fetchPrice(pos.symbol).catch(() => {});
+    positions.filter(pos => !isStreaming(pos.symbol, pos.contract)).forEach(pos => {
+      fetchPrice(pos.symbol, pos.contract).catch(() => {});
     });
-  }, [refreshPortfolio, positions, fetchPrice]);
+  }, [refreshPortfolio, positions, fetchPrice, isStreaming]);
 
   const handleQuit = useCallback(() => {
     disconnect();
@@ -440,6 +805,19 @@ export function App({ paperTrading = false }) {
         <Breadcrumb stack={navStack} screenNames={SCREEN_NAMES} />
       )}
 
+      {/* The portfolio shows the connection state and alerts in its StatusBar */}
+      {!['portfolio', 'connecting', 'error'].includes(screen) && (
+        <Box paddingX={1} flexDirection="column">
+          <ConnectionBanner connectionStatus={connectionStatus} reconnect={reconnect} />
+          {alerts.latest && <AlertBanner alert={alerts.latest} />}
+        </Box>
+      )}
+      {alerts.errors.length > 0 && !['connecting', 'error'].includes(screen) && (
+        <Box paddingX={1}>
+          <AlertRulesWarning errors={alerts.errors} />
+        </Box>
+      )}
+
       {screen === 'connecting' && (
         <Loading message="Connecting to TWS..." />
       )}
@@ -456,15 +834,23 @@ export function App({ paperTrading = false }) {
           positions={positions}
           accountData={accountData}
           computed={computed}
+          baseCurrency={baseCurrency}
+          fxRateFor={fxRateFor}
           accountId={accountId}
           prices={prices}
           loading={portfolioLoading}
           pendingOrdersCount={pendingCount}
+          connectionStatus={connectionStatus}
+          reconnect={reconnect}
+          alert={alerts.latest}
           onViewChart={handleViewChart}
           onBuy={handleBuy}
           onSearch={handleSearch}
           onReport={handleReport}
           onActivity={handleActivity}
+          onRebalance={handleRebalance}
+          onExposure={handleExposure}
+          onWatchlist={handleWatchlist}
           onOrders={handleOrders}
           onRefresh={handleRefresh}
           onQuit={handleQuit}
@@ -474,6 +860,27 @@ export function App({ paperTrading = false }) {
       {screen === 'report' && (
         <PortfolioReportScreen
           history={portfolioHistory}
+          cashFlows={cashFlows.baseFlows}
+          unconvertedFlows={cashFlows.unconverted}
+          suggestions={cashFlows.suggestions}
+          benchmark={benchmark}
+          onBenchmarkChange={setBenchmark}
+          fetchBenchmark={fetchHistorical}
+          getBenchmarkBars={getHistoricalData}
+          onCashFlows={handleCashFlows}
+          onBack={navigateBack}
+        />
+      )}
+
+      {screen === 'cashflows' && (
+        <CashFlowsScreen
+          flows={cashFlows.flows}
+          suggestions={cashFlows.suggestions}
+          baseCurrency={baseCurrency}
+          onAdd={cashFlows.addFlow}
+          onRemove={cashFlows.removeFlow}
+          onConfirm={cashFlows.confirmSuggestion}
+          onDismiss={cashFlows.dismissSuggestion}
           onBack={navigateBack}
         />
       )}
@@ -485,10 +892,35 @@ export function App({ paperTrading = false }) {
           historicalData={getHistoricalData(chartSymbol, chartPeriod)}
           loading={isHistoricalLoading(chartSymbol, chartPeriod)}
           error={getHistoricalError(chartSymbol, chartPeriod)}
-          currentPrice={chartPosition?.marketPrice || prices[chartSymbol]?.price}
+          currentPrice={prices[chartSymbol]?.streaming ? prices[chartSymbol].price : chartPosition?.marketPrice || prices[chartSymbol]?.price}
+          priceSource={prices[chartSymbol]?.streaming ? prices[chartSymbol].source : null}
+          currency={(chartPosition?.contract || contractFor(chartSymbol))?.currency}
+          view={chartView}
+          onViewChange={setChartView}
+          watchlist={currentWatchlist}
+          watched={watchlistHas(watchlists.lists, currentWatchlist, chartSymbol)}
+          onToggleWatch={handleToggleWatch}
           onPeriodChange={handleChartPeriodChange}
           onBuy={handleBuy}
           onSell={handleSell}
+          onProtect={handleProtect}
+          onOptions={(chartPosition?.contract || contractFor(chartSymbol))?.secType === 'OPT' ? null : handleOptions}
+          onBack={navigateBack}
+        />
+      )}
+
+      {screen === 'options' && optionsSymbol && (
+        <OptionChainScreen
+          symbol={optionsSymbol}
+          underlyingPrice={positions.find(p => p.symbol === optionsSymbol)?.marketPrice || prices[optionsSymbol]?.price}
+          currency={contractFor(optionsSymbol)?.currency}
+          chain={getOptionChain(optionsSymbol)}
+          loading={isOptionChainLoading(optionsSymbol)}
+          error={getOptionChainError(optionsSymbol)}
+          getQuote={getOptionQuote}
+          onLoadQuotes={handleOptionQuotes}
+          onBuy={handleBuyOption}
+          onSell={handleSellOption}
           onBack={navigateBack}
         />
       )}
@@ -504,6 +936,8 @@ export function App({ paperTrading = false }) {
           : null;
         const displayPrice = positionPrice || realtimePrice || lastHistoricalPrice;
         const isEstimatedPrice = !positionPrice && !realtimePrice && !!lastHistoricalPrice;
+        // Prices are in the listing's currency, cash in the base currency
+        const currency = contractFor(buySymbol)?.currency || 'USD';
 
         debug('BuyScreen price resolution:', {
           symbol: buySymbol,
@@ -522,8 +956,13 @@ export function App({ paperTrading = false }) {
             currentPrice={displayPrice}
             isEstimatedPrice={isEstimatedPrice}
             priceLoading={isPriceLoading(buySymbol) && !displayPrice}
-            availableCash={effectiveCash}
+            availableCash={effectiveCash / fxRateFor(currency)}
+            currency={currency}
+            baseCurrency={baseCurrency}
+            multiplier={contractMultiplier(contractFor(buySymbol))}
             pendingOrdersCount={pendingCount}
+            accountData={accountData}
+            onPreview={handlePreviewBuy}
             onConfirm={handleConfirmBuy}
             onCancel={navigateBack}
           />
@@ -560,18 +999,54 @@ export function App({ paperTrading = false }) {
             isEstimatedPrice={isEstimatedPrice}
             priceLoading={isPriceLoading(sellData.symbol) && !displayPrice}
             ownedQuantity={sellData.quantity}
+            currency={contractFor(sellData.symbol)?.currency}
+            baseCurrency={baseCurrency}
+            multiplier={contractMultiplier(contractFor(sellData.symbol))}
+            canSellToOpen={contractFor(sellData.symbol)?.secType === 'OPT'}
+            accountData={accountData}
+            onPreview={handlePreviewSell}
             onConfirm={handleConfirmSell}
             onCancel={navigateBack}
           />
         );
       })()}
 
+      {screen === 'protect' && protectData && (() => {
+        const positionForStop = positions.find(p => p.symbol === protectData.symbol);
+        const positionPrice = positionForStop?.marketPrice;
+        const realtimePrice = prices[protectData.symbol]?.price;
+        const historicalData = getHistoricalData(protectData.symbol, chartPeriod);
+        const lastHistoricalPrice = historicalData?.length > 0
+          ? historicalData[historicalData.length - 1].close
+          : null;
+        const displayPrice = positionPrice || realtimePrice || lastHistoricalPrice;
+        const isEstimatedPrice = !positionPrice && !realtimePrice && !!lastHistoricalPrice;
+
+        return (
+          <ProtectScreen
+            symbol={protectData.symbol}
+            currentPrice={displayPrice}
+            isEstimatedPrice={isEstimatedPrice}
+            priceLoading={isPriceLoading(protectData.symbol) && !displayPrice}
+            ownedQuantity={protectData.quantity}
+            currency={positionForStop?.contract?.currency}
+            onConfirm={handleConfirmProtect}
+            onCancel={navigateBack}
+          />
+        );
+      })()}
+
       {screen === 'search' && (
         <SearchScreen
           positions={positions}
           executions={executions}
+          onFindListings={findListings}
+          onMatchSymbols={matchSymbols}
           onViewChart={handleViewChart}
           onBuy={handleBuy}
+          watchlist={currentWatchlist}
+          watched={watchlistEntries.map(e => e.symbol)}
+          onToggleWatch={handleToggleWatch}
           onCancel={navigateBack}
         />
       )}
@@ -581,6 +1056,62 @@ export function App({ paperTrading = false }) {
           executions={executions}
           loading={executionsLoading}
           onViewChart={handleViewChart}
+          onRealized={handleRealized}
+          onBack={navigateBack}
+        />
+      )}
+
+      {screen === 'realized' && (
+        <RealizedGainsScreen
+          method={realizedGains.method}
+          trades={realizedGains.trades}
+          years={realizedGains.years}
+          summarize={realizedGains.summarize}
+          onCycleMethod={realizedGains.cycleMethod}
+          onExport={realizedGains.exportCsv}
+          onViewChart={handleViewChart}
+          onBack={navigateBack}
+        />
+      )}
+
+      {screen === 'rebalance' && (
+        <RebalanceScreen
+          holdings={rebalanceHoldings}
+          cash={effectiveCash}
+          targets={rebalanceTargets.targets}
+          targetsError={rebalanceTargets.error}
+          baseCurrency={baseCurrency}
+          onReload={rebalanceTargets.reload}
+          onSubmit={handleRebalanceSubmit}
+          onBack={navigateBack}
+        />
+      )}
+
+      {screen === 'watchlist' && (
+        <WatchlistScreen
+          lists={watchlists.lists}
+          error={watchlists.error}
+          current={currentWatchlist}
+          prices={prices}
+          getBars={(symbol) => getHistoricalData(symbol, WATCHLIST_SPARK_PERIOD)}
+          onSelectList={setCurrentWatchlist}
+          onViewChart={handleViewChart}
+          onBuy={handleBuy}
+          onSearch={handleSearch}
+          onAdd={(symbol) => watchlists.add(currentWatchlist, symbol)}
+          onRemove={(symbol) => watchlists.remove(currentWatchlist, symbol)}
+          onCreateList={watchlists.createList}
+          onDeleteList={watchlists.removeList}
+          onBack={navigateBack}
+        />
+      )}
+
+      {screen === 'exposure' && (
+        <ExposureScreen
+          breakdown={exposure.breakdown}
+          classifying={exposure.classifying}
+          baseCurrency={baseCurrency}
+          onThresholdChange={setConcentrationThreshold}
           onBack={navigateBack}
         />
       )}
@@ -603,10 +1134,12 @@ export function App({ paperTrading = false }) {
         return (
           <OrdersScreen
             orders={pendingOrders}
+            positions={positions}
             prices={enrichedPrices}
             loading={ordersLoading}
             onViewChart={handleViewChart}
             onCancel={handleOrdersCancel}
+            onModify={handleOrdersModify}
             onBack={navigateBack}
           />
         );
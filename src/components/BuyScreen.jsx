@@ -1,28 +1,87 @@
 import React, { useState } from 'react';
 import { Box, Text, useInput } from 'ink';
 import TextInput from 'ink-text-input';
-import { formatMoney } from '../utils/format.js';
+import { formatMoney, formatTimeInForce } from '../utils/format.js';
+import {
+  OrderTypePicker,
+  LimitPriceInput,
+  TimeInForcePicker,
+  GoodTillDateInput,
+  BUY_ORDER_TYPES,
+  nextOrderType,
+  parsePrice,
+  parseDollarAmount,
+  tifOptionsFor,
+  allowsOutsideRth,
+  parseGoodTillDate,
+} from './OrderTypeStep.jsx';
+import { OrderPreview } from './OrderPreview.jsx';
+import { useOrderPreview } from '../hooks/useOrderPreview.js';
 
 export function BuyScreen({
   symbol,
   currentPrice,
   isEstimatedPrice = false,
   priceLoading,
-  availableCash,
+  availableCash, // In the listing currency
+  currency = 'USD',
+  baseCurrency = 'USD',
+  multiplier = 1, // Prices are per share; an option contract covers `multiplier` shares
   pendingOrdersCount = 0,
+  accountData,
+  onPreview,
   onConfirm,
   onCancel,
 }) {
   const [quantity, setQuantity] = useState('');
-  const [step, setStep] = useState('input'); // input, confirm
+  const [step, setStep] = useState('input'); // input, type, limit, takeProfit, stopLoss, tif, gtd, confirm
+  const [orderType, setOrderType] = useState('MKT');
+  const [limitPrice, setLimitPrice] = useState('');
+  const [takeProfitPrice, setTakeProfitPrice] = useState('');
+  const [stopLossPrice, setStopLossPrice] = useState('');
+  const [tif, setTif] = useState('DAY');
+  const [outsideRth, setOutsideRth] = useState(false);
+  const [goodTillDate, setGoodTillDate] = useState('');
+  const [dollarAmount, setDollarAmount] = useState(null); // set when buying "$X" instead of shares
   const [error, setError] = useState(null);
 
+  const isBracket = orderType === 'BRACKET';
+  // Limit and bracket orders both enter at a limit price
+  const hasLimit = orderType === 'LMT' || isBracket;
+  const tifOptions = tifOptionsFor(orderType);
+  const canOutsideRth = allowsOutsideRth(orderType);
+  const unit = multiplier > 1 ? 'contracts' : 'shares';
+
+  // Step to return to on Esc
+  const previousStep = {
+    type: 'input',
+    limit: 'type',
+    takeProfit: 'limit',
+    stopLoss: 'takeProfit',
+    tif: isBracket ? 'stopLoss' : (hasLimit ? 'limit' : 'type'),
+    gtd: 'tif',
+    confirm: tif === 'GTD' ? 'gtd' : 'tif',
+  };
+
+  const goToTif = () => {
+    // Drop choices the new order type doesn't allow
+    if (!tifOptions.some(t => t.key === tif)) setTif('DAY');
+    if (!canOutsideRth) setOutsideRth(false);
+    setStep('tif');
+  };
+
   // Apply 5% buffer to match IB's conservative validation (commissions, spread, safety margin)
   const ORDER_COST_BUFFER = 1.05;
-  const maxShares = currentPrice > 0 ? Math.floor(availableCash / (currentPrice * ORDER_COST_BUFFER)) : 0;
-  const estimatedCost = quantity ? parseInt(quantity, 10) * currentPrice * ORDER_COST_BUFFER : 0;
+  const unitPrice = currentPrice * multiplier;
+  const maxShares = currentPrice > 0 ? Math.floor(availableCash / (unitPrice * ORDER_COST_BUFFER)) : 0;
 
   const handleSubmit = () => {
+    const dollars = parseDollarAmount(quantity);
+    if (dollars !== null) {
+      handleDollarSubmit(dollars);
+      return;
+    }
+
     const qty = quantity.toLowerCase() === 'max' ? maxShares : parseInt(quantity, 10);
 
     if (isNaN(qty) || qty <= 0) {
@@ -31,29 +90,171 @@ export function BuyScreen({
     }
 
     if (qty > maxShares) {
-      setError(`Max ${maxShares} shares with your available cash`);
+      setError(`Max ${maxShares} ${unit} with your available cash`);
       return;
     }
 
     setError(null);
+    setDollarAmount(null);
     setQuantity(String(qty));
+    setStep('type');
+  };
+
+  const handleDollarSubmit = (dollars) => {
+    if (dollars > availableCash) {
+      setError(`Only ${formatMoney(availableCash, false, currency)} available`);
+      return;
+    }
+
+    const qty = Math.min(Math.floor(dollars / unitPrice), maxShares);
+    if (qty <= 0) {
+      setError(`${formatMoney(dollars, false, currency)} is less than one ${unit.slice(0, -1)}`);
+      return;
+    }
+
+    setError(null);
+    // Dollar buys go out as whole shares, the amount floored at the current
+    // price: the ib client can't send cash-quantity (cashQty) orders
+    setDollarAmount(dollars);
+    setQuantity(String(qty));
+    setStep('type');
+  };
+
+  const handleLimitSubmit = () => {
+    const price = parsePrice(limitPrice);
+    const qty = parseInt(quantity, 10);
+
+    if (!price) {
+      setError('Enter a valid price');
+      return;
+    }
+
+    if (dollarAmount !== null) {
+      // Dollar buys get as many whole shares as the amount covers at the limit
+      const dollarQty = Math.floor(dollarAmount / (price * multiplier));
+      if (dollarQty <= 0) {
+        setError(`${formatMoney(dollarAmount, false, currency)} is less than one ${unit.slice(0, -1)} at this limit`);
+        return;
+      }
+      setQuantity(String(dollarQty));
+    } else if (qty * price * multiplier > availableCash) {
+      setError(`Max ${Math.floor(availableCash / (price * multiplier))} ${unit} at this limit`);
+      return;
+    }
+
+    setError(null);
+    setLimitPrice(price.toFixed(2));
+    if (isBracket) {
+      // Prefill targets around the entry: +10% profit, -5% stop
+      if (!takeProfitPrice) setTakeProfitPrice((price * 1.10).toFixed(2));
+      if (!stopLossPrice) setStopLossPrice((price * 0.95).toFixed(2));
+      setStep('takeProfit');
+    } else {
+      goToTif();
+    }
+  };
+
+  const handleTakeProfitSubmit = () => {
+    const price = parsePrice(takeProfitPrice);
+
+    if (!price || price <= parsePrice(limitPrice)) {
+      setError('Take profit must be above the entry price');
+      return;
+    }
+
+    setError(null);
+    setTakeProfitPrice(price.toFixed(2));
+    setStep('stopLoss');
+  };
+
+  const handleStopLossSubmit = () => {
+    const price = parsePrice(stopLossPrice);
+
+    if (!price || price >= parsePrice(limitPrice)) {
+      setError('Stop loss must be below the entry price');
+      return;
+    }
+
+    setError(null);
+    setStopLossPrice(price.toFixed(2));
+    goToTif();
+  };
+
+  const handleGoodTillDateSubmit = () => {
+    if (!parseGoodTillDate(goodTillDate)) {
+      setError('Enter a date from today on (YYYY-MM-DD)');
+      return;
+    }
+
+    setError(null);
     setStep('confirm');
   };
 
+  const orderOptions = {
+    orderType,
+    limitPrice: hasLimit ? parsePrice(limitPrice) : null,
+    takeProfitPrice: isBracket ? parsePrice(takeProfitPrice) : null,
+    stopLossPrice: isBracket ? parsePrice(stopLossPrice) : null,
+    tif,
+    goodTillDate: tif === 'GTD' ? parseGoodTillDate(goodTillDate) : null,
+    outsideRth,
+  };
+
+  // Ask IB for commission and margin impact once the order is final
+  const whatIf = useOrderPreview(
+    onPreview,
+    step === 'confirm' ? { ...orderOptions, symbol, quantity: parseInt(quantity, 10) } : null
+  );
+
   const handleConfirm = () => {
     const qty = parseInt(quantity, 10);
-    onConfirm?.(symbol, qty);
+    onConfirm?.(symbol, qty, orderOptions, whatIf.preview);
   };
 
   useInput((input, key) => {
     if (key.escape) {
-      if (step === 'confirm') {
+      setError(null);
+      if (previousStep[step] === 'input' && dollarAmount !== null) {
+        // Show the amount again rather than the floored share count
+        setQuantity(`$${dollarAmount}`);
         setStep('input');
+      } else if (previousStep[step]) {
+        setStep(previousStep[step]);
       } else {
         onCancel?.();
       }
-    } else if (key.return && step === 'confirm') {
-      handleConfirm();
+    } else if (step === 'type') {
+      if (key.upArrow) {
+        setOrderType(prev => nextOrderType(prev, -1, BUY_ORDER_TYPES));
+      } else if (key.downArrow) {
+        setOrderType(prev => nextOrderType(prev, 1, BUY_ORDER_TYPES));
+      } else if (key.return) {
+        if (!hasLimit && dollarAmount !== null) {
+          // Back from a limit: market dollar buys floor at the current price again
+          setQuantity(String(Math.min(Math.floor(dollarAmount / unitPrice), maxShares)));
+        }
+        if (hasLimit) {
+          // Prefill with the price shown on screen
+          if (!limitPrice) setLimitPrice(currentPrice.toFixed(2));
+          setStep('limit');
+        } else {
+          goToTif();
+        }
+      }
+    } else if (step === 'tif') {
+      if (key.upArrow) {
+        setTif(prev => nextOrderType(prev, -1, tifOptions));
+      } else if (key.downArrow) {
+        setTif(prev => nextOrderType(prev, 1, tifOptions));
+      } else if (input === 'o' && canOutsideRth) {
+        setOutsideRth(prev => !prev);
+      } else if (key.return) {
+        setStep(tif === 'GTD' ? 'gtd' : 'confirm');
+      }
+    } else if (step === 'confirm') {
+      if (key.return) {
+        handleConfirm();
+      }
     }
   });
 
@@ -87,9 +288,120 @@ export function BuyScreen({
     );
   }
 
+  if (['type', 'limit', 'takeProfit', 'stopLoss', 'tif', 'gtd'].includes(step)) {
+    const qty = parseInt(quantity, 10);
+    // Dollar buys: whole shares the amount covers at the limit being typed
+    const enteredLimit = parsePrice(limitPrice);
+    const limitQty = dollarAmount !== null && enteredLimit ? Math.floor(dollarAmount / (enteredLimit * multiplier)) : qty;
+
+    return (
+      <Box flexDirection="column" padding={1}>
+        <Box
+          borderStyle="round"
+          borderColor="blue"
+          paddingX={2}
+          paddingY={1}
+        >
+          {dollarAmount !== null ? (
+            <Text bold>Buy {formatMoney(dollarAmount, false, currency)} of {symbol}</Text>
+          ) : (
+            <Text bold>Buy {qty} × {symbol}</Text>
+          )}
+        </Box>
+
+        {step === 'type' && (
+          <OrderTypePicker selected={orderType} types={BUY_ORDER_TYPES} />
+        )}
+
+        {step === 'limit' && (
+          <LimitPriceInput
+            currency={currency}
+            label={isBracket ? 'Entry limit' : 'Limit price'}
+            value={limitPrice}
+            onChange={setLimitPrice}
+            onSubmit={handleLimitSubmit}
+            quantity={limitQty}
+            multiplier={multiplier}
+            symbol={symbol}
+            error={error}
+          />
+        )}
+
+        {step === 'takeProfit' && (
+          <LimitPriceInput
+            currency={currency}
+            label="Take profit"
+            value={takeProfitPrice}
+            onChange={setTakeProfitPrice}
+            onSubmit={handleTakeProfitSubmit}
+            quantity={qty}
+            multiplier={multiplier}
+            symbol={symbol}
+            notionalLabel="Proceeds at target"
+            error={error}
+          />
+        )}
+
+        {step === 'stopLoss' && (
+          <LimitPriceInput
+            currency={currency}
+            label="Stop loss"
+            value={stopLossPrice}
+            onChange={setStopLossPrice}
+            onSubmit={handleStopLossSubmit}
+            quantity={qty}
+            multiplier={multiplier}
+            symbol={symbol}
+            notionalLabel="Proceeds at stop"
+            error={error}
+          />
+        )}
+
+        {step === 'tif' && (
+          <TimeInForcePicker
+            selected={tif}
+            options={tifOptions}
+            outsideRth={outsideRth}
+            canOutsideRth={canOutsideRth}
+          />
+        )}
+
+        {step === 'gtd' && (
+          <GoodTillDateInput
+            value={goodTillDate}
+            onChange={setGoodTillDate}
+            onSubmit={handleGoodTillDateSubmit}
+            error={error}
+          />
+        )}
+
+        {/* Footer */}
+        <Box marginTop={1}>
+          {step === 'type' && <Text color="gray">↑↓ type   </Text>}
+          {step === 'tif' && <Text color="gray">↑↓ choose   </Text>}
+          {step === 'tif' && canOutsideRth && <Text color="gray">o outside hours   </Text>}
+          <Text color="gray">Enter </Text>
+          <Text color="white">continue</Text>
+        </Box>
+      </Box>
+    );
+  }
+
   if (step === 'confirm') {
     const qty = parseInt(quantity, 10);
-    const total = qty * currentPrice * ORDER_COST_BUFFER;
+    const isLimit = hasLimit;
+    const limit = parsePrice(limitPrice);
+    // IB's commission estimate replaces the 5% buffer once the preview is in
+    const commission = whatIf.preview?.commission ?? null;
+    const total = isLimit
+      ? qty * limit * multiplier
+      : commission !== null ? qty * unitPrice + commission : qty * unitPrice * ORDER_COST_BUFFER;
+    // What flooring a dollar buy to whole shares leaves uninvested
+    const leftover = dollarAmount !== null
+      ? dollarAmount - qty * (isLimit ? limit : currentPrice) * multiplier
+      : null;
+    const takeProfit = parsePrice(takeProfitPrice);
+    const stopLoss = parsePrice(stopLossPrice);
 
     return (
       <Box flexDirection="column" padding={1}>
@@ -100,7 +412,7 @@ export function BuyScreen({
           paddingX={2}
           paddingY={1}
         >
-          <Text bold color="yellow">Confirm buy?</Text>
+          <Text bold color="yellow">{isBracket ? 'Confirm bracket buy?' : 'Confirm buy?'}</Text>
         </Box>
 
         <Box
@@ -112,28 +424,78 @@ export function BuyScreen({
           paddingY={1}
           gap={1}
         >
+          {dollarAmount !== null && (
+            <Box justifyContent="space-between">
+              <Text color="gray">Amount:</Text>
+              <Text bold>{formatMoney(dollarAmount, false, currency)}</Text>
+            </Box>
+          )}
+
           <Box justifyContent="space-between">
             <Text color="gray">Quantity:</Text>
             <Text bold>{qty} × {symbol}</Text>
           </Box>
 
+          {isLimit ? (
+            <Box justifyContent="space-between">
+              <Text color="gray">{isBracket ? 'Entry limit:' : 'Limit price:'}</Text>
+              <Text bold>{formatMoney(limit, false, currency)}</Text>
+            </Box>
+          ) : (
+            <Box justifyContent="space-between">
+              <Text color="gray">Est. price:</Text>
+              <Text color={isEstimatedPrice ? 'yellow' : undefined}>
+                {isEstimatedPrice ? '~' : ''}{formatMoney(currentPrice, false, currency)}
+              </Text>
+            </Box>
+          )}
+
           <Box justifyContent="space-between">
-            <Text color="gray">Est. price:</Text>
-            <Text color={isEstimatedPrice ? 'yellow' : undefined}>
-              {isEstimatedPrice ? '~' : ''}{formatMoney(currentPrice)}
-            </Text>
+            <Text color="gray">{isLimit ? 'Total at limit:' : 'Est. total:'}</Text>
+            <Text bold color="white">{formatMoney(total, false, currency)}</Text>
           </Box>
 
+          {leftover !== null && (
+            <Box justifyContent="space-between">
+              <Text color="gray">Left over:</Text>
+              <Text color="yellow">{formatMoney(leftover, false, currency)}</Text>
+            </Box>
+          )}
+
           <Box justifyContent="space-between">
-            <Text color="gray">Est. total:</Text>
-            <Text bold color="white">{formatMoney(total)}</Text>
+            <Text color="gray">Time in force:</Text>
+            <Text>{formatTimeInForce({ tif, goodTillDate: parseGoodTillDate(goodTillDate), outsideRth })}</Text>
           </Box>
 
-          <Text color="gray" dimColor>Includes a 5% buffer (spread + fees)</Text>
+          {isBracket && (
+            <>
+              <Box justifyContent="space-between">
+                <Text color="gray">Take profit:</Text>
+                <Text color="green">{formatMoney(takeProfit, false, currency)} ({formatMoney((takeProfit - limit) * qty * multiplier, true, currency)})</Text>
+              </Box>
+
+              <Box justifyContent="space-between">
+                <Text color="gray">Stop loss:</Text>
+                <Text color="red">{formatMoney(stopLoss, false, currency)} ({formatMoney((stopLoss - limit) * qty * multiplier, true, currency)})</Text>
+              </Box>
+            </>
+          )}
+
+          {isBracket ? (
+            <Text color="gray" dimColor>Exits are placed with the entry; one fills, the other cancels</Text>
+          ) : isLimit ? (
+            <Text color="gray" dimColor>Fills only at {formatMoney(limit, false, currency)} or lower</Text>
+          ) : commission !== null ? (
+            <Text color="gray" dimColor>Includes IB's commission estimate</Text>
+          ) : (
+            <Text color="gray" dimColor>Includes a 5% buffer (spread + fees)</Text>
+          )}
 
-          {isEstimatedPrice && (
+          {isEstimatedPrice && !isLimit && (
             <Text color="yellow" dimColor>Close price (market closed)</Text>
           )}
+
+          <OrderPreview {...whatIf} accountData={accountData} currency={baseCurrency} />
         </Box>
 
         {/* Footer */}
@@ -145,6 +507,9 @@ export function BuyScreen({
     );
   }
 
+  const inputDollars = parseDollarAmount(quantity);
+  const inputDollarQty = inputDollars ? Math.min(Math.floor(inputDollars / unitPrice), maxShares) : 0;
+
   return (
     <Box flexDirection="column" padding={1}>
       {/* Header */}
@@ -169,7 +534,7 @@ export function BuyScreen({
       >
         <Box justifyContent="space-between">
           <Text color="gray">Available cash{pendingOrdersCount > 0 ? '*' : ''}:</Text>
-          <Text color="green">{formatMoney(availableCash)}</Text>
+          <Text color="green">{formatMoney(availableCash, false, currency)}</Text>
         </Box>
 
         {pendingOrdersCount > 0 && (
@@ -181,13 +546,13 @@ export function BuyScreen({
         <Box justifyContent="space-between">
           <Text color="gray">{isEstimatedPrice ? 'Estimated price:' : 'Current price:'}</Text>
           <Text color={isEstimatedPrice ? 'yellow' : undefined}>
-            {isEstimatedPrice ? '~' : ''}{formatMoney(currentPrice)}
+            {isEstimatedPrice ? '~' : ''}{formatMoney(currentPrice, false, currency)}
           </Text>
         </Box>
 
         <Box justifyContent="space-between">
           <Text color="gray">Max:</Text>
-          <Text>{maxShares} shares</Text>
+          <Text>{maxShares} {unit}</Text>
         </Box>
       </Box>
 
@@ -207,14 +572,23 @@ export function BuyScreen({
             value={quantity}
             onChange={setQuantity}
             onSubmit={handleSubmit}
-            placeholder="e.g. 10 or 'max'"
+            placeholder="e.g. 10, 'max' or $500"
           />
         </Box>
 
+        {inputDollars && (
+          <Box flexDirection="column">
+            <Text color="gray">
+              {formatMoney(inputDollars, false, currency)} → {inputDollarQty} {unit} · {formatMoney(inputDollars - inputDollarQty * unitPrice, false, currency)} left over
+            </Text>
+            <Text color="gray" dimColor>Whole {unit} only: cash-quantity orders aren't supported by this IB client</Text>
+          </Box>
+        )}
+
         {quantity && !isNaN(parseInt(quantity, 10)) && (
           <Box>
             <Text color="gray">
-              Est. cost: {formatMoney(parseInt(quantity, 10) * currentPrice * ORDER_COST_BUFFER)}
+              Est. cost: {formatMoney(parseInt(quantity, 10) * unitPrice * ORDER_COST_BUFFER, false, currency)}
             </Text>
           </Box>
         )}
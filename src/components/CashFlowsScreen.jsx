@@ -0,0 +1,157 @@
+import React, { useState, useMemo } from 'react';
+import { Box, Text, useInput } from 'ink';
+import TextInput from 'ink-text-input';
+import { formatMoney } from '../utils/format.js';
+import { parseCashFlowInput } from '../lib/cashFlows.js';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[CASH-FLOWS-SCREEN]', ...args);
+  }
+};
+
+const SOURCE_LABELS = {
+  ib: 'ib',
+  manual: 'manual',
+  import: 'import',
+  suggested: 'suggested?',
+};
+
+const formatFlowDate = (ts) => {
+  const date = new Date(ts);
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  return `${date.getDate()} ${months[date.getMonth()]} ${date.getFullYear()}`;
+};
+
+/**
+ * CashFlowsScreen - Deposits and withdrawals ledger
+ *
+ * - Suggestions (guessed from the history) first, to confirm (y) or
+ *   dismiss (x)
+ * - Ledger entries below, most recent first; x removes one
+ * - n adds an entry: "2025-01-15 +1000 note", or just "-500" for today
+ */
+export function CashFlowsScreen({
+  flows,
+  suggestions,
+  baseCurrency = 'USD',
+  onAdd,
+  onRemove,
+  onConfirm,
+  onDismiss,
+  onBack,
+}) {
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [adding, setAdding] = useState(false);
+  const [input, setInput] = useState('');
+  const [inputError, setInputError] = useState(null);
+
+  const rows = useMemo(
+    () => [...suggestions.slice().reverse(), ...flows.slice().reverse()],
+    [flows, suggestions]
+  );
+  const selected = rows[Math.min(selectedIndex, rows.length - 1)];
+
+  useInput((char, key) => {
+    if (adding) {
+      if (key.escape) {
+        setAdding(false);
+        setInputError(null);
+      }
+      return;
+    }
+
+    if (key.escape) {
+      onBack?.();
+    } else if (key.upArrow) {
+      setSelectedIndex(prev => Math.max(0, prev - 1));
+    } else if (key.downArrow) {
+      setSelectedIndex(prev => Math.min(Math.max(0, rows.length - 1), prev + 1));
+    } else if (char === 'n') {
+      setInput('');
+      setAdding(true);
+    } else if (char === 'y' && selected?.source === 'suggested') {
+      debug('Confirming suggestion:', selected.id);
+      onConfirm?.(selected);
+    } else if (char === 'x' && selected) {
+      debug('Removing:', selected.id);
+      if (selected.source === 'suggested') onDismiss?.(selected.id);
+      else onRemove?.(selected.id);
+    }
+  });
+
+  const handleSubmit = (value) => {
+    const flow = parseCashFlowInput(value);
+    if (!flow) {
+      setInputError('Use "YYYY-MM-DD +1000 note" or "-500"');
+      return;
+    }
+    onAdd?.(flow);
+    setAdding(false);
+    setInputError(null);
+  };
+
+  const net = flows.reduce((sum, f) => sum + f.amount, 0);
+
+  return (
+    <Box flexDirection="column" padding={1}>
+      <Box>
+        <Text color="gray" dimColor>net deposits </Text>
+        <Text color="white" bold>{formatMoney(net, true, baseCurrency)}</Text>
+        <Text color="gray" dimColor>   {flows.length} {flows.length === 1 ? 'entry' : 'entries'}</Text>
+        {suggestions.length > 0 && (
+          <Text color="yellow">   {suggestions.length} to review</Text>
+        )}
+      </Box>
+
+      <Box flexDirection="column" marginTop={1}>
+        {rows.length === 0 && <Text color="gray">No deposits or withdrawals recorded</Text>}
+        {rows.map((flow, index) => (
+          <FlowRow
+            key={flow.id}
+            flow={flow}
+            currency={flow.currency || baseCurrency}
+            isSelected={index === selectedIndex}
+          />
+        ))}
+      </Box>
+
+      {adding && (
+        <Box flexDirection="column" marginTop={1}>
+          <Box>
+            <Text color="gray">New entry: </Text>
+            <TextInput value={input} onChange={setInput} onSubmit={handleSubmit} placeholder="2025-01-15 +1000 note" />
+          </Box>
+          {inputError && <Text color="red">{inputError}</Text>}
+        </Box>
+      )}
+
+      <Box marginTop={1}>
+        <Text color="gray" dimColor>
+          {adding
+            ? '[Enter] Save  [Esc] Cancel'
+            : `[↑↓] Navigate  [n] New${selected?.source === 'suggested' ? '  [y] Confirm  [x] Dismiss' : selected ? '  [x] Remove' : ''}  [Esc] Back`}
+        </Text>
+      </Box>
+    </Box>
+  );
+}
+
+/**
+ * Format: ▸ 15 Jan 2025    +$1,000.00   manual   note
+ */
+function FlowRow({ flow, currency, isSelected }) {
+  const isSuggestion = flow.source === 'suggested';
+
+  return (
+    <Box>
+      <Text color={isSelected ? 'cyan' : 'gray'}>{isSelected ? '▸ ' : '  '}</Text>
+      <Text color={isSuggestion ? 'yellow' : 'white'}>{formatFlowDate(flow.ts).padEnd(13)}</Text>
+      <Text color={flow.amount >= 0 ? 'green' : 'red'}>{formatMoney(flow.amount, true, currency).padStart(14)}</Text>
+      <Text color={isSuggestion ? 'yellow' : 'gray'} dimColor={!isSuggestion}>   {SOURCE_LABELS[flow.source].padEnd(11)}</Text>
+      <Text color="gray" dimColor>{flow.note}</Text>
+    </Box>
+  );
+}
+
+export default CashFlowsScreen;
@@ -1,9 +1,12 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { Box, Text, useInput, useStdout } from 'ink';
 import asciichart from 'asciichart';
-import { formatMoney, formatPercent } from '../utils/format.js';
+import { formatMoney, formatPercent, PRICE_SOURCE_COLORS } from '../utils/format.js';
 import { PERIODS, PERIOD_KEYS, DEFAULT_PERIOD } from '../hooks/useHistoricalData.js';
-import { resampleLinear } from '../utils/resample.js';
+import { aggregateBars, lastOfBuckets, resampleLinear } from '../utils/resample.js';
+import { candleLayout, renderCandles, renderVolume } from '../utils/candles.js';
+import { plotLines } from '../utils/plot.js';
+import { INDICATORS, sma, ema, bollinger, vwap, rsi, macd } from '../../core/indicators.js';
 
 const debug = (...args) => {
   if (process.argv.includes('--debug')) {
@@ -15,6 +18,76 @@ const debug = (...args) => {
 // formatMoney(...).padStart(10) => 10 chars, plus a space before plot = ~11
 const Y_AXIS_PADDING = 11;
 
+// Line or candles, whether the volume pane shows (`c` / `v`) and the
+// indicators picked with `i` (at most one of them in a pane)
+export const DEFAULT_CHART_VIEW = {
+  style: 'line',
+  volume: false,
+  indicators: [],
+  lengths: Object.fromEntries(
+    Object.entries(INDICATORS).filter(([, i]) => i.length).map(([id, i]) => [id, i.length])
+  ),
+};
+
+const INDICATOR_IDS = Object.keys(INDICATORS);
+const MIN_INDICATOR_LENGTH = 2;
+const MAX_INDICATOR_LENGTH = 200;
+
+const INDICATOR_COLORS = {
+  sma: 'yellow',
+  ema: 'cyan',
+  bollinger: 'magenta',
+  vwap: 'blue',
+  rsi: 'magenta',
+  macd: 'cyan',
+};
+
+// Ink color name -> the ANSI code the plots use
+const ansiColor = (color) => (color === 'gray' ? asciichart.darkgray : asciichart[color]);
+
+const indicatorLabel = (id, length) => {
+  if (id === 'macd') return 'MACD 12/26/9';
+  return length ? `${INDICATORS[id].label} ${length}` : INDICATORS[id].label;
+};
+
+// ←→ step for a length: finer for short periods
+const lengthStep = (length) => (length >= 50 ? 10 : length >= 20 ? 5 : 1);
+
+/**
+ * Lines ({ values, color }) an indicator draws, one value per bar, guides
+ * first so the indicator is drawn over them
+ */
+function indicatorLines(id, bars, length) {
+  const closes = bars.map(bar => bar.close);
+  const color = INDICATOR_COLORS[id];
+  const guide = (level) => ({ values: closes.map(() => level), color: 'gray' });
+
+  switch (id) {
+    case 'sma':
+      return [{ values: sma(closes, length), color }];
+    case 'ema':
+      return [{ values: ema(closes, length), color }];
+    case 'bollinger': {
+      const { upper, middle, lower } = bollinger(closes, length);
+      return [upper, middle, lower].map(values => ({ values, color }));
+    }
+    case 'vwap': {
+      // Intraday bars ("yyyyMMdd HH:mm:ss") start over every day
+      const intraday = bars.some(bar => String(bar.date).includes(' '));
+      const sessionKey = intraday ? (bar) => String(bar.date).split(' ')[0] : null;
+      return [{ values: vwap(bars, { sessionKey }), color }];
+    }
+    case 'rsi':
+      return [guide(70), guide(30), { values: rsi(closes, length), color }];
+    case 'macd': {
+      const lines = macd(closes);
+      return [guide(0), { values: lines.macd, color }, { values: lines.signal, color: 'yellow' }];
+    }
+    default:
+      return [];
+  }
+}
+
 /**
  * Parse date from IB format to readable format
  * IB sends dates like "20231215" for daily bars or "20231215 14:30:00" for hourly
@@ -165,17 +238,29 @@ export function ChartScreen({
   loading,
   error,
   currentPrice,
+  priceSource = null, // live | delayed | frozen while streaming
+  currency = 'USD', // Listing currency of the symbol
+  view: savedView = DEFAULT_CHART_VIEW, // Kept between sessions by App
+  onViewChange,
+  watchlist = null, // Watchlist `w` adds to / removes from
+  watched = false,
+  onToggleWatch,
   onPeriodChange,
+  onOptions, // Only for underlyings with an option chain
   onBuy,
   onSell,
+  onProtect,
   onBack,
 }) {
   const [selectedPeriod, setSelectedPeriod] = useState(DEFAULT_PERIOD);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [menuIndex, setMenuIndex] = useState(0);
   const { stdout } = useStdout();
 
   // Extract data from position if available
   const avgCost = position?.avgCost;
   const quantity = position?.quantity;
+  const multiplier = position?.multiplier || 1;
   const owned = !!position && avgCost > 0;
 
   // Get terminal width for chart sizing
@@ -188,6 +273,20 @@ export function ChartScreen({
   // Terminal 40 lines → chart 12 lines max
   // Terminal 24 lines → chart 8 lines
   const chartHeight = Math.min(12, Math.max(6, Math.floor(terminalHeight * 0.3)));
+  const volumeHeight = Math.max(2, Math.round(chartHeight / 3));
+  const paneHeight = volumeHeight + 1;
+
+  // Saved views from before a setting existed get its default
+  const view = {
+    ...DEFAULT_CHART_VIEW,
+    ...savedView,
+    lengths: { ...DEFAULT_CHART_VIEW.lengths, ...savedView?.lengths },
+  };
+  const candles = view.style === 'candles';
+  const showVolume = !!view.volume;
+  const activeIndicators = (view.indicators || []).filter(id => INDICATORS[id]);
+  const paneIndicator = activeIndicators.find(id => !INDICATORS[id].overlay) || null;
+  const indicatorsKey = activeIndicators.map(id => `${id}:${view.lengths[id] ?? ''}`).join(',');
 
   debug(`ChartScreen render: symbol=${symbol} owned=${owned} period=${selectedPeriod}`);
 
@@ -197,8 +296,46 @@ export function ChartScreen({
     onPeriodChange?.(selectedPeriod);
   }, [selectedPeriod, onPeriodChange]);
 
+  const toggleIndicator = (id) => {
+    const on = activeIndicators.includes(id);
+    let indicators = on ? activeIndicators.filter(x => x !== id) : [...activeIndicators, id];
+    // One pane at a time: turning one on replaces the other
+    if (!on && !INDICATORS[id].overlay) {
+      indicators = indicators.filter(x => x === id || INDICATORS[x].overlay);
+    }
+    debug('Indicators:', indicators.join(',') || 'none');
+    onViewChange?.({ ...view, indicators });
+  };
+
+  const changeLength = (id, direction) => {
+    const length = view.lengths[id];
+    if (!length) return;
+    const step = lengthStep(direction > 0 ? length : length - 1);
+    const next = Math.max(MIN_INDICATOR_LENGTH, Math.min(MAX_INDICATOR_LENGTH, length + direction * step));
+    onViewChange?.({ ...view, lengths: { ...view.lengths, [id]: next } });
+  };
+
   // Input handling - UNIFIED (no toggle, arrows always work)
   useInput((input, key) => {
+    // Indicator menu: ↑↓ pick, space/Enter toggle, ←→ length
+    if (menuOpen) {
+      const id = INDICATOR_IDS[menuIndex];
+      if (key.escape || input === 'i') {
+        setMenuOpen(false);
+      } else if (key.upArrow) {
+        setMenuIndex(prev => Math.max(0, prev - 1));
+      } else if (key.downArrow) {
+        setMenuIndex(prev => Math.min(INDICATOR_IDS.length - 1, prev + 1));
+      } else if (input === ' ' || key.return) {
+        toggleIndicator(id);
+      } else if (key.leftArrow) {
+        changeLength(id, -1);
+      } else if (key.rightArrow) {
+        changeLength(id, 1);
+      }
+      return;
+    }
+
     if (key.escape) {
       debug('Back navigation triggered');
       onBack?.();
@@ -222,6 +359,23 @@ export function ChartScreen({
     } else if (input === 's' && owned) {
       debug('Sell triggered for', symbol);
       onSell?.(symbol, quantity);
+    } else if (input === 'p' && owned) {
+      debug('Protect triggered for', symbol);
+      onProtect?.(symbol, quantity);
+    } else if (input === 'o' && onOptions) {
+      debug('Options triggered for', symbol);
+      onOptions(symbol);
+    } else if (input === 'w' && onToggleWatch) {
+      debug(watched ? 'Unwatch' : 'Watch', symbol, 'in', watchlist);
+      onToggleWatch(symbol);
+    } else if (input === 'c') {
+      debug('Chart style:', candles ? 'line' : 'candles');
+      onViewChange?.({ ...view, style: candles ? 'line' : 'candles' });
+    } else if (input === 'v') {
+      debug('Volume pane:', !showVolume);
+      onViewChange?.({ ...view, volume: !showVolume });
+    } else if (input === 'i') {
+      setMenuOpen(true);
     }
   });
 
@@ -232,29 +386,44 @@ export function ChartScreen({
       return null;
     }
 
-    const closes = historicalData.map(bar => bar.close).filter(x => Number.isFinite(x));
-    if (closes.length === 0) return null;
-
-    // Resample to exactly chartWidth points (downsample or upsample) so it fills the screen.
-    let sampledData = resampleLinear(closes, chartWidth);
-    if (sampledData.length === 0) return null;
+    const validBars = historicalData.filter(bar => (
+      [bar.open, bar.high, bar.low, bar.close].every(x => Number.isFinite(x))
+    ));
+    if (validBars.length === 0) return null;
 
     // Add current price as last point if available
-    if (currentPrice && sampledData.length > 0) {
-      sampledData[sampledData.length - 1] = currentPrice;
+    if (currentPrice) {
+      const lastBar = validBars[validBars.length - 1];
+      validBars[validBars.length - 1] = {
+        ...lastBar,
+        close: currentPrice,
+        high: Math.max(lastBar.high, currentPrice),
+        low: Math.min(lastBar.low, currentPrice),
+      };
     }
 
-    const min = Math.min(...sampledData);
-    const max = Math.max(...sampledData);
-    const first = sampledData[0];
-    const last = sampledData[sampledData.length - 1];
+    // More bars than columns: merge neighbours (OHLC) so every column is one bar
+    const bars = aggregateBars(validBars, chartWidth);
+
+    // The line fills the screen (fewer bars are stretched); candles keep one slot each
+    const prices = resampleLinear(bars.map(bar => bar.close), chartWidth);
+    if (prices.length === 0) return null;
+
+    const min = candles ? Math.min(...bars.map(bar => bar.low)) : Math.min(...prices);
+    const max = candles ? Math.max(...bars.map(bar => bar.high)) : Math.max(...prices);
+    const first = validBars[0].close;
+    const last = prices[prices.length - 1];
     const change = last - first;
     const changePercent = first > 0 ? (change / first) * 100 : 0;
+    const plotWidth = candles ? candleLayout(bars.length, chartWidth).plotWidth : prices.length;
 
-    debug(`Chart data: ${sampledData.length} points, min=${min}, max=${max}, change=${changePercent.toFixed(2)}%`);
+    debug(`Chart data: ${validBars.length} bars -> ${bars.length}, min=${min}, max=${max}, change=${changePercent.toFixed(2)}%`);
 
     return {
-      prices: sampledData,
+      sourceBars: validBars,
+      bars,
+      prices,
+      plotWidth,
       min,
       max,
       first,
@@ -262,13 +431,51 @@ export function ChartScreen({
       change,
       changePercent,
     };
-  }, [historicalData, currentPrice, chartWidth]);
+  }, [historicalData, currentPrice, chartWidth, candles]);
+
+  // Indicators run over every bar, then line up with the plot: one value
+  // per merged bar for candles, stretched like the line otherwise
+  const indicatorData = useMemo(() => {
+    if (!chartData || activeIndicators.length === 0) return { overlays: [], pane: null };
+
+    const { sourceBars, bars, plotWidth } = chartData;
+    const { slot } = candleLayout(bars.length, chartWidth);
+    const perBar = (values) => lastOfBuckets(values, chartWidth);
+    const perColumn = (values) => {
+      const merged = perBar(values);
+      return candles
+        ? Array.from({ length: plotWidth }, (_, x) => merged[Math.floor(x / slot)])
+        : resampleLinear(merged, chartWidth);
+    };
+
+    const overlays = [];
+    let pane = null;
+    for (const id of activeIndicators) {
+      const lines = indicatorLines(id, sourceBars, view.lengths[id]);
+      if (INDICATORS[id].overlay) {
+        for (const line of lines) {
+          overlays.push({ values: candles ? perBar(line.values) : perColumn(line.values), color: ansiColor(line.color) });
+        }
+      } else if (id === paneIndicator) {
+        pane = lines.map(line => ({ values: perColumn(line.values), color: ansiColor(line.color) }));
+      }
+    }
+    return { overlays, pane };
+  }, [chartData, candles, chartWidth, indicatorsKey]);
 
   // Render price chart
   // Color based on: if owned -> gain/loss from purchase, else -> period change
   const chartRender = useMemo(() => {
     if (!chartData) return null;
 
+    const format = (x) => formatMoney(x, false, currency).padStart(10);
+    const { overlays } = indicatorData;
+
+    if (candles) {
+      // Candles carry their own color: up green, down red
+      return renderCandles(chartData.bars, { height: chartHeight, width: chartWidth, format, overlays });
+    }
+
     // Determine chart color based on ownership
     let isChartPositive;
     if (owned && avgCost && chartData.last) {
@@ -281,10 +488,11 @@ export function ChartScreen({
     const color = isChartPositive ? asciichart.green : asciichart.red;
 
     try {
-      const chart = asciichart.plot(chartData.prices, {
+      // Overlays first so the price line stays on top
+      const chart = plotLines([...overlays.map(o => o.values), chartData.prices], {
         height: chartHeight,
-        colors: [color],
-        format: (x) => formatMoney(x).padStart(10),
+        colors: [...overlays.map(o => o.color), color],
+        format,
       });
 
       debug(`Chart rendered: positive=${isChartPositive}, owned=${owned}`);
@@ -293,13 +501,48 @@ export function ChartScreen({
       debug('Chart render error:', err.message);
       return null;
     }
-  }, [chartData, owned, avgCost, chartHeight]);
+  }, [chartData, indicatorData, candles, owned, avgCost, chartHeight, chartWidth, currency]);
+
+  // Volume pane, lined up with the candles or with the stretched line
+  const volumeRender = useMemo(() => {
+    if (!chartData || !showVolume) return null;
+
+    const { bars, plotWidth } = chartData;
+    const columns = [];
+    if (candles) {
+      const { slot, body } = candleLayout(bars.length, chartWidth);
+      for (let x = 0; x < plotWidth; x++) {
+        const bar = bars[Math.floor(x / slot)];
+        columns.push(x % slot < body ? { volume: bar.volume, up: bar.close >= bar.open } : null);
+      }
+    } else {
+      for (let x = 0; x < plotWidth; x++) {
+        const bar = bars[plotWidth > 1 ? Math.round((x * (bars.length - 1)) / (plotWidth - 1)) : 0];
+        columns.push({ volume: bar.volume, up: bar.close >= bar.open });
+      }
+    }
+    return renderVolume(columns, { height: volumeHeight });
+  }, [chartData, showVolume, candles, chartWidth, volumeHeight]);
+
+  // RSI (0-100, 30/70 guides) or MACD (zero guide) pane, lined up like the volume
+  const paneRender = useMemo(() => {
+    const { pane } = indicatorData;
+    if (!pane) return null;
+
+    const rsiPane = paneIndicator === 'rsi';
+    return plotLines(pane.map(line => line.values), {
+      height: paneHeight,
+      colors: pane.map(line => line.color),
+      format: (x) => (rsiPane ? x.toFixed(0) : x.toFixed(2)).padStart(10),
+      ...(rsiPane ? { min: 0, max: 100 } : {}),
+    });
+  }, [indicatorData, paneIndicator, paneHeight]);
 
   // Generate X axis
   const xAxisData = useMemo(() => {
     const dates = (historicalData || []).map(bar => parseIBDate(bar.date)).filter(Boolean);
-    return generateXAxisLabels(dates, chartData?.prices?.length || chartWidth, selectedPeriod);
-  }, [historicalData, chartWidth, selectedPeriod, chartData?.prices?.length]);
+    return generateXAxisLabels(dates, chartData?.plotWidth || chartWidth, selectedPeriod);
+  }, [historicalData, chartWidth, selectedPeriod, chartData?.plotWidth]);
 
   // Display price - prefer currentPrice, fallback to last historical
   const displayPrice = currentPrice || chartData?.last;
@@ -365,7 +608,7 @@ export function ChartScreen({
   let unitGain = 0;
   if (owned && displayPrice && avgCost) {
     unitGain = displayPrice - avgCost;
-    totalGain = unitGain * quantity;
+    totalGain = unitGain * quantity * multiplier;
     totalGainPercent = (unitGain / avgCost) * 100;
     debug(`Owner gain: $${totalGain.toFixed(2)} (${totalGainPercent.toFixed(2)}%)`);
   }
@@ -388,13 +631,17 @@ export function ChartScreen({
         <Box>
           <Text bold color="white">{symbol}</Text>
           <Text color="gray">  </Text>
-          <Text bold color="white">{formatMoney(displayPrice)}</Text>
+          <Text bold color="white">{formatMoney(displayPrice, false, currency)}</Text>
+          {priceSource && currentPrice && (
+            <Text color={PRICE_SOURCE_COLORS[priceSource]} dimColor={priceSource !== 'live'}> {priceSource}</Text>
+          )}
           <Text color="gray">  </Text>
           <Text color="cyan">{PERIODS[selectedPeriod].label}</Text>
+          {watched && <Text color="yellow">  ★ {watchlist}</Text>}
         </Box>
         <Box>
           <Text color={periodColor}>
-            {periodArrow} {displaySign}{formatMoney(Math.abs(chartData.change))} ({formatPercent(Math.abs(chartData.changePercent))})
+            {periodArrow} {displaySign}{formatMoney(Math.abs(chartData.change), false, currency)} ({formatPercent(Math.abs(chartData.changePercent))})
           </Text>
         </Box>
       </Box>
@@ -403,40 +650,104 @@ export function ChartScreen({
       <Box justifyContent="space-between" marginBottom={0}>
         {owned ? (
           <Box>
-            <Text color="gray">buy {formatMoney(avgCost)} × {quantity} → </Text>
-            <Text color={displayColor} bold>{displaySign}{formatMoney(totalGain)}</Text>
+            <Text color="gray">buy {formatMoney(avgCost, false, currency)} × {quantity} → </Text>
+            <Text color={displayColor} bold>{displaySign}{formatMoney(totalGain, false, currency)}</Text>
             <Text color="gray"> ({formatPercent(Math.abs(totalGainPercent))})</Text>
           </Box>
         ) : (
           <Text color="gray">
-            range: {formatMoney(chartData.min)} — {formatMoney(chartData.max)}
+            range: {formatMoney(chartData.min, false, currency)} — {formatMoney(chartData.max, false, currency)}
           </Text>
         )}
+        <Box columnGap={2}>
+          {activeIndicators.filter(id => INDICATORS[id].overlay).map(id => (
+            <Text key={id} color={INDICATOR_COLORS[id]}>
+              {indicatorLabel(id, view.lengths[id])}
+            </Text>
+          ))}
+        </Box>
       </Box>
 
       {/* ═══ CHART ═══ */}
       <Box flexDirection="column" marginTop={1}>
         <Text>{chartRender}</Text>
 
+        {showVolume && (
+          volumeRender
+            ? <Text>{volumeRender}</Text>
+            : <Text color="gray" dimColor>{' '.repeat(Y_AXIS_PADDING)}no volume for this symbol</Text>
+        )}
+
+        {paneRender && (
+          <>
+            <Text color="gray">{' '.repeat(Y_AXIS_PADDING)}{indicatorLabel(paneIndicator, view.lengths[paneIndicator])}</Text>
+            <Text>{paneRender}</Text>
+          </>
+        )}
+
         {/* X Axis with dates */}
         <Text color="gray">{xAxisData.ticksLine}</Text>
         <Text color="gray">{xAxisData.labelsLine}</Text>
       </Box>
 
+      {/* ═══ INDICATOR MENU (i) ═══ */}
+      {menuOpen && (
+        <Box flexDirection="column" marginTop={1}>
+          {INDICATOR_IDS.map((id, index) => {
+            const selected = index === menuIndex;
+            const on = activeIndicators.includes(id);
+            return (
+              <Box key={id}>
+                <Text color={selected ? 'cyan' : 'gray'}>{selected ? '▸ ' : '  '}</Text>
+                <Text color={on ? 'green' : 'gray'}>{on ? '[x] ' : '[ ] '}</Text>
+                <Text color={selected ? 'cyan' : 'white'} bold={selected}>
+                  {indicatorLabel(id, view.lengths[id]).padEnd(16)}
+                </Text>
+                <Text color="gray" dimColor>{INDICATORS[id].overlay ? 'overlay' : 'pane'}</Text>
+              </Box>
+            );
+          })}
+          <Text color="gray" dimColor>[↑↓] Select  [Space] Toggle  [←→] Length  [i/Esc] Close</Text>
+        </Box>
+      )}
+
       {/* ═══ FOOTER: Actions ═══ */}
-      <Box marginTop={1} justifyContent="space-between">
-        <Text color="gray">↑↓ period</Text>
-        <Box>
-          <Text color="gray">b </Text>
-          <Text color="white">buy</Text>
-          {owned && (
-            <>
-              <Text color="gray">   s </Text>
-              <Text color="white">sell</Text>
-            </>
-          )}
+      {!menuOpen && (
+        <Box marginTop={1} justifyContent="space-between" flexWrap="wrap" columnGap={3}>
+          <Box>
+            <Text color="gray">↑↓ period   c </Text>
+            <Text color="white">{candles ? 'line' : 'candles'}</Text>
+            <Text color="gray">   v </Text>
+            <Text color="white">volume</Text>
+            <Text color="gray">   i </Text>
+            <Text color="white">indicators</Text>
+          </Box>
+          <Box>
+            {onToggleWatch && (
+              <>
+                <Text color="gray">w </Text>
+                <Text color="white">{watched ? 'unwatch' : 'watch'}   </Text>
+              </>
+            )}
+            {onOptions && (
+              <>
+                <Text color="gray">o </Text>
+                <Text color="white">options   </Text>
+              </>
+            )}
+            <Text color="gray">b </Text>
+            <Text color="white">buy</Text>
+            {owned && (
+              <>
+                <Text color="gray">   s </Text>
+                <Text color="white">sell</Text>
+                <Text color="gray">   p </Text>
+                <Text color="white">protect</Text>
+              </>
+            )}
+          </Box>
         </Box>
-      </Box>
+      )}
     </Box>
   );
 }
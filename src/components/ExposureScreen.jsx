@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Text, useInput, useStdout } from 'ink';
+import { EXPOSURE_DIMENSIONS } from '../../core/exposure.js';
+import { formatMoney, formatPercent } from '../utils/format.js';
+
+const DIMENSION_LABELS = {
+  sector: 'sector',
+  secType: 'type',
+  currency: 'currency',
+};
+
+const THRESHOLD_STEP = 5;
+
+/**
+ * "████████▌" for a share of the account, `width` cells being 100%
+ */
+const bar = (weight, width) => {
+  const cells = Math.min(width, Math.abs(weight) * width);
+  const full = Math.floor(cells);
+  return '█'.repeat(full) + (cells - full >= 0.5 ? '▌' : '');
+};
+
+/**
+ * ExposureScreen - Holdings grouped by sector, security type and currency
+ * as shares of net liquidation
+ *
+ * - Tab switches the grouping; the selected group lists its positions
+ * - Sectors and foreign currencies above the concentration threshold are
+ *   flagged; +/- moves it
+ */
+export function ExposureScreen({
+  breakdown,
+  classifying = false,
+  baseCurrency = 'USD',
+  onThresholdChange,
+  onBack,
+}) {
+  const [dimension, setDimension] = useState('sector');
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const { stdout } = useStdout();
+
+  const groups = breakdown[dimension];
+  const threshold = breakdown.threshold;
+
+  useEffect(() => {
+    setSelectedIndex(0);
+  }, [dimension]);
+
+  useInput((input, key) => {
+    if (key.escape) {
+      onBack?.();
+    } else if (key.upArrow) {
+      setSelectedIndex(prev => Math.max(0, prev - 1));
+    } else if (key.downArrow) {
+      setSelectedIndex(prev => Math.min(Math.max(0, groups.length - 1), prev + 1));
+    } else if (key.tab) {
+      setDimension(prev => EXPOSURE_DIMENSIONS[(EXPOSURE_DIMENSIONS.indexOf(prev) + 1) % EXPOSURE_DIMENSIONS.length]);
+    } else if (input === '+' || input === '=') {
+      onThresholdChange?.(Math.min(100, threshold + THRESHOLD_STEP));
+    } else if (input === '-') {
+      onThresholdChange?.(Math.max(THRESHOLD_STEP, threshold - THRESHOLD_STEP));
+    }
+  });
+
+  const keyWidth = Math.max(8, ...groups.map(g => String(g.key).length));
+  const barWidth = Math.max(10, (stdout?.columns || 80) - keyWidth - 36);
+  const selected = groups[Math.min(selectedIndex, groups.length - 1)];
+  const memberWidth = Math.max(keyWidth - 2, ...(selected?.members || []).map(m => m.symbol.length));
+  const warnings = breakdown.warnings.filter(w => w.dimension === dimension);
+
+  return (
+    <Box flexDirection="column" padding={1}>
+      <Box>
+        <Text color="gray" dimColor>net liquidation </Text>
+        <Text color="white" bold>{formatMoney(breakdown.netLiquidation, false, baseCurrency)}</Text>
+        <Text color="gray" dimColor>   concentration above </Text>
+        <Text color="white">{threshold}%</Text>
+        {classifying && <Text color="gray" dimColor>   looking up sectors...</Text>}
+      </Box>
+
+      {/* Grouping */}
+      <Box marginTop={1}>
+        {EXPOSURE_DIMENSIONS.map((d, i) => (
+          <Box key={d}>
+            {i > 0 && <Text color="gray">  </Text>}
+            {d === dimension ? (
+              <Text color="cyan" bold>[{DIMENSION_LABELS[d]}]</Text>
+            ) : (
+              <Text color="gray">{DIMENSION_LABELS[d]}</Text>
+            )}
+          </Box>
+        ))}
+        <Text color="gray" dimColor>   Tab</Text>
+      </Box>
+
+      <Box flexDirection="column" marginTop={1}>
+        {groups.length === 0 && <Text color="gray">No positions</Text>}
+        {groups.map((group, index) => {
+          const flagged = warnings.some(w => w.key === group.key);
+          return (
+            <Box key={group.key}>
+              <Text color={index === selectedIndex ? 'cyan' : 'gray'}>{index === selectedIndex ? '▸ ' : '  '}</Text>
+              <Text color={flagged ? 'yellow' : 'white'}>{String(group.key).padEnd(keyWidth)}</Text>
+              <Text color={flagged ? 'yellow' : 'white'}>{formatPercent(group.weight * 100).padStart(9)}</Text>
+              <Text color="gray">{formatMoney(group.value, false, baseCurrency).padStart(15)}  </Text>
+              <Text color={group.value < 0 ? 'red' : flagged ? 'yellow' : 'blue'}>{bar(group.weight, barWidth)}</Text>
+              {flagged && <Text color="yellow"> !</Text>}
+            </Box>
+          );
+        })}
+      </Box>
+
+      {/* Positions in the selected group */}
+      {selected && selected.members.length > 0 && (
+        <Box flexDirection="column" marginTop={1}>
+          {selected.members.map(member => (
+            <Box key={member.symbol}>
+              <Text color="gray">    {member.symbol.padEnd(memberWidth)}</Text>
+              <Text color="gray">{formatPercent(member.weight * 100).padStart(9)}</Text>
+              <Text color="gray" dimColor>{formatMoney(member.value, false, baseCurrency).padStart(15)}</Text>
+              {dimension === 'sector' && member.industry && <Text color="gray" dimColor>  {member.industry}</Text>}
+            </Box>
+          ))}
+        </Box>
+      )}
+
+      {warnings.length > 0 && (
+        <Box flexDirection="column" marginTop={1}>
+          {warnings.map(w => (
+            <Text key={w.key} color="yellow">
+              ! {w.key} is {formatPercent(w.weight * 100)} of the account (above {threshold}%)
+            </Text>
+          ))}
+        </Box>
+      )}
+
+      <Box marginTop={1}>
+        <Text color="gray" dimColor>[↑↓] Group  [Tab] Grouping  [+/-] Threshold  [Esc] Back</Text>
+      </Box>
+    </Box>
+  );
+}
+
+export default ExposureScreen;
@@ -2,7 +2,7 @@ import React from 'react';
 import { Box, Text } from 'ink';
 import { formatMoney, formatPercent } from '../utils/format.js';
 
-export function Header({ netLiquidation, totalGain, gainPercent, accountId }) {
+export function Header({ netLiquidation, totalGain, gainPercent, accountId, currency = 'USD' }) {
   const isPositive = totalGain >= 0;
   const gainColor = isPositive ? 'green' : 'red';
   const arrow = isPositive ? '↑' : '↓';
@@ -12,14 +12,14 @@ export function Header({ netLiquidation, totalGain, gainPercent, accountId }) {
       <Box flexDirection="row" justifyContent="space-between">
         <Box flexDirection="column">
           <Text bold color="white" dimColor={false}>
-            {formatMoney(netLiquidation)}
+            {formatMoney(netLiquidation, false, currency)}
           </Text>
           <Text color="gray">Total Portfolio</Text>
         </Box>
 
         <Box flexDirection="column" alignItems="flex-end">
           <Text bold color={gainColor}>
-            {arrow} {formatMoney(Math.abs(totalGain), false)}  {formatPercent(gainPercent, true)}
+            {arrow} {formatMoney(Math.abs(totalGain), false, currency)}  {formatPercent(gainPercent, true)}
           </Text>
           <Text color="gray" dimColor>
             {accountId || 'Account'}
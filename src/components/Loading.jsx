@@ -2,6 +2,7 @@ import React from 'react';
 import { Box, Text } from 'ink';
 import Spinner from 'ink-spinner';
 import { humanizeWarning } from '../hooks/useTrade.js';
+import { formatOrderTerms, formatTimeInForce } from '../utils/format.js';
 
 export function Loading({ message = 'Loading...' }) {
   return (
@@ -51,6 +52,9 @@ export function OrderResult({ result, onContinue }) {
   const isSuccess = isFilled || isSubmitted;
   const hasWarning = result.warning;
   const warningText = humanizeWarning(result.warning);
+  const termsText = formatOrderTerms(result);
+  // DAY is the default; only mention longer-lived or special TIFs
+  const tifText = result.tif && (result.tif !== 'DAY' || result.outsideRth) ? formatTimeInForce(result) : '';
 
   // Determine the main message
   let statusMessage = 'Order submitted';
@@ -88,6 +92,28 @@ export function OrderResult({ result, onContinue }) {
             <Text color="gray">Order #{result.orderId}</Text>
           </Box>
         )}
+
+        {termsText && (
+          <Box>
+            <Text color="gray">{result.orderType} </Text>
+            <Text color="white">{termsText}</Text>
+          </Box>
+        )}
+
+        {tifText && (
+          <Box>
+            <Text color="gray">{tifText}</Text>
+          </Box>
+        )}
+
+        {result.bracket && (
+          <Box>
+            <Text color="gray">take profit </Text>
+            <Text color="green">${result.bracket.takeProfitPrice.toFixed(2)}</Text>
+            <Text color="gray">  stop loss </Text>
+            <Text color="red">${result.bracket.stopLossPrice.toFixed(2)}</Text>
+          </Box>
+        )}
       </Box>
 
       {/* Rejection reason */}
@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Box, Text, useInput } from 'ink';
+import { formatMoney, padLeft } from '../utils/format.js';
+import { optionSpec } from '../hooks/useOptionChain.js';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[OPTION-CHAIN]', ...args);
+  }
+};
+
+// Strikes shown at once, centered on the selection
+const VISIBLE_STRIKES = 11;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * "20241220" -> "20 Dec 24"
+ */
+function formatExpiry(expiry) {
+  const match = String(expiry || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return expiry || '--';
+  return `${match[3]} ${MONTHS[Number(match[2]) - 1]} ${match[1].slice(2)}`;
+}
+
+function daysUntil(expiry) {
+  const match = String(expiry || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return Math.max(0, Math.ceil((date - new Date()) / 86_400_000));
+}
+
+// Index of the strike closest to the underlying price
+function atTheMoneyIndex(strikes, price) {
+  if (!strikes.length || !price) return Math.floor(strikes.length / 2);
+  let best = 0;
+  strikes.forEach((strike, i) => {
+    if (Math.abs(strike - price) < Math.abs(strikes[best] - price)) best = i;
+  });
+  return best;
+}
+
+const num = (value, digits = 2) => (value === null || value === undefined ? '--' : value.toFixed(digits));
+const iv = (value) => (value === null || value === undefined ? '--' : `${(value * 100).toFixed(0)}%`);
+
+/**
+ * One side (call or put) of a chain row: bid ask IV delta
+ */
+function QuoteCells({ quote, highlighted, dim }) {
+  const color = highlighted ? 'cyan' : dim ? 'gray' : undefined;
+  return (
+    <Text color={color} bold={highlighted} inverse={highlighted}>
+      {padLeft(num(quote?.bid), 7)}
+      {padLeft(num(quote?.ask), 7)}
+      {padLeft(iv(quote?.iv), 6)}
+      {padLeft(num(quote?.delta), 7)}
+      {' '}
+    </Text>
+  );
+}
+
+/**
+ * OptionChainScreen - Calls and puts around the money for one expiry
+ *
+ * Design:
+ *   AAPL options · $150.00          ◂ 20 Dec 24 (12d) ▸
+ *
+ *          Calls                            Puts
+ *      Bid    Ask    IV  Delta   Strike    Bid    Ask    IV  Delta
+ *     5.10   5.25   28%   0.62   145.00   0.95   1.02   30%  -0.38
+ *   ▸ 2.40   2.48   26%   0.51   150.00   2.30   2.38   27%  -0.49
+ *
+ *   ←→ expiry   ↑↓ strike   Tab call/put   b buy   s sell   r refresh
+ */
+export function OptionChainScreen({
+  symbol,
+  underlyingPrice,
+  currency = 'USD',
+  chain,
+  loading,
+  error,
+  getQuote,
+  onLoadQuotes,
+  onBuy,
+  onSell,
+  onBack,
+}) {
+  const [expiryIndex, setExpiryIndex] = useState(0);
+  const [strikeIndex, setStrikeIndex] = useState(null);
+  const [side, setSide] = useState('C');
+
+  const strikes = chain?.strikes || [];
+  const expirations = chain?.expirations || [];
+  const expiry = expirations[expiryIndex];
+
+  // Start at the money once the chain is in
+  useEffect(() => {
+    if (chain && strikeIndex === null) {
+      setStrikeIndex(atTheMoneyIndex(chain.strikes, underlyingPrice));
+    }
+  }, [chain, strikeIndex, underlyingPrice]);
+
+  const positioned = strikeIndex !== null;
+  const selected = strikeIndex ?? 0;
+  const windowStart = Math.max(0, Math.min(selected - Math.floor(VISIBLE_STRIKES / 2), strikes.length - VISIBLE_STRIKES));
+  const visibleStrikes = useMemo(
+    () => strikes.slice(windowStart, windowStart + VISIBLE_STRIKES),
+    [strikes, windowStart]
+  );
+
+  // Quote what's on screen (already-quoted lines are skipped by the hook)
+  useEffect(() => {
+    if (!expiry || !positioned || visibleStrikes.length === 0) return;
+    debug(`Loading quotes for ${symbol} ${expiry}: ${visibleStrikes[0]}-${visibleStrikes[visibleStrikes.length - 1]}`);
+    onLoadQuotes?.(expiry, visibleStrikes);
+  }, [symbol, expiry, positioned, visibleStrikes, onLoadQuotes]);
+
+  const selectedSpec = chain && expiry ? optionSpec(chain, expiry, strikes[selected], side) : null;
+
+  useInput((input, key) => {
+    if (key.escape) {
+      onBack?.();
+    } else if (!chain) {
+      return;
+    } else if (key.leftArrow) {
+      setExpiryIndex(prev => Math.max(0, prev - 1));
+    } else if (key.rightArrow) {
+      setExpiryIndex(prev => Math.min(expirations.length - 1, prev + 1));
+    } else if (key.upArrow) {
+      setStrikeIndex(prev => Math.max(0, (prev ?? 0) - 1));
+    } else if (key.downArrow) {
+      setStrikeIndex(prev => Math.min(strikes.length - 1, (prev ?? 0) + 1));
+    } else if (key.tab || input === 'c' || input === 'p') {
+      setSide(prev => (input === 'c' ? 'C' : input === 'p' ? 'P' : prev === 'C' ? 'P' : 'C'));
+    } else if (input === 'r' && expiry) {
+      onLoadQuotes?.(expiry, visibleStrikes, { refresh: true });
+    } else if (input === 'b' && selectedSpec) {
+      onBuy?.(selectedSpec);
+    } else if (input === 's' && selectedSpec) {
+      onSell?.(selectedSpec);
+    }
+  });
+
+  const header = (
+    <Box
+      borderStyle="round"
+      borderColor="blue"
+      paddingX={2}
+      paddingY={1}
+      justifyContent="space-between"
+    >
+      <Box>
+        <Text bold>{symbol} options</Text>
+        {underlyingPrice && (
+          <Text color="gray"> · {formatMoney(underlyingPrice, false, currency)}</Text>
+        )}
+      </Box>
+      {expiry && (
+        <Box>
+          <Text color={expiryIndex > 0 ? 'cyan' : 'gray'}>◂ </Text>
+          <Text bold>{formatExpiry(expiry)}</Text>
+          <Text color="gray"> ({daysUntil(expiry)}d)</Text>
+          <Text color={expiryIndex < expirations.length - 1 ? 'cyan' : 'gray'}> ▸</Text>
+        </Box>
+      )}
+    </Box>
+  );
+
+  if (loading || error || !chain) {
+    return (
+      <Box flexDirection="column" padding={1}>
+        {header}
+        <Box marginTop={1} paddingX={2}>
+          {error ? (
+            <Text color="red">{error}</Text>
+          ) : (
+            <Text color="gray">Loading option chain for {symbol}...</Text>
+          )}
+        </Box>
+        <Box marginTop={1}>
+          <Text color="gray">Esc </Text>
+          <Text color="white">back</Text>
+        </Box>
+      </Box>
+    );
+  }
+
+  return (
+    <Box flexDirection="column" padding={1}>
+      {header}
+
+      <Box
+        borderStyle="single"
+        borderColor="gray"
+        marginTop={1}
+        flexDirection="column"
+        paddingX={1}
+        paddingY={1}
+      >
+        <Box>
+          <Text color={side === 'C' ? 'cyan' : 'gray'} bold>{'  ' + 'Calls'.padEnd(28)}</Text>
+          <Text>{' '.repeat(10)}</Text>
+          <Text color={side === 'P' ? 'cyan' : 'gray'} bold>{'Puts'}</Text>
+        </Box>
+        <Text color="gray">
+          {'  '}{padLeft('Bid', 7)}{padLeft('Ask', 7)}{padLeft('IV', 6)}{padLeft('Delta', 7)}{' '}
+          {padLeft('Strike', 9)}{' '}
+          {padLeft('Bid', 7)}{padLeft('Ask', 7)}{padLeft('IV', 6)}{padLeft('Delta', 7)}
+        </Text>
+
+        {visibleStrikes.map((strike, i) => {
+          const index = windowStart + i;
+          const isSelected = index === selected;
+          // In the money: calls below the price, puts above
+          const callItm = underlyingPrice && strike < underlyingPrice;
+          const putItm = underlyingPrice && strike > underlyingPrice;
+          return (
+            <Box key={strike}>
+              <Text color="cyan">{isSelected ? '▸ ' : '  '}</Text>
+              <QuoteCells
+                quote={getQuote(symbol, expiry, strike, 'C')}
+                highlighted={isSelected && side === 'C'}
+                dim={!callItm}
+              />
+              <Text bold={isSelected} color={isSelected ? 'white' : 'yellow'}>{padLeft(strike.toFixed(2), 9)}</Text>
+              <Text> </Text>
+              <QuoteCells
+                quote={getQuote(symbol, expiry, strike, 'P')}
+                highlighted={isSelected && side === 'P'}
+                dim={!putItm}
+              />
+            </Box>
+          );
+        })}
+      </Box>
+
+      <Box marginTop={1} paddingX={1}>
+        <Text color="gray" dimColor>
+          Prices per share · 1 contract = {chain.multiplier} shares · in-the-money strikes brighter
+        </Text>
+      </Box>
+
+      {/* Footer */}
+      <Box marginTop={1}>
+        <Text color="gray">←→ expiry   ↑↓ strike   Tab call/put   </Text>
+        <Text color="gray">b </Text>
+        <Text color="white">buy   </Text>
+        <Text color="gray">s </Text>
+        <Text color="white">sell   </Text>
+        <Text color="gray">r </Text>
+        <Text color="white">refresh</Text>
+      </Box>
+    </Box>
+  );
+}
+
+export default OptionChainScreen;
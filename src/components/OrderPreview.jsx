@@ -0,0 +1,71 @@
+import React from 'react';
+import { Box, Text } from 'ink';
+import { formatMoney } from '../utils/format.js';
+
+/**
+ * "before → after" with the change, when the account baseline is known
+ */
+function formatChange(after, before, currency) {
+  if (after === null || after === undefined) return '--';
+  if (before === null || before === undefined) return formatMoney(after, false, currency);
+  return `${formatMoney(after - before, true, currency)} → ${formatMoney(after, false, currency)}`;
+}
+
+function formatCommission(preview) {
+  const { commission, minCommission, maxCommission, commissionCurrency } = preview;
+
+  if (commission !== null) return formatMoney(commission, false, commissionCurrency);
+  if (minCommission !== null && maxCommission !== null) {
+    return `${formatMoney(minCommission, false, commissionCurrency)} – ${formatMoney(maxCommission, false, commissionCurrency)}`;
+  }
+  return '--';
+}
+
+/**
+ * What-if numbers from IB for the confirm step: commission, margin
+ * change and equity with loan after the trade
+ *
+ * Rendered inside the confirm details box (rows only, no border). Margin
+ * and equity figures are in the account's base currency.
+ */
+export function OrderPreview({ preview, loading, error, accountData, currency = 'USD' }) {
+  if (loading) {
+    return <Text color="gray" dimColor>Checking commission and margin with IB...</Text>;
+  }
+
+  if (error) {
+    return <Text color="yellow" dimColor>No IB preview: {error}</Text>;
+  }
+
+  if (!preview) return null;
+
+  return (
+    <>
+      <Box justifyContent="space-between">
+        <Text color="gray">Est. commission:</Text>
+        <Text>{formatCommission(preview)}</Text>
+      </Box>
+
+      <Box justifyContent="space-between">
+        <Text color="gray">Initial margin:</Text>
+        <Text>{formatChange(preview.initMargin, accountData?.initMarginReq, currency)}</Text>
+      </Box>
+
+      <Box justifyContent="space-between">
+        <Text color="gray">Maint. margin:</Text>
+        <Text>{formatChange(preview.maintMargin, accountData?.maintMarginReq, currency)}</Text>
+      </Box>
+
+      <Box justifyContent="space-between">
+        <Text color="gray">Equity with loan after:</Text>
+        <Text>{preview.equityWithLoan !== null ? formatMoney(preview.equityWithLoan, false, currency) : '--'}</Text>
+      </Box>
+
+      {preview.warningText && (
+        <Text color="yellow">{preview.warningText}</Text>
+      )}
+    </>
+  );
+}
+
+export default OrderPreview;
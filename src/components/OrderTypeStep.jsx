@@ -0,0 +1,240 @@
+import React from 'react';
+import { Box, Text } from 'ink';
+import TextInput from 'ink-text-input';
+import { formatMoney } from '../utils/format.js';
+
+// Order types offered in the buy/sell flow
+export const ORDER_TYPES = [
+  { key: 'MKT', label: 'Market', hint: 'fills now at the market price' },
+  { key: 'LMT', label: 'Limit', hint: 'fills only at your price or better' },
+];
+
+// Buys can also open a bracket (limit entry + take-profit + stop-loss)
+export const BUY_ORDER_TYPES = [
+  ...ORDER_TYPES,
+  { key: 'BRACKET', label: 'Bracket', hint: 'limit entry with take-profit and stop-loss' },
+];
+
+// Time-in-force choices (IB `order.tif`)
+export const TIF_OPTIONS = [
+  { key: 'DAY', label: 'Day', hint: 'expires at today\'s close' },
+  { key: 'GTC', label: 'GTC', hint: 'good till cancelled' },
+  { key: 'IOC', label: 'IOC', hint: 'fill what you can now, cancel the rest' },
+  { key: 'OPG', label: 'Open', hint: 'executes in the opening auction' },
+  { key: 'GTD', label: 'GTD', hint: 'good till a date you choose' },
+];
+
+/**
+ * TIF choices that make sense for an order type: stops and brackets are
+ * meant to sit and wait, so no IOC / opening-auction for them
+ */
+export function tifOptionsFor(orderType) {
+  if (orderType === 'MKT' || orderType === 'LMT') return TIF_OPTIONS;
+  return TIF_OPTIONS.filter(t => ['DAY', 'GTC', 'GTD'].includes(t.key));
+}
+
+/**
+ * Market orders can't run outside regular trading hours
+ */
+export function allowsOutsideRth(orderType) {
+  return orderType !== 'MKT';
+}
+
+/**
+ * Parse "YYYY-MM-DD" into IB's goodTillDate ("YYYYMMDD 23:59:59"), or null
+ * if it isn't a valid date from today on
+ */
+export function parseGoodTillDate(value) {
+  const match = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  const date = new Date(Number(year), Number(month) - 1, Number(day), 23, 59, 59);
+  if (date.getMonth() !== Number(month) - 1 || date < new Date()) return null;
+
+  return `${year}${month}${day} 23:59:59`;
+}
+
+/**
+ * Cycle through ORDER_TYPES (used by ↑↓ in the type step)
+ */
+export function nextOrderType(current, direction = 1, types = ORDER_TYPES) {
+  const index = types.findIndex(t => t.key === current);
+  const next = (index + direction + types.length) % types.length;
+  return types[next].key;
+}
+
+/**
+ * Parse a user-entered price ("$12.50", "12.5") into a positive number or null
+ */
+export function parsePrice(value) {
+  const num = parseFloat(String(value || '').replace(/[$,\s]/g, ''));
+  return Number.isFinite(num) && num > 0 ? num : null;
+}
+
+/**
+ * Parse a dollar amount ("$500", "$1,200.50") into a positive number, or
+ * null when the input isn't a dollar amount (e.g. a share count)
+ */
+export function parseDollarAmount(value) {
+  const text = String(value || '').trim();
+  return text.startsWith('$') ? parsePrice(text) : null;
+}
+
+/**
+ * Order type selector
+ *
+ * Design:
+ *   ▸ Market   fills now at the market price
+ *     Limit    fills only at your price or better
+ */
+export function OrderTypePicker({ selected, types = ORDER_TYPES, color = 'blue' }) {
+  return (
+    <Box
+      borderStyle="single"
+      borderColor={color}
+      marginTop={1}
+      paddingX={2}
+      paddingY={1}
+      flexDirection="column"
+    >
+      <Text color="gray">Order type:</Text>
+      {types.map(type => {
+        const isSelected = type.key === selected;
+        return (
+          <Box key={type.key}>
+            <Text color={isSelected ? 'cyan' : 'gray'}>{isSelected ? '▸ ' : '  '}</Text>
+            <Text bold={isSelected} color={isSelected ? 'white' : 'gray'}>{type.label.padEnd(9)}</Text>
+            <Text color="gray" dimColor>{type.hint}</Text>
+          </Box>
+        );
+      })}
+    </Box>
+  );
+}
+
+/**
+ * Limit price entry with live notional at the entered limit
+ */
+export function LimitPriceInput({
+  label = 'Limit price',
+  value,
+  onChange,
+  onSubmit,
+  quantity,
+  multiplier = 1,
+  symbol,
+  notionalLabel = 'Total at limit',
+  currency = 'USD',
+  error,
+  color = 'blue',
+}) {
+  const price = parsePrice(value);
+
+  return (
+    <Box
+      borderStyle="single"
+      borderColor={color}
+      marginTop={1}
+      paddingX={2}
+      paddingY={1}
+      flexDirection="column"
+      gap={1}
+    >
+      <Box>
+        <Text color="gray">{label}: </Text>
+        <TextInput
+          value={value}
+          onChange={onChange}
+          onSubmit={onSubmit}
+          placeholder="e.g. 150.25"
+        />
+      </Box>
+
+      {price && (
+        <Text color="gray">
+          {notionalLabel}: {quantity} × {symbol} = {formatMoney(quantity * price * multiplier, false, currency)}
+        </Text>
+      )}
+
+      {error && (
+        <Text color="red">{error}</Text>
+      )}
+    </Box>
+  );
+}
+
+/**
+ * Time-in-force selector with the outside-RTH toggle
+ *
+ * Design:
+ *   ▸ Day    expires at today's close
+ *     GTC    good till cancelled
+ *
+ *   o  outside regular hours: off
+ */
+export function TimeInForcePicker({ selected, options = TIF_OPTIONS, outsideRth, canOutsideRth = true, color = 'blue' }) {
+  return (
+    <Box
+      borderStyle="single"
+      borderColor={color}
+      marginTop={1}
+      paddingX={2}
+      paddingY={1}
+      flexDirection="column"
+    >
+      <Text color="gray">Time in force:</Text>
+      {options.map(option => {
+        const isSelected = option.key === selected;
+        return (
+          <Box key={option.key}>
+            <Text color={isSelected ? 'cyan' : 'gray'}>{isSelected ? '▸ ' : '  '}</Text>
+            <Text bold={isSelected} color={isSelected ? 'white' : 'gray'}>{option.label.padEnd(7)}</Text>
+            <Text color="gray" dimColor>{option.hint}</Text>
+          </Box>
+        );
+      })}
+
+      {canOutsideRth && (
+        <Box marginTop={1}>
+          <Text color="cyan">o </Text>
+          <Text color="gray">outside regular hours: </Text>
+          <Text color={outsideRth ? 'yellow' : 'gray'} bold={outsideRth}>{outsideRth ? 'on' : 'off'}</Text>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+/**
+ * Expiry date entry for GTD orders
+ */
+export function GoodTillDateInput({ value, onChange, onSubmit, error, color = 'blue' }) {
+  return (
+    <Box
+      borderStyle="single"
+      borderColor={color}
+      marginTop={1}
+      paddingX={2}
+      paddingY={1}
+      flexDirection="column"
+      gap={1}
+    >
+      <Box>
+        <Text color="gray">Good till (YYYY-MM-DD): </Text>
+        <TextInput
+          value={value}
+          onChange={onChange}
+          onSubmit={onSubmit}
+          placeholder="e.g. 2026-12-31"
+        />
+      </Box>
+
+      <Text color="gray" dimColor>Cancelled at the end of that day if not filled</Text>
+
+      {error && (
+        <Text color="red">{error}</Text>
+      )}
+    </Box>
+  );
+}
@@ -1,6 +1,8 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { Box, Text, useInput } from 'ink';
-import { formatMoney, formatFutureTime } from '../utils/format.js';
+import TextInput from 'ink-text-input';
+import { formatMoney, formatFutureTime, formatOrderTerms, formatTimeInForce } from '../utils/format.js';
+import { parsePrice } from './OrderTypeStep.jsx';
 
 const debug = (...args) => {
   if (process.argv.includes('--debug')) {
@@ -15,30 +17,226 @@ const debug = (...args) => {
  *   ▸ +  TSLA   2× ~$350        mañana 9:30
  *     +  GOOG   1× ~$175        mañana 9:30
  *
- *   ← volver          Enter gráfico          c cancelar
+ *   ▸ +  AAPL   5× @ $150.00    today 9:30
+ *          ├ take profit  @ $165.00
+ *          └ stop loss    stop $142.50
+ *
+ *   protected
+ *     TSLA   10 sh
+ *       -  TSLA   10× stop $300.00   armed
+ *
+ *   ← volver          Enter gráfico          e editar          c cancelar
+ */
+const PROTECTIVE_TYPES = new Set(['STP', 'TRAIL']);
+
+/**
+ * Group orders into selectable items:
+ * - bracket legs collapse into one item (entry + its children)
+ * - protective stops are grouped under the long position they protect
+ * - everything else is a single-order item
+ *
+ * Each item carries all its orderIds so cancel takes every leg.
+ */
+function groupOrders(orders, positions) {
+  const list = orders || [];
+  const parentIds = new Set(list.filter(o => o.parentId > 0).map(o => o.parentId));
+  const regular = [];
+  const brackets = new Map();
+  const groups = new Map();
+
+  for (const order of list) {
+    const rootId = order.parentId > 0 ? order.parentId : (parentIds.has(order.orderId) ? order.orderId : null);
+    if (rootId !== null) {
+      if (!brackets.has(rootId)) {
+        brackets.set(rootId, { parent: null, children: [] });
+      }
+      const bracket = brackets.get(rootId);
+      if (order.orderId === rootId) bracket.parent = order;
+      else bracket.children.push(order);
+      continue;
+    }
+
+    const position = positions?.find(p => p.symbol === order.symbol && p.quantity > 0);
+    const isProtective = order.action === 'SELL' && PROTECTIVE_TYPES.has(order.orderType);
+    const item = { key: String(order.orderId), order, legs: [], orderIds: [order.orderId] };
+
+    if (position && isProtective) {
+      if (!groups.has(order.symbol)) {
+        groups.set(order.symbol, { position, items: [] });
+      }
+      groups.get(order.symbol).items.push(item);
+    } else {
+      regular.push(item);
+    }
+  }
+
+  // Once the entry fills, only the children remain pending; lead with the first one
+  for (const [rootId, { parent, children }] of brackets) {
+    const [lead, ...legs] = parent ? [parent, ...children] : children;
+    regular.push({
+      key: `bracket-${rootId}`,
+      order: lead,
+      legs,
+      orderIds: [lead, ...legs].map(o => o.orderId),
+    });
+  }
+
+  const protectedGroups = Array.from(groups.values());
+  return {
+    regular,
+    protectedGroups,
+    // Selection order matches render order
+    items: [...regular, ...protectedGroups.flatMap(g => g.items)],
+  };
+}
+
+/**
+ * The price field an order type lets you edit, if any
  */
+function editablePrice(order) {
+  if (order.orderType === 'LMT') return { key: 'limitPrice', label: 'Limit price', value: order.limitPrice };
+  if (order.orderType === 'STP') return { key: 'stopPrice', label: 'Stop price', value: order.stopPrice };
+  return null;
+}
+
 export function OrdersScreen({
   orders,
+  positions,
   prices,
   loading,
   onViewChart,
   onCancel,
+  onModify,
   onBack,
 }) {
   const [selectedIndex, setSelectedIndex] = useState(0);
   const [confirmingCancel, setConfirmingCancel] = useState(false);
+  // Bracket whose leg to edit is being picked: { item, index }
+  const [pickingLeg, setPickingLeg] = useState(null);
+  // { order, siblings, step: quantity|price|confirm, quantity, price, error, sending }
+  // `siblings` are the other legs of a bracket, which follow a quantity change
+  const [editing, setEditing] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const { regular, protectedGroups, items } = useMemo(
+    () => groupOrders(orders, positions),
+    [orders, positions]
+  );
 
   debug('OrdersScreen render:', orders?.length || 0, 'orders, loading:', loading);
 
+  const editPrice = editing ? editablePrice(editing.order) : null;
+
+  // Changed fields only: { quantity?, limitPrice?, stopPrice? }
+  const editChanges = useMemo(() => {
+    if (!editing) return {};
+    const changes = {};
+    const qty = parseInt(editing.quantity, 10);
+    if (qty > 0 && qty !== editing.order.quantity) changes.quantity = qty;
+    const price = parsePrice(editing.price);
+    if (editPrice && price && price !== editPrice.value) changes[editPrice.key] = price;
+    return changes;
+  }, [editing, editPrice]);
+
+  const handleEditQuantitySubmit = () => {
+    const qty = parseInt(editing.quantity, 10);
+    if (isNaN(qty) || qty <= 0) {
+      setEditing({ ...editing, error: 'Enter a valid number' });
+      return;
+    }
+    setEditing({ ...editing, quantity: String(qty), step: editPrice ? 'price' : 'confirm', error: null });
+  };
+
+  const handleEditPriceSubmit = () => {
+    if (!parsePrice(editing.price)) {
+      setEditing({ ...editing, error: 'Enter a valid price' });
+      return;
+    }
+    setEditing({ ...editing, step: 'confirm', error: null });
+  };
+
+  const sendModify = async () => {
+    if (Object.keys(editChanges).length === 0) {
+      setEditing({ ...editing, error: 'Nothing changed' });
+      return;
+    }
+
+    debug('Modifying order:', editing.order.orderId, editChanges);
+    setEditing({ ...editing, sending: true, error: null });
+    try {
+      await onModify?.(editing.order, editChanges);
+      // Bracket legs keep one size: the rest of the bracket takes the new quantity
+      const resized = editChanges.quantity !== undefined ? editing.siblings : [];
+      for (const leg of resized) {
+        debug('Resizing bracket leg:', leg.orderId, editChanges.quantity);
+        await onModify?.(leg, { quantity: editChanges.quantity });
+      }
+      const ids = [editing.order, ...resized].map(o => `#${o.orderId}`).join(', ');
+      setNotice(`${resized.length > 0 ? 'Orders' : 'Order'} ${ids} modified`);
+      setEditing(null);
+    } catch (err) {
+      debug('Modify rejected:', err.message);
+      setEditing({ ...editing, sending: false, error: err.message });
+    }
+  };
+
+  const startEditing = (order, siblings = []) => {
+    debug('Editing order:', order.orderId);
+    setNotice(null);
+    setEditing({
+      order,
+      siblings,
+      step: 'quantity',
+      quantity: String(order.quantity),
+      price: editablePrice(order)?.value?.toFixed(2) || '',
+      error: null,
+      sending: false,
+    });
+  };
+
   // Handle input
   useInput((input, key) => {
+    // Picking a bracket leg to edit
+    if (pickingLeg) {
+      const legs = [pickingLeg.item.order, ...pickingLeg.item.legs];
+      if (key.escape) {
+        setPickingLeg(null);
+      } else if (key.upArrow) {
+        setPickingLeg({ ...pickingLeg, index: Math.max(0, pickingLeg.index - 1) });
+      } else if (key.downArrow) {
+        setPickingLeg({ ...pickingLeg, index: Math.min(legs.length - 1, pickingLeg.index + 1) });
+      } else if (key.return) {
+        const order = legs[pickingLeg.index];
+        setPickingLeg(null);
+        startEditing(order, legs.filter(leg => leg !== order));
+      }
+      return;
+    }
+
+    // Edit mode
+    if (editing) {
+      if (editing.sending) return;
+      if (key.escape) {
+        if (editing.step === 'confirm') {
+          setEditing({ ...editing, step: editPrice ? 'price' : 'quantity', error: null });
+        } else if (editing.step === 'price') {
+          setEditing({ ...editing, step: 'quantity', error: null });
+        } else {
+          setEditing(null);
+        }
+      } else if (key.return && editing.step === 'confirm') {
+        sendModify();
+      }
+      return;
+    }
+
     // Cancel confirmation mode
     if (confirmingCancel) {
       if (key.return) {
-        const selectedOrder = orders?.[selectedIndex];
-        if (selectedOrder) {
-          debug('Confirming cancel for order:', selectedOrder.orderId);
-          onCancel?.(selectedOrder.orderId);
+        const selectedItem = items[selectedIndex];
+        if (selectedItem) {
+          debug('Confirming cancel for orders:', selectedItem.orderIds);
+          onCancel?.(selectedItem.orderIds);
         }
         setConfirmingCancel(false);
       } else if (key.escape) {
@@ -54,15 +252,23 @@ export function OrdersScreen({
     } else if (key.upArrow) {
       setSelectedIndex(prev => Math.max(0, prev - 1));
     } else if (key.downArrow) {
-      setSelectedIndex(prev => Math.min((orders?.length || 1) - 1, prev + 1));
+      setSelectedIndex(prev => Math.min((items.length || 1) - 1, prev + 1));
     } else if (key.return) {
-      const selectedOrder = orders?.[selectedIndex];
-      if (selectedOrder) {
-        debug('View chart for:', selectedOrder.symbol);
-        onViewChart?.(selectedOrder.symbol);
+      const selectedItem = items[selectedIndex];
+      if (selectedItem) {
+        debug('View chart for:', selectedItem.order.symbol);
+        onViewChart?.(selectedItem.order.symbol);
+      }
+    } else if (input === 'e') {
+      const selectedItem = items[selectedIndex];
+      if (selectedItem?.legs.length > 0) {
+        setNotice(null);
+        setPickingLeg({ item: selectedItem, index: 0 });
+      } else if (selectedItem) {
+        startEditing(selectedItem.order);
       }
     } else if (input === 'c') {
-      if (orders?.length > 0) {
+      if (items.length > 0) {
         debug('Initiating cancel for order at index:', selectedIndex);
         setConfirmingCancel(true);
       }
@@ -90,21 +296,67 @@ export function OrdersScreen({
     );
   }
 
+  if (pickingLeg) {
+    return <LegPicker item={pickingLeg.item} index={pickingLeg.index} />;
+  }
+
+  if (editing) {
+    return (
+      <OrderEditPanel
+        editing={editing}
+        editPrice={editPrice}
+        changes={editChanges}
+        onChange={(field, value) => setEditing({ ...editing, [field]: value })}
+        onQuantitySubmit={handleEditQuantitySubmit}
+        onPriceSubmit={handleEditPriceSubmit}
+      />
+    );
+  }
+
   return (
     <Box flexDirection="column" padding={1}>
       {/* Orders list */}
       <Box flexDirection="column" marginBottom={1}>
-        {orders.map((order, index) => (
-          <OrderRow
-            key={order.orderId}
-            order={order}
-            price={prices?.[order.symbol]?.price}
+        {regular.map((item, index) => (
+          <OrderItem
+            key={item.key}
+            item={item}
+            price={prices?.[item.order.symbol]?.price}
             isSelected={index === selectedIndex}
             isConfirmingCancel={confirmingCancel && index === selectedIndex}
           />
         ))}
       </Box>
 
+      {/* Protective stops, grouped under the position they protect */}
+      {protectedGroups.length > 0 && (
+        <Box flexDirection="column" marginBottom={1}>
+          <Text color="gray" dimColor>protected</Text>
+          {protectedGroups.map(group => (
+            <Box key={group.position.symbol} flexDirection="column">
+              <Box>
+                <Text color="gray">  </Text>
+                <Text color="white">{group.position.symbol.padEnd(6)}</Text>
+                <Text color="gray">{group.position.quantity} sh</Text>
+              </Box>
+              {group.items.map(item => {
+                const index = items.indexOf(item);
+                return (
+                  <OrderItem
+                    key={item.key}
+                    item={item}
+                    price={prices?.[item.order.symbol]?.price}
+                    indent
+                    isSelected={index === selectedIndex}
+                    isConfirmingCancel={confirmingCancel && index === selectedIndex}
+                  />
+                );
+              })}
+            </Box>
+          ))}
+        </Box>
+      )}
+
       {/* Footer */}
       <Box marginTop={1} justifyContent="space-between">
         {confirmingCancel ? (
@@ -120,6 +372,10 @@ export function OrdersScreen({
               <Text color="gray">Enter </Text>
               <Text color="white">chart</Text>
             </Box>
+            <Box>
+              <Text color="gray">e </Text>
+              <Text color="white">edit</Text>
+            </Box>
             <Box>
               <Text color="gray">c </Text>
               <Text color="white">cancel</Text>
@@ -127,6 +383,170 @@ export function OrdersScreen({
           </>
         )}
       </Box>
+
+      {notice && (
+        <Box marginTop={1}>
+          <Text color="green">✓ {notice}</Text>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+/**
+ * Which leg of a bracket to edit: the entry (while it's pending), the take
+ * profit or the stop
+ */
+function LegPicker({ item, index }) {
+  const legs = [item.order, ...item.legs];
+  return (
+    <Box flexDirection="column" padding={1}>
+      <Text color="gray">Edit which order of the {item.order.symbol} bracket?</Text>
+      <Box flexDirection="column" marginTop={1}>
+        {legs.map((leg, i) => (
+          <Box key={leg.orderId}>
+            <Text color={i === index ? 'cyan' : 'gray'}>{i === index ? '▸ ' : '  '}</Text>
+            <Text color={i === index ? 'cyan' : 'white'} bold={i === index}>
+              {(leg.parentId > 0 ? legLabel(leg) : 'entry').padEnd(13)}
+            </Text>
+            <Text color="gray">{leg.quantity}× {formatOrderTerms(leg) || leg.orderType}</Text>
+          </Box>
+        ))}
+      </Box>
+      <Box marginTop={1}>
+        <Text color="gray">Enter </Text>
+        <Text color="white">edit</Text>
+        <Text color="gray">   Esc </Text>
+        <Text color="white">back</Text>
+      </Box>
+    </Box>
+  );
+}
+
+/**
+ * Edit a working order: quantity → price (LMT/STP only) → old vs new diff.
+ * A quantity change on a bracket leg goes to the whole bracket.
+ */
+function OrderEditPanel({ editing, editPrice, changes, onChange, onQuantitySubmit, onPriceSubmit }) {
+  const { order, step } = editing;
+  const isBuy = order.action === 'BUY';
+
+  const legCount = editing.siblings.length + 1;
+  const diffRows = [
+    {
+      label: 'Quantity',
+      from: String(order.quantity),
+      to: changes.quantity !== undefined
+        ? `${changes.quantity}${legCount > 1 ? ` (all ${legCount} bracket orders)` : ''}`
+        : null,
+    },
+  ];
+  if (editPrice) {
+    const to = changes[editPrice.key];
+    diffRows.push({ label: editPrice.label, from: formatMoney(editPrice.value), to: to !== undefined ? formatMoney(to) : null });
+  }
+
+  return (
+    <Box flexDirection="column" padding={1}>
+      <Box>
+        <Text color="gray">Modify #{order.orderId}  </Text>
+        <Text color={isBuy ? 'cyan' : 'red'} bold>{isBuy ? '+' : '-'}</Text>
+        <Text color="white" bold>{order.symbol.padEnd(6)}</Text>
+        <Text color="gray">{order.orderType} {formatOrderTerms(order)}</Text>
+      </Box>
+
+      <Box
+        borderStyle="single"
+        borderColor={step === 'confirm' ? 'yellow' : 'blue'}
+        marginTop={1}
+        paddingX={2}
+        paddingY={1}
+        flexDirection="column"
+      >
+        {step === 'quantity' && (
+          <Box>
+            <Text color="gray">Quantity: </Text>
+            <TextInput
+              value={editing.quantity}
+              onChange={(v) => onChange('quantity', v)}
+              onSubmit={onQuantitySubmit}
+            />
+          </Box>
+        )}
+
+        {step === 'price' && (
+          <Box>
+            <Text color="gray">{editPrice.label}: </Text>
+            <TextInput
+              value={editing.price}
+              onChange={(v) => onChange('price', v)}
+              onSubmit={onPriceSubmit}
+            />
+          </Box>
+        )}
+
+        {step === 'confirm' && diffRows.map(row => (
+          <Box key={row.label}>
+            <Text color="gray">{row.label.padEnd(14)}</Text>
+            <Text color={row.to ? 'gray' : 'white'}>{row.from}</Text>
+            {row.to && (
+              <>
+                <Text color="gray">  →  </Text>
+                <Text color="yellow" bold>{row.to}</Text>
+              </>
+            )}
+          </Box>
+        ))}
+
+        {editing.error && (
+          <Box marginTop={step === 'confirm' ? 1 : 0}>
+            <Text color="red">{editing.error}</Text>
+          </Box>
+        )}
+      </Box>
+
+      {/* Footer */}
+      <Box marginTop={1}>
+        {editing.sending ? (
+          <Text color="gray">Sending...</Text>
+        ) : (
+          <>
+            <Text color="gray">Enter </Text>
+            <Text color="white">{step === 'confirm' ? 'send change' : 'continue'}</Text>
+          </>
+        )}
+      </Box>
+    </Box>
+  );
+}
+
+/**
+ * Bracket leg label from its side of the trade
+ */
+function legLabel(order) {
+  if (order.orderType === 'LMT') return 'take profit';
+  if (PROTECTIVE_TYPES.has(order.orderType)) return 'stop loss';
+  return 'entry';
+}
+
+/**
+ * Order row plus any bracket legs nested below it
+ */
+function OrderItem({ item, ...rowProps }) {
+  const color = rowProps.isConfirmingCancel ? 'red' : 'gray';
+
+  return (
+    <Box flexDirection="column">
+      <OrderRow order={item.order} {...rowProps} />
+      {item.legs.map((leg, i) => (
+        <Box key={leg.orderId}>
+          <Text color={color}>
+            {rowProps.indent ? '    ' : ''}{'       '}{i === item.legs.length - 1 ? '└ ' : '├ '}
+          </Text>
+          <Text color={color}>{legLabel(leg).padEnd(13)}</Text>
+          <Text color={color}>{formatOrderTerms(leg)}</Text>
+        </Box>
+      ))}
     </Box>
   );
 }
@@ -134,18 +554,22 @@ export function OrdersScreen({
 /**
  * Single order row
  * Format: ▸ +  TSLA   2× ~$350        mañana 9:30
+ *         ▸ +  TSLA   2× @ $340.00    mañana 9:30   (limit)
+ *         ▸ -  TSLA   2× trail 5%     armed         (trailing stop)
  */
-function OrderRow({ order, price, isSelected, isConfirmingCancel }) {
+function OrderRow({ order, price, indent = false, isSelected, isConfirmingCancel }) {
   const isBuy = order.action === 'BUY';
   const typeSymbol = isBuy ? '+' : '-';
   const typeColor = isBuy ? 'cyan' : 'red';
 
-  // Format quantity and estimated price
-  const priceStr = price ? `~${formatMoney(price)}` : '';
-  const qtyPrice = price ? `${order.quantity}× ${priceStr}` : `${order.quantity}×`;
+  // Format quantity and price: priced orders show their terms, market orders an estimate
+  const terms = formatOrderTerms(order);
+  const priceStr = terms || (price ? `~${formatMoney(price)}` : '');
+  const qtyPrice = priceStr ? `${order.quantity}× ${priceStr}` : `${order.quantity}×`;
 
-  // Format future time
-  const timeStr = formatFutureTime(order.status);
+  // Format future time (working stops wait for their trigger, not the open)
+  const isArmedStop = PROTECTIVE_TYPES.has(order.orderType) && order.status === 'Submitted';
+  const timeStr = isArmedStop ? 'armed' : formatFutureTime(order.status);
 
   // Determine colors based on state
   const rowColor = isConfirmingCancel ? 'red' : undefined;
@@ -154,7 +578,7 @@ function OrderRow({ order, price, isSelected, isConfirmingCancel }) {
     <Box>
       {/* Selection indicator */}
       <Text color={isSelected ? 'cyan' : 'gray'}>
-        {isSelected ? '▸ ' : '  '}
+        {indent ? '    ' : ''}{isSelected ? '▸ ' : '  '}
       </Text>
 
       {/* Type indicator (+/-) */}
@@ -169,7 +593,12 @@ function OrderRow({ order, price, isSelected, isConfirmingCancel }) {
 
       {/* Quantity × Price */}
       <Text color={isConfirmingCancel ? 'red' : 'gray'}>
-        {qtyPrice.padEnd(18)}
+        {qtyPrice.padEnd(20)}
+      </Text>
+
+      {/* Time in force */}
+      <Text color={isConfirmingCancel ? 'red' : 'gray'} dimColor={!isConfirmingCancel}>
+        {formatTimeInForce(order).padEnd(16)}
       </Text>
 
       {/* Execution time */}
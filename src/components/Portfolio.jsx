@@ -8,15 +8,23 @@ export function Portfolio({
   positions,
   accountData,
   computed,
+  baseCurrency = 'USD',
+  fxRateFor = () => 1,
   accountId,
   prices,
   loading,
   pendingOrdersCount = 0,
+  connectionStatus = 'connected',
+  reconnect = null,
+  alert = null,
   onViewChart,
   onBuy,
   onSearch,
   onReport,
   onActivity,
+  onRebalance,
+  onExposure,
+  onWatchlist,
   onOrders,
   onRefresh,
   onQuit,
@@ -39,7 +47,7 @@ export function Portfolio({
     } else if (input === 'b') {
       // Buy - if on position, buy that symbol; otherwise search
       if (selectedIndex < positions.length) {
-        onBuy?.(positions[selectedIndex].symbol);
+        onBuy?.(positions[selectedIndex].symbol, positions[selectedIndex].contract);
       } else {
         onSearch?.();
       }
@@ -49,6 +57,12 @@ export function Portfolio({
       onReport?.();
     } else if (input === 'a') {
       onActivity?.();
+    } else if (input === 't') {
+      onRebalance?.();
+    } else if (input === 'e') {
+      onExposure?.();
+    } else if (input === 'w') {
+      onWatchlist?.();
     } else if (input === 'o') {
       onOrders?.();
     } else if (input === 'r') {
@@ -58,6 +72,9 @@ export function Portfolio({
     }
   });
 
+  // Option labels ("AAPL 150C 20Dec24") are wider than tickers
+  const symbolWidth = Math.max(6, ...positions.map(p => p.symbol.length));
+
   return (
     <Box flexDirection="column" padding={1}>
       {/* Header con totales */}
@@ -71,6 +88,7 @@ export function Portfolio({
           totalGain={computed.totalGain}
           gainPercent={computed.gainPercent}
           accountId={accountId}
+          currency={baseCurrency}
         />
       </Box>
 
@@ -87,27 +105,43 @@ export function Portfolio({
             <Text color="gray">No open positions</Text>
           </Box>
         ) : (
-          positions.map((position, index) => (
-            <PositionRow
-              key={position.symbol}
-              position={position}
-              selected={selectedIndex === index}
-              currentPrice={position.marketPrice || prices[position.symbol]?.price}
-            />
-          ))
+          positions.map((position, index) => {
+            // A streaming quote is newer than IB's portfolio update
+            const quote = prices[position.symbol];
+            return (
+              <PositionRow
+                key={position.contract?.conId || position.symbol}
+                position={position}
+                selected={selectedIndex === index}
+                currentPrice={quote?.streaming ? quote.price : position.marketPrice || quote?.price}
+                priceSource={quote?.streaming ? quote.source : null}
+                fxRate={fxRateFor(position.currency)}
+                baseCurrency={baseCurrency}
+                symbolWidth={symbolWidth}
+              />
+            );
+          })
         )}
 
         {/* Cash row */}
         <Box marginTop={1}>
           <CashRow
             amount={computed.cash}
+            currency={baseCurrency}
+            symbolWidth={symbolWidth}
             selected={selectedIndex === positions.length}
           />
         </Box>
       </Box>
 
       {/* Status bar */}
-      <StatusBar screen="portfolio" pendingOrdersCount={pendingOrdersCount} />
+      <StatusBar
+        screen="portfolio"
+        pendingOrdersCount={pendingOrdersCount}
+        connectionStatus={connectionStatus}
+        reconnect={reconnect}
+        alert={alert}
+      />
 
       {loading && (
         <Box marginTop={1}>
@@ -1,8 +1,16 @@
 import React, { useMemo, useState, useEffect } from 'react';
 import { Box, Text, useInput, useStdout } from 'ink';
+import TextInput from 'ink-text-input';
 import asciichart from 'asciichart';
 import { formatMoney, formatPercent } from '../utils/format.js';
 import { resampleLinear } from '../utils/resample.js';
+import {
+  barSeries,
+  benchmarkComparison,
+  benchmarkValues,
+  clipToSeries,
+  performanceMetrics,
+} from '../utils/performance.js';
 
 const debug = (...args) => {
   if (process.argv.includes('--debug')) {
@@ -26,6 +34,29 @@ const PORTFOLIO_PERIODS = {
 const PORTFOLIO_PERIOD_KEYS = ['1D', '3D', '1W', '4W', '1M', '6M', '1Y', 'ALL'];
 const DEFAULT_PERIOD = 'ALL';
 
+// Periodo de barras del benchmark (useHistoricalData) que cubre cada uno
+const BENCHMARK_BAR_PERIODS = {
+  '1D': '1W',
+  '3D': '1W',
+  '1W': '1W',
+  '4W': '1M',
+  '1M': '1M',
+  '6M': '6M',
+  '1Y': '1Y',
+};
+
+// ALL pide el más corto que cubra todo el historial; más allá de diez
+// años la comparación cubre solo los últimos diez (y lo dice)
+const BENCHMARK_ALL_PERIODS = [['1Y', 1], ['2Y', 2], ['5Y', 5], ['10Y', 10]];
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+function benchmarkPeriodFor(selectedPeriod, history) {
+  if (BENCHMARK_BAR_PERIODS[selectedPeriod]) return BENCHMARK_BAR_PERIODS[selectedPeriod];
+  const years = history && history.length > 0 ? (Date.now() - history[0].ts) / YEAR_MS : 0;
+  const covering = BENCHMARK_ALL_PERIODS.find(([, n]) => n >= years);
+  return (covering || BENCHMARK_ALL_PERIODS[BENCHMARK_ALL_PERIODS.length - 1])[0];
+}
+
 const Y_AXIS_PADDING = 9;
 
 // ═══════════════════════════════════════════════════════════════
@@ -59,40 +90,14 @@ function formatDateLabel(date, rangeDays) {
 }
 
 // ═══════════════════════════════════════════════════════════════
-// DETECTAR DEPÓSITOS/RETIROS
+// CAPITAL APORTADO: valor inicial + depósitos - retiros del ledger
 // ═══════════════════════════════════════════════════════════════
-function detectCashFlows(history) {
-  if (!history || history.length < 2) return { flows: [], totalInvested: history?.[0]?.netLiquidation || 0 };
-
-  const flows = [];
-  let totalInvested = history[0].netLiquidation;
-
-  for (let i = 1; i < history.length; i++) {
-    const prev = history[i - 1];
-    const curr = history[i];
-
-    const dNet = curr.netLiquidation - prev.netLiquidation;
-    const dCash = curr.cash - prev.cash;
-
-    const sameDirection = Math.sign(dNet) === Math.sign(dCash) && Math.sign(dNet) !== 0;
-    const thresholdNet = Math.max(50, Math.abs(prev.netLiquidation) * 0.002);
-    const thresholdCash = Math.max(50, Math.abs(prev.cash) * 0.01);
-    const bigEnough = Math.abs(dNet) >= thresholdNet && Math.abs(dCash) >= thresholdCash;
-    const ratio = dCash !== 0 ? Math.abs(dNet / dCash) : 0;
-    const ratioIsClose = ratio > 0.5 && ratio < 2.0;
-
-    if (sameDirection && bigEnough && ratioIsClose) {
-      totalInvested += dNet;
-      flows.push({
-        ts: curr.ts,
-        amount: dNet,
-        type: dNet > 0 ? 'deposit' : 'withdrawal',
-      });
-      debug(`Cash flow at ${new Date(curr.ts).toISOString()}: ${dNet > 0 ? 'DEPOSIT' : 'WITHDRAWAL'} ${Math.abs(dNet).toFixed(2)}`);
-    }
-  }
-
-  return { flows, totalInvested };
+function investedFromLedger(history, cashFlows) {
+  if (!history || history.length === 0) return 0;
+  const startTs = history[0].ts;
+  return cashFlows
+    .filter(f => f.ts > startTs)
+    .reduce((sum, f) => sum + f.amount, history[0].netLiquidation);
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -112,7 +117,7 @@ function generateXAxisWithMarkers(dates, chartWidth, flows) {
   // Encontrar posiciones de depósitos
   const depositPositions = new Set();
   for (const flow of flows) {
-    if (flow.type === 'deposit') {
+    if (flow.amount > 0) {
       const frac = rangeMs > 0 ? (flow.ts - firstDate.getTime()) / rangeMs : 0;
       const pos = Math.round(frac * (chartWidth - 1));
       if (pos >= 0 && pos < chartWidth) {
@@ -174,8 +179,22 @@ function generateXAxisWithMarkers(dates, chartWidth, flows) {
 // ═══════════════════════════════════════════════════════════════
 // COMPONENTE PRINCIPAL
 // ═══════════════════════════════════════════════════════════════
-export function PortfolioReportScreen({ history, onBack }) {
+export function PortfolioReportScreen({
+  history,
+  cashFlows = [], // In the base currency
+  unconvertedFlows = [], // Ledger entries in a currency with no FX rate yet
+  suggestions = [],
+  benchmark = null,
+  onBenchmarkChange,
+  fetchBenchmark,
+  getBenchmarkBars,
+  onCashFlows,
+  onBack,
+}) {
   const [selectedPeriod, setSelectedPeriod] = useState(DEFAULT_PERIOD);
+  const [editingBenchmark, setEditingBenchmark] = useState(false);
+  const [benchmarkInput, setBenchmarkInput] = useState('');
+  const [benchmarkFailure, setBenchmarkFailure] = useState(null); // { key, message }
   const { stdout } = useStdout();
 
   const terminalWidth = stdout?.columns || 80;
@@ -185,7 +204,17 @@ export function PortfolioReportScreen({ history, onBack }) {
   const chartHeight = Math.min(10, Math.max(6, Math.floor(terminalHeight * 0.25)));
 
   useInput((input, key) => {
+    if (editingBenchmark) {
+      if (key.escape) setEditingBenchmark(false);
+      return;
+    }
+
     if (key.escape) onBack?.();
+    else if (input === 'f') onCashFlows?.();
+    else if (input === 'b') {
+      setBenchmarkInput('');
+      setEditingBenchmark(true);
+    }
     else if (key.upArrow) {
       setSelectedPeriod(prev => {
         const i = PORTFOLIO_PERIOD_KEYS.indexOf(prev);
@@ -241,10 +270,11 @@ export function PortfolioReportScreen({ history, onBack }) {
     return out;
   }, [filteredHistory, periodRange]);
 
-  // Detectar cash flows (usando TODO el historial para el total)
-  const { flows, totalInvested } = useMemo(() => {
-    return detectCashFlows(history);
-  }, [history]);
+  // Depósitos/retiros del ledger (las sugerencias no cuentan hasta confirmarlas)
+  const flows = cashFlows;
+  const totalInvested = useMemo(() => {
+    return investedFromLedger(history, flows);
+  }, [history, flows]);
 
   // Cash flows en el periodo visible (para los marcadores)
   const flowsInPeriod = useMemo(() => {
@@ -254,15 +284,57 @@ export function PortfolioReportScreen({ history, onBack }) {
     return flows.filter(f => f.ts >= startTs && f.ts <= endTs);
   }, [flows, filteredHistory]);
 
+  // Rendimiento del periodo, sin contar depósitos/retiros como ganancia
+  const metrics = useMemo(() => {
+    return performanceMetrics(filteredHistory, flowsInPeriod);
+  }, [filteredHistory, flowsInPeriod]);
+
+  // Barras del benchmark para el periodo
+  const benchmarkPeriod = benchmarkPeriodFor(selectedPeriod, history);
+  const benchmarkKey = `${benchmark}-${benchmarkPeriod}`;
+  useEffect(() => {
+    if (!benchmark) return;
+    setBenchmarkFailure(null);
+    fetchBenchmark?.(benchmark, benchmarkPeriod).catch((e) => {
+      debug('Benchmark fetch failed:', benchmark, e?.message);
+      setBenchmarkFailure({ key: benchmarkKey, message: e?.message || 'Error fetching history' });
+    });
+  }, [benchmark, benchmarkPeriod, benchmarkKey, fetchBenchmark]);
+
+  const benchmarkBars = benchmark ? getBenchmarkBars?.(benchmark, benchmarkPeriod) : null;
+  // Un fallo viejo no tapa barras que llegaron después (p. ej. al reconectar)
+  const benchmarkError = !benchmarkBars && benchmarkFailure?.key === benchmarkKey ? benchmarkFailure.message : null;
+  const series = useMemo(() => barSeries(benchmarkBars), [benchmarkBars]);
+
+  // Inicio del tramo comparado cuando las barras empiezan después del periodo
+  const benchmarkSince = useMemo(() => {
+    const covered = clipToSeries(filteredHistory, series);
+    if (covered.length === 0 || covered[0].ts === filteredHistory[0].ts) return null;
+    return new Date(covered[0].ts);
+  }, [filteredHistory, series]);
+
+  // Alpha, beta y diferencia de seguimiento en el tramo que cubren las barras
+  const comparison = useMemo(() => {
+    if (series.length === 0) return null;
+    return benchmarkComparison(filteredHistory, flowsInPeriod, series);
+  }, [filteredHistory, flowsInPeriod, series]);
+
   // Resamplear
   const sampled = useMemo(() => {
-    if (!chartHistory || chartHistory.length === 0) return { values: [], dates: [] };
+    if (!chartHistory || chartHistory.length === 0) return { values: [], dates: [], benchmark: [] };
     const valuesRaw = chartHistory.map(p => p.netLiquidation);
     const datesRaw = chartHistory.map(p => new Date(p.ts));
     const values = resampleLinear(valuesRaw, chartWidth);
     const ts = resampleLinear(datesRaw.map(d => d.getTime()), chartWidth);
-    return { values, dates: ts.map(t => new Date(t)) };
-  }, [chartHistory, chartWidth]);
+
+    // El mismo dinero (valor inicial + depósitos) invertido en el benchmark,
+    // en la misma escala que la cartera
+    const covered = clipToSeries(filteredHistory, series);
+    const benchmarkLine = covered.length >= 2
+      ? benchmarkValues(covered, flowsInPeriod, series, ts.map(t => Math.max(t, covered[0].ts)))
+      : [];
+    return { values, dates: ts.map(t => new Date(t)), benchmark: benchmarkLine };
+  }, [chartHistory, chartWidth, filteredHistory, flowsInPeriod, series]);
 
   // Calcular ganancia
   const chartData = useMemo(() => {
@@ -273,22 +345,23 @@ export function PortfolioReportScreen({ history, onBack }) {
     return { lastValue, totalInvested, totalGain, totalGainPercent };
   }, [history, totalInvested]);
 
-  // Renderizar gráfico (UNA sola línea)
+  // Renderizar gráfico (cartera + benchmark si hay)
   const chartRender = useMemo(() => {
     if (!sampled.values || sampled.values.length < 2 || !chartData) return null;
     const isPositive = chartData.totalGain >= 0;
     const color = isPositive ? asciichart.green : asciichart.red;
+    const hasBenchmark = sampled.benchmark.length === sampled.values.length;
     try {
-      return asciichart.plot(sampled.values, {
+      return asciichart.plot(hasBenchmark ? [sampled.values, sampled.benchmark] : sampled.values, {
         height: chartHeight,
-        colors: [color],
+        colors: hasBenchmark ? [color, asciichart.blue] : [color],
         format: (x) => formatCompact(x).padStart(8),
       });
     } catch (e) {
       debug('Chart error:', e?.message);
       return null;
     }
-  }, [sampled.values, chartHeight, chartData]);
+  }, [sampled, chartHeight, chartData]);
 
   // Eje X con marcadores
   const xAxis = useMemo(() => {
@@ -307,6 +380,13 @@ export function PortfolioReportScreen({ history, onBack }) {
   const gainColor = isPositive ? 'green' : 'red';
   const gainSign = isPositive ? '+' : '';
 
+  const handleBenchmarkSubmit = (value) => {
+    const symbol = value.trim().toUpperCase();
+    debug('Benchmark:', symbol || 'none');
+    onBenchmarkChange?.(symbol || null);
+    setEditingBenchmark(false);
+  };
+
   return (
     <Box flexDirection="column" padding={1}>
       {/* HEADER LÍNEA 1: Valor actual */}
@@ -321,6 +401,20 @@ export function PortfolioReportScreen({ history, onBack }) {
         <Text color={gainColor}> ({formatPercent(Math.abs(chartData.totalGainPercent))})</Text>
       </Box>
 
+      {/* MÉTRICAS DEL PERIODO */}
+      {metrics && <MetricsLine metrics={metrics} />}
+
+      {/* COMPARACIÓN CON EL BENCHMARK */}
+      {benchmark && (
+        <BenchmarkLine
+          symbol={benchmark}
+          comparison={comparison}
+          loaded={!!benchmarkBars}
+          error={benchmarkError}
+          since={benchmarkSince}
+        />
+      )}
+
       {/* SELECTOR DE PERIODO */}
       <Box marginTop={1}>
         {PORTFOLIO_PERIOD_KEYS.map((key, i) => (
@@ -347,13 +441,108 @@ export function PortfolioReportScreen({ history, onBack }) {
         <Text color="gray">{xAxis.labelsLine}</Text>
       </Box>
 
-      {/* LEYENDA (solo si hay depósitos) */}
-      {xAxis.hasDeposits && (
+      {/* LEYENDA (depósitos y benchmark) */}
+      {(xAxis.hasDeposits || sampled.benchmark.length > 0) && (
+        <Box marginTop={1}>
+          {xAxis.hasDeposits && <Text color="green">▲</Text>}
+          {xAxis.hasDeposits && <Text color="gray" dimColor> deposit   </Text>}
+          {sampled.benchmark.length > 0 && <Text color="blue">─</Text>}
+          {sampled.benchmark.length > 0 && <Text color="gray" dimColor> {benchmark} with the same deposits</Text>}
+        </Box>
+      )}
+
+      {editingBenchmark && (
+        <Box marginTop={1}>
+          <Text color="gray">Benchmark: </Text>
+          <TextInput value={benchmarkInput} onChange={setBenchmarkInput} onSubmit={handleBenchmarkSubmit} placeholder="SPY, QQQ... (empty for none)" />
+        </Box>
+      )}
+
+      {/* Movimientos en otra moneda sin tipo de cambio: fuera de los cálculos */}
+      {unconvertedFlows.length > 0 && (
         <Box marginTop={1}>
-          <Text color="green">▲</Text>
-          <Text color="gray" dimColor> deposit</Text>
+          <Text color="yellow">
+            {unconvertedFlows.length} {unconvertedFlows.length === 1 ? 'transfer' : 'transfers'} in{' '}
+            {[...new Set(unconvertedFlows.map(f => f.currency))].join(', ')} left out: no exchange rate from IB yet
+          </Text>
         </Box>
       )}
+
+      {/* Sugerencias pendientes de confirmar */}
+      {suggestions.length > 0 && (
+        <Box marginTop={1}>
+          <Text color="yellow">{suggestions.length} possible {suggestions.length === 1 ? 'transfer' : 'transfers'} to review</Text>
+        </Box>
+      )}
+
+      <Box marginTop={1}>
+        <Text color="gray" dimColor>
+          {editingBenchmark
+            ? '[Enter] Save  [Esc] Cancel'
+            : '[↑↓] Period  [b] Benchmark  [f] Deposits & withdrawals  [Esc] Back'}
+        </Text>
+      </Box>
+    </Box>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LÍNEA DE MÉTRICAS: twr, mwr, drawdown, volatilidad, sharpe
+// ═══════════════════════════════════════════════════════════════
+function MetricsLine({ metrics }) {
+  const pct = (value) => (value === null || value === undefined ? '--' : formatPercent(value * 100, true));
+  const colorFor = (value) => (value > 0 ? 'green' : value < 0 ? 'red' : 'gray');
+  const mwr = metrics.mwr?.period ?? null;
+
+  return (
+    <Box>
+      <Text color="gray" dimColor>twr </Text>
+      <Text color={colorFor(metrics.twr)}>{pct(metrics.twr)}</Text>
+      <Text color="gray" dimColor>   mwr </Text>
+      <Text color={colorFor(mwr)}>{pct(mwr)}</Text>
+      <Text color="gray" dimColor>   max dd </Text>
+      <Text color={metrics.maxDrawdown < 0 ? 'red' : 'gray'}>{pct(metrics.maxDrawdown)}</Text>
+      <Text color="gray" dimColor>   vol </Text>
+      <Text color="gray">{metrics.volatility === null ? '--' : formatPercent(metrics.volatility * 100)}</Text>
+      <Text color="gray" dimColor>   sharpe </Text>
+      <Text color="gray">{metrics.sharpe === null ? '--' : metrics.sharpe.toFixed(2)}</Text>
+    </Box>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LÍNEA DE BENCHMARK: rendimiento, diferencia de seguimiento, alpha, beta
+// ═══════════════════════════════════════════════════════════════
+function BenchmarkLine({ symbol, comparison, loaded, error, since }) {
+  const pct = (value) => (value === null || value === undefined ? '--' : formatPercent(value * 100, true));
+  const colorFor = (value) => (value > 0 ? 'green' : value < 0 ? 'red' : 'gray');
+
+  if (!comparison) {
+    return (
+      <Box>
+        <Text color="gray" dimColor>vs {symbol} </Text>
+        {error ? (
+          <Text color="red">{error}</Text>
+        ) : loaded ? (
+          <Text color="gray">not enough history to compare</Text>
+        ) : (
+          <Text color="gray">loading...</Text>
+        )}
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Text color="gray" dimColor>vs {symbol} </Text>
+      {since && <Text color="gray" dimColor>since {formatDateLabel(since, 365)} </Text>}
+      <Text color={colorFor(comparison.benchmarkReturn)}>{pct(comparison.benchmarkReturn)}</Text>
+      <Text color="gray" dimColor>   tracking diff </Text>
+      <Text color={colorFor(comparison.trackingDifference)}>{pct(comparison.trackingDifference)}</Text>
+      <Text color="gray" dimColor>   alpha </Text>
+      <Text color={colorFor(comparison.alpha)}>{pct(comparison.alpha)}</Text>
+      <Text color="gray" dimColor>   beta </Text>
+      <Text color="gray">{comparison.beta === null ? '--' : comparison.beta.toFixed(2)}</Text>
     </Box>
   );
 }
@@ -1,9 +1,23 @@
 import React from 'react';
 import { Box, Text } from 'ink';
-import { formatMoney, formatPercent, padRight, padLeft } from '../utils/format.js';
+import { formatMoney, formatPercent, padRight, padLeft, PRICE_SOURCE_COLORS } from '../utils/format.js';
 
-export function PositionRow({ position, selected = false, currentPrice = null }) {
-  const { symbol, quantity, avgCost, marketValue } = position;
+/**
+ * Values are shown in the account's base currency (`fxRate` converts from
+ * the position's currency); gain % doesn't depend on the currency.
+ * `priceSource` (live, delayed, frozen) marks a streaming price.
+ */
+export function PositionRow({
+  position,
+  selected = false,
+  currentPrice = null,
+  priceSource = null,
+  fxRate = 1,
+  baseCurrency = 'USD',
+  symbolWidth = 6,
+}) {
+  const { symbol, quantity, avgCost, marketValue, currency = 'USD', multiplier = 1 } = position;
+  const isForeign = currency !== baseCurrency;
 
   const qty = Number(quantity);
   const price = Number(currentPrice);
@@ -17,16 +31,17 @@ export function PositionRow({ position, selected = false, currentPrice = null })
   // Display value: prefer live price when available.
   let displayValue = marketValue;
   if (hasQty && hasPrice) {
-    displayValue = qty * price;
+    displayValue = qty * price * multiplier;
   }
+  displayValue *= fxRate;
 
   // Gain/loss vs cost basis: (currentPrice - avgCost) / avgCost
   let gain = 0;
   let gainPercent = null;
   if (canComputePercent) {
-    const costBasis = qty * cost;
+    const costBasis = qty * cost * multiplier;
     const denom = Math.abs(costBasis);
-    gain = (price - cost) * qty;
+    gain = (price - cost) * qty * multiplier;
     gainPercent = denom > 0 ? (gain / denom) * 100 : 0;
   }
 
@@ -41,14 +56,14 @@ export function PositionRow({ position, selected = false, currentPrice = null })
         {selected ? ' ▸ ' : '   '}
       </Text>
       <Text backgroundColor={bgColor} color={textColor} bold={selected}>
-        {padRight(symbol, 6)}
+        {padRight(symbol, symbolWidth)}
       </Text>
       <Text backgroundColor={bgColor} color="gray">
-        {padLeft(String(quantity), 5)} sh
+        {padLeft(String(quantity), 5)} {multiplier > 1 ? 'ct' : 'sh'}
       </Text>
       <Text backgroundColor={bgColor} color={textColor}>
         {'   '}
-        {padLeft(formatMoney(displayValue), 12)}
+        {padLeft(formatMoney(displayValue, false, baseCurrency), 12)}
       </Text>
       {gainPercent === null ? (
         <Text backgroundColor={bgColor} color="gray">
@@ -61,11 +76,21 @@ export function PositionRow({ position, selected = false, currentPrice = null })
           {padLeft(formatPercent(gainPercent, true), 8)}
         </Text>
       )}
+      {isForeign && (
+        <Text backgroundColor={bgColor} color="gray" dimColor>
+          {'  '}{currency}
+        </Text>
+      )}
+      {priceSource && (
+        <Text backgroundColor={bgColor} color={PRICE_SOURCE_COLORS[priceSource]} dimColor={priceSource !== 'live'}>
+          {'  '}{priceSource === 'live' ? '●' : priceSource}
+        </Text>
+      )}
     </Box>
   );
 }
 
-export function CashRow({ amount, selected = false }) {
+export function CashRow({ amount, selected = false, currency = 'USD', symbolWidth = 6 }) {
   const bgColor = selected ? 'blue' : undefined;
   const textColor = selected ? 'white' : undefined;
 
@@ -75,14 +100,14 @@ export function CashRow({ amount, selected = false }) {
         {selected ? ' ▸ ' : '   '}
       </Text>
       <Text backgroundColor={bgColor} color="gray">
-        {padRight('Cash', 6)}
+        {padRight('Cash', symbolWidth)}
       </Text>
       <Text backgroundColor={bgColor} color="gray">
         {padLeft('', 9)}
       </Text>
       <Text backgroundColor={bgColor} color={textColor}>
         {'   '}
-        {padLeft(formatMoney(amount), 12)}
+        {padLeft(formatMoney(amount, false, currency), 12)}
       </Text>
       <Text backgroundColor={bgColor} color="gray">
         {'   '}
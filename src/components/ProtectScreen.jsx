@@ -0,0 +1,330 @@
+import React, { useState } from 'react';
+import { Box, Text, useInput } from 'ink';
+import TextInput from 'ink-text-input';
+import { formatMoney, formatPercent } from '../utils/format.js';
+import { parsePrice } from './OrderTypeStep.jsx';
+
+// Ways to express the stop, in picker order
+const STOP_MODES = [
+  { key: 'price', label: 'Stop price', hint: 'sell if the price falls to a fixed level', prompt: 'Stop price' },
+  { key: 'percent', label: 'Stop %', hint: 'sell if the price falls X% below now', prompt: 'Percent below market' },
+  { key: 'trailAmount', label: 'Trailing $', hint: 'stop follows the price up by a fixed amount', prompt: 'Trail amount' },
+  { key: 'trailPercent', label: 'Trailing %', hint: 'stop follows the price up by a percent', prompt: 'Trail percent' },
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Default value shown when entering the value step
+ */
+function defaultValueFor(mode, price) {
+  switch (mode) {
+    case 'price':
+      return price ? (price * 0.95).toFixed(2) : '';
+    case 'trailAmount':
+      return price ? (price * 0.05).toFixed(2) : '';
+    default:
+      return '5';
+  }
+}
+
+/**
+ * Turn the entered value into order options plus the price the stop
+ * would trigger at right now
+ */
+function resolveStop(mode, rawValue, price) {
+  const value = parsePrice(rawValue);
+  if (!value) return { error: 'Enter a valid number' };
+
+  const isPercent = mode === 'percent' || mode === 'trailPercent';
+  if (isPercent && value >= 100) return { error: 'Percent must be below 100' };
+  if (!price && mode !== 'price') return { error: 'Needs a current price' };
+
+  switch (mode) {
+    case 'price':
+      if (price && value >= price) return { error: 'Stop must be below the current price' };
+      return { options: { orderType: 'STP', stopPrice: round2(value) }, triggerPrice: round2(value) };
+    case 'percent': {
+      const stopPrice = round2(price * (1 - value / 100));
+      return { options: { orderType: 'STP', stopPrice }, triggerPrice: stopPrice };
+    }
+    case 'trailAmount':
+      if (value >= price) return { error: 'Trail must be smaller than the price' };
+      return { options: { orderType: 'TRAIL', trailingAmount: round2(value) }, triggerPrice: price - value };
+    case 'trailPercent':
+      return { options: { orderType: 'TRAIL', trailingPercent: value }, triggerPrice: price * (1 - value / 100) };
+    default:
+      return { error: 'Unknown stop type' };
+  }
+}
+
+/**
+ * ProtectScreen - Attach a stop-loss or trailing stop to an owned position
+ *
+ * Flow: quantity → stop type → value → confirm
+ * Orders go out as GTC so the protection survives the session.
+ */
+export function ProtectScreen({
+  symbol,
+  currentPrice,
+  isEstimatedPrice = false,
+  priceLoading,
+  ownedQuantity,
+  currency = 'USD',
+  onConfirm,
+  onCancel,
+}) {
+  const [quantity, setQuantity] = useState(String(ownedQuantity));
+  const [step, setStep] = useState('input'); // input, mode, value, confirm
+  const [mode, setMode] = useState('percent');
+  const [value, setValue] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = () => {
+    const qty = quantity.toLowerCase() === 'all' ? ownedQuantity : parseInt(quantity, 10);
+
+    if (isNaN(qty) || qty <= 0) {
+      setError('Enter a valid number');
+      return;
+    }
+
+    if (qty > ownedQuantity) {
+      setError(`You only have ${ownedQuantity} shares`);
+      return;
+    }
+
+    setError(null);
+    setQuantity(String(qty));
+    setStep('mode');
+  };
+
+  const handleValueSubmit = () => {
+    const resolved = resolveStop(mode, value, currentPrice);
+    if (resolved.error) {
+      setError(resolved.error);
+      return;
+    }
+
+    setError(null);
+    setStep('confirm');
+  };
+
+  const handleConfirm = () => {
+    const qty = parseInt(quantity, 10);
+    const { options } = resolveStop(mode, value, currentPrice);
+    onConfirm?.(symbol, qty, { ...options, tif: 'GTC' });
+  };
+
+  useInput((input, key) => {
+    if (key.escape) {
+      setError(null);
+      if (step === 'confirm') {
+        setStep('value');
+      } else if (step === 'value') {
+        setStep('mode');
+      } else if (step === 'mode') {
+        setStep('input');
+      } else {
+        onCancel?.();
+      }
+    } else if (step === 'mode') {
+      const index = STOP_MODES.findIndex(m => m.key === mode);
+      if (key.upArrow) {
+        setMode(STOP_MODES[(index - 1 + STOP_MODES.length) % STOP_MODES.length].key);
+      } else if (key.downArrow) {
+        setMode(STOP_MODES[(index + 1) % STOP_MODES.length].key);
+      } else if (key.return) {
+        setValue(defaultValueFor(mode, currentPrice));
+        setStep('value');
+      }
+    } else if (key.return && step === 'confirm') {
+      handleConfirm();
+    }
+  });
+
+  if (priceLoading) {
+    return (
+      <Box flexDirection="column" padding={1}>
+        <Box
+          borderStyle="round"
+          borderColor="yellow"
+          paddingX={2}
+          paddingY={1}
+        >
+          <Text>Fetching price for {symbol}...</Text>
+        </Box>
+      </Box>
+    );
+  }
+
+  const qty = parseInt(quantity, 10);
+  const selectedMode = STOP_MODES.find(m => m.key === mode);
+  const preview = step === 'value' || step === 'confirm' ? resolveStop(mode, value, currentPrice) : null;
+  const isTrailing = mode === 'trailAmount' || mode === 'trailPercent';
+
+  if (step === 'confirm' && preview?.options) {
+    const dropPercent = currentPrice ? ((currentPrice - preview.triggerPrice) / currentPrice) * 100 : null;
+
+    return (
+      <Box flexDirection="column" padding={1}>
+        <Box
+          borderStyle="round"
+          borderColor="yellow"
+          flexDirection="column"
+          paddingX={2}
+          paddingY={1}
+        >
+          <Text bold color="yellow">Confirm {isTrailing ? 'trailing stop' : 'stop-loss'}?</Text>
+        </Box>
+
+        <Box
+          borderStyle="single"
+          borderColor="gray"
+          marginTop={1}
+          flexDirection="column"
+          paddingX={2}
+          paddingY={1}
+          gap={1}
+        >
+          <Box justifyContent="space-between">
+            <Text color="gray">Sell:</Text>
+            <Text bold>{qty} × {symbol}</Text>
+          </Box>
+
+          <Box justifyContent="space-between">
+            <Text color="gray">{isTrailing ? 'Trail:' : 'Stop price:'}</Text>
+            <Text bold>
+              {mode === 'trailPercent'
+                ? `${preview.options.trailingPercent}%`
+                : formatMoney(preview.options.stopPrice ?? preview.options.trailingAmount, false, currency)}
+            </Text>
+          </Box>
+
+          <Box justifyContent="space-between">
+            <Text color="gray">{isTrailing ? 'Stop now at:' : 'Triggers at:'}</Text>
+            <Text color="red">
+              {isTrailing ? '~' : ''}{formatMoney(preview.triggerPrice, false, currency)}
+              {dropPercent !== null ? ` (-${formatPercent(dropPercent)})` : ''}
+            </Text>
+          </Box>
+
+          <Text color="gray" dimColor>Good till cancelled · becomes a market order when triggered</Text>
+        </Box>
+
+        {/* Footer */}
+        <Box marginTop={1}>
+          <Text color="gray">Enter </Text>
+          <Text color="white">confirm</Text>
+        </Box>
+      </Box>
+    );
+  }
+
+  return (
+    <Box flexDirection="column" padding={1}>
+      {/* Header */}
+      <Box
+        borderStyle="round"
+        borderColor="yellow"
+        paddingX={2}
+        paddingY={1}
+      >
+        <Text bold color="yellow">Protect {symbol}</Text>
+      </Box>
+
+      {/* Info */}
+      <Box
+        borderStyle="single"
+        borderColor="gray"
+        marginTop={1}
+        flexDirection="column"
+        paddingX={2}
+        paddingY={1}
+        gap={1}
+      >
+        <Box justifyContent="space-between">
+          <Text color="gray">You have:</Text>
+          <Text>{ownedQuantity} shares</Text>
+        </Box>
+
+        <Box justifyContent="space-between">
+          <Text color="gray">{isEstimatedPrice ? 'Estimated price:' : 'Current price:'}</Text>
+          <Text color={isEstimatedPrice ? 'yellow' : undefined}>
+            {currentPrice ? (isEstimatedPrice ? '~' : '') + formatMoney(currentPrice, false, currency) : '--'}
+          </Text>
+        </Box>
+      </Box>
+
+      {/* Step input */}
+      <Box
+        borderStyle="single"
+        borderColor="yellow"
+        marginTop={1}
+        paddingX={2}
+        paddingY={1}
+        flexDirection="column"
+        gap={step === 'mode' ? 0 : 1}
+      >
+        {step === 'input' && (
+          <Box>
+            <Text color="gray">Quantity to protect: </Text>
+            <TextInput
+              value={quantity}
+              onChange={setQuantity}
+              onSubmit={handleSubmit}
+              placeholder="e.g. 5 or 'all'"
+            />
+          </Box>
+        )}
+
+        {step === 'mode' && (
+          <>
+            <Text color="gray">Stop type:</Text>
+            {STOP_MODES.map(m => {
+              const isSelected = m.key === mode;
+              return (
+                <Box key={m.key}>
+                  <Text color={isSelected ? 'cyan' : 'gray'}>{isSelected ? '▸ ' : '  '}</Text>
+                  <Text bold={isSelected} color={isSelected ? 'white' : 'gray'}>{m.label.padEnd(12)}</Text>
+                  <Text color="gray" dimColor>{m.hint}</Text>
+                </Box>
+              );
+            })}
+          </>
+        )}
+
+        {step === 'value' && (
+          <>
+            <Box>
+              <Text color="gray">{selectedMode.prompt}: </Text>
+              <TextInput
+                value={value}
+                onChange={setValue}
+                onSubmit={handleValueSubmit}
+              />
+            </Box>
+
+            {preview?.options && (
+              <Text color="gray">
+                {isTrailing ? 'Stop starts at' : 'Triggers at'} ~{formatMoney(preview.triggerPrice, false, currency)} for {qty} × {symbol}
+              </Text>
+            )}
+          </>
+        )}
+
+        {error && (
+          <Text color="red">{error}</Text>
+        )}
+      </Box>
+
+      {/* Footer */}
+      <Box marginTop={1}>
+        {step === 'mode' && <Text color="gray">↑↓ type   </Text>}
+        <Text color="gray">Enter </Text>
+        <Text color="white">continue</Text>
+      </Box>
+    </Box>
+  );
+}
+
+export default ProtectScreen;
@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Box, Text, useInput, useStdout } from 'ink';
+import { LOT_METHODS } from '../../core/lots.js';
+import { parseExecutionTime } from '../../core/executions.js';
+import { formatMoney, formatQuantity } from '../utils/format.js';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[REALIZED-SCREEN]', ...args);
+  }
+};
+
+const VIEWS = ['trades', 'symbols', 'years'];
+
+const METHOD_LABELS = {
+  FIFO: 'fifo',
+  LIFO: 'lifo',
+  SPECIFIC: 'specific',
+  AVERAGE: 'avg',
+};
+
+/**
+ * "YYYYMMDD HH:MM:SS" -> "5 Dec 24"
+ */
+const formatTradeDate = (timeStr) => {
+  const date = parseExecutionTime(timeStr);
+  if (!date) return '';
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  return `${date.getDate()} ${months[date.getMonth()]} ${String(date.getFullYear()).slice(-2)}`;
+};
+
+const pnlColor = (value) => (value > 0 ? 'green' : value < 0 ? 'red' : 'gray');
+
+/**
+ * RealizedGainsScreen - Realized P&L from the execution history, net of
+ * commissions
+ *
+ * - Lot method (FIFO, LIFO, specific lots, average cost) with m
+ * - Year with ←→, view (trades, symbols, years) with Tab
+ * - The selected trade lists the lots it closed
+ * - e writes the visible year as CSV to ~/.folio/
+ */
+export function RealizedGainsScreen({
+  method,
+  trades,
+  years,
+  summarize,
+  onCycleMethod,
+  onExport,
+  onViewChart,
+  onBack,
+}) {
+  const [view, setView] = useState('trades');
+  const [year, setYear] = useState(null); // null = all years
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [exportStatus, setExportStatus] = useState(null);
+  const { stdout } = useStdout();
+
+  const yearOptions = useMemo(() => [null, ...years], [years]);
+
+  const visibleTrades = useMemo(() => {
+    const list = year ? trades.filter(t => t.year === year) : trades;
+    return list.slice().reverse(); // Most recent first
+  }, [trades, year]);
+
+  const summary = useMemo(() => summarize(year), [summarize, year]);
+
+  const rows = view === 'trades' ? visibleTrades : view === 'symbols' ? summary.bySymbol : summary.byYear;
+
+  useEffect(() => {
+    setSelectedIndex(0);
+  }, [view, year, method]);
+
+  useInput((input, key) => {
+    if (key.escape) {
+      onBack?.();
+    } else if (key.upArrow) {
+      setSelectedIndex(prev => Math.max(0, prev - 1));
+    } else if (key.downArrow) {
+      setSelectedIndex(prev => Math.min(Math.max(0, rows.length - 1), prev + 1));
+    } else if (key.leftArrow || key.rightArrow) {
+      const step = key.rightArrow ? 1 : -1;
+      setYear(prev => {
+        const index = yearOptions.indexOf(prev) + step;
+        return index >= 0 && index < yearOptions.length ? yearOptions[index] : prev;
+      });
+    } else if (key.tab) {
+      setView(prev => VIEWS[(VIEWS.indexOf(prev) + 1) % VIEWS.length]);
+    } else if (input === 'm') {
+      onCycleMethod?.();
+    } else if (input === 'e') {
+      setExportStatus({ pending: true });
+      onExport?.(year).then(
+        (filePath) => setExportStatus({ filePath }),
+        (err) => {
+          debug('Export failed:', err?.message);
+          setExportStatus({ error: err?.message || 'Export failed' });
+        }
+      );
+    } else if (key.return) {
+      const selected = rows[selectedIndex];
+      if (selected?.symbol) onViewChart?.(selected.symbol);
+    }
+  });
+
+  // Keep the selected row on screen
+  const maxRows = Math.max(5, (stdout?.rows || 24) - 16);
+  const start = Math.min(Math.max(0, selectedIndex - Math.floor(maxRows / 2)), Math.max(0, rows.length - maxRows));
+  const windowRows = rows.slice(start, start + maxRows);
+
+  const { total } = summary;
+
+  return (
+    <Box flexDirection="column" padding={1}>
+      {/* Totals */}
+      <Box>
+        <Text color="gray" dimColor>realized </Text>
+        <Text color={pnlColor(total.pnl)} bold>{formatMoney(total.pnl, true)}</Text>
+        <Text color="gray">   short </Text>
+        <Text color={pnlColor(total.shortTerm)}>{formatMoney(total.shortTerm, true)}</Text>
+        <Text color="gray">   long </Text>
+        <Text color={pnlColor(total.longTerm)}>{formatMoney(total.longTerm, true)}</Text>
+        <Text color="gray" dimColor>   fees {formatMoney(total.fees)}</Text>
+      </Box>
+
+      {/* Method and year */}
+      <Box marginTop={1}>
+        {LOT_METHODS.map((m, i) => (
+          <Box key={m}>
+            {i > 0 && <Text color="gray">  </Text>}
+            {m === method ? (
+              <Text color="cyan" bold>[{METHOD_LABELS[m]}]</Text>
+            ) : (
+              <Text color="gray">{METHOD_LABELS[m]}</Text>
+            )}
+          </Box>
+        ))}
+        <Text color="gray" dimColor>   m     </Text>
+        {yearOptions.map((y, i) => (
+          <Box key={y ?? 'all'}>
+            {i > 0 && <Text color="gray">  </Text>}
+            {y === year ? (
+              <Text color="cyan" bold>[{y ?? 'all'}]</Text>
+            ) : (
+              <Text color="gray">{y ?? 'all'}</Text>
+            )}
+          </Box>
+        ))}
+        <Text color="gray" dimColor>   ←→</Text>
+      </Box>
+
+      {/* View tabs */}
+      <Box marginBottom={1}>
+        {VIEWS.map((v, i) => (
+          <Box key={v}>
+            {i > 0 && <Text color="gray">  </Text>}
+            {v === view ? <Text color="white" bold>{v}</Text> : <Text color="gray" dimColor>{v}</Text>}
+          </Box>
+        ))}
+        <Text color="gray" dimColor>   tab</Text>
+      </Box>
+
+      {rows.length === 0 ? (
+        <Text color="gray">No closed trades{year ? ` in ${year}` : ''}</Text>
+      ) : (
+        <Box flexDirection="column">
+          {windowRows.map((row, i) => {
+            const index = start + i;
+            const isSelected = index === selectedIndex;
+            if (view === 'trades') {
+              return <TradeRow key={row.id} trade={row} isSelected={isSelected} />;
+            }
+            return (
+              <SummaryRow
+                key={view === 'years' ? row.year : row.label}
+                name={view === 'years' ? String(row.year) : row.label}
+                bucket={row}
+                isSelected={isSelected}
+              />
+            );
+          })}
+        </Box>
+      )}
+
+      {/* Status + help */}
+      <Box marginTop={1}>
+        {exportStatus?.pending && <Text color="gray">exporting...</Text>}
+        {exportStatus?.filePath && <Text color="green">✓ saved {exportStatus.filePath}</Text>}
+        {exportStatus?.error && <Text color="red">✗ {exportStatus.error}</Text>}
+      </Box>
+      <Text color="gray" dimColor>[↑↓] Navigate  [Enter] Chart  [e] Export CSV  [Esc] Back</Text>
+    </Box>
+  );
+}
+
+/**
+ * Closing fill, with the lots it closed under it when selected
+ * Format: ▸ AAPL     -10  5 Dec 24    +$123.45  short
+ */
+function TradeRow({ trade, isSelected }) {
+  const sign = trade.side === 'SLD' ? '-' : '+';
+
+  return (
+    <Box flexDirection="column">
+      <Box>
+        <Text color={isSelected ? 'cyan' : 'gray'}>{isSelected ? '▸ ' : '  '}</Text>
+        <Text color="white" bold>{trade.label.padEnd(20)}</Text>
+        <Text color="gray">{`${sign}${formatQuantity(trade.quantity)}`.padStart(7)}  </Text>
+        <Text color="gray">{formatTradeDate(trade.time).padEnd(11)}</Text>
+        <Text color={pnlColor(trade.pnl)}>{formatMoney(trade.pnl, true, trade.currency).padStart(13)}</Text>
+        <Text color="gray" dimColor>  {trade.term}</Text>
+      </Box>
+      {isSelected && (
+        <Box paddingLeft={4}>
+          <Text color="gray" dimColor>
+            {`fees ${formatMoney(trade.fees, false, trade.currency)}`.padEnd(24)}
+            {trade.reportedPnL !== null ? `IB reports ${formatMoney(trade.reportedPnL, true, trade.currency)}` : ''}
+          </Text>
+        </Box>
+      )}
+      {isSelected && trade.lots.map(lot => (
+        <Box key={lot.openId} paddingLeft={4}>
+          <Text color="gray" dimColor>
+            {`${formatQuantity(lot.quantity)} from ${formatTradeDate(lot.openTime)}`.padEnd(24)}
+            {`basis ${formatMoney(lot.costBasis, false, trade.currency)}`.padEnd(20)}
+            {`${lot.daysHeld}d ${lot.term}`}
+          </Text>
+        </Box>
+      ))}
+    </Box>
+  );
+}
+
+/**
+ * Totals for a symbol or a year
+ * Format: ▸ AAPL     3 trades   +$123.45   short +$100.00  long +$23.45
+ */
+function SummaryRow({ name, bucket, isSelected }) {
+  return (
+    <Box>
+      <Text color={isSelected ? 'cyan' : 'gray'}>{isSelected ? '▸ ' : '  '}</Text>
+      <Text color="white" bold>{name.padEnd(20)}</Text>
+      <Text color="gray">{`${bucket.trades} ${bucket.trades === 1 ? 'trade' : 'trades'}`.padEnd(10)}</Text>
+      <Text color={pnlColor(bucket.pnl)}>{formatMoney(bucket.pnl, true, bucket.currency).padStart(13)}</Text>
+      <Text color="gray" dimColor>{`   short ${formatMoney(bucket.shortTerm, true, bucket.currency)}  long ${formatMoney(bucket.longTerm, true, bucket.currency)}`}</Text>
+    </Box>
+  );
+}
+
+export default RealizedGainsScreen;
@@ -0,0 +1,238 @@
+import React, { useMemo, useState } from 'react';
+import { Box, Text, useInput } from 'ink';
+import { formatMoney, formatPercent } from '../utils/format.js';
+import { planRebalance } from '../../core/rebalance.js';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[REBALANCE-SCREEN]', ...args);
+  }
+};
+
+const pct = (fraction) => formatPercent(fraction * 100);
+const signedPct = (fraction) => formatPercent(fraction * 100, true);
+
+const failed = ({ result, error }) => !!error || result.status === 'Inactive' || result.status === 'Cancelled';
+
+const resultLabel = ({ result, error }) => {
+  if (error) return { text: `✗ ${error}`, color: 'red' };
+  if (result.status === 'Filled') return { text: `✓ filled ${result.filled} × $${result.avgFillPrice?.toFixed(2)}`, color: 'green' };
+  if (result.status === 'Inactive' || result.status === 'Cancelled') {
+    return { text: `✗ rejected${result.rejectionReason ? `: ${result.rejectionReason}` : ''}`, color: 'red' };
+  }
+  return { text: `✓ submitted #${result.orderId}`, color: 'green' };
+};
+
+/**
+ * RebalanceScreen - Drift against ~/.folio/targets.json and the orders
+ * that bring the portfolio back within the tolerance band
+ *
+ * - Enter asks once, then places every order: sells first, and the buys
+ *   once the sells have filled (they spend the proceeds)
+ * - r re-reads targets.json after editing it
+ */
+export function RebalanceScreen({
+  holdings,
+  cash,
+  targets,
+  targetsError,
+  baseCurrency = 'USD',
+  onReload,
+  onSubmit,
+  onBack,
+}) {
+  const [step, setStep] = useState('plan'); // plan | confirm | submitting | done
+  const [results, setResults] = useState([]);
+
+  const plan = useMemo(() => {
+    if (!targets) return null;
+    return planRebalance({ holdings, cash, targets });
+  }, [holdings, cash, targets]);
+
+  const orders = plan?.orders || [];
+  const missingPrices = plan ? plan.rows.filter(r => r.target !== null && r.unitValue === null) : [];
+
+  useInput((input, key) => {
+    if (step === 'submitting') return;
+
+    if (step === 'confirm') {
+      if (key.return) {
+        setStep('submitting');
+        debug('Submitting', orders.length, 'orders');
+        onSubmit?.(orders).then((placed) => {
+          setResults(placed);
+          setStep('done');
+        }).catch((err) => {
+          setResults(orders.map(order => ({ order, error: err?.message || 'Order failed' })));
+          setStep('done');
+        });
+      } else if (key.escape) {
+        setStep('plan');
+      }
+      return;
+    }
+
+    if (key.escape) {
+      onBack?.();
+    } else if (input === 'r' && step === 'plan') {
+      onReload?.();
+    } else if (key.return && step === 'plan' && orders.length > 0) {
+      setStep('confirm');
+    }
+  });
+
+  if (!targets) {
+    return (
+      <Box flexDirection="column" padding={1}>
+        <Text color="yellow">{targetsError || 'loading...'}</Text>
+        <Box flexDirection="column" marginTop={1}>
+          <Text color="gray">Target weights are percentages of the account, e.g.</Text>
+          <Text color="white">{'  { "tolerance": 5, "targets": { "VTI": 60, "VXUS": 30, "CASH": 10 } }'}</Text>
+        </Box>
+        <Box marginTop={1}>
+          <Text color="gray" dimColor>[r] Reload  [Esc] Back</Text>
+        </Box>
+      </Box>
+    );
+  }
+
+  if (!plan || !plan.cash) {
+    return <Box flexDirection="column" padding={1}><Text color="gray">no data</Text></Box>;
+  }
+
+  const symbolWidth = Math.max(6, ...plan.rows.map(r => r.symbol.length));
+
+  return (
+    <Box flexDirection="column" padding={1}>
+      <Box>
+        <Text color="gray" dimColor>total </Text>
+        <Text color="white" bold>{formatMoney(plan.total, false, baseCurrency)}</Text>
+        <Text color="gray" dimColor>   tolerance </Text>
+        <Text color="white">±{pct(targets.tolerance)}</Text>
+      </Box>
+
+      <Box marginTop={1}>
+        <Text color="gray" dimColor>
+          {'  '}{'symbol'.padEnd(symbolWidth)}{'value'.padStart(14)}{'weight'.padStart(9)}{'target'.padStart(9)}{'drift'.padStart(9)}   order
+        </Text>
+      </Box>
+      {plan.rows.map(row => (
+        <HoldingRow key={row.symbol} row={row} symbolWidth={symbolWidth} currency={baseCurrency} />
+      ))}
+      <CashRow cash={plan.cash} symbolWidth={symbolWidth} currency={baseCurrency} />
+
+      {missingPrices.length > 0 && (
+        <Box marginTop={1}>
+          <Text color="yellow">No price yet for {missingPrices.map(r => r.symbol).join(', ')}</Text>
+        </Box>
+      )}
+
+      {plan.scaledDown && (
+        <Box marginTop={1}>
+          <Text color="yellow">Not enough cash for every buy: buys scaled down</Text>
+        </Box>
+      )}
+
+      <Box marginTop={1}>
+        {orders.length === 0
+          ? <Text color="green">Everything is within ±{pct(targets.tolerance)} of its target</Text>
+          : <Text color="white">{orders.length} {orders.length === 1 ? 'order' : 'orders'} to rebalance</Text>}
+      </Box>
+
+      {step === 'confirm' && (
+        <Box marginTop={1}>
+          <Text color="yellow" bold>Place {orders.length} market {orders.length === 1 ? 'order' : 'orders'}?</Text>
+        </Box>
+      )}
+
+      {step === 'submitting' && (
+        <Box marginTop={1}>
+          <Text color="cyan">
+            {orders.some(o => o.action === 'SELL') && orders.some(o => o.action === 'BUY')
+              ? 'Placing orders (buys wait for the sells to fill)...'
+              : 'Placing orders...'}
+          </Text>
+        </Box>
+      )}
+
+      {step === 'done' && (
+        <Box flexDirection="column" marginTop={1}>
+          {results.map(({ order, result, error }) => {
+            const { text, color } = resultLabel({ result, error });
+            return (
+              <Box key={`${order.action}-${order.symbol}`}>
+                <Text color="white">{order.action} {order.quantity} {order.symbol}  </Text>
+                <Text color={color}>{text}</Text>
+              </Box>
+            );
+          })}
+          <FailureSummary results={results} />
+        </Box>
+      )}
+
+      <Box marginTop={1}>
+        <Text color="gray" dimColor>
+          {step === 'confirm'
+            ? '[Enter] Yes  [Esc] No'
+            : step === 'done'
+              ? '[Esc] Back'
+              : `${orders.length > 0 ? '[Enter] Place orders  ' : ''}[r] Reload targets  [Esc] Back`}
+        </Text>
+      </Box>
+    </Box>
+  );
+}
+
+/**
+ * Which orders didn't go through, e.g. "2 of 5 orders failed: SELL VTI, BUY VXUS"
+ */
+function FailureSummary({ results }) {
+  const failures = results.filter(failed);
+  if (failures.length === 0) return null;
+
+  return (
+    <Box marginTop={1}>
+      <Text color="red" bold>
+        {failures.length} of {results.length} {results.length === 1 ? 'order' : 'orders'} failed: {failures.map(({ order }) => `${order.action} ${order.symbol}`).join(', ')}
+      </Text>
+    </Box>
+  );
+}
+
+/**
+ * Format:   NVDA       $13,000.00    31.7%    20.0%   +11.7%   SELL 36
+ */
+function HoldingRow({ row, symbolWidth, currency }) {
+  const order = row.order > 0 ? `BUY ${row.order}` : row.order < 0 ? `SELL ${-row.order}` : '';
+
+  return (
+    <Box>
+      <Text color={row.outOfBand ? 'yellow' : 'gray'}>{row.outOfBand ? '! ' : '  '}</Text>
+      <Text color={row.target === null ? 'gray' : 'white'}>{row.symbol.padEnd(symbolWidth)}</Text>
+      <Text color="white">{formatMoney(row.value, false, currency).padStart(14)}</Text>
+      <Text color="white">{pct(row.weight).padStart(9)}</Text>
+      <Text color="gray">{(row.target === null ? '--' : pct(row.target)).padStart(9)}</Text>
+      <Text color={row.outOfBand ? 'yellow' : 'gray'}>{(row.drift === null ? '' : signedPct(row.drift)).padStart(9)}</Text>
+      <Text color={row.order > 0 ? 'green' : 'red'}>   {order}</Text>
+      {order && <Text color="gray" dimColor> → {pct(row.weightAfter)}</Text>}
+    </Box>
+  );
+}
+
+function CashRow({ cash, symbolWidth, currency }) {
+  const changes = Math.abs(cash.after - cash.value) >= 0.01;
+
+  return (
+    <Box>
+      <Text color={cash.outOfBand ? 'yellow' : 'gray'}>{cash.outOfBand ? '! ' : '  '}</Text>
+      <Text color="white">{'cash'.padEnd(symbolWidth)}</Text>
+      <Text color="white">{formatMoney(cash.value, false, currency).padStart(14)}</Text>
+      <Text color="white">{pct(cash.weight).padStart(9)}</Text>
+      <Text color="gray">{pct(cash.target).padStart(9)}</Text>
+      <Text color={cash.outOfBand ? 'yellow' : 'gray'}>{signedPct(cash.drift).padStart(9)}</Text>
+      {changes && <Text color="gray" dimColor>   → {formatMoney(cash.after, false, currency)} ({pct(cash.weightAfter)})</Text>}
+    </Box>
+  );
+}
+
+export default RebalanceScreen;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Box, Text, useInput } from 'ink';
 import TextInput from 'ink-text-input';
 import { useSymbolSearch } from '../hooks/useSymbolSearch.js';
@@ -9,14 +9,23 @@ import { useSymbolSearch } from '../hooks/useSymbolSearch.js';
  * Design: Search-first experience
  * - Input field with autofocus
  * - Smart suggestions when empty (portfolio + recent + popular)
- * - Live search results from TickerSymbol API
+ * - Live search results from Yahoo (IB's symbol search when offline)
  * - Navigate with arrows, Enter to select
+ * - The selected ticker is looked up in IB; if it trades in several places
+ *   the user picks the exact listing (exchange, currency, type)
+ * - Ctrl+W adds the selected listing to the current watchlist, or takes
+ *   it out
  */
 export function SearchScreen({
   positions = [],
   executions = [],
+  onFindListings,
+  onMatchSymbols,
   onViewChart,
   onBuy,
+  watchlist = null,
+  watched = [], // Symbols in `watchlist`
+  onToggleWatch,
   onCancel,
 }) {
   const {
@@ -24,17 +33,103 @@ export function SearchScreen({
     setQuery,
     results,
     loading,
+    error: searchError,
     isSearching,
-  } = useSymbolSearch(positions, executions);
+  } = useSymbolSearch(positions, executions, onMatchSymbols);
 
   const [selectedIndex, setSelectedIndex] = useState(0);
+  const [step, setStep] = useState('search'); // search, listings
+  const [pending, setPending] = useState(null); // { symbol, action, conId }
+  const [listings, setListings] = useState([]);
+  const [listingIndex, setListingIndex] = useState(0);
+  const [listingsLoading, setListingsLoading] = useState(false);
+  const [listingsError, setListingsError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const lookupRef = useRef(0);
 
   // Reset selection when results change
   useEffect(() => {
     setSelectedIndex(0);
   }, [results]);
 
+  const finish = (action, symbol, contract = null) => {
+    if (action === 'watch') {
+      const removing = watched.includes(symbol);
+      onToggleWatch?.(symbol, contract);
+      setNotice(removing ? `Removed ${symbol} from ${watchlist}` : `Added ${symbol} to ${watchlist}`);
+      backToSearch();
+    } else if (action === 'buy') {
+      onBuy?.(symbol, contract);
+    } else {
+      onViewChart?.(symbol, contract);
+    }
+  };
+
+  // Look the ticker up in IB before opening it
+  const select = (symbol, action, conId = null) => {
+    if (!onFindListings) {
+      finish(action, symbol);
+      return;
+    }
+
+    const lookupId = ++lookupRef.current;
+    setPending({ symbol, action, conId });
+    setListings([]);
+    setListingsError(null);
+    setListingsLoading(true);
+    setStep('listings');
+
+    onFindListings(symbol)
+      .then((found) => {
+        if (lookupRef.current !== lookupId) return;
+        setListingsLoading(false);
+
+        if (found.length === 1) {
+          finish(action, symbol, found[0]);
+          return;
+        }
+        if (found.length === 0) {
+          setListingsError(`IB has no listing for ${symbol}`);
+          return;
+        }
+
+        setListings(found);
+        setListingIndex(Math.max(0, found.findIndex(l => l.conId === conId)));
+      })
+      .catch(() => {
+        // Not connected / timed out: open the bare ticker as before
+        if (lookupRef.current !== lookupId) return;
+        finish(action, symbol);
+      });
+  };
+
+  const backToSearch = () => {
+    lookupRef.current++;
+    setStep('search');
+    setPending(null);
+    setListingsLoading(false);
+    setListingsError(null);
+  };
+
   useInput((input, key) => {
+    if (step === 'listings') {
+      if (key.escape) {
+        backToSearch();
+      } else if (key.upArrow) {
+        setListingIndex(prev => Math.max(0, prev - 1));
+      } else if (key.downArrow) {
+        setListingIndex(prev => Math.min(Math.max(0, listings.length - 1), prev + 1));
+      } else if (key.return && pending) {
+        if (listings.length > 0) {
+          finish(pending.action, pending.symbol, listings[listingIndex]);
+        } else if (listingsError) {
+          // Try the bare ticker anyway
+          finish(pending.action, pending.symbol);
+        }
+      }
+      return;
+    }
+
     if (key.escape) {
       onCancel?.();
     } else if (key.upArrow) {
@@ -45,19 +140,102 @@ export function SearchScreen({
       // Enter -> select symbol
       if (results.length > 0 && selectedIndex < results.length) {
         const selected = results[selectedIndex];
-        onViewChart?.(selected.symbol);
+        select(selected.symbol, 'chart', selected.conId);
       } else if (query.length > 0) {
         // If no results but has query, try the query as symbol
-        onViewChart?.(query.toUpperCase());
+        select(query.toUpperCase(), 'chart');
       }
     } else if (input === 'b' && key.ctrl) {
       // Ctrl+B -> buy selected symbol directly
       if (results.length > 0 && selectedIndex < results.length) {
-        onBuy?.(results[selectedIndex].symbol);
+        const selected = results[selectedIndex];
+        select(selected.symbol, 'buy', selected.conId);
+      }
+    } else if (input === 'w' && key.ctrl && onToggleWatch) {
+      // Ctrl+W -> add to / remove from the watchlist (removing needs no lookup)
+      setQuery(query); // TextInput takes the "w" as typed
+      if (results.length > 0 && selectedIndex < results.length) {
+        const selected = results[selectedIndex];
+        if (watched.includes(selected.symbol)) finish('watch', selected.symbol);
+        else select(selected.symbol, 'watch', selected.conId);
       }
     }
   });
 
+  if (step === 'listings' && pending) {
+    return (
+      <Box flexDirection="column" padding={1}>
+        <Box
+          borderStyle="round"
+          borderColor="blue"
+          paddingX={2}
+          paddingY={1}
+          flexDirection="column"
+        >
+          <Text bold>{pending.symbol}</Text>
+          <Text color="gray">Pick the listing to {{ buy: 'buy', watch: `add to ${watchlist}` }[pending.action] || 'open'}</Text>
+        </Box>
+
+        <Box
+          borderStyle="single"
+          borderColor="gray"
+          marginTop={1}
+          flexDirection="column"
+          paddingY={1}
+        >
+          {listingsLoading && (
+            <Box paddingX={2}>
+              <Text color="gray">Looking up {pending.symbol} in IB...</Text>
+            </Box>
+          )}
+
+          {listingsError && (
+            <Box paddingX={2}>
+              <Text color="yellow">{listingsError}</Text>
+            </Box>
+          )}
+
+          {listings.map((listing, index) => {
+            const isSelected = index === listingIndex;
+            return (
+              <Box key={listing.conId} paddingX={1}>
+                <Text color={isSelected ? 'cyan' : 'gray'}>{isSelected ? '▸ ' : '  '}</Text>
+                <Text bold color={isSelected ? 'cyan' : 'white'}>
+                  {(listing.localSymbol || listing.symbol).padEnd(8)}
+                </Text>
+                <Text>{(listing.primaryExch || listing.exchange || '').padEnd(10)}</Text>
+                <Text color="yellow">{String(listing.currency).padEnd(5)}</Text>
+                <Text color="gray">{String(listing.secType).padEnd(5)}</Text>
+                {listing.longName && (
+                  <Text color="gray" dimColor>{listing.longName.slice(0, 35)}</Text>
+                )}
+              </Box>
+            );
+          })}
+        </Box>
+
+        <Box marginTop={1} gap={2}>
+          {listings.length > 0 && (
+            <Box>
+              <Text color="gray">↑↓ </Text>
+              <Text>navigate</Text>
+            </Box>
+          )}
+          {(listings.length > 0 || listingsError) && (
+            <Box>
+              <Text color="gray">Enter </Text>
+              <Text>{listings.length > 0 ? 'select' : 'try anyway'}</Text>
+            </Box>
+          )}
+          <Box>
+            <Text color="gray">Esc </Text>
+            <Text>back</Text>
+          </Box>
+        </Box>
+      </Box>
+    );
+  }
+
   return (
     <Box flexDirection="column" padding={1}>
       {/* Header with search input */}
@@ -113,8 +291,13 @@ export function SearchScreen({
                 <Text color="gray" dimColor>Suggestions:</Text>
               </Box>
             )}
+            {isSearching && searchError && (
+              <Box paddingX={2} marginBottom={1}>
+                <Text color="yellow" dimColor>Offline search (Yahoo unreachable)</Text>
+              </Box>
+            )}
             {results.map((item, index) => (
-              <Box key={item.symbol} paddingX={1}>
+              <Box key={item.conId || item.symbol} paddingX={1}>
                 <Text
                   color={selectedIndex === index ? 'cyan' : 'white'}
                   bold={selectedIndex === index}
@@ -126,12 +309,18 @@ export function SearchScreen({
                   {item.name && (
                     <Text color="gray"> {item.name.slice(0, 35)}</Text>
                   )}
+                  {item.source === 'ib' && (
+                    <Text color="gray"> {item.exchange} {item.currency}</Text>
+                  )}
                   {item.source === 'portfolio' && (
                     <Text color="green" dimColor> (yours)</Text>
                   )}
                   {item.source === 'recent' && (
                     <Text color="yellow" dimColor> (recent)</Text>
                   )}
+                  {watched.includes(item.symbol) && (
+                    <Text color="yellow"> ★</Text>
+                  )}
                 </Text>
               </Box>
             ))}
@@ -149,7 +338,19 @@ export function SearchScreen({
           <Text color="gray">Enter </Text>
           <Text>view chart</Text>
         </Box>
+        {onToggleWatch && (
+          <Box>
+            <Text color="gray">Ctrl+W </Text>
+            <Text>watch</Text>
+          </Box>
+        )}
       </Box>
+
+      {notice && (
+        <Box marginTop={1}>
+          <Text color="yellow">★ {notice}</Text>
+        </Box>
+      )}
     </Box>
   );
 }
@@ -1,7 +1,20 @@
 import React, { useState } from 'react';
 import { Box, Text, useInput } from 'ink';
 import TextInput from 'ink-text-input';
-import { formatMoney } from '../utils/format.js';
+import { formatMoney, formatTimeInForce } from '../utils/format.js';
+import {
+  OrderTypePicker,
+  LimitPriceInput,
+  TimeInForcePicker,
+  GoodTillDateInput,
+  nextOrderType,
+  parsePrice,
+  tifOptionsFor,
+  allowsOutsideRth,
+  parseGoodTillDate,
+} from './OrderTypeStep.jsx';
+import { OrderPreview } from './OrderPreview.jsx';
+import { useOrderPreview } from '../hooks/useOrderPreview.js';
 
 export function SellScreen({
   symbol,
@@ -9,14 +22,44 @@ export function SellScreen({
   isEstimatedPrice = false,
   priceLoading,
   ownedQuantity,
+  currency = 'USD',
+  baseCurrency = 'USD',
+  multiplier = 1, // Prices are per share; an option contract covers `multiplier` shares
+  canSellToOpen = false, // Options can be written (sold short) beyond what's held
+  accountData,
+  onPreview,
   onConfirm,
   onCancel,
 }) {
   const [quantity, setQuantity] = useState('');
-  const [step, setStep] = useState('input'); // input, confirm
+  const [step, setStep] = useState('input'); // input, type, limit, tif, gtd, confirm
+  const [orderType, setOrderType] = useState('MKT');
+  const [limitPrice, setLimitPrice] = useState('');
+  const [tif, setTif] = useState('DAY');
+  const [outsideRth, setOutsideRth] = useState(false);
+  const [goodTillDate, setGoodTillDate] = useState('');
   const [error, setError] = useState(null);
 
-  const estimatedProceeds = quantity ? parseInt(quantity, 10) * (currentPrice || 0) : 0;
+  const tifOptions = tifOptionsFor(orderType);
+  const canOutsideRth = allowsOutsideRth(orderType);
+
+  // Step to return to on Esc
+  const previousStep = {
+    type: 'input',
+    limit: 'type',
+    tif: orderType === 'LMT' ? 'limit' : 'type',
+    gtd: 'tif',
+    confirm: tif === 'GTD' ? 'gtd' : 'tif',
+  };
+
+  const goToTif = () => {
+    // Drop choices the new order type doesn't allow
+    if (!tifOptions.some(t => t.key === tif)) setTif('DAY');
+    if (!canOutsideRth) setOutsideRth(false);
+    setStep('tif');
+  };
+
+  const unit = multiplier > 1 ? 'contracts' : 'shares';
 
   const handleSubmit = () => {
     const qty = quantity.toLowerCase() === 'all' ? ownedQuantity : parseInt(quantity, 10);
@@ -26,28 +69,90 @@ export function SellScreen({
       return;
     }
 
-    if (qty > ownedQuantity) {
-      setError(`You only have ${ownedQuantity} shares`);
+    if (qty > ownedQuantity && !canSellToOpen) {
+      setError(`You only have ${ownedQuantity} ${unit}`);
       return;
     }
 
     setError(null);
     setQuantity(String(qty));
+    setStep('type');
+  };
+
+  const handleLimitSubmit = () => {
+    const price = parsePrice(limitPrice);
+
+    if (!price) {
+      setError('Enter a valid price');
+      return;
+    }
+
+    setError(null);
+    setLimitPrice(price.toFixed(2));
+    goToTif();
+  };
+
+  const handleGoodTillDateSubmit = () => {
+    if (!parseGoodTillDate(goodTillDate)) {
+      setError('Enter a date from today on (YYYY-MM-DD)');
+      return;
+    }
+
+    setError(null);
     setStep('confirm');
   };
 
+  const orderOptions = {
+    orderType,
+    limitPrice: orderType === 'LMT' ? parsePrice(limitPrice) : null,
+    tif,
+    goodTillDate: tif === 'GTD' ? parseGoodTillDate(goodTillDate) : null,
+    outsideRth,
+  };
+
+  // Ask IB for commission and margin impact once the order is final
+  const whatIf = useOrderPreview(
+    onPreview,
+    step === 'confirm' ? { ...orderOptions, symbol, quantity: parseInt(quantity, 10) } : null
+  );
+
   const handleConfirm = () => {
     const qty = parseInt(quantity, 10);
-    onConfirm?.(symbol, qty);
+    onConfirm?.(symbol, qty, orderOptions, whatIf.preview);
   };
 
   useInput((input, key) => {
     if (key.escape) {
-      if (step === 'confirm') {
-        setStep('input');
+      setError(null);
+      if (previousStep[step]) {
+        setStep(previousStep[step]);
       } else {
         onCancel?.();
       }
+    } else if (step === 'type') {
+      if (key.upArrow) {
+        setOrderType(prev => nextOrderType(prev, -1));
+      } else if (key.downArrow) {
+        setOrderType(prev => nextOrderType(prev, 1));
+      } else if (key.return) {
+        if (orderType === 'LMT') {
+          // Prefill with the price shown on screen
+          if (!limitPrice && currentPrice) setLimitPrice(currentPrice.toFixed(2));
+          setStep('limit');
+        } else {
+          goToTif();
+        }
+      }
+    } else if (step === 'tif') {
+      if (key.upArrow) {
+        setTif(prev => nextOrderType(prev, -1, tifOptions));
+      } else if (key.downArrow) {
+        setTif(prev => nextOrderType(prev, 1, tifOptions));
+      } else if (input === 'o' && canOutsideRth) {
+        setOutsideRth(prev => !prev);
+      } else if (key.return) {
+        setStep(tif === 'GTD' ? 'gtd' : 'confirm');
+      }
     } else if (key.return && step === 'confirm') {
       handleConfirm();
     }
@@ -68,9 +173,77 @@ export function SellScreen({
     );
   }
 
+  if (['type', 'limit', 'tif', 'gtd'].includes(step)) {
+    const qty = parseInt(quantity, 10);
+
+    return (
+      <Box flexDirection="column" padding={1}>
+        <Box
+          borderStyle="round"
+          borderColor="red"
+          paddingX={2}
+          paddingY={1}
+        >
+          <Text bold color="red">Sell {qty} × {symbol}</Text>
+        </Box>
+
+        {step === 'type' && (
+          <OrderTypePicker selected={orderType} color="red" />
+        )}
+
+        {step === 'limit' && (
+          <LimitPriceInput
+            currency={currency}
+            value={limitPrice}
+            onChange={setLimitPrice}
+            onSubmit={handleLimitSubmit}
+            quantity={qty}
+            multiplier={multiplier}
+            symbol={symbol}
+            notionalLabel="Proceeds at limit"
+            error={error}
+            color="red"
+          />
+        )}
+
+        {step === 'tif' && (
+          <TimeInForcePicker
+            selected={tif}
+            options={tifOptions}
+            outsideRth={outsideRth}
+            canOutsideRth={canOutsideRth}
+            color="red"
+          />
+        )}
+
+        {step === 'gtd' && (
+          <GoodTillDateInput
+            value={goodTillDate}
+            onChange={setGoodTillDate}
+            onSubmit={handleGoodTillDateSubmit}
+            error={error}
+            color="red"
+          />
+        )}
+
+        {/* Footer */}
+        <Box marginTop={1}>
+          {step === 'type' && <Text color="gray">↑↓ type   </Text>}
+          {step === 'tif' && <Text color="gray">↑↓ choose   </Text>}
+          {step === 'tif' && canOutsideRth && <Text color="gray">o outside hours   </Text>}
+          <Text color="gray">Enter </Text>
+          <Text color="white">continue</Text>
+        </Box>
+      </Box>
+    );
+  }
+
   if (step === 'confirm') {
     const qty = parseInt(quantity, 10);
-    const total = qty * (currentPrice || 0);
+    const isLimit = orderType === 'LMT';
+    const limit = parsePrice(limitPrice);
+    const total = qty * (isLimit ? limit : (currentPrice || 0)) * multiplier;
+    const opensShort = qty > ownedQuantity;
 
     return (
       <Box flexDirection="column" padding={1}>
@@ -98,21 +271,43 @@ export function SellScreen({
             <Text bold>{qty} × {symbol}</Text>
           </Box>
 
+          {isLimit ? (
+            <Box justifyContent="space-between">
+              <Text color="gray">Limit price:</Text>
+              <Text bold>{formatMoney(limit, false, currency)}</Text>
+            </Box>
+          ) : (
+            <Box justifyContent="space-between">
+              <Text color="gray">Est. price:</Text>
+              <Text color={isEstimatedPrice ? 'yellow' : undefined}>
+                {isEstimatedPrice ? '~' : ''}{formatMoney(currentPrice, false, currency)}
+              </Text>
+            </Box>
+          )}
+
           <Box justifyContent="space-between">
-            <Text color="gray">Est. price:</Text>
-            <Text color={isEstimatedPrice ? 'yellow' : undefined}>
-              {isEstimatedPrice ? '~' : ''}{formatMoney(currentPrice)}
-            </Text>
+            <Text color="gray">{isLimit ? 'Proceeds at limit:' : 'Est. proceeds:'}</Text>
+            <Text bold color="green">{formatMoney(total, false, currency)}</Text>
           </Box>
 
           <Box justifyContent="space-between">
-            <Text color="gray">Est. proceeds:</Text>
-            <Text bold color="green">{formatMoney(total)}</Text>
+            <Text color="gray">Time in force:</Text>
+            <Text>{formatTimeInForce({ tif, goodTillDate: parseGoodTillDate(goodTillDate), outsideRth })}</Text>
           </Box>
 
-          {isEstimatedPrice && (
+          {isLimit && (
+            <Text color="gray" dimColor>Fills only at {formatMoney(limit, false, currency)} or higher</Text>
+          )}
+
+          {isEstimatedPrice && !isLimit && (
             <Text color="yellow" dimColor>Close price (market closed)</Text>
           )}
+
+          {opensShort && (
+            <Text color="yellow">Opens a short position of {qty - Math.max(0, ownedQuantity)} {unit}</Text>
+          )}
+
+          <OrderPreview {...whatIf} accountData={accountData} currency={baseCurrency} />
         </Box>
 
         {/* Footer */}
@@ -148,19 +343,19 @@ export function SellScreen({
       >
         <Box justifyContent="space-between">
           <Text color="gray">You have:</Text>
-          <Text>{ownedQuantity} shares</Text>
+          <Text>{ownedQuantity} {unit}</Text>
         </Box>
 
         <Box justifyContent="space-between">
           <Text color="gray">{isEstimatedPrice ? 'Estimated price:' : 'Current price:'}</Text>
           <Text color={isEstimatedPrice ? 'yellow' : undefined}>
-            {currentPrice ? (isEstimatedPrice ? '~' : '') + formatMoney(currentPrice) : '--'}
+            {currentPrice ? (isEstimatedPrice ? '~' : '') + formatMoney(currentPrice, false, currency) : '--'}
           </Text>
         </Box>
 
         <Box justifyContent="space-between">
           <Text color="gray">Total value:</Text>
-          <Text>{currentPrice ? formatMoney(ownedQuantity * currentPrice) : '--'}</Text>
+          <Text>{currentPrice ? formatMoney(ownedQuantity * currentPrice * multiplier, false, currency) : '--'}</Text>
         </Box>
       </Box>
 
@@ -187,7 +382,7 @@ export function SellScreen({
         {quantity && !isNaN(parseInt(quantity, 10)) && currentPrice && (
           <Box>
             <Text color="gray">
-              Est. proceeds: {formatMoney(parseInt(quantity, 10) * currentPrice)}
+              Est. proceeds: {formatMoney(parseInt(quantity, 10) * currentPrice * multiplier, false, currency)}
             </Text>
           </Box>
         )}
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Box, Text } from 'ink';
 
 const shortcuts = {
@@ -9,6 +9,9 @@ const shortcuts = {
     { key: '/', label: 'Search' },
     { key: 'g', label: 'Report' },
     { key: 'a', label: 'Activity' },
+    { key: 't', label: 'Rebalance' },
+    { key: 'e', label: 'Exposure' },
+    { key: 'w', label: 'Watchlist' },
     { key: 'o', label: 'Orders', showBadge: true },
     { key: 'q', label: 'Quit' },
   ],
@@ -31,17 +34,82 @@ const shortcuts = {
   ],
 };
 
-export function StatusBar({ screen = 'portfolio', pendingOrdersCount = 0 }) {
+/**
+ * "Reconnecting to TWS… (attempt 3, next try in 4s)"
+ */
+function reconnectingLabel(reconnect, now) {
+  if (!reconnect?.attempt) return 'Reconnecting to TWS…';
+  const seconds = Math.ceil(((reconnect.retryAt || 0) - now) / 1000);
+  return `Reconnecting to TWS… (attempt ${reconnect.attempt}${seconds > 0 ? `, next try in ${seconds}s` : ''})`;
+}
+
+/**
+ * Connection trouble: "⟳ Reconnecting to TWS… (attempt 3, next try in 4s)",
+ * or that it's gone for good. Nothing while connected.
+ */
+export function ConnectionBanner({ connectionStatus = 'connected', reconnect = null }) {
+  const [now, setNow] = useState(Date.now());
+  const counting = connectionStatus === 'reconnecting' && reconnect?.retryAt > 0;
+
+  // Count the next try down
+  useEffect(() => {
+    if (!counting) return undefined;
+    setNow(Date.now());
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [counting, reconnect?.retryAt]);
+
+  if (connectionStatus === 'reconnecting') {
+    return <Text color="yellow">⟳ {reconnectingLabel(reconnect, now)}</Text>;
+  }
+  if (connectionStatus === 'disconnected') {
+    return <Text color="red">✗ Disconnected from TWS — prices and orders are frozen</Text>;
+  }
+  return null;
+}
+
+/**
+ * Latest alert: "🔔 14:32  AAPL crossed above $200.00 ($200.41)"
+ */
+export function AlertBanner({ alert }) {
+  if (!alert) return null;
+  const time = new Date(alert.ts).toTimeString().slice(0, 5);
+  return (
+    <Text color="magenta" bold>🔔 {time}  {alert.message}</Text>
+  );
+}
+
+/**
+ * Rules in alerts.json that are left out: "⚠ alerts.json: Rule 2: unknown type "prce" (+1 more)"
+ */
+export function AlertRulesWarning({ errors = [] }) {
+  if (errors.length === 0) return null;
+  const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+  const first = errors[0].includes('alerts.json') ? errors[0] : `alerts.json: ${errors[0]}`;
+  return <Text color="yellow">⚠ {first}{more}</Text>;
+}
+
+export function StatusBar({
+  screen = 'portfolio',
+  pendingOrdersCount = 0,
+  connectionStatus = 'connected',
+  reconnect = null,
+  alert = null,
+}) {
   const items = shortcuts[screen] || shortcuts.portfolio;
+  const offline = connectionStatus === 'reconnecting' || connectionStatus === 'disconnected';
 
   return (
     <Box
       borderStyle="single"
-      borderColor="gray"
+      borderColor={offline ? 'yellow' : alert ? 'magenta' : 'gray'}
       paddingX={1}
       marginTop={1}
+      flexDirection="column"
     >
-      <Box flexDirection="row" gap={2}>
+      <ConnectionBanner connectionStatus={connectionStatus} reconnect={reconnect} />
+      <AlertBanner alert={alert} />
+      <Box flexDirection="row" flexWrap="wrap" columnGap={2}>
         {items.map((item, i) => (
           <Box key={i} gap={1}>
             <Text color="cyan">[{item.key}]</Text>
@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Text, useInput, useStdout } from 'ink';
+import TextInput from 'ink-text-input';
+import { formatMoney, formatPercent, sparkline, PRICE_SOURCE_COLORS } from '../utils/format.js';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[WATCHLIST-SCREEN]', ...args);
+  }
+};
+
+/**
+ * WatchlistScreen - Named watchlists with streaming quotes, day change and
+ * a one-month sparkline
+ *
+ * - ←→ / Tab switch lists; the one left open is where search and the
+ *   chart add symbols
+ * - a adds a ticker, x removes the selected one, / searches (Ctrl+W there
+ *   adds the exact listing)
+ * - n creates a list, X deletes the current one
+ */
+export function WatchlistScreen({
+  lists,
+  current,
+  error = null,
+  prices = {},
+  getBars,
+  onSelectList,
+  onViewChart,
+  onBuy,
+  onSearch,
+  onAdd,
+  onRemove,
+  onCreateList,
+  onDeleteList,
+  onBack,
+}) {
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [mode, setMode] = useState('list'); // list | add | create | delete
+  const [input, setInput] = useState('');
+  const { stdout } = useStdout();
+
+  const names = Object.keys(lists);
+  const entries = lists[current] || [];
+
+  useEffect(() => {
+    setSelectedIndex(prev => Math.min(prev, Math.max(0, entries.length - 1)));
+  }, [entries.length]);
+
+  useEffect(() => {
+    setSelectedIndex(0);
+  }, [current]);
+
+  const switchList = (offset) => {
+    if (names.length < 2) return;
+    const index = (names.indexOf(current) + offset + names.length) % names.length;
+    onSelectList?.(names[index]);
+  };
+
+  const submit = (value) => {
+    const text = value.trim();
+    if (mode === 'add' && text) {
+      onAdd?.(text.toUpperCase());
+    } else if (mode === 'create' && text) {
+      onCreateList?.(text);
+      onSelectList?.(text);
+    }
+    setMode('list');
+    setInput('');
+  };
+
+  useInput((char, key) => {
+    if (mode === 'add' || mode === 'create') {
+      if (key.escape) {
+        setMode('list');
+        setInput('');
+      }
+      return;
+    }
+
+    if (mode === 'delete') {
+      if (char === 'y' || key.return) {
+        debug('Deleting list', current);
+        onDeleteList?.(current);
+        onSelectList?.(names.find(n => n !== current) || null);
+      }
+      setMode('list');
+      return;
+    }
+
+    const selected = entries[selectedIndex];
+    if (key.escape) {
+      onBack?.();
+    } else if (key.upArrow) {
+      setSelectedIndex(prev => Math.max(0, prev - 1));
+    } else if (key.downArrow) {
+      setSelectedIndex(prev => Math.min(Math.max(0, entries.length - 1), prev + 1));
+    } else if (key.leftArrow) {
+      switchList(-1);
+    } else if (key.rightArrow || key.tab) {
+      switchList(1);
+    } else if (key.return && selected) {
+      onViewChart?.(selected.symbol, selected.contract);
+    } else if (char === 'b' && selected) {
+      onBuy?.(selected.symbol, selected.contract);
+    } else if (char === 'x' && selected) {
+      onRemove?.(selected.symbol);
+    } else if (char === 'a') {
+      setMode('add');
+    } else if (char === 'n') {
+      setMode('create');
+    } else if (char === 'X') {
+      setMode('delete');
+    } else if (char === '/') {
+      onSearch?.();
+    }
+  });
+
+  const symbolWidth = Math.max(6, ...entries.map(e => e.symbol.length));
+  const sparkWidth = Math.max(10, Math.min(30, (stdout?.columns || 80) - symbolWidth - 50));
+
+  return (
+    <Box flexDirection="column" padding={1}>
+      {/* Lists */}
+      <Box>
+        {names.map((name, i) => (
+          <Box key={name}>
+            {i > 0 && <Text color="gray">  </Text>}
+            {name === current ? (
+              <Text color="cyan" bold>[{name}]</Text>
+            ) : (
+              <Text color="gray">{name}</Text>
+            )}
+          </Box>
+        ))}
+        {names.length > 1 && <Text color="gray" dimColor>   ←→</Text>}
+      </Box>
+
+      {error && (
+        <Box marginTop={1}>
+          <Text color="red">{error}</Text>
+        </Box>
+      )}
+
+      <Box flexDirection="column" marginTop={1}>
+        {entries.length === 0 && (
+          <Text color="gray">Empty list: [a] adds a ticker, [/] searches</Text>
+        )}
+        {entries.map((entry, index) => {
+          const quote = prices[entry.symbol];
+          const bars = getBars?.(entry.symbol, entry.contract) || [];
+          const change = quote?.close ? quote.changePercent : null;
+          const selected = index === selectedIndex;
+          return (
+            <Box key={entry.symbol}>
+              <Text color={selected ? 'cyan' : 'gray'}>{selected ? '▸ ' : '  '}</Text>
+              <Text color={selected ? 'cyan' : 'white'} bold={selected}>{entry.symbol.padEnd(symbolWidth)}</Text>
+              <Text color="white">
+                {(quote?.price ? formatMoney(quote.price, false, entry.contract?.currency) : '--').padStart(13)}
+              </Text>
+              <Text color={change === null ? 'gray' : change >= 0 ? 'green' : 'red'}>
+                {(change === null ? '--' : formatPercent(change, true)).padStart(9)}
+              </Text>
+              <Text color="blue">  {sparkline(bars.map(b => b.close), sparkWidth).padEnd(sparkWidth)}</Text>
+              {quote?.streaming && (
+                <Text color={PRICE_SOURCE_COLORS[quote.source]} dimColor={quote.source !== 'live'}>
+                  {'  '}{quote.source === 'live' ? '●' : quote.source}
+                </Text>
+              )}
+            </Box>
+          );
+        })}
+      </Box>
+
+      {mode === 'add' && (
+        <Box marginTop={1}>
+          <Text color="cyan">Add to {current}: </Text>
+          <TextInput value={input} onChange={setInput} onSubmit={submit} placeholder="ticker" />
+        </Box>
+      )}
+
+      {mode === 'create' && (
+        <Box marginTop={1}>
+          <Text color="cyan">New list: </Text>
+          <TextInput value={input} onChange={setInput} onSubmit={submit} placeholder="name" />
+        </Box>
+      )}
+
+      {mode === 'delete' && (
+        <Box marginTop={1}>
+          <Text color="yellow" bold>Delete the list "{current}" ({entries.length} symbols)? [y/n]</Text>
+        </Box>
+      )}
+
+      <Box marginTop={1}>
+        <Text color="gray" dimColor>
+          {mode === 'add' || mode === 'create'
+            ? '[Enter] Save  [Esc] Cancel'
+            : '[↑↓] Select  [Enter] Chart  [b] Buy  [a] Add  [x] Remove  [/] Search  [n/X] New/delete list  [Esc] Back'}
+        </Text>
+      </Box>
+    </Box>
+  );
+}
+
+export default WatchlistScreen;
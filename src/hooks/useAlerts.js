@@ -0,0 +1,119 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { AlertEngine, parseAlertRules } from '../../core/alerts.js';
+import { alertsPath, readJsonStrict } from '../lib/persistedJsonl.js';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[ALERTS]', ...args);
+  }
+};
+
+// alerts.json is re-read and watched symbols re-quoted this often
+const POLL_MS = 60_000;
+
+// How long the StatusBar banner stays up
+const BANNER_MS = 60_000;
+
+const MAX_RECENT = 20;
+
+/**
+ * Alert rules from ~/.folio/alerts.json (format in core/alerts.js) checked
+ * against quotes, net liquidation and order status changes. A firing alert
+ * rings the terminal bell and becomes `latest` for the StatusBar banner.
+ */
+export function useAlerts({
+  isConnected,
+  prices,
+  positions,
+  accountData,
+  fetchPrice,
+  contractFor,
+  onOrderStatusChange,
+}) {
+  const [rules, setRules] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [recent, setRecent] = useState([]);
+  const [latest, setLatest] = useState(null);
+  const engineRef = useRef(null);
+  if (!engineRef.current) engineRef.current = new AlertEngine();
+  const engine = engineRef.current;
+
+  const reload = useCallback(async () => {
+    try {
+      const parsed = parseAlertRules(await readJsonStrict(alertsPath(), null));
+      engine.setRules(parsed.rules);
+      setRules(parsed.rules);
+      setErrors(parsed.errors);
+      if (parsed.errors.length > 0) debug('Rule errors:', parsed.errors);
+    } catch (e) {
+      // A file that doesn't parse keeps the rules it had until it's fixed
+      debug('Failed to load alerts:', e?.message);
+      setErrors([e?.message || 'Could not read alerts.json']);
+    }
+  }, [engine]);
+
+  useEffect(() => {
+    const onAlert = (alert) => {
+      process.stdout.write('\x07');
+      setLatest(alert);
+      setRecent(prev => [alert, ...prev].slice(0, MAX_RECENT));
+    };
+    engine.on('alert', onAlert);
+    return () => {
+      engine.off('alert', onAlert);
+    };
+  }, [engine]);
+
+  useEffect(() => {
+    if (!onOrderStatusChange) return undefined;
+    return onOrderStatusChange((order, previousStatus) => engine.orderStatus(order, previousStatus));
+  }, [engine, onOrderStatusChange]);
+
+  // Symbols the rules need quotes for (held positions for "any position")
+  const watched = useMemo(() => {
+    const symbols = new Set();
+    for (const rule of rules) {
+      if (rule.type === 'price' || (rule.type === 'dayChange' && rule.symbol)) symbols.add(rule.symbol);
+      if (rule.type === 'dayChange' && !rule.symbol) positions.forEach(p => symbols.add(p.symbol));
+    }
+    return Array.from(symbols);
+  }, [rules, positions]);
+
+  useEffect(() => {
+    reload();
+    const id = setInterval(reload, POLL_MS);
+    return () => clearInterval(id);
+  }, [reload]);
+
+  // Positions come in again on every refresh; only a different set of
+  // symbols restarts the polling
+  const quoteRef = useRef(null);
+  quoteRef.current = (symbol) => fetchPrice(symbol, contractFor(symbol)).catch(() => {});
+  const watchedKey = watched.join(',');
+
+  useEffect(() => {
+    if (!isConnected || !watchedKey) return undefined;
+    const quote = () => watchedKey.split(',').forEach(symbol => quoteRef.current(symbol));
+    quote();
+    const id = setInterval(quote, POLL_MS);
+    return () => clearInterval(id);
+  }, [isConnected, watchedKey]);
+
+  useEffect(() => {
+    engine.evaluate({
+      quotes: prices,
+      positions: positions.map(p => p.symbol),
+      netLiquidation: accountData?.netLiquidation ?? null,
+    });
+  }, [engine, rules, prices, positions, accountData]);
+
+  useEffect(() => {
+    if (!latest) return undefined;
+    const id = setTimeout(() => setLatest(null), BANNER_MS);
+    return () => clearTimeout(id);
+  }, [latest]);
+
+  return { rules, errors, recent, latest, reload };
+}
+
+export default useAlerts;
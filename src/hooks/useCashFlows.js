@@ -0,0 +1,128 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { appendJsonl, cashFlowsPath, readJsonl } from '../lib/persistedJsonl.js';
+import { fxRateFor } from '../../core/portfolio.js';
+import {
+  activeCashFlows,
+  cashFlowsInBase,
+  deletedCashFlowIds,
+  detectCashFlows,
+  normalizeCashFlow,
+  reconcileCashFlows,
+} from '../lib/cashFlows.js';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[CASH-FLOWS]', ...args);
+  }
+};
+
+// A suggestion this close to a ledger entry of about the same size is
+// the same transfer
+const SAME_FLOW_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+
+function isCovered(suggestion, flows) {
+  return flows.some(f =>
+    Math.abs(f.ts - suggestion.ts) <= SAME_FLOW_WINDOW_MS &&
+    Math.sign(f.amount) === Math.sign(suggestion.amount) &&
+    Math.abs(f.amount - suggestion.amount) <= Math.abs(suggestion.amount) * 0.2
+  );
+}
+
+/**
+ * Deposits and withdrawals ledger (see lib/cashFlows.js). Transfers found
+ * in IB's account values are recorded as history comes in; the co-movement
+ * heuristic only produces `suggestions` to confirm or dismiss. `flows` is
+ * the ledger as recorded; `baseFlows` is it in the base currency, for
+ * the performance figures.
+ */
+export function useCashFlows({ accountId, history, executions, baseCurrency, fxRates }) {
+  const [lines, setLines] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const filePath = useMemo(() => cashFlowsPath(accountId), [accountId]);
+  const appendQueueRef = useRef(Promise.resolve());
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoaded(false);
+    setLines([]);
+
+    readJsonl(filePath).then(
+      (rows) => {
+        if (cancelled) return;
+        setLines(rows);
+        setLoaded(true);
+        debug('Loaded ledger lines:', rows.length);
+      },
+      (e) => {
+        if (cancelled) return;
+        debug('Failed to load ledger:', e?.message);
+        setLoaded(true);
+      }
+    );
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filePath]);
+
+  const append = useCallback((records) => {
+    const normalized = records.map(normalizeCashFlow).filter(Boolean);
+    if (normalized.length === 0) return;
+    setLines(prev => [...prev, ...normalized]);
+    for (const record of normalized) {
+      appendQueueRef.current = appendQueueRef.current
+        .then(() => appendJsonl(filePath, record))
+        .catch(() => {});
+    }
+  }, [filePath]);
+
+  const flows = useMemo(() => activeCashFlows(lines), [lines]);
+
+  // What the performance figures use: entries in another currency at
+  // today's rates, and none without a rate (they'd count as base otherwise)
+  const { flows: baseFlows, missing: unconverted } = useMemo(
+    () => cashFlowsInBase(flows, baseCurrency, fxRates || {}),
+    [flows, baseCurrency, fxRates]
+  );
+  const deletedIds = useMemo(() => deletedCashFlowIds(lines), [lines]);
+
+  // Record transfers IB's cash figures show, once each
+  useEffect(() => {
+    if (!loaded) return;
+    const known = new Set(lines.map(l => l?.id));
+    const rateFor = (currency) => fxRateFor(fxRates, baseCurrency, currency);
+    const found = reconcileCashFlows(history, executions, rateFor)
+      .filter(f => !known.has(f.id));
+    if (found.length > 0) {
+      debug('Reconciled transfers:', found.map(f => f.amount));
+      append(found);
+    }
+  }, [loaded, lines, history, executions, baseCurrency, fxRates, append]);
+
+  const suggestions = useMemo(
+    () => detectCashFlows(history).filter(s => !deletedIds.has(s.id) && !isCovered(s, flows)),
+    [history, flows, deletedIds]
+  );
+
+  const addFlow = useCallback((flow) => append([flow]), [append]);
+
+  const removeFlow = useCallback((id) => append([{ id, deleted: true }]), [append]);
+
+  // Confirmed suggestions become manual entries under the same id
+  const confirmSuggestion = useCallback((suggestion) => {
+    append([{ ...suggestion, source: 'manual', note: 'confirmed suggestion' }]);
+  }, [append]);
+
+  return {
+    flows,
+    baseFlows,
+    unconverted,
+    suggestions,
+    addFlow,
+    removeFlow,
+    confirmSuggestion,
+    dismissSuggestion: removeFlow,
+  };
+}
+
+export default useCashFlows;
@@ -0,0 +1,61 @@
+import { useCallback } from 'react';
+import { findListings, matchingSymbols } from '../../core/contracts.js';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[CONTRACT-LOOKUP]', ...args);
+  }
+};
+
+// Listings shown in the picker, most common first
+const SEC_TYPE_ORDER = ['STK', 'ETF', 'IND', 'FUT', 'OPT'];
+
+function sortListings(listings) {
+  const rank = (secType) => {
+    const index = SEC_TYPE_ORDER.indexOf(secType);
+    return index === -1 ? SEC_TYPE_ORDER.length : index;
+  };
+  return [...listings].sort((a, b) =>
+    rank(a.secType) - rank(b.secType) ||
+    (a.currency === 'USD' ? 0 : 1) - (b.currency === 'USD' ? 0 : 1) ||
+    String(a.primaryExch).localeCompare(String(b.primaryExch))
+  );
+}
+
+/**
+ * Hook for looking contracts up in IB
+ *
+ * - findListings(symbol): every listing of a ticker (exchange, currency,
+ *   secType, conId) so the user can pick the exact one
+ * - matchSymbols(pattern): IB's symbol search, used when Yahoo is down
+ */
+export function useContractLookup(getClient, isConnected) {
+  const lookupListings = useCallback(async (symbol) => {
+    const client = getClient();
+    if (!client || !isConnected) {
+      throw new Error('Not connected to IB');
+    }
+
+    debug('Finding listings for', symbol);
+    const listings = await findListings(client, symbol);
+    debug(`${symbol}: ${listings.length} listings`);
+    return sortListings(listings);
+  }, [getClient, isConnected]);
+
+  const matchSymbols = useCallback(async (pattern) => {
+    const client = getClient();
+    if (!client || !isConnected) {
+      throw new Error('Not connected to IB');
+    }
+
+    debug('Matching symbols for', pattern);
+    return matchingSymbols(client, pattern);
+  }, [getClient, isConnected]);
+
+  return {
+    findListings: lookupListings,
+    matchSymbols,
+  };
+}
+
+export default useContractLookup;
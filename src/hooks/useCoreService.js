@@ -0,0 +1,22 @@
+import { useRef } from 'react';
+
+/**
+ * One instance of a core service (core/*.js) for the lifetime of the
+ * component. Services read the connection through getClient()/isConnected(),
+ * which here always see the latest values the hook was rendered with.
+ */
+export function useCoreService(Service, getClient, isConnected) {
+  const connectionRef = useRef({ getClient, isConnected });
+  connectionRef.current = { getClient, isConnected };
+
+  const serviceRef = useRef(null);
+  if (!serviceRef.current) {
+    serviceRef.current = new Service({
+      getClient: () => connectionRef.current.getClient(),
+      isConnected: () => !!connectionRef.current.isConnected,
+    });
+  }
+  return serviceRef.current;
+}
+
+export default useCoreService;
@@ -13,11 +13,19 @@ function normalizeExec(e) {
   return {
     id: String(id),
     symbol: e?.symbol,
+    label: e?.label,
+    conId: e?.conId,
+    secType: e?.secType,
+    multiplier: e?.multiplier,
+    currency: e?.currency,
     side: e?.side,
     quantity: e?.quantity,
     price: e?.price,
     time: e?.time,
     orderId: e?.orderId,
+    commission: e?.commission ?? null,
+    commissionCurrency: e?.commissionCurrency ?? null,
+    realizedPnL: e?.realizedPnL ?? null,
   };
 }
 
@@ -46,12 +54,12 @@ export function useExecutionHistory({ accountId, isConnected, executions }) {
   const loadKey = useMemo(() => String(accountId || 'unknown'), [accountId]);
   const isLoadedRef = useRef(false);
   const appendQueueRef = useRef(Promise.resolve());
-  const knownIdsRef = useRef(new Set());
+  const knownIdsRef = useRef(new Map()); // id -> whether the commission is in
 
   useEffect(() => {
     let cancelled = false;
     isLoadedRef.current = false;
-    knownIdsRef.current = new Set();
+    knownIdsRef.current = new Map();
     setAllExecutions([]);
 
     (async () => {
@@ -60,7 +68,7 @@ export function useExecutionHistory({ accountId, isConnected, executions }) {
         if (cancelled) return;
         const merged = mergeUniqueById([], rows);
         setAllExecutions(merged);
-        knownIdsRef.current = new Set(merged.map(e => e.id));
+        knownIdsRef.current = new Map(merged.map(e => [e.id, e.commission !== null]));
         isLoadedRef.current = true;
         debug('Loaded executions:', merged.length, 'for', loadKey);
       } catch (e) {
@@ -78,8 +86,11 @@ export function useExecutionHistory({ accountId, isConnected, executions }) {
   const appendExecution = useCallback((exec) => {
     const n = normalizeExec(exec);
     if (!n) return;
-    if (knownIdsRef.current.has(n.id)) return;
-    knownIdsRef.current.add(n.id);
+    // The commission report comes after the fill: the record is written
+    // again with it, and the later line wins on load
+    const hasCommission = n.commission !== null;
+    if (knownIdsRef.current.has(n.id) && (knownIdsRef.current.get(n.id) || !hasCommission)) return;
+    knownIdsRef.current.set(n.id, hasCommission);
 
     setAllExecutions(prev => mergeUniqueById(prev, [n]));
     appendQueueRef.current = appendQueueRef.current
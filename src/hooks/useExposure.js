@@ -0,0 +1,54 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { exposureBreakdown, fetchClassifications } from '../../core/exposure.js';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[EXPOSURE]', ...args);
+  }
+};
+
+/**
+ * Exposure by sector, security type and currency (core/exposure.js).
+ * Sectors are looked up only while `active` (the screen is open), once per
+ * symbol; until they arrive positions count as unclassified.
+ */
+export function useExposure(getClient, isConnected, {
+  positions,
+  accountData,
+  fxRates,
+  baseCurrency,
+  threshold,
+  active = false,
+}) {
+  const [classifications, setClassifications] = useState({});
+  const requestedRef = useRef(new Set());
+
+  useEffect(() => {
+    const client = getClient();
+    if (!active || !client || !isConnected) return;
+
+    const missing = positions.filter(p => !requestedRef.current.has(p.symbol));
+    if (missing.length === 0) return;
+    missing.forEach(p => requestedRef.current.add(p.symbol));
+
+    debug('Classifying', missing.map(p => p.symbol));
+    fetchClassifications(client, missing).then((found) => {
+      // Lookups that failed can be retried next time
+      missing.forEach(p => {
+        if (!found[p.symbol]) requestedRef.current.delete(p.symbol);
+      });
+      setClassifications(prev => ({ ...prev, ...found }));
+    });
+  }, [active, getClient, isConnected, positions]);
+
+  const breakdown = useMemo(
+    () => exposureBreakdown({ positions, accountData, fxRates, baseCurrency, classifications, threshold }),
+    [positions, accountData, fxRates, baseCurrency, classifications, threshold]
+  );
+
+  const classifying = active && positions.some(p => !classifications[p.symbol] && requestedRef.current.has(p.symbol));
+
+  return { breakdown, classifying };
+}
+
+export default useExposure;
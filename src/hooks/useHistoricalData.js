@@ -1,4 +1,5 @@
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { ibContractFor } from '../../core/contracts.js';
 
 let histDataReqCounter = 7000;
 
@@ -15,6 +16,10 @@ export const PERIODS = {
   '3M': { duration: '3 M', barSize: '1 day', label: '3m' },
   '6M': { duration: '6 M', barSize: '1 day', label: '6m' },
   '1Y': { duration: '1 Y', barSize: '1 day', label: '1y' },
+  // Longer spans, for benchmarks over a whole account history (not on the chart)
+  '2Y': { duration: '2 Y', barSize: '1 day', label: '2y' },
+  '5Y': { duration: '5 Y', barSize: '1 day', label: '5y' },
+  '10Y': { duration: '10 Y', barSize: '1 day', label: '10y' },
 };
 
 export const PERIOD_KEYS = ['1W', '1M', '3M', '6M', '1Y'];
@@ -26,10 +31,13 @@ export function useHistoricalData(getClient, isConnected) {
   const [error, setError] = useState({});
   const cacheRef = useRef({}); // Cache: { "GOOG-3M": { bars: [...], timestamp: Date } }
   const activeRequestsRef = useRef({});
+  const inFlightRef = useRef({}); // cacheKey -> { symbol, period, contract, abort }
+  const interruptedRef = useRef([]); // requests cut off by a dropped connection
 
   const getCacheKey = (symbol, period) => `${symbol}-${period}`;
 
-  const fetchHistorical = useCallback((symbol, period = DEFAULT_PERIOD, exchange = 'SMART', currency = 'USD') => {
+  // `contract` is an optional spec (e.g. a position's contract) for non-US listings
+  const fetchHistorical = useCallback((symbol, period = DEFAULT_PERIOD, contract = null) => {
     const client = getClient();
     const cacheKey = getCacheKey(symbol, period);
 
@@ -63,7 +71,6 @@ export function useHistoricalData(getClient, isConnected) {
     setError(prev => ({ ...prev, [cacheKey]: null }));
 
     const promise = new Promise((resolve, reject) => {
-      const contract = client.contract.stock(symbol, exchange, currency);
       const bars = [];
       let resolved = false;
 
@@ -156,6 +163,7 @@ export function useHistoricalData(getClient, isConnected) {
       const cleanup = () => {
         clearTimeout(timeout);
         delete activeRequestsRef.current[cacheKey];
+        delete inFlightRef.current[cacheKey];
         client.removeListener('historicalData', onHistoricalData);
         client.removeListener('historicalDataEnd', onHistoricalDataEnd);
         client.removeListener('error', onError);
@@ -165,6 +173,20 @@ export function useHistoricalData(getClient, isConnected) {
       client.on('historicalDataEnd', onHistoricalDataEnd);
       client.on('error', onError);
 
+      // The connection dropped: stop waiting on the dead client. Loading
+      // stays on; the request goes out again once reconnected.
+      inFlightRef.current[cacheKey] = {
+        symbol,
+        period,
+        contract,
+        abort: () => {
+          if (resolved) return;
+          resolved = true;
+          cleanup();
+          reject(new Error('Connection lost'));
+        },
+      };
+
       // Log ALL events for debugging
       const debugAllEvents = (eventName) => (...args) => {
         debug(`[EVENT] ${eventName}:`, JSON.stringify(args).slice(0, 200));
@@ -173,29 +195,51 @@ export function useHistoricalData(getClient, isConnected) {
       // Temporarily listen to all events
       client.on('historicalData', debugAllEvents('historicalData'));
 
-      debug(`Calling reqHistoricalData: reqId=${reqId}`);
-
-      // Request historical data
-      // endDateTime = '' means now
-      // useRTH = 1 (regular trading hours only)
-      // formatDate = 1 (yyyyMMdd format for day bars)
-      client.reqHistoricalData(
-        reqId,
-        contract,
-        '',  // endDateTime (empty = now)
-        periodConfig.duration,
-        periodConfig.barSize,
-        'TRADES',  // whatToShow
-        1,  // useRTH
-        1,  // formatDate
-        false  // keepUpToDate
-      );
+      ibContractFor(client, symbol, contract).then((ibContract) => {
+        if (resolved) return;
+        debug(`Calling reqHistoricalData: reqId=${reqId}`);
+
+        // Request historical data
+        // endDateTime = '' means now
+        // useRTH = 1 (regular trading hours only)
+        // formatDate = 1 (yyyyMMdd format for day bars)
+        client.reqHistoricalData(
+          reqId,
+          ibContract,
+          '',  // endDateTime (empty = now)
+          periodConfig.duration,
+          periodConfig.barSize,
+          'TRADES',  // whatToShow
+          1,  // useRTH
+          1,  // formatDate
+          false  // keepUpToDate
+        );
+      });
     });
 
     activeRequestsRef.current[cacheKey] = promise;
     return promise;
   }, [getClient, isConnected]);
 
+  // Reissue whatever was in flight when the connection dropped
+  useEffect(() => {
+    if (!isConnected) {
+      const interrupted = Object.values(inFlightRef.current);
+      if (interrupted.length === 0) return;
+      debug(`Connection lost with ${interrupted.length} requests in flight`);
+      interruptedRef.current.push(...interrupted);
+      interrupted.forEach(request => request.abort());
+      return;
+    }
+
+    const pending = interruptedRef.current;
+    interruptedRef.current = [];
+    for (const { symbol, period, contract } of pending) {
+      debug(`Reissuing ${symbol}-${period}`);
+      fetchHistorical(symbol, period, contract).catch(() => {});
+    }
+  }, [isConnected, fetchHistorical]);
+
   const getData = useCallback((symbol, period = DEFAULT_PERIOD) => {
     const cacheKey = getCacheKey(symbol, period);
     return data[cacheKey] || null;
@@ -211,9 +255,9 @@ export function useHistoricalData(getClient, isConnected) {
     return error[cacheKey] || null;
   }, [error]);
 
-  const prefetch = useCallback((symbol, period = DEFAULT_PERIOD) => {
+  const prefetch = useCallback((symbol, period = DEFAULT_PERIOD, contract = null) => {
     debug(`Prefetching ${symbol} period=${period}`);
-    fetchHistorical(symbol, period).catch(() => {
+    fetchHistorical(symbol, period, contract).catch(() => {
       // Silently ignore prefetch errors
       debug(`Prefetch failed for ${symbol} - will retry on demand`);
     });
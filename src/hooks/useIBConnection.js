@@ -1,8 +1,5 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import IB from 'ib';
-
-const INFO_CODES = new Set([2104, 2106, 2158, 2119]);
-const IGNORED_CODES = new Set([300, 354, 10167]);
+import { IBConnection } from '../../core/connection.js';
 
 function debug(...args) {
   if (global.DEBUG_MODE) {
@@ -11,6 +8,12 @@ function debug(...args) {
   }
 }
 
+/**
+ * React state over core/connection.js. `connection` is the IBConnection
+ * itself, for code that wants its events. A dropped connection comes back
+ * on its own: status goes to 'reconnecting' (with `reconnect` holding the
+ * attempt and backoff) and the data hooks resync once it is 'connected'.
+ */
 export function useIBConnection(options = {}) {
   const {
     host = process.env.IB_HOST || '127.0.0.1',
@@ -18,149 +21,59 @@ export function useIBConnection(options = {}) {
     clientId = parseInt(process.env.IB_CLIENT_ID || '0', 10),
   } = options;
 
-  const [status, setStatus] = useState('disconnected'); // disconnected, connecting, connected, error
+  const [status, setStatus] = useState('disconnected'); // disconnected, connecting, connected, reconnecting, error
   const [error, setError] = useState(null);
   const [accountId, setAccountId] = useState(null);
-  const clientRef = useRef(null);
-  const isConnectingRef = useRef(false);
-
-  const connect = useCallback(() => {
-    debug('connect() called');
-    debug('Current status:', status);
-    debug('isConnectingRef:', isConnectingRef.current);
-
-    if (isConnectingRef.current || status === 'connected') {
-      debug('Already connecting or connected, skipping');
-      return;
-    }
-
-    isConnectingRef.current = true;
-    setStatus('connecting');
-    setError(null);
-
-    debug('Creating IB client with config:', { clientId, host, port });
-
-    const client = new IB({
-      clientId,
-      host,
-      port,
-    });
+  const [reconnect, setReconnect] = useState(null); // { attempt, retryAt } while reconnecting
+  const connectionRef = useRef(null);
 
-    clientRef.current = client;
-
-    debug('Setting up connection timeout (10 seconds)');
-    const connectionTimeout = setTimeout(() => {
-      debug('Connection timeout triggered!');
-      debug('Current status at timeout:', status);
-      if (status !== 'connected') {
-        debug('Setting error state due to timeout');
-        setStatus('error');
-        setError('Timeout — TWS is not responding. Make sure it is running.');
-        isConnectingRef.current = false;
-      }
-    }, 10000);
-
-    client.on('error', (err, data) => {
-      const code = data?.code;
-      const message = err?.message || String(err);
-
-      debug('IB error event received:', { code, message, data });
-
-      if (code && (INFO_CODES.has(code) || IGNORED_CODES.has(code))) {
-        debug('Ignoring info/ignored code:', code);
-        return;
-      }
+  if (!connectionRef.current) {
+    connectionRef.current = new IBConnection({ host, port, clientId });
+  }
+  const connection = connectionRef.current;
 
-      if (message.includes('ECONNREFUSED')) {
-        debug('ECONNREFUSED detected - TWS not running or port blocked');
-        clearTimeout(connectionTimeout);
-        setStatus('error');
-        setError('Cannot connect to TWS. Is it running?');
-        isConnectingRef.current = false;
-      } else if (message.includes('ETIMEDOUT')) {
-        debug('ETIMEDOUT detected - Connection timed out');
-        clearTimeout(connectionTimeout);
-        setStatus('error');
-        setError('Timeout connecting to TWS. Verify the API is enabled.');
-        isConnectingRef.current = false;
-      } else if (message.includes('Cannot send data when disconnected') ||
-                 message.includes('Cannot disconnect if already disconnected')) {
-        // Ignorar estos errores - son esperables
-        debug('Ignoring expected disconnection error');
-      } else {
-        debug('Unhandled error:', message);
+  useEffect(() => {
+    const onStatus = ({ status: next, error: message, attempt, retryInMs }) => {
+      debug('Status:', next, message || '', attempt ? `(attempt ${attempt})` : '');
+      setStatus(next);
+      setError(message);
+      if (next !== 'reconnecting') {
+        setReconnect(null);
+      } else if (retryInMs !== undefined) {
+        setReconnect({ attempt, retryAt: Date.now() + retryInMs });
       }
-    });
-
-    client.on('connected', () => {
-      debug('IB "connected" event received');
-    });
-
-    client.on('nextValidId', (orderId) => {
-      debug('nextValidId received:', orderId);
-      clearTimeout(connectionTimeout);
-      setStatus('connected');
-      isConnectingRef.current = false;
-      debug('Requesting managed accounts...');
-      client.reqManagedAccts();
-    });
-
-    client.on('managedAccounts', (accounts) => {
-      debug('managedAccounts received:', accounts);
-      const firstAccount = accounts.split(',')[0];
-      setAccountId(firstAccount);
-      debug('Account ID set to:', firstAccount);
-    });
-
-    client.on('disconnected', () => {
-      debug('IB "disconnected" event received');
-      setStatus('disconnected');
-      isConnectingRef.current = false;
-    });
-
-    debug('Calling client.connect()...');
-    debug('='.repeat(50));
-    debug('TWS CONFIGURATION CHECKLIST:');
-    debug('1. TWS open and logged in?');
-    debug('2. Edit > Global Config > API > Settings:');
-    debug('   - "Enable ActiveX and Socket Clients" = ON');
-    debug('   - Socket Port = ' + port);
-    debug('3. No other app connected with clientId=' + clientId);
-    debug('='.repeat(50));
+    };
+    const onAccount = (id) => {
+      debug('Account ID set to:', id);
+      setAccountId(id);
+    };
+    const onError = (err, data) => {
+      debug('Unhandled error:', data?.code, err.message);
+    };
 
-    try {
-      client.connect();
-      debug('client.connect() executed successfully');
-    } catch (connectError) {
-      debug('client.connect() threw error:', connectError.message);
-    }
+    connection.on('status', onStatus);
+    connection.on('account', onAccount);
+    connection.on('error', onError);
+    return () => {
+      connection.off('status', onStatus);
+      connection.off('account', onAccount);
+      connection.off('error', onError);
+    };
+  }, [connection]);
 
-    debug('Calling client.reqIds(1)...');
-    try {
-      client.reqIds(1);
-      debug('client.reqIds(1) executed successfully');
-    } catch (reqIdsError) {
-      debug('client.reqIds(1) threw error:', reqIdsError.message);
-    }
-    debug('Connection initiated, waiting for events...');
-  }, [host, port, clientId, status]);
+  const connect = useCallback(() => {
+    debug(`connect() to ${host}:${port} (clientId ${clientId})`);
+    // Failures land in status/error
+    connection.connect().catch((err) => debug('Connection failed:', err.message));
+  }, [connection, host, port, clientId]);
 
   const disconnect = useCallback(() => {
-    if (clientRef.current) {
-      try {
-        clientRef.current.disconnect();
-      } catch (e) {
-        // ignore
-      }
-      clientRef.current = null;
-    }
-    setStatus('disconnected');
-    isConnectingRef.current = false;
-  }, []);
+    connection.disconnect();
+  }, [connection]);
 
   const getClient = useCallback(() => {
-    return clientRef.current;
-  }, []);
+    return connection.getClient();
+  }, [connection]);
 
   useEffect(() => {
     return () => {
@@ -172,9 +85,11 @@ export function useIBConnection(options = {}) {
     status,
     error,
     accountId,
+    reconnect,
     connect,
     disconnect,
     getClient,
+    connection,
     isConnected: status === 'connected',
     isConnecting: status === 'connecting',
   };
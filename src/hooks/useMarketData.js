@@ -1,141 +1,87 @@
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { MarketDataService, QuoteStreamService } from '../../core/market-data.js';
+import { useCoreService } from './useCoreService.js';
+
+// Los ticks en streaming se juntan y llegan a React como mucho a este ritmo
+const STREAM_FLUSH_MS = 500;
 
 /**
  * useMarketData - Hook para obtener precios de mercado
  *
- * IMPORTANTE: Para posiciones que ya tenemos, el precio viene directamente
- * de updatePortfolio (en usePortfolio). Este hook solo se usa como
- * fuente secundaria para símbolos que NO están en el portfolio.
+ * Los símbolos en pantalla se suscriben en streaming (subscribe, ver
+ * useStreamingQuotes); el resto se pide con snapshots (fetchPrice), que
+ * devuelve la cotización en streaming cuando el símbolo ya tiene línea.
+ * Cada precio lleva `source`: live, delayed o frozen.
  *
- * Dado que no tenemos suscripción de market data en IB, este hook
- * simplemente marca los símbolos como "no disponible" y la UI
- * usa los precios históricos como fallback.
+ * Sin suscripción de market data, IB manda precios diferidos; si no llega
+ * nada, fetchPrice resuelve null y la UI usa los precios históricos.
  */
-
-let marketDataReqCounter = 6000;
-
-const debug = (...args) => {
-  if (process.argv.includes('--debug')) {
-    console.error('[MARKET-DATA]', ...args);
-  }
-};
-
 export function useMarketData(getClient, isConnected) {
   const [prices, setPrices] = useState({});
   const [loading, setLoading] = useState({});
-  const activeRequestsRef = useRef({});
-
-  const fetchPrice = useCallback((symbol, exchange = 'SMART', currency = 'USD') => {
-    debug(`fetchPrice called for ${symbol} (${exchange}, ${currency})`);
-    const client = getClient();
-    if (!client || !isConnected) {
-      debug(`Rejected: client=${!!client} isConnected=${isConnected}`);
+  const service = useCoreService(MarketDataService, getClient, isConnected);
+  const stream = useCoreService(QuoteStreamService, getClient, isConnected);
+  const streamedRef = useRef({});
+
+  useEffect(() => {
+    const onPrice = (symbol, quote) => {
+      setPrices(prev => ({ ...prev, [symbol]: quote }));
+    };
+    service.on('price', onPrice);
+    return () => {
+      service.off('price', onPrice);
+    };
+  }, [service]);
+
+  useEffect(() => {
+    const onStreamPrice = (symbol, quote) => {
+      streamedRef.current[symbol] = quote;
+    };
+    const flush = setInterval(() => {
+      const streamed = streamedRef.current;
+      if (Object.keys(streamed).length === 0) return;
+      streamedRef.current = {};
+      setPrices(prev => ({ ...prev, ...streamed }));
+    }, STREAM_FLUSH_MS);
+
+    stream.on('price', onStreamPrice);
+    return () => {
+      clearInterval(flush);
+      stream.off('price', onStreamPrice);
+    };
+  }, [stream]);
+
+  // Las líneas se abren con cada conexión (también al reconectar)
+  useEffect(() => {
+    if (!isConnected) return undefined;
+    stream.start();
+    return () => stream.stop();
+  }, [stream, isConnected]);
+
+  // `contract` is an optional spec (e.g. a position's contract) for non-US listings
+  const fetchPrice = useCallback((symbol, contract = null) => {
+    if (!isConnected) {
       return Promise.reject(new Error('Not connected'));
     }
 
-    if (activeRequestsRef.current[symbol]) {
-      debug(`Using cached request for ${symbol}`);
-      return activeRequestsRef.current[symbol];
-    }
+    const streamed = stream.quote(symbol, contract);
+    if (streamed) return Promise.resolve(streamed);
 
-    const reqId = ++marketDataReqCounter;
-    debug(`Requesting market data for ${symbol} with reqId=${reqId}`);
     setLoading(prev => ({ ...prev, [symbol]: true }));
+    const promise = service.snapshot(symbol, contract);
+    const done = () => setLoading(prev => ({ ...prev, [symbol]: false }));
+    promise.then(done, done);
+    return promise;
+  }, [service, stream, isConnected]);
 
-    const promise = new Promise((resolve) => {
-      const contract = client.contract.stock(symbol, exchange, currency);
-      debug(`Contract created:`, contract);
-      let resolved = false;
-
-      // Tick types we care about (both live and delayed)
-      const interestingFields = new Set([
-        1, 2, 4, 6, 7, 9, 14, 37,  // Live
-        66, 67, 68, 72, 73, 75, 76  // Delayed
-      ]);
-
-      const tickTypeNames = {
-        1: 'BID', 2: 'ASK', 4: 'LAST', 6: 'HIGH', 7: 'LOW', 9: 'CLOSE', 14: 'OPEN',
-        37: 'MARK_PRICE', 66: 'DELAYED_BID', 67: 'DELAYED_ASK', 68: 'DELAYED_LAST',
-        72: 'DELAYED_HIGH', 73: 'DELAYED_LOW', 75: 'DELAYED_CLOSE', 76: 'DELAYED_OPEN'
-      };
-
-      // Timeout corto - si no hay market data, resolvemos null
-      // La UI usará el precio histórico como fallback
-      const timeout = setTimeout(() => {
-        if (!resolved) {
-          debug(`⏱️ TIMEOUT for ${symbol} - no market data available (no subscription)`);
-          cleanup();
-          setLoading(prev => ({ ...prev, [symbol]: false }));
-          resolve(null);
-        }
-      }, 3000); // 3 segundos es suficiente para saber si hay datos
-
-      const onTickPrice = (tickerId, field, price) => {
-        const fieldName = tickTypeNames[field] || `UNKNOWN(${field})`;
-        debug(`tickPrice event: tickerId=${tickerId} field=${field} (${fieldName}) price=${price}`);
-
-        if (tickerId !== reqId) return;
-        if (!interestingFields.has(field)) return;
-        if (price <= 0) return;
-        if (resolved) return;
-
-        debug(`✅ PRICE RECEIVED for ${symbol}: $${price} (${fieldName})`);
-        resolved = true;
-        cleanup();
-
-        const priceData = {
-          price,
-          field,
-          fieldLabel: fieldName,
-          timestamp: Date.now(),
-        };
-
-        setPrices(prev => ({ ...prev, [symbol]: priceData }));
-        setLoading(prev => ({ ...prev, [symbol]: false }));
-        resolve(priceData);
-      };
-
-      const onError = (err, data) => {
-        if (resolved) return;
-        const code = data?.code;
-
-        // Códigos informativos a ignorar
-        const ignoreCodes = [300, 354, 2104, 2106, 2158, 2176, 10089, 10167, 10168];
-        if (code && ignoreCodes.includes(code)) {
-          debug(`Info message (code ${code}): ${err?.message}`);
-          return;
-        }
-
-        debug(`Error for ${symbol} (code ${code}): ${err?.message}`);
-      };
-
-      const cleanup = () => {
-        clearTimeout(timeout);
-        delete activeRequestsRef.current[symbol];
-        client.removeListener('tickPrice', onTickPrice);
-        client.removeListener('error', onError);
-        try {
-          client.cancelMktData(reqId);
-        } catch (e) {
-          // ignore
-        }
-      };
-
-      client.on('tickPrice', onTickPrice);
-      client.on('error', onError);
-
-      // Intentar con tipo 4 (delayed-frozen)
-      debug(`Setting market data type to 4 (delayed-frozen)`);
-      client.reqMarketDataType(4);
-
-      debug(`Calling reqMktData(${reqId}, contract, '', true, false)`);
-      client.reqMktData(reqId, contract, '', true, false);
-      debug(`reqMktData called, waiting for tickPrice events...`);
-    });
+  // Returns the function that ends the subscription
+  const subscribe = useCallback((symbol, contract = null) => {
+    return stream.subscribe(symbol, contract);
+  }, [stream]);
 
-    activeRequestsRef.current[symbol] = promise;
-    return promise;
-  }, [getClient, isConnected]);
+  const isStreaming = useCallback((symbol, contract = null) => {
+    return stream.isStreaming(symbol, contract);
+  }, [stream]);
 
   const getPrice = useCallback((symbol) => {
     return prices[symbol]?.price || null;
@@ -148,6 +94,8 @@ export function useMarketData(getClient, isConnected) {
   return {
     prices,
     fetchPrice,
+    subscribe,
+    isStreaming,
     getPrice,
     isLoading,
   };
@@ -0,0 +1,277 @@
+import { useState, useCallback, useRef } from 'react';
+import { resolveContract, contractSpec, toIbContract } from '../../core/contracts.js';
+
+/**
+ * useOptionChain - Option chain for an underlying
+ *
+ * - fetchChain(symbol, contract): expirations and strikes (reqSecDefOptParams)
+ * - fetchQuotes(chain, expiry, strikes): bid/ask/IV/delta for calls and puts
+ *   at those strikes, as market data snapshots
+ */
+
+let optionReqCounter = 12000;
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[OPTIONS]', ...args);
+  }
+};
+
+// Snapshots finish with tickSnapshotEnd; don't wait forever if they don't
+const QUOTE_TIMEOUT_MS = 12000;
+const CHAIN_TIMEOUT_MS = 10000;
+
+// tickPrice fields (live and delayed)
+const BID_FIELDS = new Set([1, 66]);
+const ASK_FIELDS = new Set([2, 67]);
+const LAST_FIELDS = new Set([4, 68]);
+
+// tickOptionComputation types: bid/ask/last/model, live and delayed. Model
+// greeks win; the others only fill in while it's missing.
+const MODEL_COMPUTATIONS = new Set([13, 83]);
+const OTHER_COMPUTATIONS = new Set([10, 11, 12, 80, 81, 82]);
+
+// IB uses Number.MAX_VALUE (and negatives) for "not computed"
+const cleanValue = (value) => (Number.isFinite(value) && value !== Number.MAX_VALUE ? value : null);
+
+export const optionKey = (symbol, expiry, strike, right) => `${symbol}:${expiry}:${strike}:${right}`;
+
+/**
+ * Option contract spec for one line of the chain
+ */
+export function optionSpec(chain, expiry, strike, right) {
+  return {
+    conId: null,
+    symbol: chain.symbol,
+    secType: 'OPT',
+    exchange: 'SMART',
+    primaryExch: null,
+    currency: chain.currency,
+    localSymbol: null,
+    tradingClass: chain.tradingClass,
+    expiry,
+    strike,
+    right,
+    multiplier: chain.multiplier,
+  };
+}
+
+export function useOptionChain(getClient, isConnected) {
+  const [chains, setChains] = useState({}); // symbol -> chain
+  const [quotes, setQuotes] = useState({}); // optionKey -> { bid, ask, last, iv, delta }
+  const [loading, setLoading] = useState({});
+  const [errors, setErrors] = useState({});
+  const requestedRef = useRef(new Set()); // optionKeys already asked for
+
+  const fetchChain = useCallback(async (symbol, contract = null) => {
+    const client = getClient();
+    if (!client || !isConnected) {
+      throw new Error('Not connected to IB');
+    }
+
+    setLoading(prev => ({ ...prev, [symbol]: true }));
+    setErrors(prev => ({ ...prev, [symbol]: null }));
+
+    try {
+      // reqSecDefOptParams needs the underlying's conId
+      const underlying = await resolveContract(client, contract?.conId ? contract : {
+        symbol,
+        secType: 'STK',
+        exchange: 'SMART',
+        currency: contract?.currency || 'USD',
+        primaryExch: contract?.primaryExch || null,
+      });
+
+      const params = await new Promise((resolve, reject) => {
+        const reqId = ++optionReqCounter;
+        const results = [];
+
+        const timeout = setTimeout(() => {
+          cleanup();
+          reject(new Error(`Timeout loading options for ${symbol}`));
+        }, CHAIN_TIMEOUT_MS);
+
+        const onParams = (id, exchange, underlyingConId, tradingClass, multiplier, expirations, strikes) => {
+          if (id !== reqId) return;
+          results.push({ exchange, tradingClass, multiplier, expirations, strikes });
+        };
+
+        const onEnd = (id) => {
+          if (id !== reqId) return;
+          cleanup();
+          resolve(results);
+        };
+
+        const onError = (err, data) => {
+          if (data?.id !== reqId) return;
+          cleanup();
+          reject(new Error(err?.message || 'No options found'));
+        };
+
+        const cleanup = () => {
+          clearTimeout(timeout);
+          client.removeListener('securityDefinitionOptionParameter', onParams);
+          client.removeListener('securityDefinitionOptionParameterEnd', onEnd);
+          client.removeListener('error', onError);
+        };
+
+        client.on('securityDefinitionOptionParameter', onParams);
+        client.on('securityDefinitionOptionParameterEnd', onEnd);
+        client.on('error', onError);
+
+        debug(`reqSecDefOptParams ${reqId}:`, symbol, underlying.conId);
+        client.reqSecDefOptParams(reqId, symbol, '', 'STK', underlying.conId);
+      });
+
+      // One entry per exchange; SMART's covers the rest. Prefer the main
+      // trading class (same as the symbol) over adjusted/mini ones.
+      const entry = params.find(p => p.exchange === 'SMART' && p.tradingClass === symbol)
+        || params.find(p => p.exchange === 'SMART')
+        || params[0];
+      if (!entry) {
+        throw new Error(`No options listed for ${symbol}`);
+      }
+
+      const chain = {
+        symbol,
+        underlying: contractSpec(underlying),
+        currency: underlying.currency || 'USD',
+        tradingClass: entry.tradingClass,
+        multiplier: Number(entry.multiplier) || 100,
+        expirations: [...entry.expirations].sort(),
+        strikes: [...entry.strikes].sort((a, b) => a - b),
+      };
+      debug(`${symbol}: ${chain.expirations.length} expirations, ${chain.strikes.length} strikes`);
+
+      setChains(prev => ({ ...prev, [symbol]: chain }));
+      return chain;
+    } catch (err) {
+      debug(`fetchChain failed for ${symbol}:`, err.message);
+      setErrors(prev => ({ ...prev, [symbol]: err.message }));
+      throw err;
+    } finally {
+      setLoading(prev => ({ ...prev, [symbol]: false }));
+    }
+  }, [getClient, isConnected]);
+
+  /**
+   * Quote calls and puts at `strikes` for one expiry as market data
+   * snapshots; `quotes` updates as ticks arrive. Lines already requested
+   * are skipped unless `refresh` is set.
+   *
+   * One set of listeners serves the whole batch (a chain is 20+ requests).
+   */
+  const fetchQuotes = useCallback((chain, expiry, strikes, { refresh = false } = {}) => {
+    const client = getClient();
+    if (!client || !isConnected || !chain) return Promise.resolve();
+
+    const pending = new Map(); // reqId -> optionKey
+    const requests = [];
+    for (const strike of strikes) {
+      for (const right of ['C', 'P']) {
+        const key = optionKey(chain.symbol, expiry, strike, right);
+        if (!refresh && requestedRef.current.has(key)) continue;
+        requestedRef.current.add(key);
+        const reqId = ++optionReqCounter;
+        pending.set(reqId, key);
+        requests.push([reqId, optionSpec(chain, expiry, strike, right)]);
+      }
+    }
+    if (requests.length === 0) return Promise.resolve();
+
+    debug(`Quoting ${requests.length} lines for ${chain.symbol} ${expiry}`);
+
+    const update = (key, changes) => {
+      setQuotes(prev => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+    };
+
+    return new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        debug(`Quote timeout with ${pending.size} lines outstanding`);
+        cleanup();
+        resolve();
+      }, QUOTE_TIMEOUT_MS);
+
+      const onTickPrice = (tickerId, field, price) => {
+        const key = pending.get(tickerId);
+        if (!key || !(price > 0)) return;
+        if (BID_FIELDS.has(field)) update(key, { bid: price });
+        else if (ASK_FIELDS.has(field)) update(key, { ask: price });
+        else if (LAST_FIELDS.has(field)) update(key, { last: price });
+      };
+
+      const onComputation = (tickerId, tickType, impliedVol, delta) => {
+        const key = pending.get(tickerId);
+        if (!key) return;
+        const isModel = MODEL_COMPUTATIONS.has(tickType);
+        if (!isModel && !OTHER_COMPUTATIONS.has(tickType)) return;
+
+        const iv = cleanValue(impliedVol);
+        const d = cleanValue(delta);
+        setQuotes(prev => {
+          const current = prev[key] || {};
+          if (!isModel && current.model) return prev;
+          return {
+            ...prev,
+            [key]: {
+              ...current,
+              iv: iv ?? current.iv ?? null,
+              delta: d ?? current.delta ?? null,
+              model: current.model || isModel,
+            },
+          };
+        });
+      };
+
+      const onSnapshotEnd = (tickerId) => {
+        if (!pending.delete(tickerId)) return;
+        if (pending.size === 0) {
+          cleanup();
+          resolve();
+        }
+      };
+
+      const onError = (err, data) => {
+        const key = pending.get(data?.id);
+        if (!key) return;
+        debug(`Quote error ${key} (code ${data?.code}): ${err?.message}`);
+      };
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        client.removeListener('tickPrice', onTickPrice);
+        client.removeListener('tickOptionComputation', onComputation);
+        client.removeListener('tickSnapshotEnd', onSnapshotEnd);
+        client.removeListener('error', onError);
+      };
+
+      client.on('tickPrice', onTickPrice);
+      client.on('tickOptionComputation', onComputation);
+      client.on('tickSnapshotEnd', onSnapshotEnd);
+      client.on('error', onError);
+
+      // Same as useMarketData: fall back to delayed data without a subscription
+      client.reqMarketDataType(4);
+      for (const [reqId, spec] of requests) {
+        client.reqMktData(reqId, toIbContract(client, spec), '', true, false);
+      }
+    });
+  }, [getClient, isConnected]);
+
+  const getChain = useCallback((symbol) => chains[symbol] || null, [chains]);
+
+  const getQuote = useCallback((symbol, expiry, strike, right) => {
+    return quotes[optionKey(symbol, expiry, strike, right)] || null;
+  }, [quotes]);
+
+  return {
+    fetchChain,
+    fetchQuotes,
+    getChain,
+    getQuote,
+    isLoading: (symbol) => loading[symbol] || false,
+    getError: (symbol) => errors[symbol] || null,
+  };
+}
+
+export default useOptionChain;
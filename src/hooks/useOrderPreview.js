@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[ORDER-PREVIEW]', ...args);
+  }
+};
+
+const IDLE = { preview: null, loading: false, error: null };
+
+/**
+ * Run a what-if preview for `request` (null = nothing to preview).
+ * A new request (e.g. going back and changing the price) previews again;
+ * answers for a request the user already left are dropped.
+ */
+export function useOrderPreview(previewOrder, request) {
+  const [state, setState] = useState(IDLE);
+  const key = request ? JSON.stringify(request) : null;
+
+  useEffect(() => {
+    if (!key || !previewOrder) {
+      setState(IDLE);
+      return;
+    }
+
+    let cancelled = false;
+    setState({ preview: null, loading: true, error: null });
+    debug('previewing', key);
+
+    previewOrder(JSON.parse(key)).then(
+      (preview) => {
+        debug('preview', preview);
+        if (!cancelled) setState({ preview, loading: false, error: null });
+      },
+      (err) => {
+        debug('preview failed:', err.message);
+        if (!cancelled) setState({ preview: null, loading: false, error: err.message });
+      }
+    );
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key, previewOrder]);
+
+  return state;
+}
+
+export default useOrderPreview;
@@ -1,10 +1,6 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
-
-const debug = (...args) => {
-  if (process.argv.includes('--debug')) {
-    console.error('[ORDERS]', ...args);
-  }
-};
+import { useState, useCallback, useEffect } from 'react';
+import { OrderService } from '../../core/orders.js';
+import { useCoreService } from './useCoreService.js';
 
 /**
  * Hook to manage open/pending orders from IB
@@ -17,152 +13,48 @@ const debug = (...args) => {
 export function useOrders(getClient, isConnected) {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const subscribedRef = useRef(false);
-  const ordersMapRef = useRef(new Map());
+  const service = useCoreService(OrderService, getClient, isConnected);
 
-  // Subscribe to order events
   useEffect(() => {
-    if (!isConnected || subscribedRef.current) return;
-
-    const client = getClient();
-    if (!client) return;
-
-    debug('Subscribing to order events');
-    subscribedRef.current = true;
-
-    // Handler for open orders
-    const onOpenOrder = (orderId, contract, order, orderState) => {
-      debug('openOrder event:', { orderId, symbol: contract.symbol, action: order.action, status: orderState.status });
-
-      const orderData = {
-        orderId,
-        symbol: contract.symbol,
-        action: order.action, // BUY or SELL
-        quantity: order.totalQuantity,
-        orderType: order.orderType,
-        status: orderState.status,
-        filled: orderState.filled || 0,
-        remaining: orderState.remaining || order.totalQuantity,
-        avgFillPrice: orderState.avgFillPrice || 0,
-        lastUpdate: Date.now(),
-      };
-
-      ordersMapRef.current.set(orderId, orderData);
-      updateOrdersState();
+    const onUpdate = (list) => {
+      setOrders(list);
+      setLoading(service.loading);
     };
-
-    // Handler for order status updates
-    const onOrderStatus = (orderId, status, filled, remaining, avgFillPrice) => {
-      debug('orderStatus event:', { orderId, status, filled, remaining, avgFillPrice });
-
-      const existing = ordersMapRef.current.get(orderId);
-      if (existing) {
-        existing.status = status;
-        existing.filled = filled;
-        existing.remaining = remaining;
-        existing.avgFillPrice = avgFillPrice;
-        existing.lastUpdate = Date.now();
-        ordersMapRef.current.set(orderId, existing);
-        updateOrdersState();
-      }
-    };
-
-    // Handler for when open orders list is complete
-    const onOpenOrderEnd = () => {
-      debug('openOrderEnd - all orders received');
-      setLoading(false);
-    };
-
-    const updateOrdersState = () => {
-      // Convert map to array, filter only pending orders
-      const pendingStatuses = new Set(['PendingSubmit', 'PreSubmitted', 'Submitted']);
-      const ordersArray = Array.from(ordersMapRef.current.values())
-        .filter(o => pendingStatuses.has(o.status))
-        .sort((a, b) => b.lastUpdate - a.lastUpdate); // Most recent first
-
-      debug('Updating orders state:', ordersArray.length, 'pending orders');
-      setOrders(ordersArray);
+    service.on('update', onUpdate);
+    return () => {
+      service.off('update', onUpdate);
     };
+  }, [service]);
 
-    client.on('openOrder', onOpenOrder);
-    client.on('orderStatus', onOrderStatus);
-    client.on('openOrderEnd', onOpenOrderEnd);
+  // Subscribe to order events while connected
+  useEffect(() => {
+    if (!isConnected) return;
 
-    // Request all open orders
-    debug('Requesting all open orders');
-    setLoading(true);
-    client.reqAllOpenOrders();
+    service.start();
+    setLoading(service.loading);
 
     return () => {
-      debug('Unsubscribing from order events');
-      client.removeListener('openOrder', onOpenOrder);
-      client.removeListener('orderStatus', onOrderStatus);
-      client.removeListener('openOrderEnd', onOpenOrderEnd);
-      subscribedRef.current = false;
+      service.stop();
     };
-  }, [isConnected, getClient]);
+  }, [isConnected, service]);
 
   // Refresh orders manually
   const refresh = useCallback(() => {
-    const client = getClient();
-    if (!client || !isConnected) return;
-
-    debug('Refreshing orders');
-    setLoading(true);
-    ordersMapRef.current.clear();
-    client.reqAllOpenOrders();
-  }, [getClient, isConnected]);
-
-  // Cancel an order
-  const cancelOrder = useCallback((orderId) => {
-    return new Promise((resolve, reject) => {
-      const client = getClient();
-      if (!client || !isConnected) {
-        reject(new Error('Not connected'));
-        return;
-      }
-
-      debug('Cancelling order:', orderId);
-
-      const timeout = setTimeout(() => {
-        cleanup();
-        reject(new Error('Timeout cancelling order'));
-      }, 10000);
+    service.refresh();
+    setLoading(service.loading);
+  }, [service]);
 
-      const onOrderStatus = (id, status) => {
-        if (id !== orderId) return;
+  const cancelOrder = useCallback((orderId) => service.cancel(orderId), [service]);
 
-        if (status === 'Cancelled') {
-          debug('Order cancelled successfully:', orderId);
-          cleanup();
+  const waitForFill = useCallback((orderId, options) => service.waitForFill(orderId, options), [service]);
 
-          // Remove from local state
-          ordersMapRef.current.delete(orderId);
-          setOrders(prev => prev.filter(o => o.orderId !== orderId));
-
-          resolve({ orderId, status: 'Cancelled' });
-        }
-      };
-
-      const onError = (err, data) => {
-        if (data?.id === orderId) {
-          cleanup();
-          reject(new Error(err?.message || 'Error cancelling order'));
-        }
-      };
-
-      const cleanup = () => {
-        clearTimeout(timeout);
-        client.removeListener('orderStatus', onOrderStatus);
-        client.removeListener('error', onError);
-      };
-
-      client.on('orderStatus', onOrderStatus);
-      client.on('error', onError);
-      client.cancelOrder(orderId);
-    });
-  }, [getClient, isConnected]);
+  // Listen for status changes (order, previousStatus); returns the unsubscribe
+  const onStatusChange = useCallback((listener) => {
+    service.on('status', listener);
+    return () => {
+      service.off('status', listener);
+    };
+  }, [service]);
 
   // Get pending orders count
   const pendingCount = orders.length;
@@ -170,9 +62,11 @@ export function useOrders(getClient, isConnected) {
   return {
     orders,
     loading,
-    error,
+    error: null,
     refresh,
     cancelOrder,
+    waitForFill,
+    onStatusChange,
     pendingCount,
   };
 }
@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useState } from 'react';
+import { preferencesPath, readJson, writeFile } from '../lib/persistedJsonl.js';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[PREFERENCES]', ...args);
+  }
+};
+
+// Writes go one after another so concurrent updates of different keys
+// don't overwrite each other
+let writeQueue = Promise.resolve();
+
+function updatePreferences(key, value) {
+  writeQueue = writeQueue
+    .then(async () => {
+      const filePath = preferencesPath();
+      const current = await readJson(filePath, {});
+      await writeFile(filePath, `${JSON.stringify({ ...current, [key]: value }, null, 2)}\n`);
+    })
+    .catch((e) => debug('Failed to save', key, e?.message));
+  return writeQueue;
+}
+
+/**
+ * A UI choice kept between sessions in ~/.folio/preferences.json.
+ * Holds `defaultValue` until the file has been read.
+ */
+export function usePreference(key, defaultValue) {
+  const [value, setValue] = useState(defaultValue);
+
+  useEffect(() => {
+    let cancelled = false;
+    readJson(preferencesPath(), {}).then(
+      (prefs) => {
+        if (!cancelled && prefs && prefs[key] !== undefined) setValue(prefs[key]);
+      },
+      (e) => debug('Failed to load preferences:', e?.message)
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  const update = useCallback((next) => {
+    setValue(next);
+    updatePreferences(key, next);
+  }, [key]);
+
+  return [value, update];
+}
+
+export default usePreference;
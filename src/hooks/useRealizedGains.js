@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { LOT_METHODS, matchLots, summarizeRealized, realizedGainsCsv } from '../../core/lots.js';
+import { lotSelectionsPath, readJson, realizedGainsCsvPath, writeFile } from '../lib/persistedJsonl.js';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[REALIZED-GAINS]', ...args);
+  }
+};
+
+/**
+ * Realized P&L over the persisted execution history.
+ *
+ * Specific-lot picks live in ~/.folio/lot-selections-<account>.json as
+ * { "<closing execId>": ["<opening execId>", ...] }; sales without a pick
+ * fall back to FIFO.
+ */
+export function useRealizedGains({ accountId, executions }) {
+  const [method, setMethod] = useState('FIFO');
+  const [selections, setSelections] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    readJson(lotSelectionsPath(accountId), {}).then(
+      (loaded) => {
+        if (!cancelled) setSelections(loaded && typeof loaded === 'object' ? loaded : {});
+      },
+      (e) => debug('Failed to load lot selections:', e?.message)
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [accountId]);
+
+  const { trades, openLots } = useMemo(
+    () => matchLots(executions, { method, selections }),
+    [executions, method, selections]
+  );
+
+  const years = useMemo(
+    () => Array.from(new Set(trades.map(t => t.year))).sort((a, b) => b - a),
+    [trades]
+  );
+
+  const cycleMethod = useCallback(() => {
+    setMethod(prev => LOT_METHODS[(LOT_METHODS.indexOf(prev) + 1) % LOT_METHODS.length]);
+  }, []);
+
+  const summarize = useCallback(
+    (year = null) => summarizeRealized(year ? trades.filter(t => t.year === year) : trades),
+    [trades]
+  );
+
+  // Resolves with the file written
+  const exportCsv = useCallback(async (year = null) => {
+    const filePath = realizedGainsCsvPath(accountId, method, year);
+    const rows = year ? trades.filter(t => t.year === year) : trades;
+    await writeFile(filePath, realizedGainsCsv(rows, { method }));
+    debug('Exported', rows.length, 'trades to', filePath);
+    return filePath;
+  }, [accountId, method, trades]);
+
+  return {
+    method,
+    cycleMethod,
+    trades,
+    openLots,
+    years,
+    summarize,
+    exportCsv,
+  };
+}
+
+export default useRealizedGains;
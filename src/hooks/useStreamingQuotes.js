@@ -0,0 +1,41 @@
+import { useEffect, useRef } from 'react';
+
+const entryKey = ({ symbol, contract }) => `${symbol}|${contract?.conId || ''}`;
+
+/**
+ * Keep streaming quotes open for `entries` ([{ symbol, contract }]) while
+ * the component is mounted. `subscribe` comes from useMarketData. Only
+ * symbols that join or leave the list subscribe or let go, so a new
+ * positions array every refresh doesn't reopen lines.
+ */
+export function useStreamingQuotes(subscribe, entries) {
+  const activeRef = useRef(new Map()); // entry key -> unsubscribe
+  const entriesRef = useRef(entries);
+  entriesRef.current = entries;
+  const key = entries.map(entryKey).join(',');
+
+  useEffect(() => {
+    const active = activeRef.current;
+    const wanted = new Map(entriesRef.current.map(e => [entryKey(e), e]));
+
+    for (const [k, entry] of wanted) {
+      if (!active.has(k)) active.set(k, subscribe(entry.symbol, entry.contract));
+    }
+    for (const [k, unsubscribe] of active) {
+      if (!wanted.has(k)) {
+        unsubscribe();
+        active.delete(k);
+      }
+    }
+  }, [subscribe, key]);
+
+  useEffect(() => {
+    const active = activeRef.current;
+    return () => {
+      active.forEach(unsubscribe => unsubscribe());
+      active.clear();
+    };
+  }, [subscribe]);
+}
+
+export default useStreamingQuotes;
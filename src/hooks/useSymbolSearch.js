@@ -10,6 +10,9 @@ const debug = (...args) => {
 // Yahoo Finance Search API - comprehensive coverage
 const YAHOO_API_URL = 'https://query1.finance.yahoo.com/v1/finance/search';
 
+// Don't hang the search on an unreachable network
+const YAHOO_TIMEOUT_MS = 4000;
+
 // Fallback popular symbols if API fails
 const POPULAR_SYMBOLS = ['AAPL', 'GOOGL', 'MSFT', 'AMZN', 'TSLA', 'META', 'NVDA', 'AMD'];
 
@@ -20,12 +23,13 @@ const POPULAR_SYMBOLS = ['AAPL', 'GOOGL', 'MSFT', 'AMZN', 'TSLA', 'META', 'NVDA'
  * - Debounced API calls (300ms)
  * - Smart suggestions based on portfolio + recent trades + popular
  * - Yahoo Finance API for comprehensive symbol search
- * - Fallback to local search if API fails
+ * - Fallback to IB's symbol search, then local search, if Yahoo fails
  *
  * @param {Array} positions - Current portfolio positions
  * @param {Array} executions - Recent trade executions
+ * @param {Function} [matchSymbols] - IB symbol search (useContractLookup)
  */
-export function useSymbolSearch(positions = [], executions = []) {
+export function useSymbolSearch(positions = [], executions = [], matchSymbols = null) {
   const [query, setQuery] = useState('');
   const [results, setResults] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -89,6 +93,7 @@ export function useSymbolSearch(positions = [], executions = []) {
           headers: {
             'User-Agent': 'Mozilla/5.0',
           },
+          signal: AbortSignal.timeout(YAHOO_TIMEOUT_MS),
         });
 
         if (!response.ok) {
@@ -110,23 +115,45 @@ export function useSymbolSearch(positions = [], executions = []) {
 
         setResults(equityResults);
       } catch (err) {
-        debug('API error, falling back to local search:', err.message);
+        debug('API error, falling back to IB search:', err.message);
         setError(err.message);
 
-        // Fallback: filter suggestions locally
-        const q = debouncedQuery.toUpperCase();
-        const localResults = suggestions
-          .filter(s => s.symbol.includes(q))
-          .slice(0, 5);
-
-        setResults(localResults);
+        try {
+          if (!matchSymbols) throw new Error('IB search unavailable');
+          const matches = await matchSymbols(debouncedQuery);
+          debug('IB returned', matches.length, 'matches');
+
+          const ibResults = matches
+            .filter(m => m.secType === 'STK')
+            .slice(0, 5)
+            .map(m => ({
+              symbol: m.symbol,
+              name: '',
+              exchange: m.primaryExch || '',
+              currency: m.currency,
+              conId: m.conId,
+              source: 'ib',
+            }));
+
+          setResults(ibResults);
+        } catch (ibErr) {
+          debug('IB search failed, falling back to local search:', ibErr.message);
+
+          // Fallback: filter suggestions locally
+          const q = debouncedQuery.toUpperCase();
+          const localResults = suggestions
+            .filter(s => s.symbol.includes(q))
+            .slice(0, 5);
+
+          setResults(localResults);
+        }
       } finally {
         setLoading(false);
       }
     };
 
     searchSymbols();
-  }, [debouncedQuery, suggestions]);
+  }, [debouncedQuery, suggestions, matchSymbols]);
 
   // Clear search
   const clear = useCallback(() => {
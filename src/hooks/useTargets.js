@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState } from 'react';
+import { parseTargets } from '../../core/rebalance.js';
+import { readJson, targetsPath } from '../lib/persistedJsonl.js';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[TARGETS]', ...args);
+  }
+};
+
+/**
+ * Target weights from ~/.folio/targets.json (format in core/rebalance.js).
+ * `targets` is null while there's no usable file; `error` says why.
+ * `reload` re-reads it, so edits show up without restarting.
+ */
+export function useTargets() {
+  const [targets, setTargets] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    try {
+      const json = await readJson(targetsPath(), null);
+      if (json === null) {
+        setTargets(null);
+        setError(`No targets in ${targetsPath()}`);
+      } else {
+        const parsed = parseTargets(json);
+        debug('Loaded targets:', Object.keys(parsed.targets).length, 'symbols');
+        setTargets(parsed);
+        setError(null);
+      }
+    } catch (e) {
+      debug('Failed to load targets:', e?.message);
+      setTargets(null);
+      setError(e?.message || 'Could not read targets');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { targets, error, loading, reload };
+}
+
+export default useTargets;
@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  DEFAULT_WATCHLIST,
+  addToWatchlist,
+  deleteWatchlist,
+  loadWatchlists,
+  removeFromWatchlist,
+  updateWatchlists,
+} from '../lib/watchlists.js';
+
+const debug = (...args) => {
+  if (process.argv.includes('--debug')) {
+    console.error('[WATCHLISTS]', ...args);
+  }
+};
+
+/**
+ * Named watchlists from ~/.folio/watchlists.json (format in
+ * lib/watchlists.js), which the mobile server edits too. Every change
+ * re-reads the file before writing; `reload` picks up the server's edits.
+ * There's always at least the (possibly empty) Favorites list.
+ */
+export function useWatchlists() {
+  const [lists, setLists] = useState({ [DEFAULT_WATCHLIST]: [] });
+  const [error, setError] = useState(null);
+
+  const apply = useCallback((next) => {
+    setLists(Object.keys(next).length > 0 ? next : { [DEFAULT_WATCHLIST]: [] });
+  }, []);
+
+  const reload = useCallback(async () => {
+    try {
+      apply((await loadWatchlists()) || {});
+      setError(null);
+    } catch (e) {
+      debug('Failed to load watchlists:', e?.message);
+      setError(e?.message || 'Could not read watchlists');
+    }
+  }, [apply]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const update = useCallback(async (change) => {
+    try {
+      apply(await updateWatchlists(change));
+      setError(null);
+    } catch (e) {
+      debug('Failed to save watchlists:', e?.message);
+      setError(e?.message || 'Could not save watchlists');
+    }
+  }, [apply]);
+
+  const add = useCallback((name, symbol, contract = null) => {
+    debug('Adding', symbol, 'to', name);
+    return update(current => addToWatchlist(current, name, symbol, contract));
+  }, [update]);
+
+  const remove = useCallback((name, symbol) => {
+    debug('Removing', symbol, 'from', name);
+    return update(current => removeFromWatchlist(current, name, symbol));
+  }, [update]);
+
+  const createList = useCallback((name) => {
+    return update(current => (current[name] ? current : { ...current, [name]: [] }));
+  }, [update]);
+
+  const removeList = useCallback((name) => {
+    return update(current => deleteWatchlist(current, name));
+  }, [update]);
+
+  return { lists, error, reload, add, remove, createList, removeList };
+}
+
+export default useWatchlists;
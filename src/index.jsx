@@ -28,6 +28,7 @@ if (showHelp) {
   Usage:
     npm start                 Connect to LIVE (port 7496)
     npm start -- --paper      Connect to PAPER (port 7497)
+    npm run start:mock        Connect to the mock TWS (npm run mock)
     npx tsx src/index.jsx     Run directly (dev)
 
   Options:
@@ -40,6 +41,7 @@ if (showHelp) {
     Enter      Open position details
     b          Buy
     s          Sell (in details)
+    p          Stop-loss / trailing stop (in details)
     /          Search symbol
     g          Portfolio report
     r          Refresh
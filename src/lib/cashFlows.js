@@ -0,0 +1,314 @@
+/**
+ * Cash-flow ledger: deposits (positive) and withdrawals (negative) in the
+ * account's base currency, persisted to ~/.folio/cashflows-<account>.jsonl.
+ *
+ * Entries come from three sources:
+ * - 'ib': cash moves in IB's account values that no fill explains and that
+ *   net liquidation moved along with (see reconcileCashFlows)
+ * - 'manual': typed in the TUI, or a suggestion the user confirmed
+ * - 'import': an IBKR Flex query or activity statement CSV
+ *
+ * The file is append-only: a removed entry is a `{ id, deleted: true }`
+ * line, which also keeps reconciled or suggested entries from coming back.
+ */
+
+import { parseExecutionTime } from '../../core/executions.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Below this, a move is fees or interest rather than a transfer
+const MIN_FLOW = 50;
+
+export const CASH_FLOW_SOURCES = ['ib', 'manual', 'import'];
+
+export function normalizeCashFlow(f) {
+  const id = f?.id ? String(f.id) : null;
+  if (!id) return null;
+  if (f.deleted) return { id, deleted: true };
+
+  const ts = Number(f.ts);
+  const amount = Number(f.amount);
+  if (!Number.isFinite(ts) || !Number.isFinite(amount) || amount === 0) return null;
+  return {
+    id,
+    ts,
+    amount,
+    currency: f.currency || null,
+    source: CASH_FLOW_SOURCES.includes(f.source) ? f.source : 'manual',
+    note: f.note || '',
+  };
+}
+
+/**
+ * Flows with every amount in `baseCurrency`. Entries recorded in another
+ * currency (imported statements without an FX rate) are converted with
+ * `rates` (units of base per unit, as IB's ExchangeRate values and
+ * fxRates hold them); those with no rate come back in `missing` instead,
+ * so they never reach the performance figures as if they were base.
+ */
+export function cashFlowsInBase(flows, baseCurrency, rates = {}) {
+  const converted = [];
+  const missing = [];
+  for (const flow of flows) {
+    if (!flow.currency || flow.currency === baseCurrency) {
+      converted.push(flow);
+      continue;
+    }
+    const rate = rates[flow.currency];
+    if (!(rate > 0)) {
+      missing.push(flow);
+      continue;
+    }
+    converted.push({
+      ...flow,
+      amount: Math.round(flow.amount * rate * 100) / 100,
+      currency: null,
+      note: [flow.note, `${flow.amount} ${flow.currency}`].filter(Boolean).join(' · '),
+    });
+  }
+  return { flows: converted, missing };
+}
+
+/**
+ * Active entries from ledger lines (later lines win), oldest first
+ */
+export function activeCashFlows(lines) {
+  const byId = new Map();
+  for (const line of lines || []) {
+    const n = normalizeCashFlow(line);
+    if (n) byId.set(n.id, n);
+  }
+  return Array.from(byId.values())
+    .filter(f => !f.deleted)
+    .sort((a, b) => a.ts - b.ts || a.id.localeCompare(b.id));
+}
+
+/**
+ * Ids that were removed, so they aren't suggested or reconciled again
+ */
+export function deletedCashFlowIds(lines) {
+  const deleted = new Set();
+  for (const line of lines || []) {
+    const n = normalizeCashFlow(line);
+    if (!n) continue;
+    if (n.deleted) deleted.add(n.id);
+    else deleted.delete(n.id);
+  }
+  return deleted;
+}
+
+/**
+ * Guess transfers from netLiquidation and cash moving together between
+ * history points. Only ever a suggestion: the user confirms it into the
+ * ledger. Ids are stable so a dismissed suggestion stays dismissed.
+ */
+export function detectCashFlows(history) {
+  if (!history || history.length < 2) return [];
+
+  const flows = [];
+  for (let i = 1; i < history.length; i++) {
+    const prev = history[i - 1];
+    const curr = history[i];
+    if (prev.cash === null || curr.cash === null) continue;
+
+    const dNet = curr.netLiquidation - prev.netLiquidation;
+    const dCash = curr.cash - prev.cash;
+
+    const sameDirection = Math.sign(dNet) === Math.sign(dCash) && Math.sign(dNet) !== 0;
+    const thresholdNet = Math.max(MIN_FLOW, Math.abs(prev.netLiquidation) * 0.002);
+    const thresholdCash = Math.max(MIN_FLOW, Math.abs(prev.cash) * 0.01);
+    const bigEnough = Math.abs(dNet) >= thresholdNet && Math.abs(dCash) >= thresholdCash;
+    const ratio = dCash !== 0 ? Math.abs(dNet / dCash) : 0;
+    const ratioIsClose = ratio > 0.5 && ratio < 2.0;
+
+    if (sameDirection && bigEnough && ratioIsClose) {
+      flows.push({ id: `suggested-${curr.ts}`, ts: curr.ts, amount: dNet, source: 'suggested' });
+    }
+  }
+  return flows;
+}
+
+// Cash a fill moved, in the base currency: buys spend, sales bring in,
+// commissions always cost
+function fillCash(execution, rateFor) {
+  const gross = execution.quantity * execution.price * (execution.multiplier || 1);
+  const signed = execution.side === 'BOT' ? -gross : gross;
+  const commission = execution.commission > 0 ? execution.commission : 0;
+  return (signed - commission) * rateFor(execution.currency || 'USD');
+}
+
+/**
+ * Transfers read from IB's account values: between consecutive history
+ * points less than a day apart (so the execution history covers every
+ * fill in between), the cash change the fills don't account for, when
+ * netLiquidation moved by about as much. Dividends and interest move cash
+ * but not netLiquidation (IB already counts them as accrued), so they
+ * don't qualify.
+ */
+export function reconcileCashFlows(history, executions, rateFor = () => 1) {
+  if (!history || history.length < 2) return [];
+
+  const fills = (executions || [])
+    .map(e => ({ e, ts: parseExecutionTime(e.time)?.getTime() }))
+    .filter(f => Number.isFinite(f.ts))
+    .sort((a, b) => a.ts - b.ts);
+
+  const flows = [];
+  let next = 0; // first fill after the previous point
+  for (let i = 1; i < history.length; i++) {
+    const prev = history[i - 1];
+    const curr = history[i];
+
+    let tradeCash = 0;
+    while (next < fills.length && fills[next].ts <= prev.ts) next++;
+    for (let j = next; j < fills.length && fills[j].ts <= curr.ts; j++) {
+      tradeCash += fillCash(fills[j].e, rateFor);
+    }
+    if (prev.cash === null || curr.cash === null || curr.ts - prev.ts > DAY_MS) continue;
+
+    const unexplained = curr.cash - prev.cash - tradeCash;
+    if (Math.abs(unexplained) < MIN_FLOW) continue;
+
+    const dNet = curr.netLiquidation - prev.netLiquidation;
+    if (Math.abs(dNet - unexplained) > Math.abs(unexplained) * 0.5) continue;
+
+    flows.push({
+      id: `ib-${curr.ts}`,
+      ts: curr.ts,
+      amount: Math.round(unexplained * 100) / 100,
+      source: 'ib',
+      note: unexplained > 0 ? 'deposit' : 'withdrawal',
+    });
+  }
+  return flows;
+}
+
+/**
+ * Split one CSV line, honoring quoted fields
+ */
+function splitCsvLine(line) {
+  const out = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      out.push(field.trim());
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  out.push(field.trim());
+  return out;
+}
+
+// "2024-03-01", "20240301", "20240301;093000", "2024-03-01, 09:30:00"
+// -> noon UTC, so the day doesn't shift when rendered locally
+function tsFromStatementDate(s) {
+  const m = String(s || '').match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (!m) return null;
+  return Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 12, 0, 0, 0);
+}
+
+const parseAmount = (s) => {
+  const n = Number(String(s ?? '').replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+};
+
+const isTransferType = (type) => /deposits?\s*(\/|&|and)\s*withdrawals?/i.test(type || '');
+
+/**
+ * Deposits and withdrawals from an IBKR CSV:
+ * - Activity statement: the "Deposits & Withdrawals" section
+ *   (Currency, Settle Date, Description, Amount)
+ * - Flex query: Cash Transactions rows of type Deposits/Withdrawals
+ *   (Type, Amount, CurrencyPrimary, SettleDate or DateTime, TransactionID,
+ *   FXRateToBase when included)
+ *
+ * Flex amounts are converted to the base currency when the file carries
+ * the rate; otherwise (and for activity statements) they keep their own
+ * currency, to be converted with cashFlowsInBase.
+ */
+export function parseCashFlowCsv(text) {
+  const flows = [];
+  let flexHeader = null;
+
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const cells = splitCsvLine(line);
+
+    // Activity statement: section, Header|Data, fields...
+    if (isTransferType(cells[0]) && cells[1] === 'Data') {
+      const [, , currency, date, description, amountRaw] = cells;
+      const ts = tsFromStatementDate(date);
+      const amount = parseAmount(amountRaw);
+      if (!ts || !amount || /^total/i.test(currency)) continue;
+      flows.push({
+        id: `import-${date}-${currency}-${amount}-${description}`,
+        ts,
+        amount,
+        currency,
+        source: 'import',
+        note: description,
+      });
+      continue;
+    }
+
+    // Flex query: a header row names the columns of the rows below it
+    if (cells.includes('Type') && cells.includes('Amount')) {
+      flexHeader = cells;
+      continue;
+    }
+    if (!flexHeader) continue;
+
+    const row = Object.fromEntries(flexHeader.map((name, i) => [name, cells[i]]));
+    if (!isTransferType(row.Type)) continue;
+    const ts = tsFromStatementDate(row.SettleDate || row.DateTime || row['Date/Time'] || row.ReportDate);
+    const amount = parseAmount(row.Amount);
+    if (!ts || !amount) continue;
+
+    const currency = row.CurrencyPrimary || row.Currency || null;
+    const rate = parseAmount(row.FXRateToBase);
+    flows.push({
+      id: `import-${row.TransactionID || `${ts}-${currency}-${amount}`}`,
+      ts,
+      amount: rate ? Math.round(amount * rate * 100) / 100 : amount,
+      currency: rate ? null : currency,
+      source: 'import',
+      note: row.Description || '',
+    });
+  }
+
+  return flows;
+}
+
+/**
+ * Manual entry: "2025-01-15 +1000 note" or "-500" (today)
+ */
+export function parseCashFlowInput(text, now = Date.now()) {
+  const m = String(text || '').trim().match(/^(?:(\d{4}-\d{2}-\d{2})\s+)?([+-]?[\d,]+(?:\.\d+)?)\s*(.*)$/);
+  if (!m) return null;
+
+  const amount = parseAmount(m[2]);
+  const ts = m[1] ? tsFromStatementDate(m[1]) : now;
+  if (!amount || !ts) return null;
+  return {
+    id: `manual-${ts}-${Math.random().toString(36).slice(2, 8)}`,
+    ts,
+    amount,
+    source: 'manual',
+    note: m[3] || '',
+  };
+}
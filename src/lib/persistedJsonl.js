@@ -20,6 +20,85 @@ export function executionsHistoryPath(accountId) {
   return path.join(getBaseDir(), `executions-${safe}.jsonl`);
 }
 
+export function cashFlowsPath(accountId) {
+  const safe = String(accountId || 'unknown').replace(/[^A-Za-z0-9_-]/g, '_');
+  return path.join(getBaseDir(), `cashflows-${safe}.jsonl`);
+}
+
+export function preferencesPath() {
+  return path.join(getBaseDir(), 'preferences.json');
+}
+
+export function alertsPath() {
+  return path.join(getBaseDir(), 'alerts.json');
+}
+
+export function watchlistsPath() {
+  return path.join(getBaseDir(), 'watchlists.json');
+}
+
+export function targetsPath() {
+  return path.join(getBaseDir(), 'targets.json');
+}
+
+export function lotSelectionsPath(accountId) {
+  const safe = String(accountId || 'unknown').replace(/[^A-Za-z0-9_-]/g, '_');
+  return path.join(getBaseDir(), `lot-selections-${safe}.json`);
+}
+
+export function realizedGainsCsvPath(accountId, method, year) {
+  const safe = String(accountId || 'unknown').replace(/[^A-Za-z0-9_-]/g, '_');
+  const suffix = year ? `-${year}` : '';
+  return path.join(getBaseDir(), `realized-${safe}-${String(method).toLowerCase()}${suffix}.csv`);
+}
+
+export async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (e) {
+    if (e && (e.code === 'ENOENT' || e instanceof SyntaxError)) return fallback;
+    throw e;
+  }
+}
+
+/**
+ * Like readJson, but only a missing file gives `fallback`: one that doesn't
+ * parse rejects, so whoever writes the file back can't take a mistyped or
+ * half-written one for an empty one and overwrite it
+ */
+export async function readJsonStrict(filePath, fallback) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (e) {
+    if (e && e.code === 'ENOENT') return fallback;
+    throw e;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Could not read ${path.basename(filePath)}: ${e.message.replace(/\s+/g, ' ')}`);
+  }
+}
+
+let tempFiles = 0;
+
+/**
+ * Written to a temp file and renamed over `filePath`, so the other process
+ * using ~/.folio (the TUI or the mobile server) never reads it half-written
+ */
+export async function writeFile(filePath, text) {
+  await ensureBaseDir();
+  const temp = `${filePath}.${process.pid}.${++tempFiles}.tmp`;
+  try {
+    await fs.writeFile(temp, text, 'utf8');
+    await fs.rename(temp, filePath);
+  } catch (e) {
+    await fs.rm(temp, { force: true });
+    throw e;
+  }
+}
+
 export async function readJsonl(filePath) {
   try {
     const raw = await fs.readFile(filePath, 'utf8');
@@ -0,0 +1,107 @@
+/**
+ * Named watchlists, persisted to ~/.folio/watchlists.json and shared by
+ * the TUI and the mobile server:
+ *
+ *   { "Favorites": ["NVDA", "AMD"], "Europe": [{ "symbol": "SAP", "contract": { ... } }] }
+ *
+ * Entries are tickers, or { symbol, contract } for listings other than the
+ * default US/SMART stock (as picked in search). A plain array is read as
+ * the Favorites list, which is what the old server/favorites.json held.
+ */
+
+import { contractSpec, isDefaultContract } from '../../core/contracts.js';
+import { readJsonStrict, watchlistsPath, writeFile } from './persistedJsonl.js';
+
+export const DEFAULT_WATCHLIST = 'Favorites';
+
+function normalizeEntry(raw) {
+  const symbol = typeof raw === 'string' ? raw : raw?.symbol;
+  if (!symbol || typeof symbol !== 'string' || !symbol.trim()) return null;
+  const contract = typeof raw === 'object' && raw.contract ? raw.contract : null;
+  return {
+    symbol: symbol.trim().toUpperCase(),
+    contract: isDefaultContract(contract) ? null : contract,
+  };
+}
+
+/**
+ * File contents -> { [name]: [{ symbol, contract }] }, leaving out entries
+ * that can't be read and repeated symbols
+ */
+export function normalizeWatchlists(json) {
+  if (Array.isArray(json)) return normalizeWatchlists({ [DEFAULT_WATCHLIST]: json });
+
+  const lists = {};
+  if (!json || typeof json !== 'object') return lists;
+  for (const [name, entries] of Object.entries(json)) {
+    if (!Array.isArray(entries)) continue;
+    const seen = new Set();
+    lists[name] = entries.map(normalizeEntry).filter((entry) => {
+      if (!entry || seen.has(entry.symbol)) return false;
+      seen.add(entry.symbol);
+      return true;
+    });
+  }
+  return lists;
+}
+
+function serialize(lists) {
+  const out = {};
+  for (const [name, entries] of Object.entries(lists)) {
+    out[name] = entries.map(e => (e.contract ? { symbol: e.symbol, contract: e.contract } : e.symbol));
+  }
+  return `${JSON.stringify(out, null, 2)}\n`;
+}
+
+/**
+ * The lists in watchlists.json, or null when there's no file yet. Rejects
+ * when the file doesn't parse, rather than reading it as empty.
+ */
+export async function loadWatchlists() {
+  const json = await readJsonStrict(watchlistsPath(), null);
+  return json === null ? null : normalizeWatchlists(json);
+}
+
+// Writes go one after another, each on top of what's in the file then
+let writeQueue = Promise.resolve();
+
+/**
+ * Re-read the file, apply `change(lists) -> lists` and write the result.
+ * Re-reading first keeps an edit from the TUI from undoing one the server
+ * made in the meantime (and the other way round). Resolves the new lists;
+ * a file that doesn't parse rejects and is left as it is.
+ */
+export function updateWatchlists(change) {
+  const run = writeQueue.then(async () => {
+    const next = change((await loadWatchlists()) || {});
+    await writeFile(watchlistsPath(), serialize(next));
+    return next;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+export function watchlistHas(lists, name, symbol) {
+  return (lists[name] || []).some(e => e.symbol === symbol);
+}
+
+/**
+ * `contract` is the listing picked in search, if any. Creates the list
+ * when it doesn't exist.
+ */
+export function addToWatchlist(lists, name, symbol, contract = null) {
+  const entries = lists[name] || [];
+  const entry = normalizeEntry({ symbol, contract: contractSpec(contract) });
+  if (!entry || entries.some(e => e.symbol === entry.symbol)) return { ...lists, [name]: entries };
+  return { ...lists, [name]: [...entries, entry] };
+}
+
+export function removeFromWatchlist(lists, name, symbol) {
+  if (!lists[name]) return lists;
+  return { ...lists, [name]: lists[name].filter(e => e.symbol !== symbol) };
+}
+
+export function deleteWatchlist(lists, name) {
+  const { [name]: removed, ...rest } = lists;
+  return rest;
+}
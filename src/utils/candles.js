@@ -0,0 +1,147 @@
+/**
+ * Candlestick and volume panes drawn with block characters for the chart
+ * screen. Like asciichart's plots they're plain strings with ANSI colors:
+ * a 10-character y label and an axis column, then the plot.
+ *
+ * Bodies and wicks use half-cell resolution (▀ ▄ █ and ╵ ╷ │), green when
+ * the bar closed at or above its open and red otherwise. Overlays (moving
+ * averages, bands) are dashes in the cells the candles leave free.
+ */
+
+import asciichart from 'asciichart';
+
+const VOLUME_CHARS = ' ▁▂▃▄▅▆▇█';
+const MAX_SLOT = 8;
+
+/**
+ * Columns per candle (`slot`) and body width for `count` candles in
+ * `width` columns: one column each when they barely fit, wider bodies
+ * with a gap between them when there's room
+ */
+export function candleLayout(count, width) {
+  const slot = Math.max(1, Math.min(MAX_SLOT, Math.floor(width / Math.max(1, count))));
+  const body = slot <= 2 ? 1 : slot % 2 === 0 ? slot - 1 : slot - 2;
+  return { slot, body, plotWidth: count * slot };
+}
+
+// Join cells ({ char, color }) into a line, switching color only when it changes
+function paint(cells) {
+  let out = '';
+  let current = null;
+  for (const cell of cells) {
+    const color = cell.char === ' ' ? current : cell.color;
+    if (color !== current) {
+      out += color || asciichart.reset;
+      current = color;
+    }
+    out += cell.char;
+  }
+  return current ? out + asciichart.reset : out;
+}
+
+function bodyChar(top, bottom) {
+  if (top && bottom) return '█';
+  if (top) return '▀';
+  if (bottom) return '▄';
+  return null;
+}
+
+function wickChar(top, bottom) {
+  if (top && bottom) return '│';
+  if (top) return '╵';
+  if (bottom) return '╷';
+  return ' ';
+}
+
+/**
+ * Candlestick chart of `bars` ({ open, high, low, close }, at most one per
+ * column: aggregate them first), `height` rows tall. `format(value)` gives
+ * the y label, 10 characters wide. `overlays` are [{ values, color }] with
+ * one value (or null) per bar.
+ */
+export function renderCandles(bars, { height, width, format, overlays = [] }) {
+  if (!bars || bars.length === 0 || height <= 0) return null;
+
+  const { slot, body, plotWidth } = candleLayout(bars.length, width);
+  const overlayValues = overlays.flatMap(o => o.values).filter(v => Number.isFinite(v));
+  const min = Math.min(...bars.map(b => b.low), ...overlayValues);
+  const max = Math.max(...bars.map(b => b.high), ...overlayValues);
+  const range = max - min;
+  const halves = height * 2;
+  const toHalf = (price) => (range > 0 ? Math.round(((max - price) / range) * (halves - 1)) : height);
+  const within = (half, from, to) => half >= from && half <= to;
+
+  const rows = Array.from({ length: height }, () => (
+    Array.from({ length: plotWidth }, () => ({ char: ' ', color: null }))
+  ));
+
+  bars.forEach((bar, i) => {
+    const color = bar.close >= bar.open ? asciichart.green : asciichart.red;
+    const high = toHalf(bar.high);
+    const low = toHalf(bar.low);
+    const bodyTop = toHalf(Math.max(bar.open, bar.close));
+    const bodyBottom = toHalf(Math.min(bar.open, bar.close));
+    const start = i * slot;
+    const wick = start + Math.floor(body / 2);
+
+    for (let row = 0; row < height; row++) {
+      const top = row * 2;
+      const bottom = top + 1;
+      const char = bodyChar(within(top, bodyTop, bodyBottom), within(bottom, bodyTop, bodyBottom));
+      if (char) {
+        for (let x = start; x < start + body; x++) rows[row][x] = { char, color };
+      } else {
+        rows[row][wick] = { char: wickChar(within(top, high, low), within(bottom, high, low)), color };
+      }
+    }
+  });
+
+  for (const { values, color } of overlays) {
+    values.forEach((value, i) => {
+      if (!Number.isFinite(value)) return;
+      const row = Math.floor(toHalf(value) / 2);
+      for (let x = i * slot; x < (i + 1) * slot; x++) {
+        if (rows[row][x].char === ' ') rows[row][x] = { char: '─', color };
+      }
+    });
+  }
+
+  return rows
+    .map((cells, row) => {
+      const value = range > 0 ? max - ((row * 2 + 0.5) / (halves - 1)) * range : max;
+      return `${format(value)}┤${paint(cells)}`;
+    })
+    .join('\n');
+}
+
+function formatVolume(value) {
+  if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+  return String(Math.round(value));
+}
+
+/**
+ * Volume histogram, one entry per plot column ({ volume, up } or null for
+ * a gap), in eighths of a row. Null when there's no volume to show (IB
+ * sends none for indices and forex).
+ */
+export function renderVolume(columns, { height }) {
+  const peak = Math.max(0, ...columns.map(c => (c?.volume > 0 ? c.volume : 0)));
+  if (peak === 0 || height <= 0) return null;
+
+  const levels = height * 8;
+  const rows = [];
+  for (let row = 0; row < height; row++) {
+    const floor = (height - 1 - row) * 8;
+    const cells = columns.map((column) => {
+      if (!column || !(column.volume > 0)) return { char: ' ', color: null };
+      const level = Math.max(1, Math.round((column.volume / peak) * levels));
+      const char = VOLUME_CHARS[Math.max(0, Math.min(8, level - floor))];
+      return { char, color: column.up ? asciichart.green : asciichart.red };
+    });
+    const label = row === 0 ? formatVolume(peak) : '';
+    rows.push(`${label.padStart(10)}${row === 0 ? '┤' : '│'}${paint(cells)}`);
+  }
+  return rows.join('\n');
+}
@@ -1,6 +1,24 @@
-export function formatMoney(value, showSign = false) {
+// Prefixes for the currencies Folio commonly sees; others show their code
+const CURRENCY_PREFIXES = {
+  USD: '$',
+  EUR: '€',
+  GBP: '£',
+  CAD: 'C$',
+  AUD: 'A$',
+  JPY: '¥',
+  CHF: 'CHF ',
+  HKD: 'HK$',
+};
+
+export function currencyPrefix(currency = 'USD') {
+  return CURRENCY_PREFIXES[currency] || `${currency} `;
+}
+
+export function formatMoney(value, showSign = false, currency = 'USD') {
+  const prefix = currencyPrefix(currency);
+
   if (value === null || value === undefined || isNaN(value)) {
-    return '$--';
+    return `${prefix}--`;
   }
 
   const absValue = Math.abs(value);
@@ -10,10 +28,10 @@ export function formatMoney(value, showSign = false) {
   });
 
   if (showSign && value !== 0) {
-    return value >= 0 ? `+$${formatted}` : `-$${formatted}`;
+    return value >= 0 ? `+${prefix}${formatted}` : `-${prefix}${formatted}`;
   }
 
-  return value >= 0 ? `$${formatted}` : `-$${formatted}`;
+  return value >= 0 ? `${prefix}${formatted}` : `-${prefix}${formatted}`;
 }
 
 export function formatPercent(value, showSign = false) {
@@ -30,6 +48,36 @@ export function formatPercent(value, showSign = false) {
   return value >= 0 ? `${formatted}%` : `-${formatted}%`;
 }
 
+// Colors for a streaming price's source (live, delayed, frozen)
+export const PRICE_SOURCE_COLORS = {
+  live: 'green',
+  delayed: 'yellow',
+  frozen: 'gray',
+};
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * "▂▃▅▄▆█▇" for a series, resampled to at most `width` points
+ */
+export function sparkline(values, width = 20) {
+  const points = (values || []).filter(v => Number.isFinite(v));
+  if (points.length < 2) return '';
+
+  const step = Math.max(1, points.length / width);
+  const sampled = [];
+  for (let i = 0; i < points.length && sampled.length < width; i += step) {
+    sampled.push(points[Math.floor(i)]);
+  }
+  sampled[sampled.length - 1] = points[points.length - 1];
+
+  const min = Math.min(...sampled);
+  const range = Math.max(...sampled) - min;
+  return sampled
+    .map(v => SPARK_CHARS[range > 0 ? Math.round(((v - min) / range) * (SPARK_CHARS.length - 1)) : 3])
+    .join('');
+}
+
 export function formatQuantity(value) {
   if (value === null || value === undefined) {
     return '--';
@@ -54,6 +102,47 @@ export function padLeft(str, len) {
   return str;
 }
 
+/**
+ * Describe an order's price terms for compact display
+ * Examples: "@ $150.00" (limit), "stop $95.00", "trail $2.50", "trail 5%"
+ */
+export function formatOrderTerms(order) {
+  if (!order) return '';
+
+  switch (order.orderType) {
+    case 'LMT':
+      return order.limitPrice > 0 ? `@ ${formatMoney(order.limitPrice)}` : '';
+    case 'STP':
+      return order.stopPrice > 0 ? `stop ${formatMoney(order.stopPrice)}` : 'stop';
+    case 'TRAIL':
+      if (order.trailingPercent > 0) return `trail ${order.trailingPercent}%`;
+      return order.trailingAmount > 0 ? `trail ${formatMoney(order.trailingAmount)}` : 'trail';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Describe an order's time in force
+ * Examples: "DAY", "GTC", "GTD 31 Dec", "GTC +ext" (outside regular hours)
+ */
+export function formatTimeInForce(order) {
+  if (!order?.tif) return '';
+
+  let text = order.tif;
+  if (order.tif === 'GTD' && order.goodTillDate) {
+    // IB format: "YYYYMMDD HH:mm:ss"
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const month = parseInt(order.goodTillDate.slice(4, 6), 10);
+    const day = parseInt(order.goodTillDate.slice(6, 8), 10);
+    if (month >= 1 && month <= 12 && day > 0) {
+      text = `GTD ${day} ${months[month - 1]}`;
+    }
+  }
+
+  return order.outsideRth ? `${text} +ext` : text;
+}
+
 /**
  * Format a timestamp to human-readable relative time
  * Examples: "now", "5m ago", "2h ago", "yesterday", "Mon"
@@ -0,0 +1,264 @@
+/**
+ * Performance metrics over portfolio history ({ ts, netLiquidation })
+ * and external cash flows ({ ts, amount }, deposits positive).
+ *
+ * - TWR chains the return of every sub-period between history points,
+ *   taking each flow out of the value it landed in, so deposits and
+ *   withdrawals don't count as gains or losses
+ * - MWR is the IRR of the starting value, the flows and the ending value
+ * - Drawdown, volatility and Sharpe run on daily TWR returns
+ * - Benchmark figures compare against a close series ({ ts, close })
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+const TRADING_DAYS = 252;
+
+// Flows dated in (from, to]: they landed in the value at `to`
+function flowsBetween(flows, from, to) {
+  let total = 0;
+  for (const flow of flows) {
+    if (flow.ts > from && flow.ts <= to) total += flow.amount;
+  }
+  return total;
+}
+
+// Last point of each calendar day
+function dailyPoints(history) {
+  const byDay = new Map();
+  for (const point of history) {
+    const d = new Date(point.ts);
+    byDay.set(`${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`, point);
+  }
+  return Array.from(byDay.values());
+}
+
+/**
+ * Sub-period returns between consecutive points, net of flows
+ */
+export function periodReturns(history, flows = []) {
+  const returns = [];
+  for (let i = 1; i < history.length; i++) {
+    const prev = history[i - 1];
+    const curr = history[i];
+    if (!(prev.netLiquidation > 0)) continue;
+    const flow = flowsBetween(flows, prev.ts, curr.ts);
+    returns.push({ ts: curr.ts, value: (curr.netLiquidation - flow) / prev.netLiquidation - 1 });
+  }
+  return returns;
+}
+
+/**
+ * Time-weighted return over the whole history, as a fraction
+ */
+export function timeWeightedReturn(history, flows = []) {
+  return periodReturns(history, flows).reduce((growth, r) => growth * (1 + r.value), 1) - 1;
+}
+
+/**
+ * Internal rate of return for dated amounts ({ ts, amount }, money in
+ * negative) per `unitMs` (a year by default), or null when there's no
+ * solution. Bisection: the NPV of an investment decreases with the rate,
+ * so one root is bracketed.
+ */
+export function irr(cashFlows, unitMs = YEAR_MS) {
+  if (cashFlows.length < 2) return null;
+  const t0 = cashFlows[0].ts;
+  const npv = (rate) => cashFlows.reduce(
+    (sum, cf) => sum + cf.amount / (1 + rate) ** ((cf.ts - t0) / unitMs), 0
+  );
+
+  let low = -0.9999;
+  let high = 10;
+  let npvLow = npv(low);
+  if (!Number.isFinite(npvLow) || Math.sign(npvLow) === Math.sign(npv(high))) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const value = npv(mid);
+    if (Math.abs(value) < 1e-7 || high - low < 1e-10) return mid;
+    if (Math.sign(value) === Math.sign(npvLow)) {
+      low = mid;
+      npvLow = value;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Money-weighted return over the history's span (`period`) and per year
+ * (`annualized`), as fractions. Solved per span so a one-day window
+ * doesn't need an astronomical annual rate.
+ */
+export function moneyWeightedReturn(history, flows = []) {
+  if (history.length < 2) return null;
+  const first = history[0];
+  const last = history[history.length - 1];
+
+  const cashFlows = [
+    { ts: first.ts, amount: -first.netLiquidation },
+    ...flows.filter(f => f.ts > first.ts && f.ts <= last.ts).map(f => ({ ts: f.ts, amount: -f.amount })),
+    { ts: last.ts, amount: last.netLiquidation },
+  ];
+
+  const span = last.ts - first.ts;
+  if (span <= 0) return null;
+  const period = irr(cashFlows, span);
+  if (period === null) return null;
+  return {
+    period,
+    annualized: (1 + period) ** (YEAR_MS / span) - 1,
+  };
+}
+
+/**
+ * Deepest fall from a peak of the flow-adjusted value, as a negative
+ * fraction (0 when it never fell)
+ */
+export function maxDrawdown(history, flows = []) {
+  let index = 1;
+  let peak = 1;
+  let worst = 0;
+  for (const r of periodReturns(history, flows)) {
+    index *= 1 + r.value;
+    peak = Math.max(peak, index);
+    worst = Math.min(worst, index / peak - 1);
+  }
+  return worst;
+}
+
+/**
+ * Everything the report shows for one period. Volatility and Sharpe are
+ * annualized from daily returns and null with fewer than two of them;
+ * `riskFreeRate` is annual.
+ */
+export function performanceMetrics(history, flows = [], { riskFreeRate = 0 } = {}) {
+  if (!history || history.length < 2) return null;
+
+  const daily = periodReturns(dailyPoints(history), flows).map(r => r.value);
+  let volatility = null;
+  let sharpe = null;
+  if (daily.length >= 2) {
+    const mean = daily.reduce((sum, r) => sum + r, 0) / daily.length;
+    const variance = daily.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (daily.length - 1);
+    volatility = Math.sqrt(variance) * Math.sqrt(TRADING_DAYS);
+    const excess = mean * TRADING_DAYS - riskFreeRate;
+    sharpe = volatility > 0 ? excess / volatility : null;
+  }
+
+  return {
+    twr: timeWeightedReturn(history, flows),
+    mwr: moneyWeightedReturn(history, flows),
+    maxDrawdown: maxDrawdown(history, flows),
+    volatility,
+    sharpe,
+  };
+}
+
+/**
+ * Historical bars ({ date: "YYYYMMDD[  HH:MM:SS]", close }) as a sorted
+ * { ts, close } series
+ */
+export function barSeries(bars) {
+  return (bars || [])
+    .map(bar => ({ ts: parseBarDate(bar.date), close: bar.close }))
+    .filter(p => p.ts !== null && p.close > 0)
+    .sort((a, b) => a.ts - b.ts);
+}
+
+function parseBarDate(date) {
+  const m = String(date || '').match(/^(\d{4})(\d{2})(\d{2})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!m) return null;
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = m;
+  return new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)).getTime();
+}
+
+// Last close at or before `ts` (the first one before the series starts)
+function closeAt(series, ts) {
+  let low = 0;
+  let high = series.length - 1;
+  let found = 0;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (series[mid].ts <= ts) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return series[found].close;
+}
+
+/**
+ * History points the benchmark series covers, so a short series doesn't
+ * get compared against a longer account history
+ */
+export function clipToSeries(history, series) {
+  if (!series.length) return [];
+  return history.filter(p => p.ts >= series[0].ts);
+}
+
+/**
+ * What the same money would be worth in the benchmark at each timestamp:
+ * the starting value and every later flow buy it at that day's close
+ */
+export function benchmarkValues(history, flows, series, timestamps) {
+  if (!history.length || !series.length) return [];
+  const start = history[0];
+  let units = start.netLiquidation / closeAt(series, start.ts);
+
+  const pending = flows.filter(f => f.ts > start.ts).sort((a, b) => a.ts - b.ts);
+  let next = 0;
+  return timestamps.map((ts) => {
+    while (next < pending.length && pending[next].ts <= ts) {
+      units += pending[next].amount / closeAt(series, pending[next].ts);
+      next++;
+    }
+    return units * closeAt(series, ts);
+  });
+}
+
+/**
+ * Portfolio against a benchmark over the same span: the benchmark's
+ * return, tracking difference (TWR minus that), and beta and annualized
+ * alpha from daily returns (null with fewer than two days)
+ */
+export function benchmarkComparison(history, flows, series) {
+  const covered = clipToSeries(history || [], series || []);
+  if (covered.length < 2) return null;
+
+  const first = covered[0];
+  const last = covered[covered.length - 1];
+  const benchmarkReturn = closeAt(series, last.ts) / closeAt(series, first.ts) - 1;
+
+  const daily = dailyPoints(covered);
+  const pairs = [];
+  for (let i = 1; i < daily.length; i++) {
+    const [r] = periodReturns([daily[i - 1], daily[i]], flows);
+    if (!r) continue;
+    pairs.push({ p: r.value, b: closeAt(series, daily[i].ts) / closeAt(series, daily[i - 1].ts) - 1 });
+  }
+
+  let beta = null;
+  let alpha = null;
+  if (pairs.length >= 2) {
+    const meanP = pairs.reduce((sum, x) => sum + x.p, 0) / pairs.length;
+    const meanB = pairs.reduce((sum, x) => sum + x.b, 0) / pairs.length;
+    const covariance = pairs.reduce((sum, x) => sum + (x.p - meanP) * (x.b - meanB), 0) / (pairs.length - 1);
+    const variance = pairs.reduce((sum, x) => sum + (x.b - meanB) ** 2, 0) / (pairs.length - 1);
+    if (variance > 0) {
+      beta = covariance / variance;
+      alpha = (meanP - beta * meanB) * TRADING_DAYS;
+    }
+  }
+
+  return {
+    benchmarkReturn,
+    trackingDifference: timeWeightedReturn(covered, flows) - benchmarkReturn,
+    beta,
+    alpha,
+  };
+}
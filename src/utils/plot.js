@@ -0,0 +1,62 @@
+/**
+ * Line plot drawn like asciichart's (same characters, labels and colors),
+ * but null values leave a gap instead of breaking the plot, so indicators
+ * can start after their warm-up. Unlike asciichart there's no spare column
+ * after the last point: `series` of chartWidth points fill chartWidth columns.
+ */
+
+import asciichart from 'asciichart';
+
+const SYMBOLS = ['┼', '┤', '╶', '╴', '─', '╰', '╭', '╮', '╯', '│'];
+
+const isNumber = (x) => typeof x === 'number' && Number.isFinite(x);
+
+/**
+ * `series` is an array of value arrays, drawn in order (later ones on top)
+ * with `colors[i]`. `min` / `max` fix the scale (e.g. 0-100 for RSI).
+ */
+export function plotLines(series, { height, format, colors = [], min, max }) {
+  const values = series.flat().filter(isNumber);
+  if (values.length === 0 || height <= 0) return null;
+
+  const lo = min ?? Math.min(...values);
+  const hi = max ?? Math.max(...values);
+  const range = Math.abs(hi - lo);
+  const ratio = range !== 0 ? height / range : 1;
+  const min2 = Math.round(lo * ratio);
+  const max2 = Math.round(hi * ratio);
+  const rows = Math.abs(max2 - min2);
+  const width = Math.max(...series.map(s => s.length));
+
+  const grid = Array.from({ length: rows + 1 }, () => new Array(width).fill(' '));
+  const labels = [];
+  for (let y = min2; y <= max2; y++) {
+    labels[y - min2] = format(rows > 0 ? hi - ((y - min2) * range) / rows : y);
+    grid[y - min2][0] = y === 0 ? SYMBOLS[0] : SYMBOLS[1];
+  }
+
+  const rowOf = (value) => rows - (Math.max(min2, Math.min(max2, Math.round(value * ratio))) - min2);
+  const colored = (symbol, color) => (color ? asciichart.colored(symbol, color) : symbol);
+
+  series.forEach((points, j) => {
+    const color = colors[j % Math.max(1, colors.length)];
+    if (isNumber(points[0])) grid[rowOf(points[0])][0] = colored(SYMBOLS[0], color);
+
+    for (let x = 0; x < points.length - 1; x++) {
+      if (!isNumber(points[x]) || !isNumber(points[x + 1])) continue;
+      const y0 = rowOf(points[x]);
+      const y1 = rowOf(points[x + 1]);
+      if (y0 === y1) {
+        grid[y0][x + 1] = colored(SYMBOLS[4], color);
+        continue;
+      }
+      grid[y1][x + 1] = colored(y0 < y1 ? SYMBOLS[5] : SYMBOLS[6], color);
+      grid[y0][x + 1] = colored(y0 < y1 ? SYMBOLS[7] : SYMBOLS[8], color);
+      for (let y = Math.min(y0, y1) + 1; y < Math.max(y0, y1); y++) {
+        grid[y][x + 1] = colored(SYMBOLS[9], color);
+      }
+    }
+  });
+
+  return grid.map((cells, row) => `${labels[row]} ${cells.join('')}`).join('\n');
+}
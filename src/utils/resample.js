@@ -1,3 +1,4 @@
+// Gaps (null) stay gaps: a point between a value and a null is null
 export function resampleLinear(values, targetLength) {
   if (!Array.isArray(values) || values.length === 0) return [];
   if (!Number.isFinite(targetLength) || targetLength <= 0) return [];
@@ -18,9 +19,58 @@ export function resampleLinear(values, targetLength) {
     const t = pos - left;
     const a = values[left];
     const b = values[right];
-    out[i] = a + (b - a) * t;
+    if (a === null || b === null) out[i] = t === 0 ? a : null;
+    else out[i] = a + (b - a) * t;
   }
 
   return out;
 }
 
+/**
+ * Merge consecutive OHLC bars into at most `targetLength` bars: open of the
+ * first, highest high, lowest low, close of the last, summed volume.
+ * Fewer bars than that come back as they are.
+ */
+export function aggregateBars(bars, targetLength) {
+  if (!Array.isArray(bars) || bars.length === 0) return [];
+  if (!Number.isFinite(targetLength) || targetLength <= 0) return [];
+
+  const n = bars.length;
+  const m = Math.floor(targetLength);
+  if (n <= m) return bars.slice();
+
+  const out = new Array(m);
+  for (let i = 0; i < m; i++) {
+    const from = Math.floor((i * n) / m);
+    const to = Math.floor(((i + 1) * n) / m);
+    let high = -Infinity;
+    let low = Infinity;
+    let volume = 0;
+    for (let j = from; j < to; j++) {
+      high = Math.max(high, bars[j].high);
+      low = Math.min(low, bars[j].low);
+      if (bars[j].volume > 0) volume += bars[j].volume;
+    }
+    out[i] = {
+      date: bars[from].date,
+      open: bars[from].open,
+      high,
+      low,
+      close: bars[to - 1].close,
+      volume,
+    };
+  }
+
+  return out;
+}
+
+/**
+ * The value at the end of each aggregateBars() bucket, so a series computed
+ * over the bars (an indicator) lines up with the merged bars
+ */
+export function lastOfBuckets(values, targetLength) {
+  const n = values.length;
+  const m = Math.floor(targetLength);
+  if (n <= m) return values.slice();
+  return Array.from({ length: m }, (_, i) => values[Math.floor(((i + 1) * n) / m) - 1]);
+}
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { IBConnection } from '../core/index.js';
+import { startMock, connect, waitFor } from './helpers.js';
+
+// A port nothing listens on
+function closedPort() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+test('connects and reports the managed account', async () => {
+  const mock = await startMock('default');
+  const connection = new IBConnection({ host: '127.0.0.1', port: mock.port, clientId: 0 });
+  try {
+    const account = waitFor(connection, 'account');
+    await connection.connect();
+
+    assert.equal(connection.isConnected(), true);
+    assert.equal(connection.status, 'connected');
+    assert.ok(connection.nextOrderId > 0);
+    assert.deepEqual(await account, ['DU1234567']);
+  } finally {
+    connection.disconnect();
+    await mock.stop();
+  }
+});
+
+test('fails with a readable message when TWS is not running', async () => {
+  const connection = new IBConnection({ host: '127.0.0.1', port: await closedPort(), reconnect: false });
+
+  await assert.rejects(connection.connect(), /Cannot connect to TWS/);
+  assert.equal(connection.status, 'error');
+  connection.disconnect();
+});
+
+test('reconnects after TWS drops the connection', async () => {
+  const mock = await startMock('default', {
+    events: [{ afterMs: 300, type: 'disconnect', downMs: 300 }],
+  });
+  const connection = await connect(mock);
+  try {
+    const statuses = [];
+    connection.on('status', ({ status }) => statuses.push(status));
+
+    await waitFor(connection, 'reconnected');
+
+    assert.equal(connection.isConnected(), true);
+    assert.ok(statuses.includes('reconnecting'));
+    assert.equal(statuses.at(-1), 'connected');
+  } finally {
+    connection.disconnect();
+    await mock.stop();
+  }
+});
+
+test('disconnect() hangs up for good', async () => {
+  const mock = await startMock('default');
+  const connection = await connect(mock);
+  try {
+    const disconnected = waitFor(connection, 'disconnected');
+    connection.disconnect();
+    await disconnected;
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    assert.equal(connection.status, 'disconnected');
+    assert.equal(connection.getClient(), null);
+  } finally {
+    await mock.stop();
+  }
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExecutionService, TradeService } from '../core/index.js';
+import { startMock, connect, waitFor } from './helpers.js';
+
+test('fetches the executions, newest first, then fills in commissions', async () => {
+  const mock = await startMock('default');
+  const connection = await connect(mock);
+  const executions = new ExecutionService(connection);
+  try {
+    const commissions = waitFor(executions, 'update', (list) => list.every(e => e.commission !== undefined));
+    const list = await executions.fetch();
+
+    assert.deepEqual(
+      list.map(e => [e.symbol, e.side, e.quantity]),
+      [['NVDA', 'SLD', 25], ['NVDA', 'BOT', 25], ['VTI', 'BOT', 10]],
+    );
+    assert.equal(list[0].price, 121.05);
+
+    const [withFees] = await commissions;
+    // The scenario's commission minimum
+    assert.ok(withFees.every(e => e.commission === 1 && e.commissionCurrency === 'USD'));
+  } finally {
+    executions.stop();
+    connection.disconnect();
+    await mock.stop();
+  }
+});
+
+test('picks up new fills on the next fetch', async () => {
+  const mock = await startMock('default');
+  const connection = await connect(mock);
+  const executions = new ExecutionService(connection);
+  const trade = new TradeService(connection);
+  try {
+    await executions.fetch();
+    const result = await trade.buy('MSFT', 3, { orderType: 'MKT' });
+    const list = await executions.fetch();
+
+    assert.equal(list.length, 4);
+    const fill = list.find(e => e.orderId === result.orderId);
+    assert.equal(fill.symbol, 'MSFT');
+    assert.equal(fill.side, 'BOT');
+    assert.equal(fill.quantity, 3);
+  } finally {
+    executions.stop();
+    connection.disconnect();
+    await mock.stop();
+  }
+});
+
+test('rejects when not connected', async () => {
+  const executions = new ExecutionService({ getClient: () => null, isConnected: () => false });
+  await assert.rejects(executions.fetch(), /Not connected/);
+});
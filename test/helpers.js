@@ -0,0 +1,84 @@
+/**
+ * Shared setup for the core tests: a mock TWS on a free port, built from a
+ * bundled scenario with a few sections overridden, and connections to it
+ *
+ *   const mock = await startMock('default', { orders: { fill: 'never' } });
+ *   const connection = await connect(mock);
+ *   ...
+ *   connection.disconnect();
+ *   await mock.stop();
+ */
+
+import { startMockTws } from '../mock-tws/lib/server.js';
+import { loadScenario, normalizeScenario } from '../mock-tws/lib/scenario.js';
+import { IBConnection } from '../core/index.js';
+
+// Quick retries so reconnect tests don't sit through the real backoff
+const FAST_RECONNECT = { initialDelayMs: 100, maxDelayMs: 500, factor: 2 };
+
+/**
+ * Start a mock TWS serving `name` with `overrides` merged into its
+ * account, market and orders sections (other keys replace the scenario's)
+ */
+export function startMock(name = 'default', overrides = {}) {
+  const base = loadScenario(name);
+  const scenario = normalizeScenario({
+    ...base,
+    ...overrides,
+    account: { ...base.account, ...overrides.account },
+    market: { ...base.market, ...overrides.market },
+    orders: { ...base.orders, ...overrides.orders },
+  }, base.name);
+
+  return startMockTws({ scenario, port: 0, host: '127.0.0.1' });
+}
+
+/**
+ * Connected IBConnection to `mock`
+ */
+export async function connect(mock, options = {}) {
+  const connection = new IBConnection({
+    host: '127.0.0.1',
+    port: mock.port,
+    clientId: 0,
+    reconnect: FAST_RECONNECT,
+    ...options,
+  });
+  await connection.connect();
+  return connection;
+}
+
+/**
+ * Resolve with the arguments of the first `event` from `emitter` that
+ * passes `filter`; reject after `timeoutMs`
+ */
+export function waitFor(emitter, event, filter = () => true, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      emitter.removeListener(event, listener);
+      reject(new Error(`Timeout waiting for '${event}'`));
+    }, timeoutMs);
+
+    const listener = (...args) => {
+      if (!filter(...args)) return;
+      clearTimeout(timeout);
+      emitter.removeListener(event, listener);
+      resolve(args);
+    };
+
+    emitter.on(event, listener);
+  });
+}
+
+/**
+ * Resolve once `condition()` holds, checking every few milliseconds; for
+ * state that changes without an event. The `ib` client rate-limits what it
+ * sends across the whole process, so requests can go out late.
+ */
+export async function until(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timeout waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bollinger, ema, macd, rsi, sma, vwap } from '../core/indicators.js';
+
+const rounded = (values, digits = 6) => values.map(v => (v === null ? null : Number(v.toFixed(digits))));
+
+test('sma averages the last `length` values and restarts after a gap', () => {
+  assert.deepEqual(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  assert.deepEqual(sma([1, 2, null, 4, 5, 6], 2), [null, 1.5, null, null, 4.5, 5.5]);
+});
+
+test('ema is seeded with the sma, then weights the latest value by 2 / (length + 1)', () => {
+  assert.deepEqual(ema([2, 4, 6, 8, 12], 3), [null, null, 4, 6, 9]);
+  // Leading nulls are skipped, as MACD's signal line needs
+  assert.deepEqual(ema([null, 2, 4, 6, 8], 3), [null, null, null, 4, 6]);
+});
+
+test('rsi uses Wilder smoothing', () => {
+  assert.deepEqual(rsi([1, 2, 3, 2, 3], 2), [null, null, 100, 50, 75]);
+  assert.deepEqual(rsi([5, 5, 5, 5], 2), [null, null, 50, 50]);
+});
+
+test('rsi matches a known 14-day series', () => {
+  // StockCharts' worked example. Its table rounds the average gain and loss
+  // to two decimals and prints 70.53 first; unrounded (as TA-Lib) it's 70.46
+  const closes = [
+    44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08,
+    45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64,
+  ];
+  const values = rsi(closes, 14);
+  assert.equal(values.slice(0, 14).every(v => v === null), true);
+  assert.deepEqual(rounded(values.slice(14), 2), [70.46, 66.25, 66.48, 69.35, 66.29, 57.92]);
+});
+
+test('bollinger bands sit `deviations` population deviations around the sma', () => {
+  const { middle, upper, lower } = bollinger([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+  assert.equal(middle[7], 5);
+  assert.equal(upper[7], 9);
+  assert.equal(lower[7], 1);
+  assert.equal(upper[6], null);
+});
+
+test('macd is fast minus slow ema, with its signal and histogram', () => {
+  const closes = Array.from({ length: 40 }, (_, i) => 100 + i);
+  const { macd: line, signal, histogram } = macd(closes, 3, 6, 3);
+  // A straight line: both emas lag it by (length - 1) / 2
+  assert.deepEqual(rounded(line.slice(5)), new Array(35).fill(1.5));
+  assert.equal(signal[6], null);
+  assert.equal(signal[7], 1.5);
+  assert.equal(histogram[7], 0);
+});
+
+test('vwap weights the typical price by volume and restarts each session', () => {
+  const bars = [
+    { date: 'd1', high: 11, low: 9, close: 10, volume: 100 },
+    { date: 'd1', high: 21, low: 19, close: 20, volume: 300 },
+    { date: 'd2', high: 31, low: 29, close: 30, volume: 100 },
+  ];
+  assert.deepEqual(vwap(bars), [10, 17.5, 20]);
+  assert.deepEqual(vwap(bars, { sessionKey: b => b.date }), [10, 17.5, 30]);
+});
+
+test('rejects a length that is not a positive integer', () => {
+  assert.throws(() => sma([1, 2, 3], 0), /Invalid indicator length/);
+  assert.throws(() => ema([1, 2, 3], 2.5), /Invalid indicator length/);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { holdingTerm, matchLots, realizedGainsCsv } from '../core/lots.js';
+
+const fill = (id, side, quantity, price, time, extra = {}) => ({
+  id, symbol: 'AAPL', side, quantity, price, time, currency: 'USD', ...extra,
+});
+
+// Two lots, then a sale that takes all of one and part of the other
+const PARTIAL = [
+  fill('b1', 'BOT', 10, 100, '20240110 10:00:00'),
+  fill('b2', 'BOT', 10, 120, '20240210 10:00:00'),
+  fill('s1', 'SLD', 15, 130, '20240601 10:00:00'),
+];
+
+const pieces = (trade) => trade.lots.map(l => [l.openId, l.quantity, l.pnl]);
+
+test('FIFO closes the oldest lot first and leaves the rest of the next one open', () => {
+  const { trades, openLots } = matchLots(PARTIAL, { method: 'FIFO' });
+
+  assert.equal(trades.length, 1);
+  assert.deepEqual(pieces(trades[0]), [['b1', 10, 300], ['b2', 5, 50]]);
+  assert.equal(trades[0].pnl, 350);
+  assert.deepEqual(openLots.map(l => [l.id, l.quantity]), [['b2', 5]]);
+});
+
+test('LIFO closes the newest lot first', () => {
+  const { trades, openLots } = matchLots(PARTIAL, { method: 'LIFO' });
+
+  assert.deepEqual(pieces(trades[0]), [['b2', 10, 100], ['b1', 5, 150]]);
+  assert.deepEqual(openLots.map(l => [l.id, l.quantity]), [['b1', 5]]);
+});
+
+test('specific lots close the picked lots, then FIFO for what they leave', () => {
+  const executions = [
+    fill('b1', 'BOT', 10, 100, '20240110 10:00:00'),
+    fill('b2', 'BOT', 10, 120, '20240210 10:00:00'),
+    fill('b3', 'BOT', 10, 90, '20240310 10:00:00'),
+    fill('s1', 'SLD', 15, 130, '20240601 10:00:00'),
+  ];
+  const { trades } = matchLots(executions, { method: 'SPECIFIC', selections: { s1: ['b3'] } });
+
+  assert.deepEqual(pieces(trades[0]), [['b3', 10, 400], ['b1', 5, 150]]);
+});
+
+test('average cost prices every closed share at the mean of the open lots', () => {
+  const { trades, openLots } = matchLots(PARTIAL, { method: 'AVERAGE' });
+
+  assert.equal(trades[0].costBasis, 15 * 110);
+  assert.equal(trades[0].pnl, 15 * 20);
+  assert.deepEqual(openLots.map(l => [l.quantity, l.price]), [[5, 110]]);
+});
+
+test('commissions raise the basis and lower the proceeds', () => {
+  const { trades } = matchLots([
+    fill('b1', 'BOT', 10, 100, '20240110 10:00:00', { commission: 1, commissionCurrency: 'USD' }),
+    fill('s1', 'SLD', 10, 110, '20240601 10:00:00', { commission: 1.5, commissionCurrency: 'USD' }),
+  ]);
+
+  assert.equal(trades[0].costBasis, 1001);
+  assert.equal(trades[0].proceeds, 1098.5);
+  assert.equal(trades[0].fees, 2.5);
+  assert.equal(trades[0].pnl, 97.5);
+});
+
+test('a short sale is closed by the buy that covers it, always short-term', () => {
+  const { trades, openLots } = matchLots([
+    fill('s1', 'SLD', 5, 50, '20230110 10:00:00'),
+    fill('b1', 'BOT', 5, 40, '20240610 10:00:00'),
+  ]);
+
+  assert.equal(trades.length, 1);
+  assert.equal(trades[0].side, 'BOT');
+  assert.equal(trades[0].pnl, 50);
+  assert.equal(trades[0].term, 'short');
+  assert.deepEqual(openLots, []);
+});
+
+test('long-term starts the calendar day after the anniversary, whatever the time of day', () => {
+  const bought = new Date(2024, 2, 1, 15, 45);
+
+  assert.equal(holdingTerm(bought, new Date(2025, 2, 1, 9, 30)), 'short');
+  assert.equal(holdingTerm(bought, new Date(2025, 2, 1, 23, 59)), 'short');
+  assert.equal(holdingTerm(bought, new Date(2025, 2, 2, 0, 1)), 'long');
+
+  const { trades } = matchLots([
+    fill('b1', 'BOT', 10, 100, '20240301 15:45:00'),
+    fill('b2', 'BOT', 10, 100, '20240302 09:30:00'),
+    fill('s1', 'SLD', 20, 110, '20250302 09:30:00'),
+  ]);
+  assert.deepEqual(trades[0].lots.map(l => l.term), ['long', 'short']);
+  assert.equal(trades[0].term, 'mixed');
+});
+
+test('the CSV has one row per closed lot piece', () => {
+  const { trades } = matchLots(PARTIAL);
+  const [header, ...rows] = realizedGainsCsv(trades).trim().split('\n');
+
+  assert.match(header, /^Description,Symbol,Quantity,Date Acquired,Date Sold,Proceeds,Cost Basis/);
+  assert.equal(rows.length, 2);
+  assert.ok(rows[0].startsWith('10 AAPL,AAPL,10,2024-01-10,2024-06-01,1300.00,1000.00,0.00,300.00,Short-term,'));
+});
+
+test('rejects an unknown method', () => {
+  assert.throws(() => matchLots(PARTIAL, { method: 'HIFO' }), /Unknown lot method HIFO/);
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MarketDataService, QuoteStreamService } from '../core/index.js';
+import { startMock, connect, waitFor, until } from './helpers.js';
+
+async function setup(overrides) {
+  const mock = await startMock('default', overrides);
+  const connection = await connect(mock);
+  const teardown = async () => {
+    connection.disconnect();
+    await mock.stop();
+  };
+  return { mock, connection, teardown };
+}
+
+test('snapshot() returns a quote near the scenario price', async () => {
+  const { connection, teardown } = await setup({ market: { tickIntervalMs: 0 } });
+  try {
+    const marketData = new MarketDataService(connection);
+    const quote = await marketData.snapshot('AAPL');
+
+    assert.ok(Math.abs(quote.price - 189.5) / 189.5 < 0.05);
+    assert.ok(quote.bid <= quote.ask);
+  } finally {
+    await teardown();
+  }
+});
+
+test('snapshot() resolves null for an unknown symbol', async () => {
+  const { connection, teardown } = await setup({ market: { unknownSymbols: false } });
+  try {
+    const marketData = new MarketDataService(connection);
+    assert.equal(await marketData.snapshot('NOPE', null, { timeoutMs: 2000 }), null);
+  } finally {
+    await teardown();
+  }
+});
+
+test('snapshot() reuses a recent quote within cacheTtlMs', async () => {
+  const { connection, teardown } = await setup();
+  try {
+    const marketData = new MarketDataService(connection);
+    const first = await marketData.snapshot('MSFT');
+    const second = await marketData.snapshot('MSFT', null, { cacheTtlMs: 60_000 });
+
+    assert.equal(second, first);
+  } finally {
+    await teardown();
+  }
+});
+
+test('streams quotes and closes the line with the last subscriber', async () => {
+  const { connection, teardown } = await setup({ market: { tickIntervalMs: 200 } });
+  const stream = new QuoteStreamService(connection);
+  try {
+    stream.start();
+    const first = stream.subscribe('TSLA');
+    const second = stream.subscribe('TSLA');
+
+    const [symbol, quote] = await waitFor(stream, 'price');
+    assert.equal(symbol, 'TSLA');
+    assert.equal(quote.streaming, true);
+    assert.equal(stream.isStreaming('TSLA'), true);
+    assert.deepEqual(stream.lines(), { open: 1, waiting: 0, maxLines: stream.maxLines });
+
+    first();
+    assert.equal(stream.isStreaming('TSLA'), true);
+    second();
+    assert.equal(stream.isStreaming('TSLA'), false);
+    assert.equal(stream.lines().open, 0);
+  } finally {
+    stream.stop();
+    await teardown();
+  }
+});
+
+test('queues subscriptions beyond maxLines until a line frees up', async () => {
+  const { connection, teardown } = await setup();
+  const stream = new QuoteStreamService(connection, { maxLines: 1 });
+  try {
+    stream.start();
+    const releaseAapl = stream.subscribe('AAPL');
+    stream.subscribe('MSFT');
+
+    assert.deepEqual(stream.lines(), { open: 1, waiting: 1, maxLines: 1 });
+    assert.equal(stream.isStreaming('MSFT'), false);
+
+    releaseAapl();
+    assert.equal(stream.isStreaming('MSFT'), true);
+    const [symbol] = await waitFor(stream, 'price');
+    assert.equal(symbol, 'MSFT');
+  } finally {
+    stream.stop();
+    await teardown();
+  }
+});
+
+test('stop() freezes the quotes and start() streams them again', async () => {
+  const { connection, teardown } = await setup();
+  const stream = new QuoteStreamService(connection);
+  try {
+    stream.start();
+    stream.subscribe('NVDA');
+    await waitFor(stream, 'price');
+
+    const frozen = waitFor(stream, 'price');
+    stream.stop();
+    assert.equal((await frozen)[1].source, 'frozen');
+    assert.equal(stream.isStreaming('NVDA'), false);
+
+    stream.start();
+    const [, quote] = await waitFor(stream, 'price');
+    assert.equal(quote.streaming, true);
+  } finally {
+    stream.stop();
+    await teardown();
+  }
+});
+
+test('drops to the lines IB allows on error 101 and tries the full limit again later', async () => {
+  const { mock, connection, teardown } = await setup({ market: { maxTickers: 2 } });
+  const stream = new QuoteStreamService(connection, { maxLines: 4, limitRetryMs: 1000 });
+  try {
+    stream.start();
+    for (const symbol of ['AAPL', 'MSFT', 'TSLA']) stream.subscribe(symbol);
+    await until(() => stream.lines().maxLines === 2);
+
+    assert.deepEqual(stream.lines(), { open: 2, waiting: 1, maxLines: 2 });
+    assert.equal(stream.isStreaming('TSLA'), false);
+
+    // Lines free up elsewhere: the retry gets TSLA its line
+    mock.market.settings.maxTickers = 10;
+    await waitFor(stream, 'price', (symbol) => symbol === 'TSLA');
+    assert.deepEqual(stream.lines(), { open: 3, waiting: 0, maxLines: 4 });
+  } finally {
+    stream.stop();
+    await teardown();
+  }
+});
+
+test('start() restores the configured line limit', async () => {
+  const { connection, teardown } = await setup({ market: { maxTickers: 1 } });
+  const stream = new QuoteStreamService(connection, { maxLines: 4 });
+  try {
+    stream.start();
+    stream.subscribe('AAPL');
+    stream.subscribe('MSFT');
+    await until(() => stream.lines().maxLines === 1);
+
+    stream.stop();
+    stream.start();
+    assert.equal(stream.lines().maxLines, 4);
+  } finally {
+    stream.stop();
+    await teardown();
+  }
+});
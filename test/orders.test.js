@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OrderService, TradeService } from '../core/index.js';
+import { startMock, connect, waitFor } from './helpers.js';
+
+async function setup(overrides) {
+  const mock = await startMock('default', overrides);
+  const connection = await connect(mock);
+  const orders = new OrderService(connection);
+  const trade = new TradeService(connection);
+  const teardown = async () => {
+    orders.stop();
+    connection.disconnect();
+    await mock.stop();
+  };
+  return { mock, connection, orders, trade, teardown };
+}
+
+test('loads the resting orders', async () => {
+  const { orders, teardown } = await setup();
+  try {
+    const loaded = waitFor(orders, 'loaded');
+    orders.start();
+    const [list] = await loaded;
+
+    assert.equal(list.length, 1);
+    assert.equal(list[0].symbol, 'MSFT');
+    assert.equal(list[0].action, 'SELL');
+    assert.equal(list[0].orderType, 'LMT');
+    assert.equal(list[0].limitPrice, 450);
+  } finally {
+    await teardown();
+  }
+});
+
+test('follows a placed order until it fills', async () => {
+  const { orders, trade, teardown } = await setup({ orders: { fill: 'delayed', fillDelayMs: 300 } });
+  try {
+    orders.start();
+    await waitFor(orders, 'loaded');
+
+    const fillOf = () => [...orders.ordersById.values()].find(o => o.status === 'Filled' && o.filled > 0);
+    const filled = waitFor(orders, 'update', () => !!fillOf());
+    const result = await trade.buy('AAPL', 5, { orderType: 'MKT' });
+    assert.equal(result.status, 'Submitted');
+    assert.ok(orders.orders.some(o => o.orderId === result.orderId));
+
+    await filled;
+    assert.equal(fillOf().orderId, result.orderId);
+    assert.equal(fillOf().filled, 5);
+    assert.ok(!orders.orders.some(o => o.orderId === result.orderId));
+  } finally {
+    await teardown();
+  }
+});
+
+test('waitForFill() resolves once the order fills', async () => {
+  const { orders, trade, teardown } = await setup({ orders: { fill: 'delayed', fillDelayMs: 300 } });
+  try {
+    orders.start();
+    await waitFor(orders, 'loaded');
+
+    const result = await trade.sell('AAPL', 10, { orderType: 'MKT' });
+    const record = await orders.waitForFill(result.orderId);
+
+    assert.equal(record.orderId, result.orderId);
+    assert.equal(record.status, 'Filled');
+    assert.equal(record.filled, 10);
+  } finally {
+    await teardown();
+  }
+});
+
+test('waitForFill() rejects for an order that is rejected or keeps working', async () => {
+  const { orders, trade, teardown } = await setup({ orders: { fill: 'reject' } });
+  try {
+    orders.start();
+    await waitFor(orders, 'loaded');
+
+    const rejected = await trade.sell('AAPL', 10, { orderType: 'MKT' });
+    await assert.rejects(orders.waitForFill(rejected.orderId), /cancelled/);
+
+    const [resting] = orders.orders;
+    await assert.rejects(orders.waitForFill(resting.orderId, { timeoutMs: 200 }), /Not filled yet/);
+  } finally {
+    await teardown();
+  }
+});
+
+test('drops an order TWS rejects', async () => {
+  const { orders, trade, teardown } = await setup({ orders: { fill: 'reject' } });
+  try {
+    orders.start();
+    await waitFor(orders, 'loaded');
+
+    const cancelled = waitFor(orders, 'status', (record) => record.status === 'Cancelled');
+    const result = await trade.buy('AAPL', 5, { orderType: 'MKT' });
+    const [record] = await cancelled;
+
+    assert.equal(record.orderId, result.orderId);
+    assert.ok(!orders.orders.some(o => o.orderId === result.orderId));
+  } finally {
+    await teardown();
+  }
+});
+
+test('cancels a working order', async () => {
+  const { orders, teardown } = await setup();
+  try {
+    orders.start();
+    const [[resting]] = await waitFor(orders, 'loaded');
+
+    const result = await orders.cancel(resting.orderId);
+
+    assert.deepEqual(result, { orderId: resting.orderId, status: 'Cancelled' });
+    assert.equal(orders.orders.length, 0);
+  } finally {
+    await teardown();
+  }
+});
+
+test('moves over to the new client after a reconnect', async () => {
+  const { connection, orders, teardown } = await setup({
+    events: [{ afterMs: 300, type: 'disconnect', downMs: 200 }],
+  });
+  try {
+    connection.on('connected', () => orders.start());
+    orders.start();
+    await waitFor(orders, 'loaded');
+
+    await waitFor(connection, 'reconnected');
+    const [list] = await waitFor(orders, 'loaded');
+
+    assert.equal(orders.client, connection.getClient());
+    assert.equal(list.length, 1);
+  } finally {
+    await teardown();
+  }
+});
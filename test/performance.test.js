@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  irr,
+  maxDrawdown,
+  moneyWeightedReturn,
+  timeWeightedReturn,
+} from '../src/utils/performance.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+const T0 = Date.UTC(2024, 0, 2);
+
+const near = (actual, expected, digits = 6) => {
+  assert.ok(Math.abs(actual - expected) < 10 ** -digits, `${actual} is not ${expected}`);
+};
+
+const point = (days, netLiquidation) => ({ ts: T0 + days * DAY_MS, netLiquidation });
+
+test('irr of a single year-long investment is its return', () => {
+  near(irr([{ ts: T0, amount: -1000 }, { ts: T0 + YEAR_MS, amount: 1100 }]), 0.1);
+  near(irr([{ ts: T0, amount: -1000 }, { ts: T0 + YEAR_MS, amount: 800 }]), -0.2);
+});
+
+test('irr converges to the rate that zeroes the NPV', () => {
+  const cashFlows = [
+    { ts: T0, amount: -1000 },
+    { ts: T0 + YEAR_MS / 2, amount: -1000 },
+    { ts: T0 + YEAR_MS, amount: 500 },
+    { ts: T0 + 2 * YEAR_MS, amount: 1900 },
+  ];
+  const rate = irr(cashFlows);
+  const npv = cashFlows.reduce((sum, cf) => sum + cf.amount / (1 + rate) ** ((cf.ts - T0) / YEAR_MS), 0);
+
+  assert.ok(rate > 0 && rate < 0.2);
+  near(npv, 0, 5);
+});
+
+test('irr is null when no rate solves it', () => {
+  assert.equal(irr([{ ts: T0, amount: -1000 }]), null);
+  assert.equal(irr([{ ts: T0, amount: -1000 }, { ts: T0 + YEAR_MS, amount: -100 }]), null);
+});
+
+test('a deposit is not a gain for the time-weighted return', () => {
+  near(timeWeightedReturn([point(0, 1000), point(1, 1500)], [{ ts: T0 + DAY_MS, amount: 500 }]), 0);
+  // 10% before a deposit, 10% after it: 21% whatever the deposit
+  near(timeWeightedReturn(
+    [point(0, 1000), point(1, 1100), point(2, 6100), point(3, 6710)],
+    [{ ts: T0 + 2 * DAY_MS, amount: 5000 }],
+  ), 0.21);
+});
+
+test('the money-weighted return weights the period each amount was in', () => {
+  const history = [point(0, 1000), point(365, 1100)];
+  const result = moneyWeightedReturn(history);
+  near(result.period, 0.1);
+  near(result.annualized, 0.1);
+
+  // Most of the money arrived just before a loss: worse than the TWR says
+  const funded = [point(0, 1000), point(180, 10200), point(365, 9900)];
+  const deposit = [{ ts: T0 + 180 * DAY_MS, amount: 9000 }];
+  assert.ok(moneyWeightedReturn(funded, deposit).period < 0);
+  assert.ok(timeWeightedReturn(funded, deposit) > 0.15);
+});
+
+test('max drawdown is the deepest fall from a peak, leaving flows out', () => {
+  near(maxDrawdown([point(0, 100), point(1, 120), point(2, 90), point(3, 130)]), -0.25);
+  // A withdrawal isn't a loss
+  assert.equal(maxDrawdown([point(0, 100), point(1, 50)], [{ ts: T0 + DAY_MS, amount: -50 }]), 0);
+});
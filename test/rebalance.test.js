@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTargets, planRebalance } from '../core/rebalance.js';
+
+const targets = parseTargets({ tolerance: 5, targets: { VTI: 60, VXUS: 30, CASH: 10 } });
+
+const orders = (plan) => plan.orders.map(o => [o.action, o.symbol, o.quantity]);
+
+test('parses targets as fractions, with the rest as the cash target', () => {
+  assert.deepEqual(targets, { targets: { VTI: 0.6, VXUS: 0.3 }, cash: 0.1, tolerance: 0.05 });
+  // Flat form, weights over 100 scaled down, default tolerance
+  assert.deepEqual(parseTargets({ VTI: 150, BND: 50 }), { targets: { VTI: 0.75, BND: 0.25 }, cash: 0, tolerance: 0.05 });
+  assert.throws(() => parseTargets({ VTI: -1 }), /Invalid weight for VTI/);
+  assert.throws(() => parseTargets([]), /must be an object/);
+});
+
+test('sells what is over its band first, then buys what is under it, in whole shares', () => {
+  const plan = planRebalance({
+    holdings: [
+      { symbol: 'VTI', quantity: 100, price: 99 },
+      { symbol: 'VXUS', quantity: 50, price: 40 },
+    ],
+    cash: 1100,
+    targets,
+  });
+
+  assert.equal(plan.total, 13000);
+  // VTI 9900 vs 7800 wanted: 21 shares; VXUS 2000 vs 3900: 47 shares
+  assert.deepEqual(orders(plan), [['SELL', 'VTI', 21], ['BUY', 'VXUS', 47]]);
+  assert.equal(plan.cash.after, 1100 + 21 * 99 - 47 * 40);
+  assert.equal(plan.scaledDown, false);
+});
+
+test('leaves holdings inside their band alone', () => {
+  const plan = planRebalance({
+    holdings: [
+      { symbol: 'VTI', quantity: 63, price: 100 },
+      { symbol: 'VXUS', quantity: 28, price: 100 },
+    ],
+    cash: 900,
+    targets,
+  });
+
+  assert.deepEqual(plan.orders, []);
+  assert.equal(plan.cash.outOfBand, false);
+});
+
+test('values holdings in the base currency', () => {
+  const plan = planRebalance({
+    holdings: [
+      { symbol: 'VTI', quantity: 60, price: 100, rate: 1 },
+      // 30 x 50 EUR at 2 base per EUR: 3000, on target
+      { symbol: 'VXUS', quantity: 30, price: 50, rate: 2 },
+    ],
+    cash: 1000,
+    targets,
+  });
+
+  assert.equal(plan.total, 10000);
+  assert.deepEqual(plan.orders, []);
+});
+
+test('scales every buy down when cash above its band cannot pay for them', () => {
+  const plan = planRebalance({
+    holdings: [
+      // No target: counted in the total, never traded
+      { symbol: 'AAPL', quantity: 10, price: 100 },
+      { symbol: 'VTI', quantity: 0, price: 10 },
+    ],
+    cash: 200,
+    targets: parseTargets({ tolerance: 5, targets: { VTI: 90, CASH: 10 } }),
+  });
+
+  assert.equal(plan.scaledDown, true);
+  // 200 cash, minus the 5% of 1200 that keeps cash at the bottom of its band
+  assert.deepEqual(orders(plan), [['BUY', 'VTI', 14]]);
+  assert.ok(plan.orders.every(o => o.symbol !== 'AAPL'));
+});
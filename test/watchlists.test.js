@@ -0,0 +1,46 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { addToWatchlist, loadWatchlists, updateWatchlists } from '../src/lib/watchlists.js';
+import { watchlistsPath } from '../src/lib/persistedJsonl.js';
+
+// ~/.folio comes from HOME, so point it at a scratch directory
+let home;
+let realHome;
+
+before(async () => {
+  realHome = process.env.HOME;
+  home = await fs.mkdtemp(path.join(os.tmpdir(), 'folio-test-'));
+  process.env.HOME = home;
+});
+
+after(async () => {
+  process.env.HOME = realHome;
+  await fs.rm(home, { recursive: true, force: true });
+});
+
+test('adds to the lists already in the file, without leaving temp files', async () => {
+  await fs.mkdir(path.dirname(watchlistsPath()), { recursive: true });
+  await fs.writeFile(watchlistsPath(), '{"Favorites":["NVDA"],"Europe":["SAP"]}');
+
+  await updateWatchlists(current => addToWatchlist(current, 'Favorites', 'TSLA'));
+
+  const lists = await loadWatchlists();
+  assert.deepEqual(lists.Favorites.map(e => e.symbol), ['NVDA', 'TSLA']);
+  assert.deepEqual(lists.Europe.map(e => e.symbol), ['SAP']);
+  assert.deepEqual(await fs.readdir(path.dirname(watchlistsPath())), ['watchlists.json']);
+});
+
+test('leaves a file that does not parse alone instead of writing over it', async () => {
+  const broken = '{"Favorites":["NVDA","AMD"],"Europe":["SAP",]}';
+  await fs.writeFile(watchlistsPath(), broken);
+
+  await assert.rejects(loadWatchlists(), /Could not read watchlists\.json/);
+  await assert.rejects(
+    updateWatchlists(current => addToWatchlist(current, 'Favorites', 'TSLA')),
+    /Could not read watchlists\.json/,
+  );
+  assert.equal(await fs.readFile(watchlistsPath(), 'utf8'), broken);
+});